@@ -0,0 +1,43 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE lock_events (
+      id BIGSERIAL PRIMARY KEY,
+      chain_id BIGINT NOT NULL,
+      contract_address TEXT NOT NULL,
+      event_name TEXT NOT NULL,
+      args JSONB NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash TEXT NOT NULL,
+      block_timestamp TIMESTAMPTZ NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER NOT NULL,
+      UNIQUE (chain_id, tx_hash, log_index)
+    );
+    CREATE INDEX lock_events_contract_idx
+      ON lock_events (chain_id, contract_address, block_number);
+
+    CREATE TABLE indexer_blocks (
+      chain_id BIGINT NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash TEXT NOT NULL,
+      PRIMARY KEY (chain_id, block_number)
+    );
+
+    CREATE TABLE indexer_checkpoints (
+      name TEXT NOT NULL,
+      chain_id BIGINT NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash TEXT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (name, chain_id)
+    );
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS indexer_checkpoints;
+    DROP TABLE IF EXISTS indexer_blocks;
+    DROP TABLE IF EXISTS lock_events;
+  `);
+};
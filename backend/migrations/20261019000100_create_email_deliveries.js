@@ -0,0 +1,27 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE email_deliveries (
+      id UUID PRIMARY KEY,
+      template TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'retrying', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      message_id TEXT,
+      next_attempt_at TIMESTAMPTZ,
+      sent_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX email_deliveries_status_idx
+      ON email_deliveries (status, created_at DESC);
+    CREATE INDEX email_deliveries_recipient_idx
+      ON email_deliveries (recipient, created_at DESC);
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS email_deliveries;`);
+};
@@ -0,0 +1,21 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE api_keys (
+      id UUID PRIMARY KEY,
+      name TEXT NOT NULL,
+      owner_address TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      rate_limit INTEGER,
+      daily_quota INTEGER,
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX api_keys_owner_idx ON api_keys (owner_address, created_at DESC);
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS api_keys;`);
+};
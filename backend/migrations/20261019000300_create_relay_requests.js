@@ -0,0 +1,26 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE relay_requests (
+      id UUID PRIMARY KEY,
+      chain_id INTEGER NOT NULL,
+      lock_address TEXT NOT NULL,
+      owner_address TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      deadline BIGINT NOT NULL,
+      signature TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+      tx_hash TEXT,
+      block_number BIGINT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX relay_requests_lock_idx
+      ON relay_requests (chain_id, lock_address, owner_address, nonce);
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS relay_requests;`);
+};
@@ -0,0 +1,14 @@
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE email_deliveries ADD COLUMN sender_address TEXT;
+    CREATE INDEX email_deliveries_sender_idx
+      ON email_deliveries (sender_address, created_at DESC);
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    DROP INDEX IF EXISTS email_deliveries_sender_idx;
+    ALTER TABLE email_deliveries DROP COLUMN IF EXISTS sender_address;
+  `);
+};
@@ -0,0 +1,16 @@
+exports.up = async (db) => {
+  await db.query(`
+    DROP INDEX IF EXISTS relay_requests_lock_idx;
+    CREATE UNIQUE INDEX relay_requests_active_idx
+      ON relay_requests (chain_id, lock_address, owner_address, nonce)
+      WHERE status <> 'failed';
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    DROP INDEX IF EXISTS relay_requests_active_idx;
+    CREATE INDEX relay_requests_lock_idx
+      ON relay_requests (chain_id, lock_address, owner_address, nonce);
+  `);
+};
@@ -0,0 +1,17 @@
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE email_recipients (
+      owner_address TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      code_hash TEXT,
+      code_expires_at TIMESTAMPTZ,
+      verified_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS email_recipients;`);
+};
@@ -0,0 +1,93 @@
+// apiKeys/store.js — API keys are stored hashed; the plaintext is shown once
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const KEY_PREFIX = "dk";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const formatKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  owner: row.owner_address,
+  prefix: row.key_prefix,
+  rateLimit: row.rate_limit,
+  dailyQuota: row.daily_quota,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+function createApiKeyStore({ pool }) {
+  // Resolves with null when `owner` already has `maxActive` unrevoked keys.
+  const issue = async ({
+    name,
+    owner,
+    rateLimit = null,
+    dailyQuota = null,
+    maxActive
+  }) => {
+    const ownerAddress = owner.toLowerCase();
+    const { rows: active } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM api_keys
+       WHERE owner_address = $1 AND revoked_at IS NULL`,
+      [ownerAddress]
+    );
+    if (active[0].count >= maxActive) return null;
+
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const key = `${KEY_PREFIX}_${prefix}_${crypto
+      .randomBytes(24)
+      .toString("base64url")}`;
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys
+         (id, name, owner_address, key_prefix, key_hash, rate_limit, daily_quota)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        uuidv4(),
+        name,
+        ownerAddress,
+        `${KEY_PREFIX}_${prefix}`,
+        hashKey(key),
+        rateLimit,
+        dailyQuota
+      ]
+    );
+    return { ...formatKey(rows[0]), key };
+  };
+
+  // Returns the active key matching a plaintext value, or null.
+  const authenticate = async (key) => {
+    const { rows } = await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE key_hash = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [hashKey(key)]
+    );
+    return rows.length ? formatKey(rows[0]) : null;
+  };
+
+  const listByOwner = async (owner) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM api_keys WHERE owner_address = $1
+       ORDER BY created_at DESC`,
+      [owner.toLowerCase()]
+    );
+    return rows.map(formatKey);
+  };
+
+  const revoke = async (id, owner) => {
+    const { rows } = await pool.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND owner_address = $2
+       RETURNING *`,
+      [id, owner.toLowerCase()]
+    );
+    return rows.length ? formatKey(rows[0]) : null;
+  };
+
+  return { issue, authenticate, listByOwner, revoke };
+}
+
+module.exports = { createApiKeyStore, hashKey };
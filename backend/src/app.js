@@ -0,0 +1,230 @@
+// app.js — builds the Express app around already-constructed clients
+//
+// Nothing here opens a connection or starts background work, so tests can
+// pass in-memory stand-ins; the production wiring lives in server.js.
+const express = require("express");
+const cors = require("cors");
+const createAuthRouter = require("./routes/auth");
+const createLocksRouter = require("./routes/locks");
+const createEmailRouter = require("./routes/email");
+const createFilesRouter = require("./routes/files");
+const createHealthRouter = require("./routes/health");
+const createContractsRouter = require("./routes/contracts");
+const createApiKeysRouter = require("./routes/apiKeys");
+const createRelayerRouter = require("./routes/relayer");
+const { createRequireWallet } = require("./middleware/requireWallet");
+const { createRequireSender } = require("./middleware/requireSender");
+const { createApiKeyAuth } = require("./middleware/apiKey");
+const { createRateLimiter } = require("./middleware/rateLimit");
+const { createProbes, withTimeout } = require("./health/checks");
+const { createMetrics } = require("./metrics");
+const { ensureBucket } = require("./utils/minio");
+
+function createApp({
+  config,
+  redis,
+  mongo,
+  pool,
+  minioClient,
+  transporter,
+  deliveryLog,
+  emailQueue,
+  emailRecipients,
+  lockReader,
+  deployments,
+  relayer,
+  apiKeys,
+  File,
+  metrics = createMetrics({ pool, redis })
+}) {
+  // Rate limits
+  const rateLimiter = createRateLimiter({
+    redis,
+    secret: config.auth.secret,
+    enabled: config.rateLimit.enabled
+  });
+  const defaultLimit = rateLimiter.limit("default", config.rateLimit);
+  const emailLimit = rateLimiter.limit("email", {
+    windowMs: config.rateLimit.emailWindowMs,
+    ip: config.rateLimit.emailIp,
+    wallet: config.rateLimit.emailWallet,
+    apiKey: config.rateLimit.emailApiKey
+  });
+
+  const app = express();
+  app.set("trust proxy", config.server.trustProxy);
+  app.use(metrics.httpMiddleware);
+  app.use(
+    cors({
+      origin: config.server.corsOrigins.includes("*")
+        ? "*"
+        : config.server.corsOrigins,
+      exposedHeaders: [
+        "RateLimit-Policy",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "Retry-After"
+      ]
+    })
+  );
+  app.use(express.json());
+
+  // Health & metrics
+  app.use(
+    "/health",
+    createHealthRouter({
+      probes: createProbes({
+        mongo,
+        pool,
+        redis,
+        minioClient,
+        bucket: config.minio.bucket,
+        transporter
+      }),
+      timeoutMs: config.health.timeoutMs
+    })
+  );
+  app.get("/metrics", metrics.handler);
+
+  // Everything below is identified by API key, wallet or IP and rate limited
+  app.use(createApiKeyAuth({ apiKeys, redis }));
+  app.post("/email/send", emailLimit);
+  app.put("/email/recipient", emailLimit);
+  app.get("/test-email", emailLimit);
+  app.use(defaultLimit);
+
+  // Auth (SIWE)
+  app.use("/auth", createAuthRouter({ redis, ...config.auth }));
+  const requireWallet = createRequireWallet({
+    redis,
+    secret: config.auth.secret
+  });
+  const requireSender = createRequireSender({ requireWallet });
+
+  // API key issuance
+  app.use(
+    "/api-keys",
+    createApiKeysRouter({
+      apiKeys,
+      requireWallet,
+      maxRateLimit: config.rateLimit.apiKey,
+      maxKeysPerWallet: config.auth.apiKeysPerWallet
+    })
+  );
+
+  // Indexed Lock activity
+  app.use("/locks", createLocksRouter({ pool }));
+
+  // Cached contract reads and the deployments registry
+  app.use("/contracts", createContractsRouter({ lockReader, deployments }));
+
+  // Gasless withdrawals
+  app.use("/relayer", createRelayerRouter({ relayer }));
+
+  // Transactional email
+  app.use(
+    "/email",
+    createEmailRouter({
+      emailQueue,
+      deliveryLog,
+      recipients: emailRecipients,
+      requireSender
+    })
+  );
+
+  // Wallet-scoped files
+  app.use(
+    "/files",
+    createFilesRouter({
+      minioClient,
+      bucket: config.minio.bucket,
+      requireWallet,
+      File,
+      ...config.files
+    })
+  );
+
+  // Routes
+  app.get("/ping", (req, res) => res.send("pong"));
+  app.get("/mongo-status", async (req, res) => {
+    try {
+      const stats = await withTimeout(
+        mongo.db.stats(),
+        config.health.timeoutMs
+      );
+      res.json(stats);
+    } catch (err) {
+      console.error("❌ Mongo error:", err.message);
+      res
+        .status(503)
+        .json({ error: "MongoDB unavailable", detail: err.message });
+    }
+  });
+  app.get("/postgres-status", async (req, res) => {
+    try {
+      const result = await withTimeout(
+        pool.query("SELECT NOW()"),
+        config.health.timeoutMs
+      );
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error("❌ Postgres error:", err.message);
+      res
+        .status(503)
+        .json({ error: "Postgres unavailable", detail: err.message });
+    }
+  });
+  app.get("/cache-test", async (req, res) => {
+    try {
+      await withTimeout(
+        redis.set("message", "Web3 is fast!"),
+        config.health.timeoutMs
+      );
+      const value = await withTimeout(
+        redis.get("message"),
+        config.health.timeoutMs
+      );
+      res.send(`✅ Redis says: ${value}`);
+    } catch (err) {
+      console.error("❌ Redis error:", err.message);
+      res.status(503).json({ error: "Redis unavailable", detail: err.message });
+    }
+  });
+  app.get("/test-email", requireSender, async (req, res) => {
+    try {
+      const info = await transporter.sendMail({
+        from: `"Dapp Mail" <${config.smtp.from}>`,
+        to: config.smtp.testRecipient,
+        subject: "Test Email from Dapp Backend ✔",
+        text: "🚀 This is a test email sent from your Web3 backend."
+      });
+      res.json({ message: "✅ Email sent", info });
+    } catch (error) {
+      console.error("❌ Email send error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to send email", detail: error.message });
+    }
+  });
+  app.get("/minio-status", async (req, res) => {
+    const { bucket } = config.minio;
+    try {
+      await withTimeout(
+        ensureBucket(minioClient, bucket),
+        config.health.timeoutMs
+      );
+      const exists = await minioClient.bucketExists(bucket);
+      res.json({ bucket, exists, status: "ok" });
+    } catch (err) {
+      console.error("❌ MinIO error:", err.message);
+      res
+        .status(503)
+        .json({ error: "MinIO connection failed", detail: err.message });
+    }
+  });
+
+  return app;
+}
+
+module.exports = createApp;
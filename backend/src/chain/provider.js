@@ -0,0 +1,18 @@
+// chain/provider.js
+const { ethers } = require("ethers");
+
+// With a known chain ID the provider skips network detection, which
+// otherwise retries (and logs) every second while the node is down. Its
+// short-lived request cache is disabled: reads are cached in Redis, and a
+// stale provider answer right after invalidation would be re-cached.
+function createProvider({ rpcUrl, chainId }) {
+  const options = { cacheTimeout: -1 };
+  return chainId
+    ? new ethers.JsonRpcProvider(rpcUrl, chainId, {
+        ...options,
+        staticNetwork: true
+      })
+    : new ethers.JsonRpcProvider(rpcUrl, undefined, options);
+}
+
+module.exports = { createProvider };
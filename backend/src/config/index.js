@@ -0,0 +1,178 @@
+// config/index.js — validated, typed configuration built from the environment
+const schema = require("./schema");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+const REDACTED = "[redacted]";
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration (${problems.length} problem${
+        problems.length === 1 ? "" : "s"
+      }):\n${problems.map((problem) => `  - ${problem}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Each parser returns the typed value or throws with a short reason.
+const parsers = {
+  string: (raw) => raw,
+  int: (raw) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error("expected an integer");
+    return parseInt(raw, 10);
+  },
+  port: (raw) => {
+    const port = parsers.int(raw);
+    if (port < 1 || port > 65535) throw new Error("expected a port (1-65535)");
+    return port;
+  },
+  bool: (raw) => {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    throw new Error("expected true or false");
+  },
+  url: (raw) => {
+    try {
+      new URL(raw);
+    } catch (err) {
+      throw new Error("expected a URL");
+    }
+    return raw;
+  },
+  email: (raw) => {
+    if (!/^[^\s@<>]+@[^\s@<>]+$/.test(raw)) {
+      throw new Error("expected an email address");
+    }
+    return raw;
+  },
+  duration: (raw) => {
+    if (!/^\d+(ms|s|m|h|d|w|y)?$/.test(raw)) {
+      throw new Error('expected a duration such as "3600", "15m" or "1d"');
+    }
+    return /^\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+  },
+  list: (raw) =>
+    raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  privateKey: (raw) => {
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(raw)) {
+      throw new Error("expected a 32-byte hex private key");
+    }
+    return raw.startsWith("0x") ? raw : `0x${raw}`;
+  },
+  addressList: (raw) => {
+    const items = parsers.list(raw);
+    const invalid = items.filter((item) => !/^0x[0-9a-fA-F]{40}$/.test(item));
+    if (invalid.length)
+      throw new Error(`invalid address ${invalid.join(", ")}`);
+    return items;
+  }
+};
+
+const readRaw = (env, spec) => {
+  for (const name of [spec.env, ...(spec.aliases || [])]) {
+    if (env[name] !== undefined && env[name] !== "") return env[name];
+  }
+  return undefined;
+};
+
+const defaultFor = (spec, nodeEnv) => {
+  const { default: value } = spec;
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return value[nodeEnv];
+  }
+  return value;
+};
+
+function loadConfig({
+  env = process.env,
+  sections = Object.keys(schema)
+} = {}) {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || "development";
+  if (!ENVIRONMENTS.includes(nodeEnv)) {
+    problems.push(
+      `NODE_ENV must be one of ${ENVIRONMENTS.join(", ")} (got "${nodeEnv}")`
+    );
+  }
+
+  const config = { env: nodeEnv };
+  for (const section of sections) {
+    config[section] = {};
+    for (const [key, spec] of Object.entries(schema[section])) {
+      const raw = readRaw(env, spec);
+      if (raw === undefined) {
+        const fallback = defaultFor(spec, nodeEnv);
+        if (fallback === undefined && !spec.optional) {
+          problems.push(`${spec.env} is required`);
+        }
+        config[section][key] = fallback;
+        continue;
+      }
+      try {
+        config[section][key] = parsers[spec.type](raw.trim());
+      } catch (err) {
+        problems.push(`${spec.env} is malformed: ${err.message}`);
+      }
+    }
+    Object.freeze(config[section]);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+// Returns a copy of the config safe to log: secret values are replaced and
+// credentials embedded in URLs are masked.
+function redactConfig(config) {
+  const redacted = { env: config.env };
+  for (const [section, values] of Object.entries(config)) {
+    if (section === "env") continue;
+    redacted[section] = {};
+    for (const [key, value] of Object.entries(values)) {
+      const spec = schema[section] && schema[section][key];
+      if (value === undefined) continue;
+      if (spec && spec.secret) {
+        redacted[section][key] =
+          spec.type === "url" ? redactUrl(value) : REDACTED;
+      } else {
+        redacted[section][key] = value;
+      }
+    }
+  }
+  return redacted;
+}
+
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.password) url.password = "****";
+    return url.toString();
+  } catch (err) {
+    return REDACTED;
+  }
+}
+
+// Entry points call this so a bad environment fails fast with every problem
+// listed, instead of surfacing later as a connection error.
+function loadConfigOrExit(options) {
+  try {
+    return loadConfig(options);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  loadConfig,
+  loadConfigOrExit,
+  redactConfig,
+  ConfigError,
+  schema
+};
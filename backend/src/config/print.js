@@ -0,0 +1,5 @@
+// config/print.js — `npm run config` prints the effective, redacted config
+require("dotenv").config();
+const { loadConfigOrExit, redactConfig } = require(".");
+
+console.log(JSON.stringify(redactConfig(loadConfigOrExit()), null, 2));
@@ -0,0 +1,62 @@
+// contracts/deployments.js — the deployments registry written by smart-contracts/
+//
+// One JSON document keyed by chain ID, each listing contracts by name with
+// address, ABI, deploy block, tx hash and constructor args. The file is
+// re-read when it changes so a redeploy shows up without a restart; a
+// missing file is an empty registry.
+const fs = require("fs/promises");
+const path = require("path");
+
+const summarize = ({ chainId, network, contracts }) => ({
+  chainId,
+  network,
+  contracts: Object.fromEntries(
+    Object.entries(contracts).map(([name, entry]) => [
+      name,
+      {
+        contractName: entry.contractName,
+        address: entry.address,
+        blockNumber: entry.blockNumber,
+        transactionHash: entry.transactionHash
+      }
+    ])
+  )
+});
+
+// Chain IDs and names arrive from URLs, so only the registry's own keys
+// count: "__proto__" or "constructor" mustn't resolve to Object.prototype.
+const own = (object, key) => (Object.hasOwn(object, key) ? object[key] : null);
+
+function createDeploymentRegistry({ file }) {
+  const resolved = path.resolve(file);
+  let cache = null;
+
+  const load = async () => {
+    let stat;
+    try {
+      stat = await fs.stat(resolved);
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+    if (!cache || cache.mtimeMs !== stat.mtimeMs) {
+      const registry = JSON.parse(await fs.readFile(resolved, "utf8"));
+      cache = { mtimeMs: stat.mtimeMs, registry };
+    }
+    return cache.registry;
+  };
+
+  const getChain = async (chainId) => own(await load(), String(chainId));
+
+  const getContract = async (chainId, name) => {
+    const chain = await getChain(chainId);
+    return chain && own(chain.contracts, name);
+  };
+
+  // Every chain without ABIs, for listings.
+  const listChains = async () => Object.values(await load()).map(summarize);
+
+  return { file: resolved, load, getChain, getContract, listChains };
+}
+
+module.exports = { createDeploymentRegistry };
@@ -0,0 +1,23 @@
+// contracts/lockAbi.js — the parts of Lock.sol the backend uses, the views
+// that tell TokenLock and VestingLock apart, plus the TokenLock, VestingLock
+// and GuardedLock events so the indexer and cache invalidation see them too
+module.exports = [
+  "function unlockTime() view returns (uint)",
+  "function end() view returns (uint)",
+  "function token() view returns (address)",
+  "function owner() view returns (address)",
+  "function nonces(address owner) view returns (uint)",
+  "function withdrawWithSig(uint deadline, uint nonce, bytes signature)",
+  "event Withdrawal(uint amount, uint when)",
+  "event Deposit(address indexed from, uint amount)",
+  "event UnlockTimeExtended(uint previousUnlockTime, uint newUnlockTime)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event Deposit(address indexed token, address indexed from, uint amount)",
+  "event Withdrawal(address indexed token, uint amount, uint when)",
+  "event Released(uint amount, uint when)",
+  "event EarlyReleaseProposed(uint indexed proposalId, address indexed proposer, uint expiresAt)",
+  "event EarlyReleaseApproved(uint indexed proposalId, address indexed guardian, uint approvals)",
+  "event EarlyReleaseCancelled(uint indexed proposalId)",
+  "event EarlyReleaseExecuted(uint indexed proposalId, uint amount, uint penalty)"
+];
@@ -0,0 +1,152 @@
+// contracts/lockReader.js — JSON-RPC reads of Lock state, cached in Redis
+const { ethers } = require("ethers");
+const lockAbi = require("./lockAbi");
+const { EVENT_TOPICS } = require("../indexer/lockIndexer");
+
+class LockNotFoundError extends Error {
+  constructor(address) {
+    super(`No contract deployed at ${address}`);
+    this.name = "LockNotFoundError";
+    this.address = address;
+  }
+}
+
+const erc20Abi = ["function balanceOf(address owner) view returns (uint)"];
+
+// A view function the contract doesn't have reverts (or returns nothing);
+// anything else, such as the RPC being down, is a real failure.
+const unlessMissing = (promise) =>
+  promise.catch((err) => {
+    if (err.code === "CALL_EXCEPTION" || err.code === "BAD_DATA") return null;
+    throw err;
+  });
+
+// Status depends on the clock, so it is derived on every read rather than
+// cached alongside the on-chain values. The block timestamp seen at fetch
+// time is a floor for "now" so local chains that time-travel ahead of the
+// wall clock still report the right status.
+function deriveStatus(
+  { unlockTime, balance, blockTimestamp = 0 },
+  now = Math.floor(Date.now() / 1000)
+) {
+  if (Math.max(now, blockTimestamp) < unlockTime) return "locked";
+  return BigInt(balance) === 0n ? "withdrawn" : "unlocked";
+}
+
+function createLockReader({
+  provider,
+  redis,
+  ttlSeconds = 300,
+  logger = console
+}) {
+  let chainId;
+  const getChainId = async () => {
+    if (chainId === undefined) {
+      chainId = (await provider.getNetwork()).chainId.toString();
+    }
+    return chainId;
+  };
+  const cacheKey = (address) => `lock:${chainId}:${address.toLowerCase()}`;
+
+  const fetchLock = async (address) => {
+    const [code, block] = await Promise.all([
+      provider.getCode(address),
+      provider.getBlock("latest")
+    ]);
+    if (code === "0x") throw new LockNotFoundError(address);
+
+    // Lock and GuardedLock hold ETH until unlockTime, TokenLock holds an
+    // ERC-20 token until unlockTime and VestingLock holds ETH until end().
+    const lock = new ethers.Contract(address, lockAbi, provider);
+    const [unlockTime, end, token, owner] = await Promise.all([
+      unlessMissing(lock.unlockTime()),
+      unlessMissing(lock.end()),
+      unlessMissing(lock.token()),
+      lock.owner()
+    ]);
+    const balance = token
+      ? await new ethers.Contract(token, erc20Abi, provider).balanceOf(address)
+      : await provider.getBalance(address);
+    return {
+      address: ethers.getAddress(address),
+      chainId: Number(chainId),
+      unlockTime: Number(unlockTime === null ? end : unlockTime),
+      owner,
+      token,
+      balance: balance.toString(),
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp
+    };
+  };
+
+  const getLock = async (address) => {
+    await getChainId();
+    const key = cacheKey(address);
+
+    let cached = null;
+    try {
+      cached = await redis.get(key);
+    } catch (err) {
+      logger.error("❌ Lock cache read failed:", err.message);
+    }
+    if (cached) {
+      const data = JSON.parse(cached);
+      return { ...data, status: deriveStatus(data), cached: true };
+    }
+
+    const data = await fetchLock(address);
+    redis
+      .set(key, JSON.stringify(data), "EX", ttlSeconds)
+      .catch((err) => logger.error("❌ Lock cache write failed:", err.message));
+    return { ...data, status: deriveStatus(data), cached: false };
+  };
+
+  // Resolves every address independently so one bad entry doesn't fail the
+  // whole batch.
+  const getLocks = (addresses) =>
+    Promise.all(
+      addresses.map(async (address) => {
+        try {
+          return await getLock(address);
+        } catch (err) {
+          return {
+            address,
+            error:
+              err instanceof LockNotFoundError
+                ? "No contract at this address"
+                : err.message
+          };
+        }
+      })
+    );
+
+  const invalidate = async (addresses) => {
+    if (!addresses.length) return 0;
+    await getChainId();
+    return redis.del(...addresses.map(cacheKey));
+  };
+
+  // Drops cached entries for every lock that emitted an event in a new block.
+  const onBlock = async (blockNumber) => {
+    try {
+      const logs = await provider.getLogs({
+        topics: [EVENT_TOPICS],
+        fromBlock: blockNumber,
+        toBlock: blockNumber
+      });
+      const touched = [...new Set(logs.map((log) => log.address))];
+      if (touched.length) await invalidate(touched);
+    } catch (err) {
+      logger.error("❌ Lock cache invalidation failed:", err.message);
+    }
+  };
+
+  const watch = () => {
+    provider.on("block", onBlock);
+    return () => provider.off("block", onBlock);
+  };
+
+  return { getLock, getLocks, invalidate, watch, onBlock };
+}
+
+module.exports = { createLockReader, deriveStatus, LockNotFoundError };
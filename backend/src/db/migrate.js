@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// db/migrate.js — `npm run migrate -- <up|down|status|create> [arg]`
+require("dotenv").config();
+const { loadConfigOrExit } = require("../config");
+const { createPool } = require("./postgres");
+const { createMigrator } = require("./migrator");
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  up [version]     apply pending migrations (optionally up to a version)
+  down [count]     roll back the last <count> migrations (default 1)
+  status           list migrations and whether they have run
+  create <name>    scaffold a new migration file`;
+
+const connect = () =>
+  createPool(loadConfigOrExit({ sections: ["postgres"] }).postgres);
+
+// Runs one command and resolves to the process exit code. `getPool`, `dir`
+// and `logger` are swapped out by the tests.
+async function run(
+  [command, arg],
+  { getPool = connect, dir, logger = console } = {}
+) {
+  if (command === "create") {
+    const file = createMigrator({ pool: null, dir, logger }).create(arg);
+    logger.log(`✅ Created ${file}`);
+    return 0;
+  }
+
+  if (!["up", "down", "status"].includes(command)) {
+    logger.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  const pool = getPool();
+  const migrator = createMigrator({ pool, dir, logger });
+  try {
+    if (command === "up") {
+      const applied = await migrator.up({ to: arg });
+      logger.log(
+        applied.length
+          ? `✅ Applied ${applied.length} migration(s)`
+          : "✅ Database is up to date"
+      );
+    } else if (command === "down") {
+      const count = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid count: ${arg}`);
+      }
+      const reverted = await migrator.down({ count });
+      logger.log(`✅ Rolled back ${reverted.length} migration(s)`);
+    } else {
+      for (const m of await migrator.status()) {
+        const state = m.appliedAt
+          ? `applied ${new Date(m.appliedAt).toISOString()}`
+          : "pending";
+        logger.log(
+          `${m.appliedAt ? "✔" : "•"} ${m.version}_${m.name}  ${state}`
+        );
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      console.error("❌", err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,158 @@
+// db/migrator.js — versioned up/down migrations for Postgres
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "../../migrations");
+const FILENAME_PATTERN = /^(\d{14})_([a-z0-9_]+)\.js$/;
+// Arbitrary constant shared by every process that runs migrations, so two
+// backends booting at once don't apply the same migration twice.
+const ADVISORY_LOCK_ID = 4361001;
+
+const MIGRATION_TEMPLATE = `exports.up = async (db) => {
+  await db.query(\`\`);
+};
+
+exports.down = async (db) => {
+  await db.query(\`\`);
+};
+`;
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+function createMigrator({
+  pool,
+  dir = MIGRATIONS_DIR,
+  table = "schema_migrations",
+  logger = console
+}) {
+  const listMigrations = () => {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .map((file) => {
+        const match = FILENAME_PATTERN.exec(file);
+        return match && { version: match[1], name: match[2], file };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version.localeCompare(b.version));
+  };
+
+  const loadMigration = (migration) => {
+    const mod = require(path.join(dir, migration.file));
+    if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+      throw new Error(`Migration ${migration.file} must export up and down`);
+    }
+    return mod;
+  };
+
+  const ensureTable = (db) =>
+    db.query(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`
+    );
+
+  const appliedVersions = async (db) => {
+    const { rows } = await db.query(
+      `SELECT version, applied_at FROM ${table} ORDER BY version`
+    );
+    return new Map(rows.map((row) => [row.version, row.applied_at]));
+  };
+
+  // Runs fn on a dedicated client holding the migration lock.
+  const withLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query("SELECT pg_advisory_lock($1)", [ADVISORY_LOCK_ID]);
+      await ensureTable(client);
+      return await fn(client);
+    } finally {
+      await client
+        .query("SELECT pg_advisory_unlock($1)", [ADVISORY_LOCK_ID])
+        .catch(() => {});
+      client.release();
+    }
+  };
+
+  const apply = async (client, migration, direction) => {
+    const mod = loadMigration(migration);
+    await client.query("BEGIN");
+    try {
+      await mod[direction](client);
+      if (direction === "up") {
+        await client.query(
+          `INSERT INTO ${table} (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      } else {
+        await client.query(`DELETE FROM ${table} WHERE version = $1`, [
+          migration.version
+        ]);
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+      throw err;
+    }
+    logger.log(`${direction === "up" ? "⬆️" : "⬇️"}  ${migration.file}`);
+  };
+
+  const up = ({ to } = {}) =>
+    withLock(async (client) => {
+      const applied = await appliedVersions(client);
+      const pending = listMigrations().filter(
+        (m) => !applied.has(m.version) && (!to || m.version <= to)
+      );
+      for (const migration of pending) await apply(client, migration, "up");
+      return pending;
+    });
+
+  const down = ({ count = 1 } = {}) =>
+    withLock(async (client) => {
+      const applied = await appliedVersions(client);
+      const migrations = listMigrations();
+      const known = new Set(migrations.map((m) => m.version));
+      const missing = [...applied.keys()].filter((v) => !known.has(v));
+      if (missing.length) {
+        throw new Error(
+          `Applied migrations missing on disk: ${missing.join(", ")}`
+        );
+      }
+      const targets = migrations
+        .filter((m) => applied.has(m.version))
+        .reverse()
+        .slice(0, count);
+      for (const migration of targets) await apply(client, migration, "down");
+      return targets;
+    });
+
+  const status = () =>
+    withLock(async (client) => {
+      const applied = await appliedVersions(client);
+      return listMigrations().map((m) => ({
+        ...m,
+        appliedAt: applied.get(m.version) || null
+      }));
+    });
+
+  const create = (name) => {
+    const slug = String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    if (!slug) throw new Error("A migration name is required");
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${timestamp()}_${slug}.js`);
+    fs.writeFileSync(file, MIGRATION_TEMPLATE, { flag: "wx" });
+    return file;
+  };
+
+  return { up, down, status, create, listMigrations };
+}
+
+module.exports = { createMigrator, MIGRATIONS_DIR };
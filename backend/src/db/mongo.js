@@ -1,16 +1,13 @@
-const { MongoClient } = require("mongodb");
+const mongoose = require("mongoose");
 
-let db;
-
-async function connectMongo() {
+async function connectMongo({ uri }) {
   try {
-    const client = new MongoClient(process.env.MONGO_URL);
-    await client.connect();
-    db = client.db(); // default: "mydb"
+    await mongoose.connect(uri);
     console.log("✅ MongoDB connected");
   } catch (err) {
     console.error("❌ MongoDB error:", err);
   }
+  return mongoose.connection;
 }
 
-module.exports = connectMongo;
+module.exports = { connectMongo };
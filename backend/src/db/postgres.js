@@ -1,20 +1,19 @@
-const { Client } = require("pg");
+const { Pool } = require("pg");
 
-async function connectPostgres() {
-  const client = new Client({
-    connectionString: process.env.POSTGRES_URL
-  });
+function createPool({ uri }) {
+  return new Pool({ connectionString: uri });
+}
 
+// Verifies the pool can reach Postgres. Boot-time migrations are run (and
+// awaited) by the entry points instead, so they finish before any request.
+async function connectPostgres(pool) {
   try {
-    await client.connect();
+    const res = await pool.query("SELECT NOW()");
     console.log("✅ PostgreSQL connected");
-
-    // Optional: test query
-    const res = await client.query("SELECT NOW()");
     console.log("🕓 Server time:", res.rows[0].now);
   } catch (err) {
     console.error("❌ PostgreSQL error:", err);
   }
 }
 
-module.exports = connectPostgres;
+module.exports = { createPool, connectPostgres };
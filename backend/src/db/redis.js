@@ -0,0 +1,9 @@
+const Redis = require("ioredis");
+
+function createRedis({ host, port, password }) {
+  const redis = new Redis({ host, port, password });
+  redis.on("error", (err) => console.error("❌ Redis error:", err.message));
+  return redis;
+}
+
+module.exports = { createRedis };
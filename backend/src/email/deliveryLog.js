@@ -0,0 +1,101 @@
+// email/deliveryLog.js — Postgres record of every email the queue handles
+const MAX_LIMIT = 200;
+
+const formatDelivery = (row) => ({
+  id: row.id,
+  template: row.template,
+  to: row.recipient,
+  sender: row.sender_address,
+  subject: row.subject,
+  status: row.status,
+  attempts: row.attempts,
+  lastError: row.last_error,
+  messageId: row.message_id,
+  nextAttemptAt: row.next_attempt_at,
+  sentAt: row.sent_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+function createDeliveryLog({ pool }) {
+  const record = ({ id, template, to, subject, sender = null }) =>
+    pool.query(
+      `INSERT INTO email_deliveries
+         (id, template, recipient, subject, sender_address)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [id, template, to, subject, sender && sender.toLowerCase()]
+    );
+
+  const markSent = (id, { attempts, messageId }) =>
+    pool.query(
+      `UPDATE email_deliveries
+       SET status = 'sent', attempts = $2, message_id = $3, last_error = NULL,
+           next_attempt_at = NULL, sent_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [id, attempts, messageId]
+    );
+
+  const markRetrying = (id, { attempts, error, nextAttemptAt }) =>
+    pool.query(
+      `UPDATE email_deliveries
+       SET status = 'retrying', attempts = $2, last_error = $3,
+           next_attempt_at = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [id, attempts, error, nextAttemptAt]
+    );
+
+  const markFailed = (id, { attempts, error }) =>
+    pool.query(
+      `UPDATE email_deliveries
+       SET status = 'failed', attempts = $2, last_error = $3,
+           next_attempt_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [id, attempts, error]
+    );
+
+  // `sender`, when given, limits lookups to mail that wallet queued.
+  const get = async (id, { sender } = {}) => {
+    const { rows } = await pool.query(
+      sender === undefined
+        ? "SELECT * FROM email_deliveries WHERE id = $1"
+        : "SELECT * FROM email_deliveries WHERE id = $1 AND sender_address = $2",
+      sender === undefined ? [id] : [id, sender.toLowerCase()]
+    );
+    return rows.length ? formatDelivery(rows[0]) : null;
+  };
+
+  const list = async ({
+    status,
+    to,
+    template,
+    sender,
+    limit = 50,
+    offset = 0
+  } = {}) => {
+    const conditions = [];
+    const params = [];
+    const addCondition = (column, value) => {
+      if (value === undefined) return;
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    };
+    addCondition("status", status);
+    addCondition("recipient", to);
+    addCondition("template", template);
+    addCondition("sender_address", sender && sender.toLowerCase());
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const pageSize = Math.min(Math.max(limit, 1), MAX_LIMIT);
+    const { rows } = await pool.query(
+      `SELECT * FROM email_deliveries ${where}
+       ORDER BY created_at DESC
+       LIMIT ${pageSize} OFFSET ${Math.max(offset, 0)}`,
+      params
+    );
+    return rows.map(formatDelivery);
+  };
+
+  return { record, markSent, markRetrying, markFailed, get, list };
+}
+
+module.exports = { createDeliveryLog };
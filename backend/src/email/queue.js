@@ -0,0 +1,169 @@
+// email/queue.js — Redis-backed outbound email queue with retries
+//
+// Jobs live in Redis so queued mail survives a restart:
+//   email:job:<id>     rendered message + attempt count (JSON)
+//   email:ready        ids waiting to be sent
+//   email:processing   ids claimed by the worker (moved back on startup)
+//   email:delayed      ids waiting for their next retry, scored by due time
+const { v4: uuidv4 } = require("uuid");
+const { renderTemplate } = require("./templates");
+
+const KEYS = {
+  ready: "email:ready",
+  processing: "email:processing",
+  delayed: "email:delayed"
+};
+const jobKey = (id) => `email:job:${id}`;
+
+// Moves every due retry back onto the ready list in one atomic step.
+const PROMOTE_DUE = `
+  local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1])
+  for _, id in ipairs(ids) do
+    redis.call("ZREM", KEYS[1], id)
+    redis.call("LPUSH", KEYS[2], id)
+  end
+  return #ids
+`;
+
+function createEmailQueue({
+  redis,
+  transporter,
+  deliveryLog,
+  from,
+  maxAttempts = 5,
+  backoffMs = 30 * 1000,
+  maxBackoffMs = 60 * 60 * 1000,
+  pollInterval = 1000,
+  logger = console
+}) {
+  let timer = null;
+  let running = false;
+
+  const backoffFor = (attempts) =>
+    Math.min(backoffMs * 2 ** (attempts - 1), maxBackoffMs);
+
+  const enqueue = async ({ to, template, variables, sender = null }) => {
+    const message = renderTemplate(template, variables);
+    const job = { id: uuidv4(), to, template, sender, ...message, attempts: 0 };
+
+    await deliveryLog.record(job);
+    await redis
+      .multi()
+      .set(jobKey(job.id), JSON.stringify(job))
+      .lpush(KEYS.ready, job.id)
+      .exec();
+    return { id: job.id, status: "queued" };
+  };
+
+  const deliver = async (id) => {
+    const raw = await redis.get(jobKey(id));
+    if (!raw) {
+      await redis.lrem(KEYS.processing, 1, id);
+      return;
+    }
+
+    const job = JSON.parse(raw);
+    job.attempts += 1;
+    try {
+      const info = await transporter.sendMail({
+        from,
+        to: job.to,
+        subject: job.subject,
+        text: job.text,
+        html: job.html
+      });
+      await deliveryLog.markSent(id, {
+        attempts: job.attempts,
+        messageId: info.messageId
+      });
+      await redis.multi().del(jobKey(id)).lrem(KEYS.processing, 1, id).exec();
+      logger.log(`📧 Sent "${job.template}" to ${job.to}`);
+    } catch (err) {
+      if (job.attempts >= maxAttempts) {
+        await deliveryLog.markFailed(id, {
+          attempts: job.attempts,
+          error: err.message
+        });
+        await redis.multi().del(jobKey(id)).lrem(KEYS.processing, 1, id).exec();
+        logger.error(`❌ Giving up on email ${id}:`, err.message);
+        return;
+      }
+
+      const dueAt = Date.now() + backoffFor(job.attempts);
+      await deliveryLog.markRetrying(id, {
+        attempts: job.attempts,
+        error: err.message,
+        nextAttemptAt: new Date(dueAt)
+      });
+      await redis
+        .multi()
+        .set(jobKey(id), JSON.stringify(job))
+        .zadd(KEYS.delayed, dueAt, id)
+        .lrem(KEYS.processing, 1, id)
+        .exec();
+      logger.warn(
+        `⚠️ Email ${id} failed (attempt ${job.attempts}):`,
+        err.message
+      );
+    }
+  };
+
+  // Sends everything that is currently due; returns how many were attempted.
+  const drain = async () => {
+    await redis.eval(PROMOTE_DUE, 2, KEYS.delayed, KEYS.ready, Date.now());
+    let processed = 0;
+    let id;
+    while ((id = await redis.rpoplpush(KEYS.ready, KEYS.processing))) {
+      await deliver(id);
+      processed += 1;
+    }
+    return processed;
+  };
+
+  // Anything left in `processing` was claimed by a worker that died mid-send.
+  const recover = async () => {
+    let recovered = 0;
+    while (await redis.rpoplpush(KEYS.processing, KEYS.ready)) recovered += 1;
+    if (recovered)
+      logger.warn(`⚠️ Re-queued ${recovered} interrupted email(s)`);
+    return recovered;
+  };
+
+  const tick = async () => {
+    try {
+      await drain();
+    } catch (err) {
+      logger.error("❌ Email queue error:", err.message);
+    }
+    if (running) timer = setTimeout(tick, pollInterval);
+  };
+
+  const start = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await recover();
+    } catch (err) {
+      logger.error("❌ Email queue recovery failed:", err.message);
+    }
+    tick();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+  };
+
+  const stats = async () => {
+    const [ready, processing, delayed] = await Promise.all([
+      redis.llen(KEYS.ready),
+      redis.llen(KEYS.processing),
+      redis.zcard(KEYS.delayed)
+    ]);
+    return { ready, processing, delayed };
+  };
+
+  return { enqueue, drain, recover, start, stop, stats };
+}
+
+module.exports = { createEmailQueue };
@@ -0,0 +1,67 @@
+// email/recipients.js — the one address each wallet may send mail to
+//
+// A wallet registers an address, which gets a single-use code by email; only
+// once the code comes back is mail to that address allowed. Registering
+// another address replaces the first and has to be confirmed again.
+const crypto = require("crypto");
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+const formatRecipient = (row) => ({
+  owner: row.owner_address,
+  email: row.email,
+  verified: Boolean(row.verified_at),
+  verifiedAt: row.verified_at,
+  updatedAt: row.updated_at
+});
+
+function createRecipientStore({ pool, codeTtlMs = 24 * 60 * 60 * 1000 }) {
+  // Stores `email` as `owner`'s unconfirmed address and returns the code that
+  // confirms it.
+  const register = async (owner, email) => {
+    const code = crypto.randomBytes(16).toString("hex");
+    const { rows } = await pool.query(
+      `INSERT INTO email_recipients
+         (owner_address, email, code_hash, code_expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (owner_address) DO UPDATE
+       SET email = EXCLUDED.email, code_hash = EXCLUDED.code_hash,
+           code_expires_at = EXCLUDED.code_expires_at, verified_at = NULL,
+           updated_at = NOW()
+       RETURNING *`,
+      [
+        owner.toLowerCase(),
+        email,
+        hashCode(code),
+        new Date(Date.now() + codeTtlMs)
+      ]
+    );
+    return { ...formatRecipient(rows[0]), code };
+  };
+
+  // Returns the confirmed recipient, or null for a wrong or expired code.
+  const verify = async (owner, code) => {
+    const { rows } = await pool.query(
+      `UPDATE email_recipients
+       SET verified_at = NOW(), code_hash = NULL, code_expires_at = NULL,
+           updated_at = NOW()
+       WHERE owner_address = $1 AND code_hash = $2 AND code_expires_at > NOW()
+       RETURNING *`,
+      [owner.toLowerCase(), hashCode(code)]
+    );
+    return rows.length ? formatRecipient(rows[0]) : null;
+  };
+
+  const get = async (owner) => {
+    const { rows } = await pool.query(
+      "SELECT * FROM email_recipients WHERE owner_address = $1",
+      [owner.toLowerCase()]
+    );
+    return rows.length ? formatRecipient(rows[0]) : null;
+  };
+
+  return { register, verify, get };
+}
+
+module.exports = { createRecipientStore };
@@ -0,0 +1,57 @@
+// email/templates.js — named email templates with {{variable}} placeholders
+const templates = {
+  test: require("./templates/test"),
+  "lock-unlock-reminder": require("./templates/lockUnlockReminder"),
+  "withdrawal-confirmed": require("./templates/withdrawalConfirmed"),
+  "verify-recipient": require("./templates/verifyRecipient")
+};
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const fill = (source, variables, escape = (value) => String(value)) =>
+  source.replace(PLACEHOLDER, (_, key) => escape(variables[key]));
+
+function listTemplates() {
+  return Object.entries(templates).map(([name, t]) => ({
+    name,
+    description: t.description,
+    variables: t.variables
+  }));
+}
+
+function renderTemplate(name, variables = {}) {
+  const template = templates[name];
+  if (!template) throw new TemplateError(`Unknown template "${name}"`);
+
+  const missing = template.variables.filter(
+    (key) => variables[key] === undefined || variables[key] === null
+  );
+  if (missing.length) {
+    throw new TemplateError(
+      `Template "${name}" is missing variables: ${missing.join(", ")}`
+    );
+  }
+
+  return {
+    subject: fill(template.subject, variables),
+    text: fill(template.text, variables),
+    html: fill(template.html, variables, escapeHtml)
+  };
+}
+
+module.exports = { listTemplates, renderTemplate, TemplateError };
@@ -0,0 +1,12 @@
+module.exports = {
+  description: "Reminder that a lock is about to unlock",
+  variables: ["lockAddress", "unlockTime", "timeLeft"],
+  subject: "⏰ Your lock unlocks in {{timeLeft}}",
+  text: `Heads up!
+
+Your lock {{lockAddress}} unlocks in {{timeLeft}} ({{unlockTime}}).
+Once it does, you can withdraw the funds from the app.`,
+  html: `<p>Heads up!</p>
+<p>Your lock <code>{{lockAddress}}</code> unlocks in <b>{{timeLeft}}</b> ({{unlockTime}}).</p>
+<p>Once it does, you can withdraw the funds from the app.</p>`
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  description: "Smoke test for the mail pipeline",
+  variables: [],
+  subject: "Test Email from Dapp Backend ✔",
+  text: "🚀 This is a test email sent from your Web3 backend.",
+  html: "<p>🚀 This is a test email sent from your <b>Web3 backend</b>.</p>"
+};
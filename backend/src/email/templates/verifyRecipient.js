@@ -0,0 +1,13 @@
+module.exports = {
+  description: "Confirms the address a wallet wants its mail sent to",
+  variables: ["wallet", "code"],
+  subject: "Confirm your email address",
+  text: `Wallet {{wallet}} asked to receive its notifications at this address.
+
+To confirm, submit this code: {{code}}
+
+If this wasn't you, ignore this message; nothing is sent here until the code is confirmed.`,
+  html: `<p>Wallet <code>{{wallet}}</code> asked to receive its notifications at this address.</p>
+<p>To confirm, submit this code: <code>{{code}}</code></p>
+<p>If this wasn't you, ignore this message; nothing is sent here until the code is confirmed.</p>`
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  description: "Confirmation that a withdrawal was mined",
+  variables: ["lockAddress", "amount", "txHash"],
+  subject: "✅ Withdrawal confirmed",
+  text: `Your withdrawal of {{amount}} from lock {{lockAddress}} has been confirmed.
+
+Transaction: {{txHash}}`,
+  html: `<p>Your withdrawal of <b>{{amount}}</b> from lock <code>{{lockAddress}}</code> has been confirmed.</p>
+<p>Transaction: <code>{{txHash}}</code></p>`
+};
@@ -0,0 +1,42 @@
+// files/pendingUploads.js — clean up presigned uploads that were never
+// completed
+//
+// A pending record whose upload form expired more than `graceMs` ago can no
+// longer be completed: its record and any object that did land are removed.
+function createPendingUploadSweeper({
+  File = require("../models/File"),
+  minioClient,
+  bucket,
+  graceMs = 5 * 60 * 1000,
+  interval = 60 * 1000,
+  logger = console
+}) {
+  const sweep = async (now = Date.now()) => {
+    const expired = await File.find({
+      status: "pending",
+      expiresAt: { $lt: new Date(now - graceMs) }
+    });
+    for (const file of expired) {
+      await minioClient.removeObject(bucket, file.objectKey);
+      await file.deleteOne();
+    }
+    if (expired.length) {
+      logger.log(`🧹 Removed ${expired.length} expired pending upload(s)`);
+    }
+    return expired.length;
+  };
+
+  // Sweeps every `interval` until the returned function is called.
+  const watch = () => {
+    const timer = setInterval(() => {
+      sweep().catch((err) =>
+        logger.error("❌ Pending upload sweep failed:", err.message)
+      );
+    }, interval);
+    return () => clearInterval(timer);
+  };
+
+  return { sweep, watch };
+}
+
+module.exports = { createPendingUploadSweeper };
@@ -0,0 +1,91 @@
+// health/checks.js — dependency probes for the readiness endpoint
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Builds the probe for each backing service. A probe resolves when the
+// dependency answers and rejects (or times out) when it doesn't.
+function createProbes({
+  mongo,
+  pool,
+  redis,
+  minioClient,
+  bucket,
+  transporter
+}) {
+  return {
+    mongo: async () => {
+      if (mongo.readyState !== 1) throw new Error("Not connected");
+      await mongo.db.admin().ping();
+    },
+    postgres: async () => {
+      await pool.query("SELECT 1");
+      return {
+        totalConnections: pool.totalCount,
+        idleConnections: pool.idleCount,
+        waitingClients: pool.waitingCount
+      };
+    },
+    redis: async () => {
+      const reply = await redis.ping();
+      if (reply !== "PONG") throw new Error(`Unexpected reply: ${reply}`);
+    },
+    minio: async () => {
+      if (!(await minioClient.bucketExists(bucket))) {
+        throw new Error(`Bucket "${bucket}" does not exist`);
+      }
+      return { bucket };
+    },
+    smtp: async () => {
+      await transporter.verify();
+    }
+  };
+}
+
+async function runChecks(probes, { timeoutMs = 2000 } = {}) {
+  const entries = await Promise.all(
+    Object.entries(probes).map(async ([name, probe]) => {
+      const started = Date.now();
+      try {
+        const details = await withTimeout(
+          Promise.resolve().then(probe),
+          timeoutMs
+        );
+        return [
+          name,
+          { status: "up", latencyMs: Date.now() - started, ...details }
+        ];
+      } catch (err) {
+        return [
+          name,
+          {
+            status: "down",
+            latencyMs: Date.now() - started,
+            error: err.message
+          }
+        ];
+      }
+    })
+  );
+
+  const checks = Object.fromEntries(entries);
+  const healthy = Object.values(checks).every((check) => check.status === "up");
+  return {
+    status: healthy ? "ok" : "unavailable",
+    timestamp: Date.now(),
+    checks
+  };
+}
+
+module.exports = { createProbes, runChecks, withTimeout, TimeoutError };
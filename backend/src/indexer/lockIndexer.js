@@ -0,0 +1,296 @@
+// indexer/lockIndexer.js
+const { ethers } = require("ethers");
+const lockAbi = require("../contracts/lockAbi");
+
+const iface = new ethers.Interface(lockAbi);
+const EVENT_TOPICS = iface.fragments
+  .filter((fragment) => fragment.type === "event")
+  .map((fragment) => fragment.topicHash);
+
+// Locks created by the LockFactory; the indexer follows these when it's
+// given a factory.
+const factoryIface = new ethers.Interface([
+  "event LockCreated(address indexed lock, address indexed owner, uint unlockTime, uint amount)",
+  "event TokenLockCreated(address indexed lock, address indexed owner, address indexed token, uint unlockTime, uint amount)",
+  "function lockCount() view returns (uint)",
+  "function lockAt(uint index) view returns (address)"
+]);
+const CREATION_TOPICS = ["LockCreated", "TokenLockCreated"].map(
+  (name) => factoryIface.getEvent(name).topicHash
+);
+
+// Keep enough block hashes around to walk back through any realistic reorg.
+const BLOCK_HISTORY = 1000;
+
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+function createLockIndexer({
+  pool,
+  provider,
+  name = "lock",
+  addresses = [],
+  factory = null,
+  allAddresses = false,
+  startBlock = 0,
+  confirmations = 0,
+  batchSize = 2000,
+  pollInterval = 5000,
+  onEvents,
+  logger = console
+}) {
+  // Without a filter every contract emitting Lock-shaped events would be
+  // indexed, so that has to be asked for.
+  if (!addresses.length && !factory && !allAddresses) {
+    throw new Error("lockIndexer needs addresses or a factory to follow");
+  }
+
+  let chainId;
+  let timer = null;
+  let running = false;
+  const watched = new Set(addresses.map((address) => address.toLowerCase()));
+  let factoryLoaded = false;
+
+  // Picks up every lock the factory made before this run; later ones arrive
+  // through its creation events.
+  const loadFactoryLocks = async () => {
+    const contract = new ethers.Contract(factory, factoryIface, provider);
+    const count = Number(await contract.lockCount());
+    for (let i = 0; i < count; i++) {
+      watched.add((await contract.lockAt(i)).toLowerCase());
+    }
+    factoryLoaded = true;
+  };
+
+  const followCreatedLocks = async (fromBlock, toBlock) => {
+    const logs = await provider.getLogs({
+      address: factory,
+      topics: [CREATION_TOPICS],
+      fromBlock,
+      toBlock
+    });
+    for (const log of logs) {
+      watched.add(factoryIface.parseLog(log).args.lock.toLowerCase());
+    }
+  };
+
+  const getLockLogs = (fromBlock, toBlock) => {
+    if (!allAddresses && !watched.size) return [];
+    return provider.getLogs({
+      address: allAddresses ? undefined : [...watched],
+      topics: [EVENT_TOPICS],
+      fromBlock,
+      toBlock
+    });
+  };
+
+  const getChainId = async () => {
+    if (chainId === undefined) {
+      chainId = (await provider.getNetwork()).chainId.toString();
+    }
+    return chainId;
+  };
+
+  const getCheckpoint = async () => {
+    const { rows } = await pool.query(
+      `SELECT block_number, block_hash FROM indexer_checkpoints
+       WHERE name = $1 AND chain_id = $2`,
+      [name, await getChainId()]
+    );
+    if (!rows.length) return null;
+    return { number: Number(rows[0].block_number), hash: rows[0].block_hash };
+  };
+
+  const saveCheckpoint = (db, block) =>
+    db.query(
+      `INSERT INTO indexer_checkpoints (name, chain_id, block_number, block_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name, chain_id)
+       DO UPDATE SET block_number = $3, block_hash = $4, updated_at = NOW()`,
+      [name, chainId, block.number, block.hash]
+    );
+
+  const rememberBlock = (db, block) =>
+    db.query(
+      `INSERT INTO indexer_blocks (chain_id, block_number, block_hash)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (chain_id, block_number) DO UPDATE SET block_hash = $3`,
+      [chainId, block.number, block.hash]
+    );
+
+  const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Walks back through the block hashes we stored until one still matches the
+  // canonical chain, then drops everything indexed after it.
+  const rollback = async () => {
+    const { rows } = await pool.query(
+      `SELECT block_number, block_hash FROM indexer_blocks
+       WHERE chain_id = $1 ORDER BY block_number DESC`,
+      [chainId]
+    );
+
+    let ancestor = null;
+    for (const row of rows) {
+      const block = await provider.getBlock(Number(row.block_number));
+      if (block && block.hash === row.block_hash) {
+        ancestor = { number: block.number, hash: block.hash };
+        break;
+      }
+    }
+
+    const keepThrough = ancestor ? ancestor.number : startBlock - 1;
+    await withTransaction(async (db) => {
+      const { rowCount } = await db.query(
+        "DELETE FROM lock_events WHERE chain_id = $1 AND block_number > $2",
+        [chainId, keepThrough]
+      );
+      await db.query(
+        "DELETE FROM indexer_blocks WHERE chain_id = $1 AND block_number > $2",
+        [chainId, keepThrough]
+      );
+      if (ancestor) {
+        await saveCheckpoint(db, ancestor);
+      } else {
+        await db.query(
+          "DELETE FROM indexer_checkpoints WHERE name = $1 AND chain_id = $2",
+          [name, chainId]
+        );
+      }
+      logger.warn(
+        `⚠️ Reorg detected: rolled back to block ${keepThrough}, removed ${rowCount} event(s)`
+      );
+    });
+    return ancestor;
+  };
+
+  const syncOnce = async () => {
+    await getChainId();
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+
+    let checkpoint = await getCheckpoint();
+    if (checkpoint) {
+      const block = await provider.getBlock(checkpoint.number);
+      if (!block || block.hash !== checkpoint.hash) {
+        checkpoint = await rollback();
+      }
+    }
+
+    const fromBlock = checkpoint ? checkpoint.number + 1 : startBlock;
+    if (fromBlock > target) return { fromBlock, toBlock: target, events: 0 };
+    const toBlock = Math.min(fromBlock + batchSize - 1, target);
+
+    if (factory && !allAddresses) {
+      if (!factoryLoaded) await loadFactoryLocks();
+      await followCreatedLocks(fromBlock, toBlock);
+    }
+    const logs = await getLockLogs(fromBlock, toBlock);
+
+    const blocks = new Map();
+    const loadBlock = async (number) => {
+      if (!blocks.has(number))
+        blocks.set(number, await provider.getBlock(number));
+      return blocks.get(number);
+    };
+    const endBlock = await loadBlock(toBlock);
+
+    const events = [];
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!parsed) continue;
+      const block = await loadBlock(log.blockNumber);
+      events.push({ log, parsed, block });
+    }
+
+    await withTransaction(async (db) => {
+      for (const { log, parsed, block } of events) {
+        await db.query(
+          `INSERT INTO lock_events (chain_id, contract_address, event_name, args,
+             block_number, block_hash, block_timestamp, tx_hash, log_index)
+           VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7), $8, $9)
+           ON CONFLICT (chain_id, tx_hash, log_index) DO NOTHING`,
+          [
+            chainId,
+            log.address.toLowerCase(),
+            parsed.name,
+            JSON.stringify(serializeArgs(parsed)),
+            log.blockNumber,
+            log.blockHash,
+            block.timestamp,
+            log.transactionHash,
+            log.index
+          ]
+        );
+      }
+      for (const block of blocks.values()) await rememberBlock(db, block);
+      await saveCheckpoint(db, endBlock);
+      await db.query(
+        "DELETE FROM indexer_blocks WHERE chain_id = $1 AND block_number < $2",
+        [chainId, toBlock - BLOCK_HISTORY]
+      );
+    });
+
+    if (onEvents && events.length) {
+      await Promise.resolve(
+        onEvents(
+          events.map(({ log, parsed }) => ({
+            address: log.address,
+            event: parsed.name,
+            blockNumber: log.blockNumber
+          }))
+        )
+      ).catch((err) => logger.error("❌ onEvents hook failed:", err.message));
+    }
+
+    return { fromBlock, toBlock, events: events.length };
+  };
+
+  const tick = async () => {
+    if (!running) return;
+    let caughtUp = true;
+    try {
+      const { toBlock, events } = await syncOnce();
+      const head = (await provider.getBlockNumber()) - confirmations;
+      caughtUp = toBlock >= head;
+      if (events)
+        logger.log(`📦 Indexed ${events} event(s) up to block ${toBlock}`);
+    } catch (err) {
+      logger.error("❌ Indexer error:", err.message);
+    }
+    if (running) timer = setTimeout(tick, caughtUp ? pollInterval : 0);
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    tick();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+  };
+
+  return { start, stop, syncOnce, rollback };
+}
+
+module.exports = { createLockIndexer, EVENT_TOPICS };
@@ -0,0 +1,74 @@
+// indexer/worker.js — follows the chain and persists Lock events to Postgres
+require("dotenv").config();
+const { loadConfigOrExit } = require("../config");
+const { createPool } = require("../db/postgres");
+const { createMigrator } = require("../db/migrator");
+const { createProvider } = require("../chain/provider");
+const { createRedis } = require("../db/redis");
+const { createLockReader } = require("../contracts/lockReader");
+const { createDeploymentRegistry } = require("../contracts/deployments");
+const { createLockIndexer } = require("./lockIndexer");
+
+async function main() {
+  const config = loadConfigOrExit({
+    sections: ["postgres", "redis", "chain", "indexer"]
+  });
+  const pool = createPool(config.postgres);
+  const provider = createProvider(config.chain);
+
+  if (config.postgres.migrateOnBoot) {
+    await createMigrator({ pool }).up();
+  }
+
+  const redis = createRedis(config.redis);
+  // Indexed events change lock state, so drop the API's cached reads.
+  const lockReader = createLockReader({ provider, redis });
+
+  // Follow the registry's LockFactory and every lock it creates, plus any
+  // INDEXER_ADDRESSES. Only development may fall back to indexing every
+  // contract, e.g. before anything has been deployed to a local node.
+  const { chainId } = await provider.getNetwork();
+  const deployments = createDeploymentRegistry({
+    file: config.chain.deploymentsFile
+  });
+  const factory = await deployments.getContract(chainId, "LockFactory");
+  const allAddresses = !factory && !config.indexer.addresses.length;
+  if (allAddresses && config.env !== "development") {
+    throw new Error(
+      `No LockFactory for chain ${chainId} in ${deployments.file}; set INDEXER_ADDRESSES`
+    );
+  }
+  if (allAddresses) {
+    console.warn(
+      "⚠️ No LockFactory or INDEXER_ADDRESSES: indexing every contract"
+    );
+  }
+
+  const indexer = createLockIndexer({
+    pool,
+    provider,
+    ...config.indexer,
+    factory: factory && factory.address,
+    allAddresses,
+    onEvents: (events) =>
+      lockReader.invalidate([...new Set(events.map((e) => e.address))])
+  });
+
+  const shutdown = async () => {
+    indexer.stop();
+    provider.destroy();
+    redis.disconnect();
+    await pool.end();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  console.log("🔎 Lock indexer started");
+  indexer.start();
+}
+
+main().catch((err) => {
+  console.error("❌ Indexer failed to start:", err);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// lifecycle.js — graceful HTTP shutdown
+//
+// Stops accepting connections, lets in-flight requests finish, and cuts off
+// whatever is still open once `timeoutMs` has passed. Resolves once the
+// server has fully closed.
+function drainServer(server, { timeoutMs = 10000, logger = console } = {}) {
+  return new Promise((resolve) => {
+    const forceClose = setTimeout(() => {
+      logger.warn("⚠️ Shutdown timeout reached, closing open connections");
+      server.closeAllConnections();
+    }, timeoutMs);
+
+    // Keep-alive sockets with no request in flight would otherwise hold the
+    // server open until they time out, including ones that go idle when an
+    // in-flight response finishes mid-drain.
+    const sweep = setInterval(() => server.closeIdleConnections(), 100);
+
+    server.close(() => {
+      clearTimeout(forceClose);
+      clearInterval(sweep);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+module.exports = { drainServer };
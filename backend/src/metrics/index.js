@@ -0,0 +1,85 @@
+// metrics/index.js — Prometheus metrics for HTTP, Postgres and Redis
+const client = require("prom-client");
+
+function createMetrics({ pool, redis, registry = new client.Registry() }) {
+  client.collectDefaultMetrics({ register: registry });
+
+  const httpDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency",
+    labelNames: ["method", "route", "status_code"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry]
+  });
+
+  const httpErrors = new client.Counter({
+    name: "http_request_errors_total",
+    help: "HTTP responses with a 5xx status",
+    labelNames: ["method", "route", "status_code"],
+    registers: [registry]
+  });
+
+  new client.Gauge({
+    name: "pg_pool_connections",
+    help: "Postgres pool connections by state",
+    labelNames: ["state"],
+    registers: [registry],
+    collect() {
+      this.set({ state: "total" }, pool.totalCount);
+      this.set({ state: "idle" }, pool.idleCount);
+      this.set({ state: "waiting" }, pool.waitingCount);
+    }
+  });
+
+  const redisDuration = new client.Histogram({
+    name: "redis_command_duration_seconds",
+    help: "Redis command latency",
+    labelNames: ["command", "status"],
+    buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.5, 1],
+    registers: [registry]
+  });
+
+  // ioredis funnels every command through sendCommand, so timing it there
+  // covers route handlers, the email queue and the auth store alike.
+  // Stand-in clients without it (e.g. in tests) simply go untimed.
+  if (typeof redis.sendCommand === "function") {
+    const sendCommand = redis.sendCommand.bind(redis);
+    redis.sendCommand = (command, ...rest) => {
+      const end = redisDuration.startTimer({ command: command.name });
+      const result = sendCommand(command, ...rest);
+      command.promise.then(
+        () => end({ status: "ok" }),
+        () => end({ status: "error" })
+      );
+      return result;
+    };
+  }
+
+  // Label by the matched route pattern, not the raw URL, to keep the
+  // number of series bounded.
+  const httpMiddleware = (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on("finish", () => {
+      const route = req.route
+        ? `${req.baseUrl}${req.route.path}`
+        : req.baseUrl || "unmatched";
+      const labels = {
+        method: req.method,
+        route,
+        status_code: res.statusCode
+      };
+      end(labels);
+      if (res.statusCode >= 500) httpErrors.inc(labels);
+    });
+    next();
+  };
+
+  const handler = async (req, res) => {
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  };
+
+  return { registry, httpMiddleware, handler };
+}
+
+module.exports = { createMetrics };
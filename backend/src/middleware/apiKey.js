@@ -0,0 +1,65 @@
+// middleware/apiKey.js
+const API_KEY_HEADER = "x-api-key";
+
+const usageKey = (id, day) => `apikey:usage:${id}:${day}`;
+
+const secondsUntilUtcMidnight = (now = new Date()) => {
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+// Resolves an `X-API-Key` header to `req.apiKey` and enforces the key's daily
+// quota. Requests without the header pass through untouched.
+function createApiKeyAuth({ apiKeys, redis }) {
+  return async (req, res, next) => {
+    const key = req.get(API_KEY_HEADER);
+    if (!key) return next();
+
+    let apiKey;
+    try {
+      apiKey = await apiKeys.authenticate(key);
+    } catch (err) {
+      console.error("❌ API key lookup error:", err.message);
+      return res
+        .status(503)
+        .json({ error: "API key store unavailable", detail: err.message });
+    }
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid or revoked API key" });
+    }
+
+    if (apiKey.dailyQuota) {
+      const day = new Date().toISOString().slice(0, 10);
+      let used;
+      try {
+        const [[, count]] = await redis
+          .multi()
+          .incr(usageKey(apiKey.id, day))
+          .expire(usageKey(apiKey.id, day), 2 * 24 * 60 * 60)
+          .exec();
+        used = count;
+      } catch (err) {
+        console.error("❌ API key quota error:", err.message);
+        used = 0;
+      }
+      if (used > apiKey.dailyQuota) {
+        const retryAfter = secondsUntilUtcMidnight();
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Daily API key quota exhausted",
+          detail: `Quota of ${apiKey.dailyQuota} requests per day reached`,
+          retryAfter
+        });
+      }
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+module.exports = { createApiKeyAuth, API_KEY_HEADER };
@@ -0,0 +1,147 @@
+// middleware/rateLimit.js — Redis sliding-window rate limits
+//
+// Every request is counted against the caller's identity, in order of
+// preference: the API key it presented, the signed-in wallet, then its IP.
+// Each identity type has its own limit per policy, and a key's own
+// `rateLimit` can lower (never raise) the policy's API-key limit. Requests
+// made with a key or wallet also count against their IP, up to that
+// identity type's limit, so rotating keys or wallets doesn't multiply what
+// one client can send.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { readBearerToken } = require("./requireWallet");
+
+// Drops hits that fell out of the window, then records this one if there is
+// room. Returns { allowed, count, oldest hit's timestamp }.
+const SLIDING_WINDOW = `
+  local now = tonumber(ARGV[1])
+  local window = tonumber(ARGV[2])
+  redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+  local count = redis.call("ZCARD", KEYS[1])
+  local allowed = 0
+  if count < tonumber(ARGV[3]) then
+    redis.call("ZADD", KEYS[1], now, ARGV[4])
+    count = count + 1
+    allowed = 1
+  end
+  redis.call("PEXPIRE", KEYS[1], window)
+  local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+  return { allowed, count, oldest[2] or ARGV[1] }
+`;
+
+const windowKey = (policy, identity) =>
+  `ratelimit:${policy}:${identity.type}:${identity.id}`;
+
+function createRateLimiter({
+  redis,
+  secret,
+  enabled = true,
+  logger = console
+}) {
+  // Signature-only check: a revoked session still counts against its wallet.
+  const identify = (req) => {
+    if (req.apiKey) return { type: "apiKey", id: req.apiKey.id };
+    const token = readBearerToken(req);
+    if (token) {
+      try {
+        const claims = jwt.verify(token, secret);
+        return { type: "wallet", id: claims.sub.toLowerCase() };
+      } catch (err) {
+        // Fall through to the IP; the route decides whether auth matters.
+      }
+    }
+    return { type: "ip", id: req.ip };
+  };
+
+  const limitFor = (policy, identity, req) => {
+    const limit = policy[identity.type];
+    if (identity.type === "apiKey" && req.apiKey.rateLimit) {
+      return Math.min(limit, req.apiKey.rateLimit);
+    }
+    return limit;
+  };
+
+  // The counters a request is checked against, IP first: a request the IP
+  // can't afford isn't charged to the key or wallet.
+  const countersFor = (policy, req) => {
+    const identity = identify(req);
+    const ip = { type: "ip", id: req.ip };
+    if (identity.type === "ip") {
+      return [{ identity, max: limitFor(policy, identity, req) }];
+    }
+    return [
+      { identity: ip, max: Math.max(policy.ip, policy[identity.type]) },
+      { identity, max: limitFor(policy, identity, req) }
+    ];
+  };
+
+  const hit = async (name, policy, identity, limit) => {
+    const now = Date.now();
+    const [allowed, count, oldest] = await redis.eval(
+      SLIDING_WINDOW,
+      1,
+      windowKey(name, identity),
+      now,
+      policy.windowMs,
+      limit,
+      `${now}:${crypto.randomBytes(4).toString("hex")}`
+    );
+    const resetMs = Math.max(Number(oldest) + policy.windowMs - now, 0);
+    return {
+      allowed: allowed === 1,
+      limit,
+      remaining: Math.max(limit - count, 0),
+      reset: Math.ceil(resetMs / 1000)
+    };
+  };
+
+  // Returns middleware enforcing `policy` ({ windowMs, ip, wallet, apiKey })
+  // under its own counter `name`.
+  const limit = (name, policy) => async (req, res, next) => {
+    if (!enabled) return next();
+
+    // The headers describe whichever counter has the least room left.
+    let result;
+    let identity;
+    try {
+      for (const counter of countersFor(policy, req)) {
+        const checked = await hit(name, policy, counter.identity, counter.max);
+        if (
+          !result ||
+          checked.remaining < result.remaining ||
+          !checked.allowed
+        ) {
+          result = checked;
+          identity = counter.identity;
+        }
+        if (!checked.allowed) break;
+      }
+    } catch (err) {
+      // Fail open: a Redis outage shouldn't take the whole API down with it.
+      logger.error("❌ Rate limit check failed:", err.message);
+      return next();
+    }
+
+    const max = result.limit;
+    res.set({
+      "RateLimit-Policy": `${max};w=${Math.ceil(policy.windowMs / 1000)}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.reset)
+    });
+    if (result.allowed) return next();
+
+    res.set("Retry-After", String(result.reset));
+    res.status(429).json({
+      error: "Too many requests",
+      detail: `Limit of ${max} per ${Math.ceil(
+        policy.windowMs / 1000
+      )}s reached for this ${identity.type}`,
+      retryAfter: result.reset
+    });
+  };
+
+  return { limit, identify };
+}
+
+module.exports = { createRateLimiter };
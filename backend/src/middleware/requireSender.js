@@ -0,0 +1,18 @@
+// middleware/requireSender.js
+//
+// Mail is always sent on behalf of a wallet: the signed-in one, or the one
+// that issued the API key presented. Exposes its address as `req.sender`.
+function createRequireSender({ requireWallet }) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      req.sender = req.apiKey.owner;
+      return next();
+    }
+    return requireWallet(req, res, () => {
+      req.sender = req.wallet.address.toLowerCase();
+      next();
+    });
+  };
+}
+
+module.exports = { createRequireSender };
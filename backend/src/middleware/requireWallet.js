@@ -0,0 +1,47 @@
+// middleware/requireWallet.js
+const jwt = require("jsonwebtoken");
+
+const revokedKey = (jti) => `siwe:revoked:${jti}`;
+
+function readBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// Verifies the session JWT issued by /auth/verify and exposes the caller's
+// wallet as `req.wallet = { address, chainId }`.
+function createRequireWallet({ redis, secret }) {
+  return async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Missing bearer token" });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, secret);
+    } catch (err) {
+      return res
+        .status(401)
+        .json({ error: "Invalid session", detail: err.message });
+    }
+
+    try {
+      if (await redis.exists(revokedKey(claims.jti))) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+    } catch (err) {
+      console.error("❌ Session lookup error:", err.message);
+      return res
+        .status(503)
+        .json({ error: "Session store unavailable", detail: err.message });
+    }
+
+    req.wallet = { address: claims.sub, chainId: claims.chainId };
+    req.session = { jti: claims.jti, expiresAt: claims.exp };
+    next();
+  };
+}
+
+module.exports = { createRequireWallet, readBearerToken, revokedKey };
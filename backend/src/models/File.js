@@ -0,0 +1,41 @@
+// models/File.js — metadata for objects stored in MinIO
+const mongoose = require("mongoose");
+
+const fileSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true, lowercase: true, index: true },
+    bucket: { type: String, required: true },
+    objectKey: { type: String, required: true, unique: true },
+    originalName: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number },
+    sha256: { type: String },
+    // "pending" until a presigned PUT upload is confirmed via /complete
+    status: {
+      type: String,
+      enum: ["pending", "stored"],
+      default: "stored",
+      index: true
+    },
+    // When a pending upload's presigned form stops working; expired pending
+    // records are removed by the pending-upload sweeper.
+    expiresAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+fileSchema.methods.toJSON = function () {
+  return {
+    id: this._id.toString(),
+    owner: this.owner,
+    originalName: this.originalName,
+    contentType: this.contentType,
+    size: this.size,
+    sha256: this.sha256,
+    status: this.status,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.models.File || mongoose.model("File", fileSchema);
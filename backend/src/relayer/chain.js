@@ -0,0 +1,100 @@
+// relayer/chain.js — the relayer's view of the chain and its signing key
+const { ethers } = require("ethers");
+const lockAbi = require("../contracts/lockAbi");
+
+const factoryAbi = [
+  "function isLock(address lock) view returns (bool)",
+  "function tokenOf(address lock) view returns (address)"
+];
+
+// The nonce manager hands out transaction nonces locally, so withdrawals
+// relayed at the same time don't race for the same one.
+function createRelayerChain({ provider, privateKey, deployments }) {
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const signer = new ethers.NonceManager(wallet);
+
+  let chainId;
+  const getChainId = async () => {
+    if (chainId === undefined) {
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+    return chainId;
+  };
+
+  // Everything the relayer checks before paying for a withdrawal, or null
+  // when there is no contract at `address`.
+  const readLock = async (address) => {
+    const [code, block] = await Promise.all([
+      provider.getCode(address),
+      provider.getBlock("latest")
+    ]);
+    if (code === "0x") return null;
+
+    const lock = new ethers.Contract(address, lockAbi, provider);
+    const owner = await lock.owner();
+    const [unlockTime, nonce, balance] = await Promise.all([
+      lock.unlockTime(),
+      lock.nonces(owner),
+      provider.getBalance(address)
+    ]);
+    return {
+      chainId: await getChainId(),
+      owner,
+      unlockTime: Number(unlockTime),
+      nonce,
+      balance,
+      blockTimestamp: block.timestamp
+    };
+  };
+
+  // Only genuine Lock contracts are relayed: the registry's own Lock and ETH
+  // locks the registry's LockFactory created. Anything else could run
+  // arbitrary code at the relayer's expense.
+  const isKnownLock = async (address) => {
+    const chainId = await getChainId();
+    const [registered, factory] = await Promise.all([
+      deployments.getContract(chainId, "Lock"),
+      deployments.getContract(chainId, "LockFactory")
+    ]);
+    if (
+      registered &&
+      registered.address.toLowerCase() === address.toLowerCase()
+    ) {
+      return true;
+    }
+    if (!factory) return false;
+    const contract = new ethers.Contract(factory.address, factoryAbi, provider);
+    const [isLock, token] = await Promise.all([
+      contract.isLock(address),
+      contract.tokenOf(address)
+    ]);
+    return isLock && token === ethers.ZeroAddress;
+  };
+
+  const estimateWithdraw = ({ lock, deadline, nonce, signature }) =>
+    new ethers.Contract(lock, lockAbi, signer).withdrawWithSig.estimateGas(
+      deadline,
+      nonce,
+      signature
+    );
+
+  const sendWithdraw = ({ lock, deadline, nonce, signature }, { gasLimit }) =>
+    new ethers.Contract(lock, lockAbi, signer).withdrawWithSig(
+      deadline,
+      nonce,
+      signature,
+      { gasLimit }
+    );
+
+  return {
+    address: wallet.address,
+    getChainId,
+    readLock,
+    isKnownLock,
+    estimateWithdraw,
+    sendWithdraw,
+    getReceipt: (hash) => provider.getTransactionReceipt(hash)
+  };
+}
+
+module.exports = { createRelayerChain };
@@ -0,0 +1,284 @@
+// relayer/relayer.js — submits owners' signed Lock withdrawals and tracks them
+//
+// A request is checked against the lock before the relayer pays for it: the
+// lock must be one the deployments registry vouches for, the EIP-712
+// signature must recover to the current owner for the lock's next nonce, the
+// deadline must not have passed, the lock must be unlocked and funded, and
+// the withdrawal must fit in `gasLimit`. Requests are stored in Postgres and
+// move from pending to submitted to confirmed (or failed); at most one per
+// signed withdrawal is active at a time.
+const { ethers } = require("ethers");
+const { v4: uuidv4 } = require("uuid");
+
+// Must match WITHDRAW_TYPEHASH and the EIP712("Lock", "1") domain in Lock.sol.
+const WITHDRAW_TYPES = {
+  Withdraw: [
+    { name: "owner", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const withdrawDomain = (chainId, lock) => ({
+  name: "Lock",
+  version: "1",
+  chainId,
+  verifyingContract: lock
+});
+
+class RelayRejectedError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = "RelayRejectedError";
+    this.status = status;
+  }
+}
+
+const formatRequest = (row) => ({
+  id: row.id,
+  chainId: row.chain_id,
+  lock: ethers.getAddress(row.lock_address),
+  owner: ethers.getAddress(row.owner_address),
+  nonce: row.nonce,
+  deadline: Number(row.deadline),
+  status: row.status,
+  txHash: row.tx_hash,
+  blockNumber: row.block_number === null ? null : Number(row.block_number),
+  error: row.error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// `chain` is null when no relayer key is configured; every call but info()
+// then throws.
+function createRelayer({
+  pool,
+  chain = null,
+  gasLimit = 150000,
+  logger = console
+}) {
+  const requireChain = () => {
+    if (!chain) throw new RelayRejectedError("Relayer is not configured", 503);
+  };
+
+  const update = async (id, fields) => {
+    const columns = Object.keys(fields);
+    const { rows } = await pool.query(
+      `UPDATE relay_requests
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")},
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...Object.values(fields)]
+    );
+    return rows[0];
+  };
+
+  const settle = (id, receipt) =>
+    update(
+      id,
+      receipt.status === 1
+        ? { status: "confirmed", block_number: receipt.blockNumber }
+        : {
+            status: "failed",
+            block_number: receipt.blockNumber,
+            error: "Transaction reverted"
+          }
+    );
+
+  // Follows a submitted transaction in the background; get() also checks
+  // for a receipt, so requests still settle after a restart.
+  const track = (id, tx) => {
+    tx.wait()
+      .then(
+        (receipt) => settle(id, receipt),
+        (err) =>
+          err.receipt
+            ? settle(id, err.receipt)
+            : update(id, {
+                status: "failed",
+                error: err.shortMessage || err.message
+              })
+      )
+      .catch((err) =>
+        logger.error("❌ Relay tracking failed:", id, err.message)
+      );
+  };
+
+  const findActive = async ({ chainId, lock, owner, nonce }) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM relay_requests
+       WHERE chain_id = $1 AND lock_address = $2 AND owner_address = $3
+         AND nonce = $4 AND status <> 'failed'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [chainId, lock.toLowerCase(), owner.toLowerCase(), nonce]
+    );
+    return rows[0] || null;
+  };
+
+  const validate = async ({ lock, deadline, nonce, signature }) => {
+    const state = await chain.readLock(lock);
+    if (!state) {
+      throw new RelayRejectedError("No contract at this address", 404);
+    }
+    if (!(await chain.isKnownLock(lock))) {
+      throw new RelayRejectedError(
+        "Only locks from this chain's LockFactory can be relayed"
+      );
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(
+        withdrawDomain(state.chainId, lock),
+        WITHDRAW_TYPES,
+        { owner: state.owner, nonce, deadline },
+        signature
+      );
+    } catch (err) {
+      throw new RelayRejectedError("Malformed signature", 400);
+    }
+    if (signer !== state.owner) {
+      throw new RelayRejectedError("Signature is not from the lock's owner");
+    }
+    return state;
+  };
+
+  // The block timestamp is a floor for "now" so local chains that
+  // time-travel ahead of the wall clock are judged by chain time.
+  const checkWithdrawable = (state, { nonce, deadline }) => {
+    const now = Math.max(Math.floor(Date.now() / 1000), state.blockTimestamp);
+    if (BigInt(nonce) !== state.nonce) {
+      throw new RelayRejectedError(
+        `Nonce ${nonce} has been used; the lock's next nonce is ${state.nonce}`,
+        409
+      );
+    }
+    if (deadline < now) throw new RelayRejectedError("Signature has expired");
+    if (now < state.unlockTime) {
+      throw new RelayRejectedError("Lock is still locked");
+    }
+    if (state.balance === 0n) {
+      throw new RelayRejectedError("Lock has already been withdrawn");
+    }
+  };
+
+  // Estimating runs the call, so a withdrawal that would revert (or burn
+  // more than the cap) is refused before the relayer pays for it.
+  const checkGas = async (payload) => {
+    let gas;
+    try {
+      gas = await chain.estimateWithdraw(payload);
+    } catch (err) {
+      if (err.code === "CALL_EXCEPTION") {
+        throw new RelayRejectedError("Withdrawal would revert");
+      }
+      throw err;
+    }
+    if (gas > BigInt(gasLimit)) {
+      throw new RelayRejectedError(
+        `Withdrawal needs ${gas} gas; the relayer pays for at most ${gasLimit}`
+      );
+    }
+  };
+
+  // Resolves to { request, created }. Re-sending a payload that is already
+  // being relayed returns the existing request instead of paying twice.
+  const submit = async ({ lock, deadline, nonce, signature }) => {
+    requireChain();
+    const payload = {
+      lock: ethers.getAddress(lock),
+      deadline: Number(deadline),
+      nonce: String(nonce),
+      signature
+    };
+    const state = await validate(payload);
+
+    const existing = await findActive({
+      chainId: state.chainId,
+      owner: state.owner,
+      ...payload
+    });
+    if (existing) return { request: formatRequest(existing), created: false };
+
+    checkWithdrawable(state, payload);
+    await checkGas(payload);
+
+    const id = uuidv4();
+    try {
+      await pool.query(
+        `INSERT INTO relay_requests
+           (id, chain_id, lock_address, owner_address, nonce, deadline, signature)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          id,
+          state.chainId,
+          payload.lock.toLowerCase(),
+          state.owner.toLowerCase(),
+          payload.nonce,
+          payload.deadline,
+          signature
+        ]
+      );
+    } catch (err) {
+      // An identical submit got in first; that one does the relaying.
+      if (err.code !== "23505") throw err;
+      const active = await findActive({
+        chainId: state.chainId,
+        owner: state.owner,
+        ...payload
+      });
+      return { request: formatRequest(active), created: false };
+    }
+
+    let tx;
+    try {
+      tx = await chain.sendWithdraw(payload, { gasLimit });
+    } catch (err) {
+      await update(id, {
+        status: "failed",
+        error: err.shortMessage || err.message
+      });
+      throw err;
+    }
+
+    const row = await update(id, { status: "submitted", tx_hash: tx.hash });
+    logger.log(`⛽ Relayed withdrawal from ${payload.lock} in ${tx.hash}`);
+    track(id, tx);
+    return { request: formatRequest(row), created: true };
+  };
+
+  const get = async (id) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM relay_requests WHERE id = $1`,
+      [id]
+    );
+    let row = rows[0];
+    if (!row) return null;
+
+    if (row.status === "submitted" && chain) {
+      const receipt = await chain.getReceipt(row.tx_hash);
+      if (receipt) row = await settle(id, receipt);
+    }
+    return formatRequest(row);
+  };
+
+  const info = async () =>
+    chain
+      ? {
+          enabled: true,
+          address: chain.address,
+          chainId: await chain.getChainId()
+        }
+      : { enabled: false };
+
+  return { enabled: Boolean(chain), info, submit, get };
+}
+
+module.exports = {
+  createRelayer,
+  RelayRejectedError,
+  WITHDRAW_TYPES,
+  withdrawDomain
+};
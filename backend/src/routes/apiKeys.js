@@ -0,0 +1,95 @@
+// routes/apiKeys.js — wallets issue and revoke their own API keys
+const express = require("express");
+
+const MAX_NAME_LENGTH = 100;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+function createApiKeysRouter({
+  apiKeys,
+  requireWallet,
+  maxRateLimit,
+  maxKeysPerWallet
+}) {
+  const router = express.Router();
+  router.use(requireWallet);
+
+  router.post("/", async (req, res) => {
+    const { name, rateLimit, dailyQuota } = req.body || {};
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "A key `name` is required" });
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+    }
+    if (
+      rateLimit !== undefined &&
+      (!isPositiveInt(rateLimit) || rateLimit > maxRateLimit)
+    ) {
+      return res.status(400).json({
+        error: `rateLimit must be an integer between 1 and ${maxRateLimit}`
+      });
+    }
+    if (dailyQuota !== undefined && !isPositiveInt(dailyQuota)) {
+      return res
+        .status(400)
+        .json({ error: "dailyQuota must be a positive integer" });
+    }
+
+    try {
+      const issued = await apiKeys.issue({
+        name: name.trim(),
+        owner: req.wallet.address,
+        rateLimit,
+        dailyQuota,
+        maxActive: maxKeysPerWallet
+      });
+      if (!issued) {
+        return res.status(409).json({
+          error: `A wallet can have at most ${maxKeysPerWallet} active API keys; revoke one first`
+        });
+      }
+      res.status(201).json(issued);
+    } catch (err) {
+      console.error("❌ API key issue error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to issue API key", detail: err.message });
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({ keys: await apiKeys.listByOwner(req.wallet.address) });
+    } catch (err) {
+      console.error("❌ API key list error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to list API keys", detail: err.message });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    try {
+      const revoked = await apiKeys.revoke(req.params.id, req.wallet.address);
+      if (!revoked) return res.status(404).json({ error: "API key not found" });
+      res.json(revoked);
+    } catch (err) {
+      console.error("❌ API key revoke error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to revoke API key", detail: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiKeysRouter;
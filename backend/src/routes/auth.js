@@ -0,0 +1,132 @@
+// routes/auth.js — Sign-In With Ethereum (EIP-4361)
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const { SiweMessage, generateNonce } = require("siwe");
+const {
+  createRequireWallet,
+  revokedKey
+} = require("../middleware/requireWallet");
+
+const NONCE_TTL_SECONDS = 5 * 60;
+const nonceKey = (nonce) => `siwe:nonce:${nonce}`;
+
+const sameOrigin = (a, b) => {
+  try {
+    return new URL(a).origin === new URL(b).origin;
+  } catch (err) {
+    return false;
+  }
+};
+
+function createAuthRouter({
+  redis,
+  secret,
+  domain,
+  uri,
+  chainId,
+  sessionTtl = "1d"
+}) {
+  const router = express.Router();
+  const requireWallet = createRequireWallet({ redis, secret });
+
+  router.get("/nonce", async (req, res) => {
+    try {
+      const nonce = generateNonce();
+      await redis.set(nonceKey(nonce), "1", "EX", NONCE_TTL_SECONDS);
+      res.json({ nonce, expiresIn: NONCE_TTL_SECONDS });
+    } catch (err) {
+      console.error("❌ Nonce error:", err.message);
+      res
+        .status(503)
+        .json({ error: "Failed to issue nonce", detail: err.message });
+    }
+  });
+
+  router.post("/verify", async (req, res) => {
+    const { message, signature } = req.body || {};
+    if (typeof message !== "string" || typeof signature !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Both message and signature are required" });
+    }
+
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: "Malformed SIWE message", detail: String(err) });
+    }
+
+    try {
+      // Nonces are single-use: consume it before checking the signature so a
+      // failed attempt cannot be replayed.
+      const consumed = await redis.del(nonceKey(siweMessage.nonce));
+      if (!consumed) {
+        return res.status(401).json({ error: "Unknown or expired nonce" });
+      }
+
+      // siwe checks the domain but not the URI or chain the message names.
+      if (
+        !sameOrigin(siweMessage.uri, uri) ||
+        Number(siweMessage.chainId) !== chainId
+      ) {
+        return res
+          .status(401)
+          .json({ error: "Message was not issued for this site or chain" });
+      }
+
+      const { success, data, error } = await siweMessage.verify(
+        { signature, nonce: siweMessage.nonce, domain },
+        { suppressExceptions: true }
+      );
+      if (!success) {
+        return res.status(401).json({
+          error: "Signature verification failed",
+          detail: error && error.type
+        });
+      }
+
+      const token = jwt.sign(
+        { sub: data.address, chainId: data.chainId },
+        secret,
+        { expiresIn: sessionTtl, jwtid: uuidv4() }
+      );
+      const { exp } = jwt.decode(token);
+
+      res.json({
+        token,
+        address: data.address,
+        chainId: data.chainId,
+        expiresAt: exp
+      });
+    } catch (err) {
+      console.error("❌ SIWE verify error:", err.message);
+      res.status(500).json({ error: "Failed to sign in", detail: err.message });
+    }
+  });
+
+  router.post("/logout", requireWallet, async (req, res) => {
+    const { jti, expiresAt } = req.session;
+    const ttl = Math.max(1, expiresAt - Math.floor(Date.now() / 1000));
+    try {
+      await redis.set(revokedKey(jti), "1", "EX", ttl);
+      res.json({ message: "Signed out" });
+    } catch (err) {
+      console.error("❌ Logout error:", err.message);
+      res
+        .status(503)
+        .json({ error: "Failed to sign out", detail: err.message });
+    }
+  });
+
+  router.get("/me", requireWallet, (req, res) => {
+    res.json(req.wallet);
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,121 @@
+// routes/contracts.js — cached reads of deployed contracts
+const express = require("express");
+const { ethers } = require("ethers");
+const { LockNotFoundError } = require("../contracts/lockReader");
+
+const MAX_BATCH = 50;
+
+function createContractsRouter({ lockReader, deployments }) {
+  const router = express.Router();
+
+  const readBatch = async (addresses, res) => {
+    if (!Array.isArray(addresses) || !addresses.length) {
+      return res
+        .status(400)
+        .json({ error: "Provide a non-empty list of addresses" });
+    }
+    if (addresses.length > MAX_BATCH) {
+      return res
+        .status(400)
+        .json({ error: `At most ${MAX_BATCH} addresses per request` });
+    }
+    const invalid = addresses.filter((address) => !ethers.isAddress(address));
+    if (invalid.length) {
+      return res
+        .status(400)
+        .json({ error: "Invalid contract address", addresses: invalid });
+    }
+
+    const unique = [...new Set(addresses.map((a) => ethers.getAddress(a)))];
+    res.json({ locks: await lockReader.getLocks(unique) });
+  };
+
+  router.get("/lock", (req, res) =>
+    readBatch(
+      String(req.query.addresses || "")
+        .split(",")
+        .map((address) => address.trim())
+        .filter(Boolean),
+      res
+    )
+  );
+
+  router.post("/lock/batch", (req, res) =>
+    readBatch((req.body || {}).addresses, res)
+  );
+
+  router.get("/lock/:address", async (req, res) => {
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid contract address" });
+    }
+
+    try {
+      res.json(await lockReader.getLock(ethers.getAddress(address)));
+    } catch (err) {
+      if (err instanceof LockNotFoundError) {
+        return res.status(404).json({ error: "No contract at this address" });
+      }
+      console.error("❌ Lock read error:", err.message);
+      res
+        .status(502)
+        .json({ error: "Failed to read contract", detail: err.message });
+    }
+  });
+
+  // Deployments registry, shared with smart-contracts/ and the frontend
+  const registryRoute = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      console.error("❌ Deployments registry error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to read deployments", detail: err.message });
+    }
+  };
+
+  // Chain IDs are positive integers; anything else can't be in the registry.
+  router.param("chainId", (req, res, next, chainId) => {
+    if (!/^[1-9]\d*$/.test(chainId) || !Number.isSafeInteger(Number(chainId))) {
+      return res.status(400).json({ error: "Invalid chain ID" });
+    }
+    next();
+  });
+
+  router.get(
+    "/deployments",
+    registryRoute(async (req, res) => {
+      res.json({ chains: await deployments.listChains() });
+    })
+  );
+
+  router.get(
+    "/deployments/:chainId",
+    registryRoute(async (req, res) => {
+      const chain = await deployments.getChain(req.params.chainId);
+      if (!chain) {
+        return res.status(404).json({ error: "No deployments for this chain" });
+      }
+      res.json(chain);
+    })
+  );
+
+  router.get(
+    "/deployments/:chainId/:name",
+    registryRoute(async (req, res) => {
+      const { chainId, name } = req.params;
+      const entry = await deployments.getContract(chainId, name);
+      if (!entry) {
+        return res
+          .status(404)
+          .json({ error: "No such contract deployed on this chain" });
+      }
+      res.json({ chainId: Number(chainId), name, ...entry });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createContractsRouter;
@@ -1,27 +1,216 @@
-const nodemailer = require("nodemailer");
-
-app.get("/test-email", async (req, res) => {
-  try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || "mailpit",
-      port: Number(process.env.SMTP_PORT || 1025), // fallback must be inside Number()
-      secure: false // Mailpit uses plaintext SMTP, no auth
-    });
-
-    await transporter.sendMail({
-      from: process.env.MAIL_FROM || '"Test App" <no-reply@dapp.local>',
-      to: process.env.TEST_EMAIL_TO || "test@example.com",
-      subject: "Mail Server Test",
-      text: "✅ Email works!",
-      html: "<b>✅ Email works!</b>"
-    });
-
-    res.send("📧 Email sent successfully.");
-  } catch (err) {
-    console.error("Email error:", err);
-    res.status(500).json({
-      error: "❌ Failed to send email.",
-      detail: err.message
-    });
-  }
-});
+// routes/email.js — templated transactional email
+const express = require("express");
+const { listTemplates, TemplateError } = require("../email/templates");
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+const STATUSES = ["queued", "retrying", "sent", "failed"];
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Query filters that go straight into SQL; repeating one (`?to=a&to=b`)
+// would hand Postgres an array.
+const FILTERS = ["status", "to", "template"];
+
+// Every route needs a caller: a signed-in wallet, or an API key standing in
+// for the wallet that issued it. A wallet can only mail the one address it
+// has confirmed, so the API can't be used to reach arbitrary inboxes.
+// Deliveries are only visible to their sender, and queue depth only to
+// server-to-server (API key) callers.
+function createEmailRouter({
+  emailQueue,
+  deliveryLog,
+  recipients,
+  requireSender
+}) {
+  const router = express.Router();
+  router.use(requireSender);
+
+  router.get("/templates", (req, res) => {
+    res.json({ templates: listTemplates() });
+  });
+
+  router.get("/recipient", async (req, res) => {
+    try {
+      const recipient = await recipients.get(req.sender);
+      if (!recipient) {
+        return res.status(404).json({ error: "No recipient address set" });
+      }
+      res.json(recipient);
+    } catch (err) {
+      console.error("❌ Email recipient error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to load recipient", detail: err.message });
+    }
+  });
+
+  // Replaces the wallet's address and mails it a confirmation code.
+  router.put("/recipient", async (req, res) => {
+    const { email } = req.body || {};
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+      return res
+        .status(400)
+        .json({ error: "A valid `email` address is required" });
+    }
+
+    try {
+      const { code, ...recipient } = await recipients.register(
+        req.sender,
+        email
+      );
+      await emailQueue.enqueue({
+        to: email,
+        template: "verify-recipient",
+        variables: { wallet: req.sender, code },
+        sender: req.sender
+      });
+      res.status(202).json(recipient);
+    } catch (err) {
+      console.error("❌ Email recipient error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to set recipient", detail: err.message });
+    }
+  });
+
+  router.post("/recipient/verify", async (req, res) => {
+    const { code } = req.body || {};
+    if (typeof code !== "string" || !code) {
+      return res.status(400).json({ error: "A `code` is required" });
+    }
+
+    try {
+      const recipient = await recipients.verify(req.sender, code);
+      if (!recipient) {
+        return res.status(400).json({ error: "Invalid or expired code" });
+      }
+      res.json(recipient);
+    } catch (err) {
+      console.error("❌ Email recipient error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to verify recipient", detail: err.message });
+    }
+  });
+
+  // Mails the wallet's confirmed address; `to`, if given, must be it.
+  router.post("/send", async (req, res) => {
+    const { to, template, variables = {} } = req.body || {};
+    if (
+      to !== undefined &&
+      (typeof to !== "string" || !EMAIL_PATTERN.test(to))
+    ) {
+      return res.status(400).json({ error: "`to` must be a valid address" });
+    }
+    if (typeof template !== "string") {
+      return res.status(400).json({ error: "A `template` name is required" });
+    }
+    if (typeof variables !== "object" || Array.isArray(variables)) {
+      return res.status(400).json({ error: "`variables` must be an object" });
+    }
+
+    try {
+      const recipient = await recipients.get(req.sender);
+      if (!recipient || !recipient.verified) {
+        return res.status(403).json({
+          error: "Confirm a recipient address first (PUT /email/recipient)"
+        });
+      }
+      if (
+        to !== undefined &&
+        to.toLowerCase() !== recipient.email.toLowerCase()
+      ) {
+        return res.status(403).json({
+          error: "Mail can only be sent to this wallet's confirmed address"
+        });
+      }
+
+      const job = await emailQueue.enqueue({
+        to: recipient.email,
+        template,
+        variables,
+        sender: req.sender
+      });
+      res.status(202).json(job);
+    } catch (err) {
+      if (err instanceof TemplateError) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error("❌ Email enqueue error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to queue email", detail: err.message });
+    }
+  });
+
+  router.get("/deliveries", async (req, res) => {
+    const repeated = FILTERS.find(
+      (key) =>
+        req.query[key] !== undefined && typeof req.query[key] !== "string"
+    );
+    if (repeated) {
+      return res
+        .status(400)
+        .json({ error: `\`${repeated}\` must be given once` });
+    }
+    const { status, to, template } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of ${STATUSES.join(", ")}` });
+    }
+
+    try {
+      const deliveries = await deliveryLog.list({
+        status,
+        to,
+        template,
+        sender: req.sender,
+        limit: parseInt(req.query.limit, 10) || 50,
+        offset: parseInt(req.query.offset, 10) || 0
+      });
+      res.json({ deliveries });
+    } catch (err) {
+      console.error("❌ Delivery log error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to load deliveries", detail: err.message });
+    }
+  });
+
+  router.get("/deliveries/:id", async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    try {
+      const delivery = await deliveryLog.get(req.params.id, {
+        sender: req.sender
+      });
+      if (!delivery)
+        return res.status(404).json({ error: "Delivery not found" });
+      res.json(delivery);
+    } catch (err) {
+      console.error("❌ Delivery log error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to load delivery", detail: err.message });
+    }
+  });
+
+  router.get("/queue", async (req, res) => {
+    if (!req.apiKey) {
+      return res.status(403).json({ error: "An API key is required" });
+    }
+    try {
+      res.json(await emailQueue.stats());
+    } catch (err) {
+      res
+        .status(503)
+        .json({ error: "Email queue unavailable", detail: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEmailRouter;
@@ -0,0 +1,282 @@
+// routes/files.js — wallet-scoped file storage on MinIO
+const crypto = require("crypto");
+const path = require("path");
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { v4: uuidv4 } = require("uuid");
+
+const MAX_PAGE_SIZE = 100;
+
+const objectKeyFor = (owner, originalName) =>
+  `${owner}/${uuidv4()}${path.extname(originalName).toLowerCase()}`;
+
+const sha256Of = (stream) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("end", () => resolve(hash.digest("hex")));
+    stream.on("error", reject);
+  });
+
+function createFilesRouter({
+  minioClient,
+  bucket,
+  requireWallet,
+  File = require("../models/File"),
+  maxBytes,
+  allowedTypes,
+  urlTtlSeconds = 900
+}) {
+  const router = express.Router();
+  router.use(requireWallet);
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) return cb(null, true);
+      const err = new Error(`Unsupported file type: ${file.mimetype}`);
+      err.code = "UNSUPPORTED_TYPE";
+      cb(err);
+    }
+  });
+
+  const receiveFile = (req, res, next) =>
+    upload.single("file")(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res
+          .status(413)
+          .json({ error: `File exceeds the ${maxBytes} byte limit` });
+      }
+      if (err.code === "UNSUPPORTED_TYPE") {
+        return res.status(415).json({ error: err.message, allowedTypes });
+      }
+      res.status(400).json({ error: "Invalid upload", detail: err.message });
+    });
+
+  const callerOf = (req) => req.wallet.address.toLowerCase();
+
+  // Loads :id and checks it belongs to the signed-in wallet.
+  const loadOwnFile = async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      const file = await File.findById(req.params.id);
+      if (!file) return res.status(404).json({ error: "File not found" });
+      if (file.owner !== callerOf(req)) {
+        return res.status(403).json({ error: "You don't own this file" });
+      }
+      req.storedFile = file;
+      next();
+    } catch (err) {
+      console.error("❌ File lookup error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to load file", detail: err.message });
+    }
+  };
+
+  router.post("/", receiveFile, async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "Send the file in a `file` field" });
+    }
+
+    const owner = callerOf(req);
+    const { originalname, mimetype, size, buffer } = req.file;
+    const objectKey = objectKeyFor(owner, originalname);
+    const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+
+    try {
+      await minioClient.putObject(bucket, objectKey, buffer, size, {
+        "Content-Type": mimetype,
+        "X-Amz-Meta-Owner": owner,
+        "X-Amz-Meta-Sha256": sha256
+      });
+      const file = await File.create({
+        owner,
+        bucket,
+        objectKey,
+        originalName: originalname,
+        contentType: mimetype,
+        size,
+        sha256
+      });
+      res.status(201).json(file);
+    } catch (err) {
+      console.error("❌ File upload error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to store file", detail: err.message });
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const filter = { owner: callerOf(req), status: "stored" };
+
+    try {
+      const [files, total] = await Promise.all([
+        File.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+        File.countDocuments(filter)
+      ]);
+      res.json({ files, pagination: { limit, offset, total } });
+    } catch (err) {
+      console.error("❌ File list error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to list files", detail: err.message });
+    }
+  });
+
+  // Direct browser upload: reserve a key and hand out a presigned POST form
+  // whose policy pins the key, Content-Type and size, so MinIO itself
+  // rejects anything else.
+  router.post("/presign", async (req, res) => {
+    const { name, contentType, size } = req.body || {};
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "A file `name` is required" });
+    }
+    if (!allowedTypes.includes(contentType)) {
+      return res
+        .status(415)
+        .json({ error: `Unsupported file type: ${contentType}`, allowedTypes });
+    }
+    if (size !== undefined && (!Number.isInteger(size) || size > maxBytes)) {
+      return res
+        .status(413)
+        .json({ error: `File exceeds the ${maxBytes} byte limit` });
+    }
+
+    const owner = callerOf(req);
+    const objectKey = objectKeyFor(owner, name);
+    const expiresAt = new Date(Date.now() + urlTtlSeconds * 1000);
+    try {
+      const policy = minioClient.newPostPolicy();
+      policy.setBucket(bucket);
+      policy.setKey(objectKey);
+      policy.setContentType(contentType);
+      policy.setContentLengthRange(1, maxBytes);
+      policy.setExpires(expiresAt);
+      const { postURL, formData } =
+        await minioClient.presignedPostPolicy(policy);
+      const file = await File.create({
+        owner,
+        bucket,
+        objectKey,
+        originalName: name,
+        contentType,
+        status: "pending",
+        expiresAt
+      });
+      res.status(201).json({
+        file,
+        url: postURL,
+        method: "POST",
+        fields: formData,
+        expiresIn: urlTtlSeconds
+      });
+    } catch (err) {
+      console.error("❌ Presign error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to create upload URL", detail: err.message });
+    }
+  });
+
+  // Confirms a presigned upload landed, enforcing the same limits as POST /
+  // in case the object was written some other way.
+  router.post("/:id/complete", loadOwnFile, async (req, res) => {
+    const file = req.storedFile;
+    if (file.status === "stored") return res.json(file);
+
+    const discard = async () => {
+      await minioClient.removeObject(bucket, file.objectKey);
+      await file.deleteOne();
+    };
+
+    try {
+      const stat = await minioClient.statObject(bucket, file.objectKey);
+      if (stat.size > maxBytes) {
+        await discard();
+        return res
+          .status(413)
+          .json({ error: `File exceeds the ${maxBytes} byte limit` });
+      }
+      const storedType = (stat.metaData || {})["content-type"];
+      if (storedType !== file.contentType) {
+        await discard();
+        return res.status(415).json({
+          error: `Unsupported file type: ${storedType}`,
+          allowedTypes
+        });
+      }
+
+      file.size = stat.size;
+      file.sha256 = await sha256Of(
+        await minioClient.getObject(bucket, file.objectKey)
+      );
+      file.status = "stored";
+      file.expiresAt = undefined;
+      await file.save();
+      res.json(file);
+    } catch (err) {
+      if (err.code === "NotFound" || err.code === "NoSuchKey") {
+        return res.status(409).json({ error: "Upload has not finished yet" });
+      }
+      console.error("❌ Upload completion error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to complete upload", detail: err.message });
+    }
+  });
+
+  router.get("/:id", loadOwnFile, (req, res) => {
+    res.json(req.storedFile);
+  });
+
+  router.get("/:id/url", loadOwnFile, async (req, res) => {
+    try {
+      const url = await minioClient.presignedGetObject(
+        bucket,
+        req.storedFile.objectKey,
+        urlTtlSeconds,
+        {
+          "response-content-type": req.storedFile.contentType,
+          "response-content-disposition": `attachment; filename="${encodeURIComponent(
+            req.storedFile.originalName
+          )}"`
+        }
+      );
+      res.json({ url, method: "GET", expiresIn: urlTtlSeconds });
+    } catch (err) {
+      console.error("❌ Presign error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to create download URL", detail: err.message });
+    }
+  });
+
+  router.delete("/:id", loadOwnFile, async (req, res) => {
+    try {
+      await minioClient.removeObject(bucket, req.storedFile.objectKey);
+      await req.storedFile.deleteOne();
+      res.status(204).end();
+    } catch (err) {
+      console.error("❌ File delete error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to delete file", detail: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFilesRouter;
@@ -0,0 +1,28 @@
+// routes/health.js — liveness and readiness
+const express = require("express");
+const { runChecks } = require("../health/checks");
+
+function createHealthRouter({ probes, timeoutMs }) {
+  const router = express.Router();
+
+  const ready = async (req, res) => {
+    const report = await runChecks(probes, { timeoutMs });
+    res.status(report.status === "ok" ? 200 : 503).json(report);
+  };
+
+  // Liveness only says the process can answer; it never touches dependencies
+  // so an outage elsewhere doesn't get the container restarted.
+  router.get("/live", (req, res) =>
+    res.json({
+      status: "ok",
+      uptime: Math.round(process.uptime()),
+      timestamp: Date.now()
+    })
+  );
+  router.get("/ready", ready);
+  router.get("/", ready);
+
+  return router;
+}
+
+module.exports = createHealthRouter;
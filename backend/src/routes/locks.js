@@ -0,0 +1,110 @@
+// routes/locks.js — read side of the Lock event indexer
+const express = require("express");
+const { ethers } = require("ethers");
+
+const MAX_LIMIT = 500;
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const formatEvent = (row) => ({
+  chainId: Number(row.chain_id),
+  address: row.contract_address,
+  event: row.event_name,
+  args: row.args,
+  blockNumber: Number(row.block_number),
+  blockHash: row.block_hash,
+  blockTimestamp: row.block_timestamp,
+  txHash: row.tx_hash,
+  logIndex: row.log_index
+});
+
+function createLocksRouter({ pool }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT chain_id, contract_address, COUNT(*) AS event_count,
+                MIN(block_number) AS first_block, MAX(block_number) AS last_block
+         FROM lock_events
+         GROUP BY chain_id, contract_address
+         ORDER BY last_block DESC`
+      );
+      res.json({
+        locks: rows.map((row) => ({
+          chainId: Number(row.chain_id),
+          address: row.contract_address,
+          eventCount: Number(row.event_count),
+          firstBlock: Number(row.first_block),
+          lastBlock: Number(row.last_block)
+        }))
+      });
+    } catch (err) {
+      console.error("❌ Locks query error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to list locks", detail: err.message });
+    }
+  });
+
+  router.get("/:address/events", async (req, res) => {
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid contract address" });
+    }
+    // A repeated `?event=` arrives as an array, which Postgres can't compare.
+    if (req.query.event !== undefined && typeof req.query.event !== "string") {
+      return res.status(400).json({ error: "`event` must be given once" });
+    }
+
+    const limit = Math.min(Math.max(toInt(req.query.limit, 50), 1), MAX_LIMIT);
+    const offset = Math.max(toInt(req.query.offset, 0), 0);
+    const conditions = ["contract_address = $1"];
+    const params = [address.toLowerCase()];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (req.query.event) addCondition("event_name = ?", req.query.event);
+    if (req.query.chainId)
+      addCondition("chain_id = ?", toInt(req.query.chainId, 0));
+    if (req.query.fromBlock)
+      addCondition("block_number >= ?", toInt(req.query.fromBlock, 0));
+    if (req.query.toBlock)
+      addCondition("block_number <= ?", toInt(req.query.toBlock, 0));
+
+    const where = conditions.join(" AND ");
+    try {
+      const [{ rows }, count] = await Promise.all([
+        pool.query(
+          `SELECT * FROM lock_events WHERE ${where}
+           ORDER BY block_number DESC, log_index DESC
+           LIMIT ${limit} OFFSET ${offset}`,
+          params
+        ),
+        pool.query(
+          `SELECT COUNT(*) AS total FROM lock_events WHERE ${where}`,
+          params
+        )
+      ]);
+      res.json({
+        address: ethers.getAddress(address),
+        events: rows.map(formatEvent),
+        pagination: { limit, offset, total: Number(count.rows[0].total) }
+      });
+    } catch (err) {
+      console.error("❌ Lock events query error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to load lock events", detail: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLocksRouter;
@@ -0,0 +1,91 @@
+// routes/relayer.js — gasless Lock withdrawals paid for by the relayer key
+//
+// No session is needed: the owner's EIP-712 signature is the authorisation,
+// and the relayer only ever sends the funds to the lock's owner.
+const express = require("express");
+const { ethers } = require("ethers");
+const { RelayRejectedError } = require("../relayer/relayer");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isUint = (value) =>
+  (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) ||
+  (typeof value === "string" && /^\d+$/.test(value));
+
+function createRelayerRouter({ relayer }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await relayer.info());
+    } catch (err) {
+      console.error("❌ Relayer info error:", err.message);
+      res
+        .status(502)
+        .json({ error: "Failed to reach the chain", detail: err.message });
+    }
+  });
+
+  router.post("/withdrawals", async (req, res) => {
+    const { lock, deadline, nonce, signature } = req.body || {};
+    if (!ethers.isAddress(lock)) {
+      return res.status(400).json({ error: "Invalid lock address" });
+    }
+    if (!isUint(deadline) || !Number.isSafeInteger(Number(deadline))) {
+      return res
+        .status(400)
+        .json({ error: "deadline must be a unix timestamp in seconds" });
+    }
+    if (!isUint(nonce)) {
+      return res
+        .status(400)
+        .json({ error: "nonce must be a non-negative integer" });
+    }
+    if (typeof signature !== "string" || !ethers.isHexString(signature)) {
+      return res
+        .status(400)
+        .json({ error: "signature must be a 0x-prefixed hex string" });
+    }
+
+    try {
+      const { request, created } = await relayer.submit({
+        lock,
+        deadline,
+        nonce,
+        signature
+      });
+      res.status(created ? 202 : 200).json(request);
+    } catch (err) {
+      if (err instanceof RelayRejectedError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error("❌ Relay error:", err.message);
+      res
+        .status(502)
+        .json({ error: "Failed to relay withdrawal", detail: err.message });
+    }
+  });
+
+  router.get("/withdrawals/:id", async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Relay request not found" });
+    }
+    try {
+      const request = await relayer.get(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: "Relay request not found" });
+      }
+      res.json(request);
+    } catch (err) {
+      console.error("❌ Relay status error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Failed to read relay request", detail: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRelayerRouter;
@@ -0,0 +1,62 @@
+// server.js — production entry point: wires real clients, listens, and
+// shuts down gracefully on SIGTERM / SIGINT
+require("dotenv").config();
+const { loadConfigOrExit, redactConfig } = require("./config");
+const { createServices, closeServices } = require("./services");
+const createApp = require("./app");
+const { drainServer } = require("./lifecycle");
+const { createMigrator } = require("./db/migrator");
+
+const config = loadConfigOrExit();
+console.log("⚙️  Config:", JSON.stringify(redactConfig(config)));
+
+const services = createServices(config);
+const app = createApp({ config, ...services });
+let server, stopWatching, stopSweeping;
+
+// Pending migrations are applied before the server listens, so no request
+// ever meets an old schema; a failed migration stops the process.
+async function start() {
+  if (config.postgres.migrateOnBoot) {
+    const applied = await createMigrator({ pool: services.pool }).up();
+    console.log(`✅ Migrations up to date (${applied.length} applied)`);
+  }
+
+  if (config.email.workerEnabled) services.emailQueue.start();
+  stopWatching = services.lockReader.watch();
+  stopSweeping = services.pendingUploads.watch();
+
+  server = app.listen(config.server.port, () => {
+    console.log(`🚀 Backend listening on port ${config.server.port}`);
+  });
+}
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`⚠️ ${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, draining in-flight requests…`);
+
+  services.emailQueue.stop();
+  if (stopWatching) stopWatching();
+  if (stopSweeping) stopSweeping();
+
+  if (server) {
+    await drainServer(server, { timeoutMs: config.server.shutdownTimeoutMs });
+  }
+  await closeServices(services);
+  console.log("👋 Shutdown complete");
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+start().catch(async (err) => {
+  console.error("❌ Backend failed to start:", err);
+  await closeServices(services).catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+// services.js — builds (and later closes) every client the API depends on
+const mongoose = require("mongoose");
+const { createRedis } = require("./db/redis");
+const { connectMongo } = require("./db/mongo");
+const { createPool, connectPostgres } = require("./db/postgres");
+const { createMinioClient } = require("./utils/minio");
+const { createTransporter } = require("./utils/mailer");
+const { createDeliveryLog } = require("./email/deliveryLog");
+const { createEmailQueue } = require("./email/queue");
+const { createRecipientStore } = require("./email/recipients");
+const { createProvider } = require("./chain/provider");
+const { createLockReader } = require("./contracts/lockReader");
+const { createDeploymentRegistry } = require("./contracts/deployments");
+const { createRelayerChain } = require("./relayer/chain");
+const { createRelayer } = require("./relayer/relayer");
+const { createApiKeyStore } = require("./apiKeys/store");
+const { createPendingUploadSweeper } = require("./files/pendingUploads");
+const { withTimeout } = require("./health/checks");
+
+function createServices(config) {
+  // Redis
+  const redis = createRedis(config.redis);
+
+  // MongoDB
+  connectMongo(config.mongo);
+  const mongo = mongoose.connection;
+
+  // Postgres
+  const pool = createPool(config.postgres);
+  connectPostgres(pool);
+
+  // MinIO
+  const minioClient = createMinioClient(config.minio);
+  const pendingUploads = createPendingUploadSweeper({
+    minioClient,
+    bucket: config.minio.bucket
+  });
+
+  // Nodemailer
+  const transporter = createTransporter(config.smtp);
+
+  // Email queue
+  const deliveryLog = createDeliveryLog({ pool });
+  const emailQueue = createEmailQueue({
+    redis,
+    transporter,
+    deliveryLog,
+    from: `"Dapp Mail" <${config.smtp.from}>`,
+    maxAttempts: config.email.maxAttempts,
+    backoffMs: config.email.backoffMs
+  });
+  const emailRecipients = createRecipientStore({ pool });
+
+  // Chain
+  const provider = createProvider(config.chain);
+  const lockReader = createLockReader({
+    provider,
+    redis,
+    ttlSeconds: config.chain.cacheTtlSeconds
+  });
+  const deployments = createDeploymentRegistry({
+    file: config.chain.deploymentsFile
+  });
+
+  // Relayer
+  const relayer = createRelayer({
+    pool,
+    chain: config.relayer.privateKey
+      ? createRelayerChain({
+          provider,
+          privateKey: config.relayer.privateKey,
+          deployments
+        })
+      : null,
+    gasLimit: config.relayer.gasLimit
+  });
+
+  // API keys
+  const apiKeys = createApiKeyStore({ pool });
+
+  return {
+    redis,
+    mongo,
+    pool,
+    minioClient,
+    pendingUploads,
+    transporter,
+    deliveryLog,
+    emailQueue,
+    emailRecipients,
+    provider,
+    lockReader,
+    deployments,
+    relayer,
+    apiKeys
+  };
+}
+
+// Closes every connection; one failing (or hanging, when its server was
+// never reachable) doesn't stop the others.
+async function closeServices(
+  { redis, mongo, pool, transporter, provider },
+  { timeoutMs = 5000 } = {}
+) {
+  const closers = {
+    Redis: () => (redis.status === "ready" ? redis.quit() : redis.disconnect()),
+    MongoDB: () => mongo.close(),
+    Postgres: () => pool.end(),
+    SMTP: () => transporter.close(),
+    "RPC provider": () => provider.destroy()
+  };
+  await Promise.all(
+    Object.entries(closers).map(async ([name, close]) => {
+      try {
+        await withTimeout(Promise.resolve().then(close), timeoutMs);
+      } catch (err) {
+        console.error(`❌ Failed to close ${name}:`, err.message);
+      }
+    })
+  );
+}
+
+module.exports = { createServices, closeServices };
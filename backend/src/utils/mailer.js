@@ -0,0 +1,13 @@
+// utils/mailer.js
+const nodemailer = require("nodemailer");
+
+function createTransporter({ host, port, secure, user, pass }) {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+}
+
+module.exports = { createTransporter };
@@ -1,15 +1,11 @@
 // utils/minio.js
 const { Client } = require("minio");
 
-const client = new Client({
-  endPoint: process.env.MINIO_ENDPOINT || "minio",
-  port: parseInt(process.env.MINIO_PORT || "9000", 10),
-  useSSL: false,
-  accessKey: process.env.MINIO_ROOT_USER,
-  secretKey: process.env.MINIO_ROOT_PASSWORD
-});
+function createMinioClient({ endPoint, port, useSSL, accessKey, secretKey }) {
+  return new Client({ endPoint, port, useSSL, accessKey, secretKey });
+}
 
-async function ensureBucket(bucket = MINIO_BUCKET) {
+async function ensureBucket(client, bucket) {
   const exists = await client.bucketExists(bucket);
   if (!exists) {
     await client.makeBucket(bucket);
@@ -17,4 +13,4 @@ async function ensureBucket(bucket = MINIO_BUCKET) {
   }
 }
 
-module.exports = { client, ensureBucket };
+module.exports = { createMinioClient, ensureBucket };
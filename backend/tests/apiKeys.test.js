@@ -0,0 +1,168 @@
+const request = require("supertest");
+const { createTestApp, signIn } = require("./support/testApp");
+
+describe("/api-keys", () => {
+  let app, services, session, auth;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+    session = await signIn(app);
+    auth = { Authorization: `Bearer ${session.token}` };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("requires a signed-in wallet", async () => {
+    const res = await request(app).post("/api-keys").send({ name: "ci" });
+
+    expect(res.status).toBe(401);
+  });
+
+  it("issues a key once and stores only its hash", async () => {
+    const res = await request(app)
+      .post("/api-keys")
+      .set(auth)
+      .send({ name: "ci", rateLimit: 10, dailyQuota: 1000 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      name: "ci",
+      owner: session.wallet.address.toLowerCase(),
+      rateLimit: 10,
+      dailyQuota: 1000,
+      revokedAt: null
+    });
+    expect(res.body.key).toMatch(/^dk_[0-9a-f]{8}_/);
+    expect(res.body.key.startsWith(res.body.prefix)).toBe(true);
+
+    const { rows } = await services.pool.query("SELECT key_hash FROM api_keys");
+    expect(rows[0].key_hash).not.toContain(res.body.key);
+  });
+
+  it.each([
+    [{}, "A key `name` is required"],
+    [{ name: "x".repeat(101) }, "Name must be at most 100 characters"],
+    [
+      { name: "ci", rateLimit: 0 },
+      "rateLimit must be an integer between 1 and 600"
+    ],
+    [
+      { name: "ci", rateLimit: 601 },
+      "rateLimit must be an integer between 1 and 600"
+    ],
+    [{ name: "ci", dailyQuota: 1.5 }, "dailyQuota must be a positive integer"]
+  ])("rejects invalid input %#", async (body, error) => {
+    const res = await request(app).post("/api-keys").set(auth).send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  it("lists the caller's keys without secrets", async () => {
+    await request(app).post("/api-keys").set(auth).send({ name: "ci" });
+    const other = await signIn(app);
+    await request(app)
+      .post("/api-keys")
+      .set("Authorization", `Bearer ${other.token}`)
+      .send({ name: "theirs" });
+
+    const res = await request(app).get("/api-keys").set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.keys.map((k) => k.name)).toEqual(["ci"]);
+    expect(res.body.keys[0]).not.toHaveProperty("key");
+  });
+
+  it("caps the active keys per wallet", async () => {
+    ({ app } = await createTestApp({
+      config: { auth: { apiKeysPerWallet: 2 } }
+    }));
+    session = await signIn(app);
+    auth = { Authorization: `Bearer ${session.token}` };
+    const issue = () =>
+      request(app).post("/api-keys").set(auth).send({ name: "ci" });
+
+    const first = await issue();
+    await issue();
+    const capped = await issue();
+    await request(app).delete(`/api-keys/${first.body.id}`).set(auth);
+    const afterRevoke = await issue();
+
+    expect(capped.status).toBe(409);
+    expect(capped.body.error).toBe(
+      "A wallet can have at most 2 active API keys; revoke one first"
+    );
+    expect(afterRevoke.status).toBe(201);
+  });
+
+  describe("using a key", () => {
+    let issued;
+
+    beforeEach(async () => {
+      issued = (
+        await request(app)
+          .post("/api-keys")
+          .set(auth)
+          .send({ name: "ci", dailyQuota: 2 })
+      ).body;
+    });
+
+    it("accepts a valid key and records its use", async () => {
+      const res = await request(app).get("/ping").set("X-API-Key", issued.key);
+
+      expect(res.status).toBe(200);
+      const [key] = (await request(app).get("/api-keys").set(auth)).body.keys;
+      expect(key.lastUsedAt).not.toBeNull();
+    });
+
+    it("rejects an unknown key", async () => {
+      const res = await request(app).get("/ping").set("X-API-Key", "dk_nope");
+
+      expect(res.status).toBe(401);
+    });
+
+    it("enforces the daily quota", async () => {
+      const send = () => request(app).get("/ping").set("X-API-Key", issued.key);
+
+      await send();
+      await send();
+      const res = await send();
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe("Daily API key quota exhausted");
+      expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    });
+
+    it("stops accepting a revoked key", async () => {
+      const revoke = await request(app)
+        .delete(`/api-keys/${issued.id}`)
+        .set(auth);
+      const res = await request(app).get("/ping").set("X-API-Key", issued.key);
+
+      expect(revoke.status).toBe(200);
+      expect(revoke.body.revokedAt).not.toBeNull();
+      expect(res.status).toBe(401);
+    });
+
+    it("only lets the owner revoke a key", async () => {
+      const other = await signIn(app);
+
+      const res = await request(app)
+        .delete(`/api-keys/${issued.id}`)
+        .set("Authorization", `Bearer ${other.token}`);
+      const malformed = await request(app).delete("/api-keys/42").set(auth);
+
+      expect(res.status).toBe(404);
+      expect(malformed.status).toBe(404);
+    });
+
+    it("returns 503 when the key store is down", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest.spyOn(services.pool, "query").mockRejectedValue(new Error("down"));
+
+      const res = await request(app).get("/ping").set("X-API-Key", issued.key);
+
+      expect(res.status).toBe(503);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { createTestApp, signIn } = require("./support/testApp");
+
+describe("/auth", () => {
+  let app, services;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("GET /auth/nonce", () => {
+    it("issues a nonce stored in Redis", async () => {
+      const res = await request(app).get("/auth/nonce");
+
+      expect(res.status).toBe(200);
+      expect(res.body.expiresIn).toBe(300);
+      expect(await services.redis.exists(`siwe:nonce:${res.body.nonce}`)).toBe(
+        1
+      );
+    });
+
+    it("returns 503 when the nonce store is down", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest.spyOn(services.redis, "set").mockRejectedValue(new Error("down"));
+
+      const res = await request(app).get("/auth/nonce");
+
+      expect(res.status).toBe(503);
+    });
+  });
+
+  describe("POST /auth/verify", () => {
+    it("exchanges a signed message for a session token", async () => {
+      const wallet = ethers.Wallet.createRandom();
+
+      const { token } = await signIn(app, wallet);
+      const me = await request(app)
+        .get("/auth/me")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(me.status).toBe(200);
+      expect(me.body).toEqual({ address: wallet.address, chainId: 31337 });
+    });
+
+    it("requires both message and signature", async () => {
+      const res = await request(app).post("/auth/verify").send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it("rejects a malformed message", async () => {
+      const res = await request(app)
+        .post("/auth/verify")
+        .send({ message: "not a siwe message", signature: "0x00" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Malformed SIWE message");
+    });
+
+    it("rejects a replayed nonce", async () => {
+      const { message, signature } = await signIn(app);
+
+      const res = await request(app)
+        .post("/auth/verify")
+        .send({ message, signature });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Unknown or expired nonce");
+    });
+
+    it("rejects a signature from another wallet", async () => {
+      const { body } = await request(app).get("/auth/nonce");
+      const { message } = await buildMessage(body.nonce);
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      const res = await request(app)
+        .post("/auth/verify")
+        .send({ message, signature });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Signature verification failed");
+    });
+
+    it.each([
+      ["domain", { domain: "evil.example" }, "Signature verification failed"],
+      [
+        "URI",
+        { uri: "https://evil.example" },
+        "Message was not issued for this site or chain"
+      ],
+      [
+        "chain",
+        { chainId: 1 },
+        "Message was not issued for this site or chain"
+      ]
+    ])("rejects a message signed for another %s", async (_, fields, error) => {
+      const { body } = await request(app).get("/auth/nonce");
+      const { wallet, message } = await buildMessage(body.nonce, fields);
+      const signature = await wallet.signMessage(message);
+
+      const res = await request(app)
+        .post("/auth/verify")
+        .send({ message, signature });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe(error);
+    });
+  });
+
+  describe("session", () => {
+    it("rejects requests without a token", async () => {
+      const res = await request(app).get("/auth/me");
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Missing bearer token");
+    });
+
+    it("rejects a token signed with another secret", async () => {
+      const res = await request(app)
+        .get("/auth/me")
+        .set("Authorization", "Bearer not.a.jwt");
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid session");
+    });
+
+    it("revokes the token on logout", async () => {
+      const { token } = await signIn(app);
+      const auth = { Authorization: `Bearer ${token}` };
+
+      const logout = await request(app).post("/auth/logout").set(auth);
+      const me = await request(app).get("/auth/me").set(auth);
+
+      expect(logout.status).toBe(200);
+      expect(me.status).toBe(401);
+      expect(me.body.error).toBe("Session has been revoked");
+    });
+
+    it("returns 503 when the session store is down", async () => {
+      const { token } = await signIn(app);
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest.spyOn(services.redis, "exists").mockRejectedValue(new Error("down"));
+
+      const res = await request(app)
+        .get("/auth/me")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(503);
+    });
+  });
+});
+
+async function buildMessage(nonce, fields = {}) {
+  const { SiweMessage } = require("siwe");
+  const wallet = ethers.Wallet.createRandom();
+  const message = new SiweMessage({
+    domain: "localhost:3000",
+    address: wallet.address,
+    uri: "http://localhost:3000",
+    version: "1",
+    chainId: 31337,
+    nonce,
+    ...fields
+  }).prepareMessage();
+  return { wallet, message };
+}
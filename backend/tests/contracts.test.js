@@ -0,0 +1,252 @@
+const fs = require("fs");
+const request = require("supertest");
+const { createTestApp } = require("./support/testApp");
+
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const MISSING = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+const registry = {
+  31337: {
+    chainId: 31337,
+    network: "localhost",
+    contracts: {
+      Lock: {
+        contractName: "Lock",
+        address: LOCK,
+        abi: ["function unlockTime() view returns (uint)"],
+        blockNumber: 1,
+        transactionHash: "0x" + "ab".repeat(32),
+        args: [1893456000, "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"],
+        source: "script"
+      }
+    }
+  }
+};
+
+const lockState = {
+  chainId: 31337,
+  unlockTime: 1893456000,
+  owner: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  balance: "1000000000",
+  status: "locked"
+};
+
+describe("/contracts", () => {
+  let app, services;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp({
+      locks: { [LOCK.toLowerCase()]: lockState },
+      deployments: registry
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("GET /contracts/lock/:address", () => {
+    it("returns the lock's state", async () => {
+      const res = await request(app).get(`/contracts/lock/${LOCK}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ address: LOCK, ...lockState });
+    });
+
+    it("checksums the address before reading", async () => {
+      const getLock = jest.spyOn(services.lockReader, "getLock");
+
+      await request(app).get(`/contracts/lock/${LOCK.toLowerCase()}`);
+
+      expect(getLock).toHaveBeenCalledWith(LOCK);
+    });
+
+    it("rejects an invalid address", async () => {
+      const res = await request(app).get("/contracts/lock/not-an-address");
+
+      expect(res.status).toBe(400);
+    });
+
+    it("returns 404 when nothing is deployed there", async () => {
+      const res = await request(app).get(`/contracts/lock/${MISSING}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("No contract at this address");
+    });
+
+    it("returns 502 when the RPC call fails", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest
+        .spyOn(services.lockReader, "getLock")
+        .mockRejectedValue(new Error("could not detect network"));
+
+      const res = await request(app).get(`/contracts/lock/${LOCK}`);
+
+      expect(res.status).toBe(502);
+      expect(res.body.detail).toBe("could not detect network");
+    });
+  });
+
+  describe("batch reads", () => {
+    it("reads a comma-separated list, reporting failures per entry", async () => {
+      const res = await request(app).get(
+        `/contracts/lock?addresses=${LOCK},${MISSING}`
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.locks).toHaveLength(2);
+      expect(res.body.locks[0]).toMatchObject({
+        address: LOCK,
+        status: "locked"
+      });
+      expect(res.body.locks[1]).toMatchObject({
+        address: MISSING,
+        error: expect.any(String)
+      });
+    });
+
+    it("de-duplicates addresses in a POST batch", async () => {
+      const res = await request(app)
+        .post("/contracts/lock/batch")
+        .send({ addresses: [LOCK, LOCK.toLowerCase()] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.locks).toHaveLength(1);
+    });
+
+    it("rejects an empty batch", async () => {
+      const res = await request(app).get("/contracts/lock");
+
+      expect(res.status).toBe(400);
+    });
+
+    it("rejects more than 50 addresses", async () => {
+      const res = await request(app)
+        .post("/contracts/lock/batch")
+        .send({ addresses: Array(51).fill(LOCK) });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("lists the invalid addresses in a batch", async () => {
+      const res = await request(app)
+        .post("/contracts/lock/batch")
+        .send({ addresses: [LOCK, "0xnope"] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.addresses).toEqual(["0xnope"]);
+    });
+  });
+
+  describe("GET /contracts/deployments", () => {
+    it("lists chains and contracts without ABIs", async () => {
+      const res = await request(app).get("/contracts/deployments");
+
+      expect(res.status).toBe(200);
+      expect(res.body.chains).toEqual([
+        {
+          chainId: 31337,
+          network: "localhost",
+          contracts: {
+            Lock: {
+              contractName: "Lock",
+              address: LOCK,
+              blockNumber: 1,
+              transactionHash: registry[31337].contracts.Lock.transactionHash
+            }
+          }
+        }
+      ]);
+    });
+
+    it("returns a chain's full entry", async () => {
+      const res = await request(app).get("/contracts/deployments/31337");
+
+      expect(res.status).toBe(200);
+      expect(res.body.contracts.Lock.abi).toEqual(
+        registry[31337].contracts.Lock.abi
+      );
+    });
+
+    it("returns a single contract", async () => {
+      const res = await request(app).get("/contracts/deployments/31337/Lock");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        chainId: 31337,
+        name: "Lock",
+        address: LOCK,
+        args: registry[31337].contracts.Lock.args
+      });
+    });
+
+    it("returns 404 for unknown chains and contracts", async () => {
+      const chain = await request(app).get("/contracts/deployments/1");
+      const contract = await request(app).get(
+        "/contracts/deployments/31337/Nope"
+      );
+
+      expect(chain.status).toBe(404);
+      expect(contract.status).toBe(404);
+    });
+
+    it.each(["0", "-1", "1.5", "0x7a69", "99999999999999999999"])(
+      "rejects the chain ID %s",
+      async (chainId) => {
+        const res = await request(app).get(`/contracts/deployments/${chainId}`);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Invalid chain ID");
+      }
+    );
+
+    it("doesn't resolve object built-ins as chains or contracts", async () => {
+      const { body: chain } = await request(app).get(
+        "/contracts/deployments/31337"
+      );
+      const responses = await Promise.all(
+        ["__proto__", "constructor", "toString", "hasOwnProperty"].map((name) =>
+          request(app).get(`/contracts/deployments/31337/${name}`)
+        )
+      );
+
+      expect(chain.contracts).toHaveProperty("Lock");
+      expect(responses.map((res) => res.status)).toEqual([404, 404, 404, 404]);
+      expect(await services.deployments.getChain("__proto__")).toBe(null);
+      expect(await services.deployments.getChain("constructor")).toBe(null);
+    });
+
+    it("picks up changes to the registry file", async () => {
+      const { file } = services.deployments;
+      const before = await request(app).get("/contracts/deployments");
+      expect(before.body.chains).toHaveLength(1);
+
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          ...registry,
+          11155111: { chainId: 11155111, network: "sepolia", contracts: {} }
+        })
+      );
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+
+      const res = await request(app).get("/contracts/deployments");
+
+      expect(res.body.chains.map((chain) => chain.chainId)).toEqual([
+        31337, 11155111
+      ]);
+    });
+
+    it("returns 500 when the registry can't be parsed", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const { file } = services.deployments;
+      fs.writeFileSync(file, "{ not json");
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+
+      const res = await request(app).get("/contracts/deployments");
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe("Failed to read deployments");
+    });
+  });
+});
@@ -0,0 +1,402 @@
+const request = require("supertest");
+const { createTestApp, signIn } = require("./support/testApp");
+
+const withdrawal = {
+  to: "owner@example.com",
+  template: "withdrawal-confirmed",
+  variables: { lockAddress: "0xabc", amount: "1 ETH", txHash: "0xdef" }
+};
+
+describe("/email", () => {
+  let app, services, auth;
+
+  // Confirms `email` for `address` without going through the mailbox.
+  const confirmRecipient = async (address, email = withdrawal.to) => {
+    const { code } = await services.emailRecipients.register(address, email);
+    await services.emailRecipients.verify(address, code);
+  };
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+    const { token, wallet } = await signIn(app);
+    auth = { Authorization: `Bearer ${token}` };
+    await confirmRecipient(wallet.address);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("rejects anonymous callers", async () => {
+    const send = await request(app).post("/email/send").send(withdrawal);
+    const list = await request(app).get("/email/deliveries");
+
+    expect(send.status).toBe(401);
+    expect(list.status).toBe(401);
+  });
+
+  it("lists the templates and their variables", async () => {
+    const res = await request(app).get("/email/templates").set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.map((t) => t.name)).toEqual(
+      expect.arrayContaining(["test", "withdrawal-confirmed"])
+    );
+  });
+
+  describe("POST /email/send", () => {
+    it("queues the message and records it as queued", async () => {
+      const res = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send(withdrawal);
+
+      expect(res.status).toBe(202);
+      expect(res.body.status).toBe("queued");
+
+      const delivery = await request(app)
+        .get(`/email/deliveries/${res.body.id}`)
+        .set(auth);
+      expect(delivery.body).toMatchObject({
+        to: "owner@example.com",
+        template: "withdrawal-confirmed",
+        status: "queued"
+      });
+    });
+
+    it("is delivered by the queue worker", async () => {
+      const sendMail = jest.spyOn(services.transporter, "sendMail");
+      const { body } = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send(withdrawal);
+
+      await services.emailQueue.drain();
+
+      expect(sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "owner@example.com",
+          text: expect.stringContaining("1 ETH")
+        })
+      );
+      const delivery = await request(app)
+        .get(`/email/deliveries/${body.id}`)
+        .set(auth);
+      expect(delivery.body).toMatchObject({ status: "sent", attempts: 1 });
+    });
+
+    it("records a retry when SMTP rejects the message", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      jest
+        .spyOn(services.transporter, "sendMail")
+        .mockRejectedValue(new Error("Mailbox unavailable"));
+      const { body } = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send(withdrawal);
+
+      await services.emailQueue.drain();
+
+      const delivery = await request(app)
+        .get(`/email/deliveries/${body.id}`)
+        .set(auth);
+      expect(delivery.body).toMatchObject({
+        status: "retrying",
+        lastError: "Mailbox unavailable"
+      });
+    });
+
+    it.each([
+      [{ ...withdrawal, to: "nope" }, "`to` must be a valid address"],
+      [{ ...withdrawal, template: undefined }, "A `template` name is required"],
+      [{ ...withdrawal, variables: [] }, "`variables` must be an object"]
+    ])("rejects invalid input %#", async (body, error) => {
+      const res = await request(app).post("/email/send").set(auth).send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    });
+
+    it("rejects an unknown template or missing variables", async () => {
+      const unknown = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send({ ...withdrawal, template: "nope" });
+      const missing = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send({ ...withdrawal, variables: {} });
+
+      expect(unknown.status).toBe(400);
+      expect(missing.status).toBe(400);
+    });
+
+    it("returns 500 when the message can't be recorded", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest
+        .spyOn(services.pool, "query")
+        .mockRejectedValue(new Error("connection terminated"));
+
+      const res = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send(withdrawal);
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe("Failed to queue email");
+    });
+  });
+
+  describe("recipient address", () => {
+    let other, wallet;
+
+    beforeEach(async () => {
+      const session = await signIn(app);
+      other = { Authorization: `Bearer ${session.token}` };
+      wallet = session.wallet.address.toLowerCase();
+    });
+
+    // Sets the address and returns the code mailed to it.
+    const register = async (email) => {
+      const sendMail = jest.spyOn(services.transporter, "sendMail");
+      const res = await request(app)
+        .put("/email/recipient")
+        .set(other)
+        .send({ email });
+      await services.emailQueue.drain();
+      const [message] = sendMail.mock.calls.at(-1);
+      return { res, message, code: message.text.match(/code: (\w+)/)[1] };
+    };
+
+    it("mails a code to the new address and sends only once it's confirmed", async () => {
+      const { res, message, code } = await register("me@example.com");
+      const early = await request(app)
+        .post("/email/send")
+        .set(other)
+        .send(withdrawal);
+
+      const verified = await request(app)
+        .post("/email/recipient/verify")
+        .set(other)
+        .send({ code });
+      const sent = await request(app)
+        .post("/email/send")
+        .set(other)
+        .send({ ...withdrawal, to: undefined });
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({
+        email: "me@example.com",
+        verified: false
+      });
+      expect(res.body).not.toHaveProperty("code");
+      expect(message).toMatchObject({ to: "me@example.com" });
+      expect(message.text).toContain(wallet);
+      expect(early.status).toBe(403);
+      expect(early.body.error).toBe(
+        "Confirm a recipient address first (PUT /email/recipient)"
+      );
+      expect(verified.status).toBe(200);
+      expect(verified.body).toMatchObject({
+        email: "me@example.com",
+        verified: true
+      });
+      expect(sent.status).toBe(202);
+      const delivery = await request(app)
+        .get(`/email/deliveries/${sent.body.id}`)
+        .set(other);
+      expect(delivery.body.to).toBe("me@example.com");
+    });
+
+    it("refuses mail to any other address", async () => {
+      const res = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send({ ...withdrawal, to: "someone@example.com" });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe(
+        "Mail can only be sent to this wallet's confirmed address"
+      );
+    });
+
+    it("rejects a wrong code", async () => {
+      await register("me@example.com");
+
+      const res = await request(app)
+        .post("/email/recipient/verify")
+        .set(other)
+        .send({ code: "0".repeat(32) });
+      const recipient = await request(app).get("/email/recipient").set(other);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Invalid or expired code");
+      expect(recipient.body).toMatchObject({ verified: false });
+    });
+
+    it("needs a new confirmation when the address changes", async () => {
+      const { code } = await register("me@example.com");
+      await request(app)
+        .post("/email/recipient/verify")
+        .set(other)
+        .send({ code });
+
+      await register("new@example.com");
+      const reused = await request(app)
+        .post("/email/recipient/verify")
+        .set(other)
+        .send({ code });
+      const res = await request(app)
+        .post("/email/send")
+        .set(other)
+        .send({ ...withdrawal, to: undefined });
+
+      expect(reused.status).toBe(400);
+      expect(res.status).toBe(403);
+    });
+
+    it("returns 404 before an address is set", async () => {
+      const res = await request(app).get("/email/recipient").set(other);
+
+      expect(res.status).toBe(404);
+    });
+
+    it.each([
+      [
+        "put",
+        "/email/recipient",
+        { email: "nope" },
+        "A valid `email` address is required"
+      ],
+      ["post", "/email/recipient/verify", {}, "A `code` is required"]
+    ])("rejects invalid input to %s %s", async (method, path, body, error) => {
+      const res = await request(app)[method](path).set(other).send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    });
+  });
+
+  describe("delivery log", () => {
+    it("filters deliveries by status", async () => {
+      await request(app).post("/email/send").set(auth).send(withdrawal);
+
+      const queued = await request(app)
+        .get("/email/deliveries?status=queued")
+        .set(auth);
+      const sent = await request(app)
+        .get("/email/deliveries?status=sent")
+        .set(auth);
+
+      expect(queued.body.deliveries).toHaveLength(1);
+      expect(sent.body.deliveries).toHaveLength(0);
+    });
+
+    it("only shows a wallet the mail it queued", async () => {
+      const { body } = await request(app)
+        .post("/email/send")
+        .set(auth)
+        .send(withdrawal);
+      const { token } = await signIn(app);
+      const other = { Authorization: `Bearer ${token}` };
+
+      const list = await request(app).get("/email/deliveries").set(other);
+      const one = await request(app)
+        .get(`/email/deliveries/${body.id}`)
+        .set(other);
+
+      expect(list.body.deliveries).toEqual([]);
+      expect(one.status).toBe(404);
+    });
+
+    it("shows mail queued with an API key to the wallet that owns it", async () => {
+      const { body: issued } = await request(app)
+        .post("/api-keys")
+        .set(auth)
+        .send({ name: "mailer" });
+      await request(app)
+        .post("/email/send")
+        .set("X-API-Key", issued.key)
+        .send(withdrawal);
+
+      const res = await request(app).get("/email/deliveries").set(auth);
+
+      expect(res.body.deliveries).toHaveLength(1);
+      expect(res.body.deliveries[0].sender).toBe(issued.owner);
+    });
+
+    it.each(["status", "to", "template"])(
+      "rejects a repeated %s filter",
+      async (key) => {
+        const res = await request(app)
+          .get(`/email/deliveries?${key}=a&${key}=b`)
+          .set(auth);
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(`\`${key}\` must be given once`);
+      }
+    );
+
+    it("rejects an unknown status filter", async () => {
+      const res = await request(app)
+        .get("/email/deliveries?status=lost")
+        .set(auth);
+
+      expect(res.status).toBe(400);
+    });
+
+    it("returns 404 for an unknown delivery", async () => {
+      const unknown = await request(app)
+        .get("/email/deliveries/00000000-0000-4000-8000-000000000000")
+        .set(auth);
+      const malformed = await request(app)
+        .get("/email/deliveries/42")
+        .set(auth);
+
+      expect(unknown.status).toBe(404);
+      expect(malformed.status).toBe(404);
+    });
+
+    it("returns 500 when Postgres fails", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest.spyOn(services.pool, "query").mockRejectedValue(new Error("down"));
+
+      const res = await request(app).get("/email/deliveries").set(auth);
+
+      expect(res.status).toBe(500);
+    });
+  });
+
+  describe("GET /email/queue", () => {
+    let apiKey;
+
+    beforeEach(async () => {
+      const { body } = await request(app)
+        .post("/api-keys")
+        .set(auth)
+        .send({ name: "ops" });
+      apiKey = { "X-API-Key": body.key };
+    });
+
+    it("reports queue depth", async () => {
+      await request(app).post("/email/send").set(auth).send(withdrawal);
+
+      const res = await request(app).get("/email/queue").set(apiKey);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ ready: 1, processing: 0, delayed: 0 });
+    });
+
+    it("returns 503 when Redis is down", async () => {
+      jest.spyOn(services.redis, "llen").mockRejectedValue(new Error("down"));
+
+      const res = await request(app).get("/email/queue").set(apiKey);
+
+      expect(res.status).toBe(503);
+    });
+
+    it("requires an API key", async () => {
+      const res = await request(app).get("/email/queue").set(auth);
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
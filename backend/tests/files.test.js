@@ -0,0 +1,260 @@
+const request = require("supertest");
+const { createTestApp, signIn } = require("./support/testApp");
+
+describe("/files", () => {
+  let app, services, owner, other;
+
+  const upload = (token, content = "hello", type = "text/plain") =>
+    request(app)
+      .post("/files")
+      .set("Authorization", `Bearer ${token}`)
+      .attach("file", Buffer.from(content), {
+        filename: "note.txt",
+        contentType: type
+      });
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp({
+      config: { files: { maxBytes: 16 } }
+    }));
+    owner = await signIn(app);
+    other = await signIn(app);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("requires a signed-in wallet", async () => {
+    const res = await request(app).get("/files");
+
+    expect(res.status).toBe(401);
+  });
+
+  describe("POST /files", () => {
+    it("stores the upload and its metadata", async () => {
+      const res = await upload(owner.token);
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        owner: owner.wallet.address.toLowerCase(),
+        originalName: "note.txt",
+        contentType: "text/plain",
+        size: 5,
+        sha256:
+          "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824"
+      });
+      expect(services.minioClient.objects.has(res.body.objectKey)).toBe(true);
+    });
+
+    it("rejects files over the size limit", async () => {
+      const res = await upload(owner.token, "x".repeat(17));
+
+      expect(res.status).toBe(413);
+    });
+
+    it("rejects disallowed content types", async () => {
+      const res = await upload(owner.token, "x", "application/x-msdownload");
+
+      expect(res.status).toBe(415);
+      expect(res.body.allowedTypes).toContain("text/plain");
+    });
+
+    it("requires a file field", async () => {
+      const res = await request(app)
+        .post("/files")
+        .set("Authorization", `Bearer ${owner.token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it("returns 500 when MinIO rejects the upload", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest
+        .spyOn(services.minioClient, "putObject")
+        .mockRejectedValue(new Error("SlowDown"));
+
+      const res = await upload(owner.token);
+
+      expect(res.status).toBe(500);
+      expect(res.body.detail).toBe("SlowDown");
+    });
+  });
+
+  describe("reading and deleting", () => {
+    let file;
+
+    beforeEach(async () => {
+      file = (await upload(owner.token)).body;
+    });
+
+    it("lists only the caller's files", async () => {
+      const mine = await request(app)
+        .get("/files")
+        .set("Authorization", `Bearer ${owner.token}`);
+      const theirs = await request(app)
+        .get("/files")
+        .set("Authorization", `Bearer ${other.token}`);
+
+      expect(mine.body.files.map((f) => f.id)).toEqual([file.id]);
+      expect(mine.body.pagination).toEqual({ limit: 20, offset: 0, total: 1 });
+      expect(theirs.body.files).toEqual([]);
+    });
+
+    it("returns metadata and a download URL to the owner", async () => {
+      const auth = { Authorization: `Bearer ${owner.token}` };
+
+      const meta = await request(app).get(`/files/${file.id}`).set(auth);
+      const url = await request(app).get(`/files/${file.id}/url`).set(auth);
+
+      expect(meta.body.id).toBe(file.id);
+      expect(url.body).toMatchObject({ method: "GET", expiresIn: 900 });
+      expect(url.body.url).toContain(file.objectKey);
+    });
+
+    it("forbids other wallets", async () => {
+      const res = await request(app)
+        .get(`/files/${file.id}`)
+        .set("Authorization", `Bearer ${other.token}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it("returns 404 for unknown or malformed ids", async () => {
+      const auth = { Authorization: `Bearer ${owner.token}` };
+
+      const unknown = await request(app)
+        .get("/files/ffffffffffffffffffffffff")
+        .set(auth);
+      const malformed = await request(app).get("/files/nope").set(auth);
+
+      expect(unknown.status).toBe(404);
+      expect(malformed.status).toBe(404);
+    });
+
+    it("deletes the object and its metadata", async () => {
+      const auth = { Authorization: `Bearer ${owner.token}` };
+
+      const res = await request(app).delete(`/files/${file.id}`).set(auth);
+      const after = await request(app).get(`/files/${file.id}`).set(auth);
+
+      expect(res.status).toBe(204);
+      expect(after.status).toBe(404);
+      expect(services.minioClient.objects.size).toBe(0);
+    });
+  });
+
+  describe("presigned uploads", () => {
+    const presign = (body) =>
+      request(app)
+        .post("/files/presign")
+        .set("Authorization", `Bearer ${owner.token}`)
+        .send(body);
+
+    const land = (file, content, type = file.contentType) =>
+      services.minioClient.putObject(
+        "dapp",
+        file.objectKey,
+        Buffer.from(content),
+        Buffer.byteLength(content),
+        { "Content-Type": type }
+      );
+
+    const complete = (file) =>
+      request(app)
+        .post(`/files/${file.id}/complete`)
+        .set("Authorization", `Bearer ${owner.token}`);
+
+    it("hands out an upload URL and completes once the object exists", async () => {
+      const { body } = await presign({
+        name: "report.pdf",
+        contentType: "application/pdf",
+        size: 10
+      });
+      expect(body).toMatchObject({ method: "POST", expiresIn: 900 });
+      expect(body.fields).toMatchObject({
+        key: body.file.objectKey,
+        "Content-Type": "application/pdf"
+      });
+      expect(body.file.status).toBe("pending");
+
+      const early = await request(app)
+        .post(`/files/${body.file.id}/complete`)
+        .set("Authorization", `Bearer ${owner.token}`);
+      expect(early.status).toBe(409);
+
+      await land(body.file, "%PDF-1.7");
+      const done = await complete(body.file);
+
+      expect(done.status).toBe(200);
+      expect(done.body).toMatchObject({ status: "stored", size: 8 });
+    });
+
+    it("binds the content type and size limit into the upload policy", async () => {
+      const policy = jest.spyOn(services.minioClient, "presignedPostPolicy");
+
+      await presign({ name: "a.png", contentType: "image/png" });
+
+      expect(policy.mock.calls[0][0].policy.conditions).toEqual(
+        expect.arrayContaining([
+          ["eq", "$Content-Type", "image/png"],
+          ["content-length-range", 1, 16]
+        ])
+      );
+    });
+
+    it("discards an upload stored with a different content type", async () => {
+      const { body } = await presign({
+        name: "a.png",
+        contentType: "image/png"
+      });
+      await land(body.file, "<script>", "text/html");
+
+      const res = await complete(body.file);
+
+      expect(res.status).toBe(415);
+      expect(services.minioClient.objects.size).toBe(0);
+      expect(services.File.docs.size).toBe(0);
+    });
+
+    it("sweeps pending uploads that were never completed", async () => {
+      const { body: stale } = await presign({
+        name: "a.txt",
+        contentType: "text/plain"
+      });
+      await land(stale.file, "hi");
+      const { body: fresh } = await presign({
+        name: "b.txt",
+        contentType: "text/plain"
+      });
+
+      services.File.docs.get(stale.file.id).expiresAt = new Date(0);
+      const removed = await services.pendingUploads.sweep();
+
+      expect(removed).toBe(1);
+      expect(services.minioClient.objects.size).toBe(0);
+      expect([...services.File.docs.keys()]).toEqual([fresh.file.id]);
+    });
+
+    it("discards a presigned upload over the size limit", async () => {
+      const { body } = await presign({
+        name: "big.pdf",
+        contentType: "application/pdf"
+      });
+      await land(body.file, "x".repeat(32));
+
+      const res = await complete(body.file);
+
+      expect(res.status).toBe(413);
+      expect(services.minioClient.objects.size).toBe(0);
+    });
+
+    it.each([
+      [{ contentType: "text/plain" }, 400],
+      [{ name: "a.exe", contentType: "application/x-msdownload" }, 415],
+      [{ name: "a.txt", contentType: "text/plain", size: 1000 }, 413]
+    ])("validates the request %#", async (body, status) => {
+      const res = await presign(body);
+
+      expect(res.status).toBe(status);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const request = require("supertest");
+const { createTestApp } = require("./support/testApp");
+
+describe("health & metrics", () => {
+  let app, services;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("reports liveness without touching dependencies", async () => {
+    jest.spyOn(services.pool, "query").mockRejectedValue(new Error("down"));
+
+    const res = await request(app).get("/health/live");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+  });
+
+  it("is ready when every dependency answers", async () => {
+    const res = await request(app).get("/health/ready");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+    expect(Object.keys(res.body.checks).sort()).toEqual([
+      "minio",
+      "mongo",
+      "postgres",
+      "redis",
+      "smtp"
+    ]);
+    for (const check of Object.values(res.body.checks)) {
+      expect(check.status).toBe("up");
+    }
+  });
+
+  it("serves the readiness report on /health too", async () => {
+    const res = await request(app).get("/health");
+
+    expect(res.status).toBe(200);
+    expect(res.body.checks.postgres.status).toBe("up");
+  });
+
+  it("returns 503 with the failing component when a dependency is down", async () => {
+    jest
+      .spyOn(services.pool, "query")
+      .mockRejectedValue(new Error("connection refused"));
+    services.mongo.readyState = 0;
+
+    const res = await request(app).get("/health/ready");
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe("unavailable");
+    expect(res.body.checks.postgres).toMatchObject({
+      status: "down",
+      error: "connection refused"
+    });
+    expect(res.body.checks.mongo.status).toBe("down");
+    expect(res.body.checks.redis.status).toBe("up");
+  });
+
+  it("marks a probe down when it exceeds the timeout", async () => {
+    ({ app, services } = await createTestApp({
+      config: { health: { timeoutMs: 20 } }
+    }));
+    jest
+      .spyOn(services.minioClient, "bucketExists")
+      .mockReturnValue(new Promise(() => {}));
+
+    const res = await request(app).get("/health/ready");
+
+    expect(res.status).toBe(503);
+    expect(res.body.checks.minio.error).toMatch(/Timed out/);
+  });
+
+  it("exposes Prometheus metrics", async () => {
+    await request(app).get("/ping");
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/plain/);
+    expect(res.text).toContain("http_request_duration_seconds_bucket");
+    expect(res.text).toContain('pg_pool_connections{state="total"}');
+  });
+});
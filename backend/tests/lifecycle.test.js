@@ -0,0 +1,77 @@
+const http = require("http");
+const express = require("express");
+const { drainServer } = require("../src/lifecycle");
+const { silent } = require("./support/testApp");
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+function get(port, path, agent) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ port, path, agent }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      })
+      .on("error", reject);
+  });
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+describe("drainServer", () => {
+  let app, release;
+
+  beforeEach(() => {
+    app = express();
+    app.get("/fast", (req, res) => res.send("fast"));
+    app.get("/slow", (req, res) => {
+      release = () => res.send("slow");
+    });
+  });
+
+  it("lets in-flight requests finish before closing", async () => {
+    const server = await listen(app);
+    const { port } = server.address();
+    const inFlight = get(port, "/slow");
+    await tick();
+
+    let closed = false;
+    const draining = drainServer(server, { logger: silent }).then(() => {
+      closed = true;
+    });
+    await expect(get(port, "/fast")).rejects.toThrow(/ECONNREFUSED/);
+    expect(closed).toBe(false);
+
+    release();
+    await expect(inFlight).resolves.toEqual({ status: 200, body: "slow" });
+    await draining;
+    expect(closed).toBe(true);
+  });
+
+  it("closes idle keep-alive connections straight away", async () => {
+    const server = await listen(app);
+    const agent = new http.Agent({ keepAlive: true });
+    await get(server.address().port, "/fast", agent);
+    const started = Date.now();
+
+    await drainServer(server, { timeoutMs: 5000, logger: silent });
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    agent.destroy();
+  });
+
+  it("cuts off requests still open after the timeout", async () => {
+    const server = await listen(app);
+    const inFlight = get(server.address().port, "/slow");
+    await tick();
+
+    await drainServer(server, { timeoutMs: 50, logger: silent });
+
+    await expect(inFlight).rejects.toThrow(/socket hang up/);
+  });
+});
@@ -0,0 +1,202 @@
+const { ethers } = require("ethers");
+const { createLockIndexer } = require("../src/indexer/lockIndexer");
+const lockAbi = require("../src/contracts/lockAbi");
+const { createTestPool, silent } = require("./support/testApp");
+
+const iface = new ethers.Interface([
+  ...lockAbi,
+  "event LockCreated(address indexed lock, address indexed owner, uint unlockTime, uint amount)",
+  "event TokenLockCreated(address indexed lock, address indexed owner, address indexed token, uint unlockTime, uint amount)",
+  "function lockCount() view returns (uint)",
+  "function lockAt(uint index) view returns (address)"
+]);
+
+const FACTORY = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+const OLD_LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const NEW_LOCK = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const STRANGER = "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9";
+const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const TOKEN = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+// A chain of `head` blocks whose logs are filtered the way eth_getLogs
+// filters them. `locks` is what the factory's lockAt() returns.
+function createFakeChain({ head = 10, locks = [] } = {}) {
+  const logs = [];
+  const blockHash = (number) => ethers.zeroPadValue(ethers.toBeHex(number), 32);
+  const emit = (address, signature, args, blockNumber) => {
+    const { topics, data } = iface.encodeEventLog(signature, args);
+    logs.push({
+      address,
+      topics,
+      data,
+      blockNumber,
+      blockHash: blockHash(blockNumber),
+      transactionHash: ethers.id(`tx-${logs.length}`),
+      index: 0
+    });
+  };
+  const matches = (filter, log) =>
+    (filter.address === undefined ||
+      [filter.address]
+        .flat()
+        .some((item) => item.toLowerCase() === log.address.toLowerCase())) &&
+    filter.topics[0].includes(log.topics[0]) &&
+    log.blockNumber >= filter.fromBlock &&
+    log.blockNumber <= filter.toBlock;
+
+  const provider = {
+    getLogsCalls: [],
+    getNetwork: async () => ({ chainId: 31337n }),
+    getBlockNumber: async () => head,
+    getBlock: async (number) => ({
+      number,
+      hash: blockHash(number),
+      timestamp: 1_700_000_000 + number
+    }),
+    getLogs: async (filter) => {
+      provider.getLogsCalls.push(filter);
+      return logs.filter((log) => matches(filter, log));
+    },
+    call: async ({ data }) => {
+      const fragment = iface.getFunction(data.slice(0, 10));
+      const args = iface.decodeFunctionData(fragment, data);
+      const value =
+        fragment.name === "lockCount" ? locks.length : locks[Number(args[0])];
+      return iface.encodeFunctionResult(fragment, [value]);
+    }
+  };
+  return { provider, emit };
+}
+
+const indexedAddresses = async (pool) =>
+  (
+    await pool.query(
+      "SELECT DISTINCT contract_address FROM lock_events ORDER BY contract_address"
+    )
+  ).rows.map((row) => row.contract_address);
+
+describe("lockIndexer", () => {
+  let pool;
+
+  beforeEach(async () => {
+    pool = await createTestPool();
+  });
+
+  it("refuses to start without addresses or a factory", () => {
+    expect(() =>
+      createLockIndexer({ pool, provider: {}, logger: silent })
+    ).toThrow("lockIndexer needs addresses or a factory to follow");
+  });
+
+  it("follows the factory's existing and newly created locks only", async () => {
+    const { provider, emit } = createFakeChain({ locks: [OLD_LOCK] });
+    emit(OLD_LOCK, "Withdrawal(uint256,uint256)", [1000n, 1n], 2);
+    emit(FACTORY, "LockCreated", [NEW_LOCK, OWNER, 1n, 5n], 4);
+    emit(NEW_LOCK, "Deposit(address,uint256)", [OWNER, 5n], 4);
+    emit(STRANGER, "Withdrawal(uint256,uint256)", [1000n, 1n], 5);
+    const indexer = createLockIndexer({
+      pool,
+      provider,
+      factory: FACTORY,
+      logger: silent
+    });
+
+    await indexer.syncOnce();
+
+    expect(await indexedAddresses(pool)).toEqual([
+      OLD_LOCK.toLowerCase(),
+      NEW_LOCK.toLowerCase()
+    ]);
+    expect(provider.getLogsCalls.every((filter) => filter.address)).toBe(true);
+  });
+
+  it("indexes TokenLock and VestingLock events", async () => {
+    const { provider, emit } = createFakeChain();
+    emit(FACTORY, "TokenLockCreated", [NEW_LOCK, OWNER, TOKEN, 1n, 5n], 2);
+    emit(NEW_LOCK, "Deposit(address,address,uint256)", [TOKEN, OWNER, 5n], 2);
+    emit(NEW_LOCK, "Withdrawal(address,uint256,uint256)", [TOKEN, 5n, 9n], 3);
+    emit(OLD_LOCK, "Released(uint256,uint256)", [7n, 9n], 4);
+    const indexer = createLockIndexer({
+      pool,
+      provider,
+      factory: FACTORY,
+      addresses: [OLD_LOCK],
+      logger: silent
+    });
+
+    expect(await indexer.syncOnce()).toMatchObject({ events: 3 });
+
+    const { rows } = await pool.query(
+      `SELECT contract_address, event_name, args FROM lock_events
+       ORDER BY block_number`
+    );
+    expect(rows).toEqual([
+      {
+        contract_address: NEW_LOCK.toLowerCase(),
+        event_name: "Deposit",
+        args: { token: TOKEN, from: OWNER, amount: "5" }
+      },
+      {
+        contract_address: NEW_LOCK.toLowerCase(),
+        event_name: "Withdrawal",
+        args: { token: TOKEN, amount: "5", when: "9" }
+      },
+      {
+        contract_address: OLD_LOCK.toLowerCase(),
+        event_name: "Released",
+        args: { amount: "7", when: "9" }
+      }
+    ]);
+  });
+
+  it("doesn't query lock events before the factory has made any", async () => {
+    const { provider, emit } = createFakeChain();
+    emit(STRANGER, "Withdrawal(uint256,uint256)", [1000n, 1n], 5);
+    const indexer = createLockIndexer({
+      pool,
+      provider,
+      factory: FACTORY,
+      logger: silent
+    });
+
+    expect(await indexer.syncOnce()).toMatchObject({ events: 0 });
+    expect(provider.getLogsCalls).toEqual([
+      expect.objectContaining({ address: FACTORY })
+    ]);
+  });
+
+  it("indexes only the configured addresses", async () => {
+    const { provider, emit } = createFakeChain();
+    emit(OLD_LOCK, "Withdrawal(uint256,uint256)", [1000n, 1n], 2);
+    emit(STRANGER, "Withdrawal(uint256,uint256)", [1000n, 1n], 5);
+    const indexer = createLockIndexer({
+      pool,
+      provider,
+      addresses: [OLD_LOCK],
+      logger: silent
+    });
+
+    await indexer.syncOnce();
+
+    expect(await indexedAddresses(pool)).toEqual([OLD_LOCK.toLowerCase()]);
+  });
+
+  it("indexes every contract when asked to", async () => {
+    const { provider, emit } = createFakeChain();
+    emit(OLD_LOCK, "Withdrawal(uint256,uint256)", [1000n, 1n], 2);
+    emit(STRANGER, "Withdrawal(uint256,uint256)", [1000n, 1n], 5);
+    const indexer = createLockIndexer({
+      pool,
+      provider,
+      allAddresses: true,
+      logger: silent
+    });
+
+    await indexer.syncOnce();
+
+    expect(await indexedAddresses(pool)).toEqual([
+      OLD_LOCK.toLowerCase(),
+      STRANGER.toLowerCase()
+    ]);
+  });
+});
@@ -0,0 +1,178 @@
+const { ethers } = require("ethers");
+const RedisMock = require("ioredis-mock");
+const { createLockReader } = require("../src/contracts/lockReader");
+const lockAbi = require("../src/contracts/lockAbi");
+
+const abi = new ethers.Interface([
+  ...lockAbi,
+  "function balanceOf(address owner) view returns (uint)"
+]);
+
+const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const TOKEN = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const NOW = 1_800_000_000;
+
+// Answers eth_call from `contracts` (address → view name → value or
+// function of the call's arguments). Views a contract lacks revert.
+function createFakeProvider(contracts, balances = {}) {
+  const lookup = (address) => contracts[address.toLowerCase()];
+  return {
+    getNetwork: async () => ({ chainId: 31337n }),
+    getCode: async (address) => (lookup(address) ? "0x6080" : "0x"),
+    getBlock: async () => ({ number: 10, timestamp: NOW }),
+    getBalance: async (address) => balances[address.toLowerCase()] || 0n,
+    call: async ({ to, data }) => {
+      const fragment = abi.getFunction(data.slice(0, 10));
+      const views = lookup(to) || {};
+      if (!(fragment.name in views)) {
+        const err = new Error("execution reverted");
+        err.code = "CALL_EXCEPTION";
+        throw err;
+      }
+      const view = views[fragment.name];
+      const value =
+        typeof view === "function"
+          ? view(...abi.decodeFunctionData(fragment, data))
+          : view;
+      return abi.encodeFunctionResult(fragment, [value]);
+    }
+  };
+}
+
+const readerFor = (contracts, balances) =>
+  createLockReader({
+    provider: createFakeProvider(contracts, balances),
+    redis: new RedisMock({ host: `lock-reader-${Math.random()}` }),
+    logger: { error() {} }
+  });
+
+describe("lockReader", () => {
+  describe("TokenLock", () => {
+    const tokenLock = { unlockTime: NOW - 60, owner: OWNER, token: TOKEN };
+    const tokenWith = (amount) => ({
+      balanceOf: (holder) =>
+        holder.toLowerCase() === LOCK.toLowerCase() ? amount : 0n
+    });
+
+    it("reports a funded lock past its unlock time as unlocked", async () => {
+      const reader = readerFor(
+        {
+          [LOCK.toLowerCase()]: tokenLock,
+          [TOKEN.toLowerCase()]: tokenWith(500n)
+        },
+        // The lock holds no ETH at all.
+        {}
+      );
+
+      const lock = await reader.getLock(LOCK);
+
+      expect(lock).toMatchObject({
+        token: TOKEN,
+        balance: "500",
+        status: "unlocked"
+      });
+    });
+
+    it("reports an emptied lock as withdrawn", async () => {
+      const reader = readerFor(
+        {
+          [LOCK.toLowerCase()]: tokenLock,
+          [TOKEN.toLowerCase()]: tokenWith(0n)
+        },
+        { [LOCK.toLowerCase()]: 1n }
+      );
+
+      expect((await reader.getLock(LOCK)).status).toBe("withdrawn");
+    });
+  });
+
+  it("reads an ETH lock's balance", async () => {
+    const reader = readerFor(
+      { [LOCK.toLowerCase()]: { unlockTime: NOW + 60, owner: OWNER } },
+      { [LOCK.toLowerCase()]: 10n ** 18n }
+    );
+
+    expect(await reader.getLock(LOCK)).toMatchObject({
+      token: null,
+      balance: "1000000000000000000",
+      unlockTime: NOW + 60,
+      status: "locked"
+    });
+  });
+
+  it("uses a VestingLock's end() as its unlock time", async () => {
+    const reader = readerFor(
+      { [LOCK.toLowerCase()]: { end: NOW - 1, owner: OWNER } },
+      { [LOCK.toLowerCase()]: 3n }
+    );
+
+    expect(await reader.getLock(LOCK)).toMatchObject({
+      unlockTime: NOW - 1,
+      status: "unlocked"
+    });
+  });
+
+  it("doesn't mistake an RPC failure for a missing view", async () => {
+    const provider = createFakeProvider({
+      [LOCK.toLowerCase()]: { unlockTime: NOW, owner: OWNER }
+    });
+    const call = provider.call;
+    provider.call = async (tx) => {
+      if (abi.getFunction(tx.data.slice(0, 10)).name === "token") {
+        throw Object.assign(new Error("socket hang up"), {
+          code: "ECONNRESET"
+        });
+      }
+      return call(tx);
+    };
+    const reader = createLockReader({
+      provider,
+      redis: new RedisMock({ host: "lock-reader-rpc-failure" }),
+      logger: { error() {} }
+    });
+
+    await expect(reader.getLock(LOCK)).rejects.toThrow("socket hang up");
+  });
+
+  describe("onBlock", () => {
+    const events = new ethers.Interface(lockAbi);
+    const logFor = (signature, args) => ({
+      address: LOCK,
+      ...events.encodeEventLog(events.getEvent(signature), args)
+    });
+
+    it.each([
+      [
+        "a TokenLock deposit",
+        "Deposit(address,address,uint256)",
+        [TOKEN, OWNER, 5n]
+      ],
+      [
+        "a TokenLock withdrawal",
+        "Withdrawal(address,uint256,uint256)",
+        [TOKEN, 5n, NOW]
+      ],
+      ["a VestingLock release", "Released(uint256,uint256)", [5n, NOW]]
+    ])("drops the cached lock after %s", async (_, signature, args) => {
+      const provider = createFakeProvider(
+        { [LOCK.toLowerCase()]: { unlockTime: NOW - 60, owner: OWNER } },
+        { [LOCK.toLowerCase()]: 5n }
+      );
+      const log = logFor(signature, args);
+      // Answers like eth_getLogs: only logs whose topic was asked for.
+      provider.getLogs = async ({ topics }) =>
+        topics[0].includes(log.topics[0]) ? [log] : [];
+      const reader = createLockReader({
+        provider,
+        redis: new RedisMock({ host: `lock-reader-${signature}` }),
+        logger: { error() {} }
+      });
+      await reader.getLock(LOCK);
+
+      await reader.onBlock(11);
+
+      expect((await reader.getLock(LOCK)).cached).toBe(false);
+    });
+  });
+});
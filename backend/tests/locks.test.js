@@ -0,0 +1,134 @@
+const request = require("supertest");
+const { createTestApp } = require("./support/testApp");
+
+const LOCK_A = "0x5fbdb2315678afecb367f032d93f642f64180aa3";
+const LOCK_B = "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512";
+
+async function insertEvent(pool, event) {
+  await pool.query(
+    `INSERT INTO lock_events (chain_id, contract_address, event_name, args,
+       block_number, block_hash, block_timestamp, tx_hash, log_index)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      event.chainId || 31337,
+      event.address,
+      event.name || "Withdrawal",
+      JSON.stringify(event.args || { amount: "1000", when: "1700000000" }),
+      event.block,
+      `0xblock${event.block}`,
+      new Date(1700000000000 + event.block * 1000),
+      `0xtx${event.block}`,
+      event.logIndex || 0
+    ]
+  );
+}
+
+describe("/locks", () => {
+  let app, services;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+    await insertEvent(services.pool, { address: LOCK_A, block: 10 });
+    await insertEvent(services.pool, { address: LOCK_A, block: 12 });
+    await insertEvent(services.pool, {
+      address: LOCK_A,
+      block: 15,
+      chainId: 1
+    });
+    await insertEvent(services.pool, { address: LOCK_B, block: 20 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("lists every indexed lock, most recently active first", async () => {
+    const res = await request(app).get("/locks");
+
+    expect(res.status).toBe(200);
+    expect(res.body.locks).toEqual([
+      {
+        chainId: 31337,
+        address: LOCK_B,
+        eventCount: 1,
+        firstBlock: 20,
+        lastBlock: 20
+      },
+      {
+        chainId: 1,
+        address: LOCK_A,
+        eventCount: 1,
+        firstBlock: 15,
+        lastBlock: 15
+      },
+      {
+        chainId: 31337,
+        address: LOCK_A,
+        eventCount: 2,
+        firstBlock: 10,
+        lastBlock: 12
+      }
+    ]);
+  });
+
+  it("returns a lock's events newest first with pagination", async () => {
+    const res = await request(app).get(
+      `/locks/${LOCK_A.toUpperCase().replace("0X", "0x")}/events?limit=2`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.address).toBe("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+    expect(res.body.events.map((e) => e.blockNumber)).toEqual([15, 12]);
+    expect(res.body.events[0]).toMatchObject({
+      event: "Withdrawal",
+      args: { amount: "1000", when: "1700000000" },
+      txHash: "0xtx15",
+      logIndex: 0
+    });
+    expect(res.body.pagination).toEqual({ limit: 2, offset: 0, total: 3 });
+  });
+
+  it("filters by chain and block range", async () => {
+    const res = await request(app).get(
+      `/locks/${LOCK_A}/events?chainId=31337&fromBlock=11&toBlock=20`
+    );
+
+    expect(res.body.events.map((e) => e.blockNumber)).toEqual([12]);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it("filters by event name", async () => {
+    const res = await request(app).get(`/locks/${LOCK_A}/events?event=Deposit`);
+
+    expect(res.body.events).toEqual([]);
+  });
+
+  it("rejects a repeated event filter", async () => {
+    const res = await request(app).get(
+      `/locks/${LOCK_A}/events?event=Deposit&event=Withdrawal`
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("`event` must be given once");
+  });
+
+  it("rejects an invalid address", async () => {
+    const res = await request(app).get("/locks/0x1234/events");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Invalid contract address");
+  });
+
+  it("returns 500 when Postgres fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(services.pool, "query")
+      .mockRejectedValue(new Error("relation does not exist"));
+
+    const list = await request(app).get("/locks");
+    const events = await request(app).get(`/locks/${LOCK_A}/events`);
+
+    expect(list.status).toBe(500);
+    expect(list.body.error).toBe("Failed to list locks");
+    expect(events.status).toBe(500);
+    expect(events.body.detail).toBe("relation does not exist");
+  });
+});
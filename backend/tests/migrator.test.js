@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMigrator } = require("../src/db/migrator");
+const { run, USAGE } = require("../src/db/migrate");
+const { createTestPool, silent } = require("./support/testApp");
+
+const MIGRATIONS = {
+  "20260101000000_create_widgets.js": `
+    exports.up = (db) => db.query("CREATE TABLE widgets (id INTEGER PRIMARY KEY)");
+    exports.down = (db) => db.query("DROP TABLE widgets");
+  `,
+  "20260102000000_add_widget_name.js": `
+    exports.up = (db) => db.query("ALTER TABLE widgets ADD COLUMN name TEXT");
+    exports.down = (db) => db.query("ALTER TABLE widgets DROP COLUMN name");
+  `
+};
+
+// A fresh directory holding `migrations` (file name → source).
+function createMigrationsDir(migrations = MIGRATIONS) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  for (const [file, source] of Object.entries(migrations)) {
+    fs.writeFileSync(path.join(dir, file), source);
+  }
+  return dir;
+}
+
+const tableExists = async (pool, table) =>
+  (
+    await pool.query(
+      `SELECT table_name FROM information_schema.tables
+       WHERE table_name = $1`,
+      [table]
+    )
+  ).rows.length > 0;
+
+describe("migrator", () => {
+  let pool, dir, migrator;
+
+  beforeEach(async () => {
+    pool = await createTestPool({ migrate: false });
+    dir = createMigrationsDir();
+    migrator = createMigrator({ pool, dir, logger: silent });
+  });
+
+  describe("status", () => {
+    it("lists every migration as pending on a new database", async () => {
+      expect(await migrator.status()).toEqual([
+        expect.objectContaining({ version: "20260101000000", appliedAt: null }),
+        expect.objectContaining({ version: "20260102000000", appliedAt: null })
+      ]);
+    });
+
+    it("reports when each applied migration ran", async () => {
+      await migrator.up({ to: "20260101000000" });
+
+      const [first, second] = await migrator.status();
+
+      expect(first).toMatchObject({ name: "create_widgets" });
+      expect(first.appliedAt).toBeInstanceOf(Date);
+      expect(second.appliedAt).toBe(null);
+    });
+  });
+
+  describe("down", () => {
+    beforeEach(() => migrator.up());
+
+    it("rolls back the latest migration by default", async () => {
+      const reverted = await migrator.down();
+
+      expect(reverted.map((m) => m.name)).toEqual(["add_widget_name"]);
+      expect((await migrator.status())[1].appliedAt).toBe(null);
+      expect(await tableExists(pool, "widgets")).toBe(true);
+    });
+
+    it("rolls back `count` migrations, newest first", async () => {
+      const reverted = await migrator.down({ count: 5 });
+
+      expect(reverted.map((m) => m.name)).toEqual([
+        "add_widget_name",
+        "create_widgets"
+      ]);
+      expect(await tableExists(pool, "widgets")).toBe(false);
+    });
+
+    it("refuses when an applied migration is missing on disk", async () => {
+      fs.rmSync(path.join(dir, "20260102000000_add_widget_name.js"));
+
+      await expect(migrator.down()).rejects.toThrow(
+        "Applied migrations missing on disk: 20260102000000"
+      );
+    });
+  });
+
+  describe("create", () => {
+    it("scaffolds a timestamped migration from the name", () => {
+      const file = migrator.create("Add Users table!");
+
+      expect(path.dirname(file)).toBe(dir);
+      expect(path.basename(file)).toMatch(/^\d{14}_add_users_table\.js$/);
+      const mod = require(file);
+      expect(typeof mod.up).toBe("function");
+      expect(typeof mod.down).toBe("function");
+    });
+
+    it("requires a name", () => {
+      expect(() => migrator.create("  ")).toThrow(
+        "A migration name is required"
+      );
+    });
+  });
+
+  it("rolls the repo's own migrations all the way back", async () => {
+    const real = createMigrator({ pool, logger: silent });
+    const applied = await real.up();
+
+    await real.down({ count: applied.length });
+
+    for (const table of ["lock_events", "relay_requests", "api_keys"]) {
+      expect(await tableExists(pool, table)).toBe(false);
+    }
+    expect((await real.status()).every((m) => m.appliedAt === null)).toBe(true);
+  });
+});
+
+describe("migrate CLI", () => {
+  let pool, dir, output, logger;
+
+  beforeEach(async () => {
+    pool = await createTestPool({ migrate: false });
+    dir = createMigrationsDir();
+    output = [];
+    logger = { log: (line) => output.push(line), warn() {}, error() {} };
+  });
+
+  const cli = (...args) => run(args, { getPool: () => pool, dir, logger });
+
+  it("applies pending migrations with up", async () => {
+    expect(await cli("up")).toBe(0);
+
+    expect(output).toContain("✅ Applied 2 migration(s)");
+    expect(await tableExists(pool, "widgets")).toBe(true);
+  });
+
+  it("prints each migration's state with status", async () => {
+    await cli("up", "20260101000000");
+    output = [];
+
+    await cli("status");
+
+    expect(output).toEqual([
+      expect.stringMatching(/^✔ 20260101000000_create_widgets {2}applied /),
+      "• 20260102000000_add_widget_name  pending"
+    ]);
+  });
+
+  it("rolls back with down", async () => {
+    await cli("up");
+
+    await cli("down", "2");
+
+    expect(output).toContain("✅ Rolled back 2 migration(s)");
+    expect(await tableExists(pool, "widgets")).toBe(false);
+  });
+
+  it("rejects a count that isn't a positive number", async () => {
+    await expect(cli("down", "all")).rejects.toThrow("Invalid count: all");
+  });
+
+  it("creates a migration file without touching the database", async () => {
+    const getPool = jest.fn();
+
+    await run(["create", "add_gadgets"], { getPool, dir, logger });
+
+    expect(getPool).not.toHaveBeenCalled();
+    expect(fs.readdirSync(dir)).toContainEqual(
+      expect.stringMatching(/^\d{14}_add_gadgets\.js$/)
+    );
+  });
+
+  it.each([
+    [[], 0],
+    [["sideways"], 1]
+  ])("prints usage for %j and exits with %i", async (args, code) => {
+    expect(await cli(...args)).toBe(code);
+
+    expect(output).toEqual([USAGE]);
+  });
+});
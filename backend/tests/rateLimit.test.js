@@ -0,0 +1,158 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const { ethers } = require("ethers");
+const { createTestApp, signIn } = require("./support/testApp");
+
+describe("rate limiting", () => {
+  let app, config, services;
+
+  beforeEach(async () => {
+    ({ app, config, services } = await createTestApp({
+      config: {
+        rateLimit: { enabled: true, ip: 2, wallet: 4, apiKey: 5, emailIp: 1 }
+      }
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("sends RateLimit headers and rejects over the limit", async () => {
+    const first = await request(app).get("/ping");
+    await request(app).get("/ping");
+    const blocked = await request(app).get("/ping");
+
+    expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+    expect(first.headers["ratelimit-limit"]).toBe("2");
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect(Number(first.headers["ratelimit-reset"])).toBeLessThanOrEqual(60);
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers["ratelimit-remaining"]).toBe("0");
+    expect(blocked.headers["retry-after"]).toBeDefined();
+    expect(blocked.body.error).toBe("Too many requests");
+  });
+
+  it("counts a signed-in wallet separately from its IP", async () => {
+    // Signing in spends the IP's allowance (nonce + verify).
+    const { token } = await signIn(app);
+
+    const res = await request(app)
+      .get("/auth/me")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBe("4");
+    expect((await request(app).get("/ping")).status).toBe(429);
+  });
+
+  it("also counts wallet requests against their IP", async () => {
+    // Fresh wallets each time: only the IP ties the requests together.
+    const asNewWallet = () =>
+      request(app)
+        .get("/ping")
+        .set(
+          "Authorization",
+          `Bearer ${jwt.sign(
+            { sub: ethers.Wallet.createRandom().address },
+            config.auth.secret
+          )}`
+        );
+
+    for (let i = 0; i < 4; i++) expect((await asNewWallet()).status).toBe(200);
+    const blocked = await asNewWallet();
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers["ratelimit-limit"]).toBe("4");
+    expect(blocked.body.detail).toBe("Limit of 4 per 60s reached for this ip");
+  });
+
+  it("caps an API key at its own limit", async () => {
+    const { token } = await signIn(app);
+    const { body } = await request(app)
+      .post("/api-keys")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "ci", rateLimit: 1 });
+
+    const ok = await request(app).get("/ping").set("X-API-Key", body.key);
+    const blocked = await request(app).get("/ping").set("X-API-Key", body.key);
+
+    expect(ok.headers["ratelimit-limit"]).toBe("1");
+    expect(ok.status).toBe(200);
+    expect(blocked.status).toBe(429);
+  });
+
+  it("applies the stricter email policy to sends", async () => {
+    const send = () =>
+      request(app).post("/email/send").send({
+        to: "a@example.com",
+        template: "test",
+        variables: {}
+      });
+
+    await send();
+    const res = await send();
+
+    expect(res.status).toBe(429);
+    expect(res.body.detail).toMatch(/per 3600s/);
+  });
+
+  it("leaves health checks and metrics unlimited", async () => {
+    for (let i = 0; i < 3; i++) await request(app).get("/health/live");
+
+    const res = await request(app).get("/health/live");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBeUndefined();
+  });
+
+  it("lets requests through when Redis is down", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(services.redis, "eval").mockRejectedValue(new Error("down"));
+
+    for (let i = 0; i < 3; i++) {
+      expect((await request(app).get("/ping")).status).toBe(200);
+    }
+  });
+
+  it("is off under NODE_ENV=test by default", async () => {
+    ({ app } = await createTestApp());
+
+    for (let i = 0; i < 3; i++) await request(app).get("/ping");
+    const res = await request(app).get("/ping");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBeUndefined();
+  });
+});
+
+describe("CORS", () => {
+  it("allows the configured origins only", async () => {
+    const { app } = await createTestApp({
+      config: { server: { corsOrigins: ["https://dapp.example"] } }
+    });
+
+    const allowed = await request(app)
+      .get("/ping")
+      .set("Origin", "https://dapp.example");
+    const denied = await request(app)
+      .get("/ping")
+      .set("Origin", "https://evil.example");
+
+    expect(allowed.headers["access-control-allow-origin"]).toBe(
+      "https://dapp.example"
+    );
+    expect(allowed.headers["access-control-expose-headers"]).toContain(
+      "RateLimit-Remaining"
+    );
+    expect(denied.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+
+  it("accepts * for any origin", async () => {
+    const { app } = await createTestApp({
+      config: { server: { corsOrigins: ["*"] } }
+    });
+
+    const res = await request(app).get("/ping").set("Origin", "https://x.io");
+
+    expect(res.headers["access-control-allow-origin"]).toBe("*");
+  });
+});
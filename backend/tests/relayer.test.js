@@ -0,0 +1,348 @@
+const request = require("supertest");
+const { ethers } = require("ethers");
+const { createTestApp, createTestRelayerChain } = require("./support/testApp");
+const { WITHDRAW_TYPES, withdrawDomain } = require("../src/relayer/relayer");
+
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const MISSING = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const sign = (wallet, { lock = LOCK, owner, nonce = 0, deadline }) =>
+  wallet.signTypedData(withdrawDomain(31337, lock), WITHDRAW_TYPES, {
+    owner: owner || wallet.address,
+    nonce,
+    deadline
+  });
+
+describe("/relayer", () => {
+  let app, chain, owner, lockState;
+
+  beforeEach(async () => {
+    owner = ethers.Wallet.createRandom();
+    lockState = { owner: owner.address, unlockTime: now() - 60 };
+    chain = createTestRelayerChain({ [LOCK.toLowerCase()]: lockState });
+    ({ app } = await createTestApp({ relayerChain: chain }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const payload = async (overrides = {}) => {
+    const deadline = overrides.deadline || now() + 600;
+    return {
+      lock: LOCK,
+      deadline,
+      nonce: "0",
+      signature: await sign(owner, { deadline }),
+      ...overrides
+    };
+  };
+
+  describe("GET /relayer", () => {
+    it("reports the relayer's address and chain", async () => {
+      const res = await request(app).get("/relayer");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        enabled: true,
+        address: chain.address,
+        chainId: 31337
+      });
+    });
+
+    it("reports when no relayer key is configured", async () => {
+      ({ app } = await createTestApp());
+
+      const res = await request(app).get("/relayer");
+
+      expect(res.body).toEqual({ enabled: false });
+    });
+  });
+
+  describe("POST /relayer/withdrawals", () => {
+    it("submits a valid signed withdrawal", async () => {
+      const body = await payload();
+
+      const res = await request(app).post("/relayer/withdrawals").send(body);
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({
+        lock: LOCK,
+        owner: owner.address,
+        nonce: "0",
+        deadline: body.deadline,
+        status: "submitted",
+        txHash: chain.sent[0].hash
+      });
+      expect(chain.sent).toHaveLength(1);
+      expect(chain.sent[0]).toMatchObject({
+        lock: LOCK,
+        deadline: body.deadline,
+        nonce: "0",
+        signature: body.signature
+      });
+    });
+
+    it("returns the existing request when the same payload is re-sent", async () => {
+      const body = await payload();
+      const first = await request(app).post("/relayer/withdrawals").send(body);
+
+      const res = await request(app).post("/relayer/withdrawals").send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(first.body.id);
+      expect(chain.sent).toHaveLength(1);
+    });
+
+    it("sends the transaction with the configured gas limit", async () => {
+      await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(chain.sent[0].gasLimit).toBe(150000);
+    });
+
+    it("relays identical submits arriving together only once", async () => {
+      const body = await payload();
+
+      const responses = await Promise.all([
+        request(app).post("/relayer/withdrawals").send(body),
+        request(app).post("/relayer/withdrawals").send(body)
+      ]);
+
+      expect(responses.map((res) => res.status).sort()).toEqual([200, 202]);
+      expect(responses[0].body.id).toBe(responses[1].body.id);
+      expect(chain.sent).toHaveLength(1);
+    });
+
+    it("rejects a contract the LockFactory didn't create", async () => {
+      lockState.unknown = true;
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe(
+        "Only locks from this chain's LockFactory can be relayed"
+      );
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it("rejects a withdrawal that needs more gas than the cap", async () => {
+      lockState.gas = 5000000n;
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe(
+        "Withdrawal needs 5000000 gas; the relayer pays for at most 150000"
+      );
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it("rejects a withdrawal that would revert", async () => {
+      lockState.gas = Object.assign(new Error("execution reverted"), {
+        code: "CALL_EXCEPTION"
+      });
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe("Withdrawal would revert");
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it("rejects a signature from someone other than the owner", async () => {
+      const deadline = now() + 600;
+      const signature = await sign(ethers.Wallet.createRandom(), {
+        owner: owner.address,
+        deadline
+      });
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload({ deadline, signature }));
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe("Signature is not from the lock's owner");
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it("rejects a signature for different values", async () => {
+      const body = await payload();
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send({ ...body, deadline: body.deadline + 1 });
+
+      expect(res.status).toBe(422);
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it("rejects a malformed signature", async () => {
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload({ signature: "0x1234" }));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Malformed signature");
+    });
+
+    it("rejects a nonce the lock has already used", async () => {
+      lockState.nonce = 1n;
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/next nonce is 1/);
+    });
+
+    it("rejects an expired signature", async () => {
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload({ deadline: now() - 10 }));
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe("Signature has expired");
+    });
+
+    it("rejects a lock that is still locked", async () => {
+      lockState.unlockTime = now() + 3600;
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe("Lock is still locked");
+    });
+
+    it("rejects a lock that has already been withdrawn", async () => {
+      lockState.balance = 0n;
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(422);
+      expect(res.body.error).toBe("Lock has already been withdrawn");
+    });
+
+    it("returns 404 when there is no contract at the address", async () => {
+      const deadline = now() + 600;
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send({
+          lock: MISSING,
+          deadline,
+          nonce: "0",
+          signature: await sign(owner, { lock: MISSING, deadline })
+        });
+
+      expect(res.status).toBe(404);
+    });
+
+    it.each([
+      [{ lock: "0x123" }, "Invalid lock address"],
+      [{ deadline: "soon" }, "deadline must be a unix timestamp in seconds"],
+      [{ nonce: -1 }, "nonce must be a non-negative integer"],
+      [{ signature: 42 }, "signature must be a 0x-prefixed hex string"]
+    ])("validates the payload (%o)", async (override, error) => {
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send({ ...(await payload()), ...override });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    });
+
+    it("returns 502 when the transaction can't be sent", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      jest
+        .spyOn(chain, "sendWithdraw")
+        .mockRejectedValue(new Error("insufficient funds"));
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(502);
+      expect(res.body.detail).toBe("insufficient funds");
+    });
+
+    it("returns 503 when no relayer key is configured", async () => {
+      ({ app } = await createTestApp());
+
+      const res = await request(app)
+        .post("/relayer/withdrawals")
+        .send(await payload());
+
+      expect(res.status).toBe(503);
+    });
+  });
+
+  describe("GET /relayer/withdrawals/:id", () => {
+    const submit = async () =>
+      (
+        await request(app)
+          .post("/relayer/withdrawals")
+          .send(await payload())
+      ).body;
+
+    it("tracks a request until it is confirmed", async () => {
+      const { id } = await submit();
+
+      const pending = await request(app).get(`/relayer/withdrawals/${id}`);
+      expect(pending.body.status).toBe("submitted");
+
+      chain.sent[0].mine();
+      const res = await request(app).get(`/relayer/withdrawals/${id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        id,
+        status: "confirmed",
+        blockNumber: 101,
+        error: null
+      });
+    });
+
+    it("marks a reverted transaction as failed", async () => {
+      const { id } = await submit();
+
+      chain.sent[0].mine(0);
+      const res = await request(app).get(`/relayer/withdrawals/${id}`);
+
+      expect(res.body).toMatchObject({
+        status: "failed",
+        error: "Transaction reverted"
+      });
+    });
+
+    it("relays again once an earlier attempt has failed", async () => {
+      const { id } = await submit();
+      chain.sent[0].mine(0);
+      await request(app).get(`/relayer/withdrawals/${id}`);
+
+      const retry = await submit();
+
+      expect(retry.id).not.toBe(id);
+      expect(chain.sent).toHaveLength(2);
+    });
+
+    it("returns 404 for an unknown request", async () => {
+      const res = await request(app).get(
+        "/relayer/withdrawals/00000000-0000-4000-8000-000000000000"
+      );
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const request = require("supertest");
+const { createTestApp, signIn } = require("./support/testApp");
+
+describe("status routes", () => {
+  let app, services;
+
+  beforeEach(async () => {
+    ({ app, services } = await createTestApp());
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("GET /ping answers pong", async () => {
+    const res = await request(app).get("/ping");
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe("pong");
+  });
+
+  describe("GET /mongo-status", () => {
+    it("returns database stats", async () => {
+      const res = await request(app).get("/mongo-status");
+
+      expect(res.status).toBe(200);
+      expect(res.body.ok).toBe(1);
+    });
+
+    it("returns 503 when Mongo is unreachable", async () => {
+      jest
+        .spyOn(services.mongo.db, "stats")
+        .mockRejectedValue(new Error("topology closed"));
+
+      const res = await request(app).get("/mongo-status");
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual({
+        error: "MongoDB unavailable",
+        detail: "topology closed"
+      });
+    });
+  });
+
+  describe("GET /postgres-status", () => {
+    it("returns the server time", async () => {
+      const res = await request(app).get("/postgres-status");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveProperty("now");
+    });
+
+    it("returns 503 when Postgres is unreachable", async () => {
+      jest
+        .spyOn(services.pool, "query")
+        .mockRejectedValue(new Error("ECONNREFUSED"));
+
+      const res = await request(app).get("/postgres-status");
+
+      expect(res.status).toBe(503);
+      expect(res.body.error).toBe("Postgres unavailable");
+    });
+  });
+
+  describe("GET /cache-test", () => {
+    it("round-trips a value through Redis", async () => {
+      const res = await request(app).get("/cache-test");
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe("✅ Redis says: Web3 is fast!");
+    });
+
+    it("returns 503 when Redis is unreachable", async () => {
+      jest
+        .spyOn(services.redis, "set")
+        .mockRejectedValue(new Error("Connection is closed."));
+
+      const res = await request(app).get("/cache-test");
+
+      expect(res.status).toBe(503);
+      expect(res.body.error).toBe("Redis unavailable");
+    });
+  });
+
+  describe("GET /minio-status", () => {
+    it("reports the bucket", async () => {
+      const res = await request(app).get("/minio-status");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ bucket: "dapp", exists: true, status: "ok" });
+    });
+
+    it("returns 503 when MinIO is unreachable", async () => {
+      jest
+        .spyOn(services.minioClient, "bucketExists")
+        .mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+      const res = await request(app).get("/minio-status");
+
+      expect(res.status).toBe(503);
+      expect(res.body.error).toBe("MinIO connection failed");
+    });
+  });
+
+  describe("GET /test-email", () => {
+    let auth;
+
+    beforeEach(async () => {
+      const { token } = await signIn(app);
+      auth = { Authorization: `Bearer ${token}` };
+    });
+
+    it("requires a signed-in wallet or API key", async () => {
+      const sendMail = jest.spyOn(services.transporter, "sendMail");
+
+      const res = await request(app).get("/test-email");
+
+      expect(res.status).toBe(401);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it("sends a test message", async () => {
+      const sendMail = jest.spyOn(services.transporter, "sendMail");
+
+      const res = await request(app).get("/test-email").set(auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("✅ Email sent");
+      expect(sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({ to: "test@example.com" })
+      );
+    });
+
+    it("returns 500 when SMTP rejects the message", async () => {
+      jest
+        .spyOn(services.transporter, "sendMail")
+        .mockRejectedValue(new Error("Greeting never received"));
+
+      const res = await request(app).get("/test-email").set(auth);
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({
+        error: "Failed to send email",
+        detail: "Greeting never received"
+      });
+    });
+  });
+
+  it("answers unknown routes with 404", async () => {
+    const res = await request(app).get("/nope");
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,343 @@
+// tests/support/testApp.js — the app wired to in-memory stand-ins
+//
+// Postgres is pg-mem with the real migrations applied, Redis is ioredis-mock,
+// mail goes through nodemailer's JSON transport, and MinIO, Mongo, the
+// chain reader and the relayer's chain are small in-memory fakes. The
+// deployments registry is the real loader reading a temporary file. Tests break a dependency with
+// jest.spyOn(services.x, "method").mockRejectedValue(...).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { newDb, DataType } = require("pg-mem");
+const RedisMock = require("ioredis-mock");
+const nodemailer = require("nodemailer");
+const { PostPolicy } = require("minio");
+const { ethers } = require("ethers");
+const { SiweMessage } = require("siwe");
+const request = require("supertest");
+const { loadConfig } = require("../../src/config");
+const { createMigrator } = require("../../src/db/migrator");
+const { createDeliveryLog } = require("../../src/email/deliveryLog");
+const { createEmailQueue } = require("../../src/email/queue");
+const { createRecipientStore } = require("../../src/email/recipients");
+const { createApiKeyStore } = require("../../src/apiKeys/store");
+const { LockNotFoundError } = require("../../src/contracts/lockReader");
+const { createDeploymentRegistry } = require("../../src/contracts/deployments");
+const { createRelayer } = require("../../src/relayer/relayer");
+const {
+  createPendingUploadSweeper
+} = require("../../src/files/pendingUploads");
+const createApp = require("../../src/app");
+
+const silent = { log() {}, warn() {}, error() {} };
+
+// A pg-mem pool, migrated unless `migrate` is false.
+async function createTestPool({ migrate = true } = {}) {
+  const db = newDb({ noAstCoverageCheck: true });
+  for (const name of ["pg_advisory_lock", "pg_advisory_unlock"]) {
+    db.public.registerFunction({
+      name,
+      args: [DataType.integer],
+      returns: DataType.bool,
+      implementation: () => true,
+      impure: true
+    });
+  }
+  // The indexer stores block timestamps with to_timestamp(seconds).
+  db.public.registerFunction({
+    name: "to_timestamp",
+    args: [DataType.integer],
+    returns: DataType.timestamptz,
+    implementation: (seconds) => new Date(seconds * 1000)
+  });
+  const { Pool } = db.adapters.createPg();
+  // pg-mem's Pool doesn't track connections; the metrics gauge reads these.
+  const pool = Object.assign(new Pool(), {
+    totalCount: 0,
+    idleCount: 0,
+    waitingCount: 0
+  });
+  if (migrate) await createMigrator({ pool, logger: silent }).up();
+  return pool;
+}
+
+// ioredis-mock shares a keyspace between instances with the same host, so
+// every app gets its own.
+let redisInstances = 0;
+const createTestRedis = () =>
+  new RedisMock({ host: `redis-${++redisInstances}` });
+
+function createTestMongo() {
+  return {
+    readyState: 1,
+    db: {
+      stats: async () => ({ db: "dapp_test", collections: 1, ok: 1 }),
+      admin: () => ({ ping: async () => ({ ok: 1 }) })
+    }
+  };
+}
+
+function createTestMinio() {
+  const buckets = new Set();
+  const objects = new Map();
+  return {
+    objects,
+    bucketExists: async (bucket) => buckets.has(bucket),
+    makeBucket: async (bucket) => {
+      buckets.add(bucket);
+    },
+    putObject: async (bucket, key, buffer, size, metaData) => {
+      objects.set(key, { buffer, size, metaData });
+    },
+    statObject: async (bucket, key) => {
+      if (!objects.has(key)) {
+        const err = new Error("Not Found");
+        err.code = "NotFound";
+        throw err;
+      }
+      const { size, metaData = {} } = objects.get(key);
+      // MinIO reports metadata with lower-cased header names.
+      return {
+        size,
+        metaData: Object.fromEntries(
+          Object.entries(metaData).map(([name, value]) => [
+            name.toLowerCase(),
+            value
+          ])
+        )
+      };
+    },
+    getObject: async (bucket, key) => Readable.from([objects.get(key).buffer]),
+    removeObject: async (bucket, key) => {
+      objects.delete(key);
+    },
+    presignedGetObject: async (bucket, key) =>
+      `http://minio.test/${bucket}/${key}?X-Amz-Signature=get`,
+    newPostPolicy: () => new PostPolicy(),
+    presignedPostPolicy: async (policy) => ({
+      postURL: `http://minio.test/${policy.formData.bucket}`,
+      formData: { ...policy.formData, "x-amz-signature": "post" }
+    })
+  };
+}
+
+// Mimics the slice of the mongoose File model the files router uses.
+function createFileModel() {
+  const docs = new Map();
+  let counter = 0;
+
+  const toDoc = (data) => {
+    const id = (++counter).toString(16).padStart(24, "0");
+    const doc = {
+      status: "stored",
+      size: 0,
+      ...data,
+      id,
+      createdAt: new Date(Date.now() + counter),
+      save: async () => doc,
+      deleteOne: async () => docs.delete(id),
+      toJSON: () => {
+        const { save, deleteOne, toJSON, ...fields } = doc;
+        return fields;
+      }
+    };
+    docs.set(id, doc);
+    return doc;
+  };
+
+  const matches = (actual, expected) =>
+    expected && expected.$lt !== undefined
+      ? actual < expected.$lt
+      : actual === expected;
+  const matching = (filter) =>
+    [...docs.values()].filter((doc) =>
+      Object.entries(filter).every(([key, value]) => matches(doc[key], value))
+    );
+
+  return {
+    docs,
+    create: async (data) => toDoc(data),
+    findById: async (id) => docs.get(id) || null,
+    countDocuments: async (filter) => matching(filter).length,
+    find: (filter) => {
+      let results = matching(filter).sort((a, b) => b.createdAt - a.createdAt);
+      const query = {
+        sort: () => query,
+        skip: (n) => {
+          results = results.slice(n);
+          return query;
+        },
+        limit: (n) => Promise.resolve(results.slice(0, n)),
+        then: (resolve, reject) =>
+          Promise.resolve(results).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+// Serves Lock reads from a map of address → state; anything else is
+// reported as having no code.
+function createTestLockReader(locks = {}) {
+  const getLock = async (address) => {
+    const lock = locks[address.toLowerCase()];
+    if (!lock) throw new LockNotFoundError(address);
+    return { address, ...lock, cached: false };
+  };
+  return {
+    getLock,
+    getLocks: (addresses) =>
+      Promise.all(
+        addresses.map((address) =>
+          getLock(address).catch((err) => ({ address, error: err.message }))
+        )
+      ),
+    invalidate: async () => 0,
+    watch: () => () => {}
+  };
+}
+
+// Serves the relayer's lock reads from a map of address → { owner,
+// unlockTime, nonce, balance }. Sent withdrawals are recorded in `sent`; each
+// stays pending until its `mine(status)` is called.
+function createTestRelayerChain(locks = {}) {
+  const sent = [];
+  const receipts = new Map();
+  return {
+    address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    sent,
+    getChainId: async () => 31337,
+    readLock: async (address) => {
+      const lock = locks[address.toLowerCase()];
+      if (!lock) return null;
+      return {
+        chainId: 31337,
+        nonce: 0n,
+        balance: 1000000000n,
+        blockTimestamp: Math.floor(Date.now() / 1000),
+        ...lock
+      };
+    },
+    // Locks flagged `unknown` stand in for lookalike contracts.
+    isKnownLock: async (address) => !locks[address.toLowerCase()].unknown,
+    estimateWithdraw: async (payload) => {
+      const { gas = 60000n } = locks[payload.lock.toLowerCase()];
+      if (gas instanceof Error) throw gas;
+      return gas;
+    },
+    sendWithdraw: async (payload, { gasLimit }) => {
+      const hash = ethers.hexlify(ethers.randomBytes(32));
+      let confirm;
+      const mined = new Promise((resolve) => {
+        confirm = resolve;
+      });
+      sent.push({
+        ...payload,
+        gasLimit,
+        hash,
+        mine: (status = 1) => {
+          const receipt = { hash, status, blockNumber: 100 + sent.length };
+          receipts.set(hash, receipt);
+          confirm(receipt);
+        }
+      });
+      return { hash, wait: () => mined };
+    },
+    getReceipt: async (hash) => receipts.get(hash) || null
+  };
+}
+
+// Writes `registry` to a fresh temporary file and returns a loader for it.
+function createTestDeployments(registry = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  const file = path.join(dir, "registry.json");
+  fs.writeFileSync(file, JSON.stringify(registry));
+  return createDeploymentRegistry({ file });
+}
+
+// `config` overrides are merged per section onto the NODE_ENV=test defaults.
+async function createTestApp({
+  config: overrides = {},
+  locks,
+  deployments,
+  relayerChain = null
+} = {}) {
+  const base = loadConfig({ env: { NODE_ENV: "test" } });
+  const config = { ...base };
+  for (const [section, values] of Object.entries(overrides)) {
+    config[section] = { ...base[section], ...values };
+  }
+
+  const pool = await createTestPool();
+  const redis = createTestRedis();
+  const minioClient = createTestMinio();
+  await minioClient.makeBucket(config.minio.bucket);
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  const deliveryLog = createDeliveryLog({ pool });
+  const File = createFileModel();
+
+  const services = {
+    redis,
+    mongo: createTestMongo(),
+    pool,
+    minioClient,
+    pendingUploads: createPendingUploadSweeper({
+      File,
+      minioClient,
+      bucket: config.minio.bucket,
+      logger: silent
+    }),
+    transporter,
+    deliveryLog,
+    emailQueue: createEmailQueue({
+      redis,
+      transporter,
+      deliveryLog,
+      from: config.smtp.from,
+      backoffMs: 0,
+      logger: silent
+    }),
+    emailRecipients: createRecipientStore({ pool }),
+    lockReader: createTestLockReader(locks),
+    deployments: createTestDeployments(deployments),
+    relayer: createRelayer({
+      pool,
+      chain: relayerChain,
+      gasLimit: config.relayer.gasLimit,
+      logger: silent
+    }),
+    apiKeys: createApiKeyStore({ pool }),
+    File
+  };
+
+  return { app: createApp({ config, ...services }), config, services };
+}
+
+// Runs the full SIWE flow for a fresh (or given) wallet and returns its
+// session token.
+async function signIn(app, wallet = ethers.Wallet.createRandom()) {
+  const { body } = await request(app).get("/auth/nonce");
+  const message = new SiweMessage({
+    domain: "localhost:3000",
+    address: wallet.address,
+    statement: "Sign in to the dapp",
+    uri: "http://localhost:3000",
+    version: "1",
+    chainId: 31337,
+    nonce: body.nonce
+  }).prepareMessage();
+  const signature = await wallet.signMessage(message);
+  const res = await request(app)
+    .post("/auth/verify")
+    .send({ message, signature });
+  return { token: res.body.token, wallet, message, signature };
+}
+
+module.exports = {
+  createTestApp,
+  createTestPool,
+  createTestRelayerChain,
+  signIn,
+  silent
+};
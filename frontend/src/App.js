@@ -3,25 +3,67 @@ import React from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import LandingPage from "./pages/index";
 import LockUI from "./components/LockUI";
+import CreateLock from "./components/CreateLock";
+import LockDashboard from "./components/LockDashboard";
+import TransactionToasts from "./components/TransactionToasts";
+import { WalletProvider } from "./context/WalletContext";
+import { TransactionProvider } from "./context/TransactionContext";
+
+const AppPage = ({ children }) => (
+  <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center">
+    {children}
+  </div>
+);
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        {/* Landing page route */}
-        <Route path="/" element={<LandingPage />} />
+    <WalletProvider>
+      <TransactionProvider>
+        <Router>
+          <Routes>
+            {/* Landing page route */}
+            <Route path="/" element={<LandingPage />} />
+
+            {/* LockUI interface route */}
+            <Route
+              path="/app"
+              element={
+                <AppPage>
+                  <LockUI />
+                </AppPage>
+              }
+            />
 
-        {/* LockUI interface route */}
-        <Route
-          path="/app"
-          element={
-            <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center">
-              <LockUI />
-            </div>
-          }
-        />
-      </Routes>
-    </Router>
+            {/* Create-a-lock flow, the wallet's locks and any lock by address */}
+            <Route
+              path="/app/new"
+              element={
+                <AppPage>
+                  <CreateLock />
+                </AppPage>
+              }
+            />
+            <Route
+              path="/app/locks"
+              element={
+                <AppPage>
+                  <LockDashboard />
+                </AppPage>
+              }
+            />
+            <Route
+              path="/app/locks/:address"
+              element={
+                <AppPage>
+                  <LockUI />
+                </AppPage>
+              }
+            />
+          </Routes>
+          <TransactionToasts />
+        </Router>
+      </TransactionProvider>
+    </WalletProvider>
   );
 }
 
@@ -1,8 +1,41 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen } from "@testing-library/react";
+import App from "./App";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const renderAt = (path) => {
+  window.history.pushState({}, "", path);
+  return render(<App />);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  window.history.pushState({}, "", "/");
+});
+
+test("renders the landing page", () => {
+  renderAt("/");
+
+  expect(
+    screen.getByRole("heading", { name: "Web3 DApp Starter" })
+  ).toBeInTheDocument();
+});
+
+describe("/app/locks/:address", () => {
+  test.each([
+    ["not an address", "0x1234"],
+    // Mixed case that fails the EIP-55 checksum.
+    ["a bad checksum", "0x5fbDB2315678afecb367f032d93F642f64180aa3"]
+  ])("shows Lock not found for %s", async (_, address) => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    renderAt(`/app/locks/${address}`);
+
+    expect(
+      await screen.findByRole("heading", { name: "Lock not found" })
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(`"${address}" is not a valid address`)
+    ).toBeInTheDocument();
+    expect(
+      screen.getByRole("link", { name: "Back to my locks" })
+    ).toHaveAttribute("href", "/app/locks");
+  });
 });
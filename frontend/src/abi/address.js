@@ -1 +0,0 @@
-export const CONTRACT_ADDRESS = "0x7E7B89DE36fd1c023b1a261AD53b8e4059349D1C";
@@ -0,0 +1,48 @@
+import React from "react";
+import { useWallet } from "../context/WalletContext";
+
+// Connect button for the single injected wallet, or a picker when several
+// wallets announce themselves through EIP-6963.
+export default function ConnectWallet({ onError }) {
+  const { wallets, connect, connecting } = useWallet();
+
+  const choose = async (detail) => {
+    try {
+      onError("");
+      await connect(detail);
+    } catch (err) {
+      onError("Failed to connect wallet: " + err.message);
+    }
+  };
+
+  if (wallets.length <= 1) {
+    return (
+      <button
+        onClick={() => choose(wallets[0])}
+        disabled={connecting}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition"
+      >
+        {connecting ? "Connecting..." : "Connect Wallet"}
+      </button>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500">Choose a wallet</p>
+      {wallets.map((detail) => (
+        <button
+          key={detail.info.uuid}
+          onClick={() => choose(detail)}
+          disabled={connecting}
+          className="w-full flex items-center gap-3 bg-white border border-gray-200 hover:bg-gray-50 text-sm font-medium text-gray-800 py-2 px-4 rounded-lg transition"
+        >
+          {detail.info.icon && (
+            <img src={detail.info.icon} alt="" className="w-6 h-6" />
+          )}
+          {detail.info.name}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { ethers } from "ethers";
+import { useWallet } from "../context/WalletContext";
+import { useTransactions } from "../context/TransactionContext";
+import { useLockDeployer } from "../hooks/useLockDeployer";
+import { chainName } from "../utils/chains";
+import ConnectWallet from "./ConnectWallet";
+import NetworkBanner from "./NetworkBanner";
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Mirrors the requires in the Lock constructor so most mistakes are caught
+// before the wallet is asked to sign.
+function validate({ amount, unlockAt, beneficiary }, now) {
+  const errors = {};
+
+  let value = 0n;
+  try {
+    value = ethers.parseEther(amount.trim() || "0");
+    if (value === 0n) errors.amount = "Enter an amount to lock";
+  } catch {
+    errors.amount = "Enter a valid ETH amount";
+  }
+
+  const unlockTime = Math.floor(new Date(unlockAt).getTime() / 1000);
+  if (!unlockTime) {
+    errors.unlockAt = "Pick an unlock date and time";
+  } else if (unlockTime <= now) {
+    errors.unlockAt = "Unlock time should be in the future";
+  }
+
+  const owner = beneficiary.trim();
+  if (owner && !ethers.isAddress(owner)) {
+    errors.beneficiary = "Enter a valid address";
+  } else if (owner && ethers.getAddress(owner) === ethers.ZeroAddress) {
+    errors.beneficiary = "Owner is the zero address";
+  }
+
+  return {
+    errors,
+    params: {
+      amount: value,
+      unlockTime,
+      owner: owner && !errors.beneficiary ? ethers.getAddress(owner) : null
+    }
+  };
+}
+
+export default function CreateLock() {
+  const navigate = useNavigate();
+  const { account, chainId, isWrongChain, readProvider } = useWallet();
+  const { ready, available, estimate, deploy, lockFromReceipt } =
+    useLockDeployer();
+  const { track } = useTransactions();
+  const [form, setForm] = useState({
+    amount: "",
+    unlockAt: "",
+    beneficiary: ""
+  });
+  const [submitted, setSubmitted] = useState(false);
+  const [review, setReview] = useState(null);
+  const [busy, setBusy] = useState("");
+  const [txHash, setTxHash] = useState(null);
+  const [error, setError] = useState("");
+
+  const { errors, params } = validate(form, Math.floor(Date.now() / 1000));
+  const fieldError = (field) =>
+    (submitted || form[field]) && errors[field] ? errors[field] : null;
+
+  const update = (field) => (e) => {
+    const { value } = e.target;
+    setForm((previous) => ({ ...previous, [field]: value }));
+    setReview(null);
+  };
+
+  const handleReview = async () => {
+    setSubmitted(true);
+    if (Object.keys(errors).length) return;
+    try {
+      setBusy("review");
+      setError("");
+      // The chain's clock is what the constructor checks, and a local node
+      // that has been time-travelled runs ahead of this one.
+      const block = await readProvider.getBlock("latest");
+      if (params.unlockTime <= block.timestamp) {
+        setError(
+          "Unlock time should be in the future (chain time is " +
+            new Date(block.timestamp * 1000).toLocaleString() +
+            ")"
+        );
+        return;
+      }
+      setReview({ params, ...(await estimate(params)) });
+    } catch (err) {
+      setError("Gas estimate failed: " + (err.reason || err.message));
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleDeploy = async () => {
+    try {
+      setBusy("deploy");
+      setError("");
+      const tx = await deploy(review.params);
+      setTxHash(tx.hash);
+      // A sped-up transaction makes the same call, so its receipt carries
+      // the same LockCreated event.
+      const address = lockFromReceipt(await track(tx, "Lock deployment"));
+      navigate(`/app/locks/${address}`);
+    } catch (err) {
+      setError("Deployment failed: " + (err.reason || err.message));
+      setTxHash(null);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-200 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50";
+  const buttonClass =
+    "w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-400 text-white text-sm font-medium py-2 px-4 rounded-lg transition";
+  const unlockDate = errors.unlockAt
+    ? null
+    : new Date(params.unlockTime * 1000);
+
+  return (
+    <div className="max-w-2xl mx-auto mt-10 p-6 bg-white border border-gray-200 rounded-xl shadow-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Create a Lock</h1>
+        <p className="text-sm text-gray-500">
+          Lock ETH in a new contract until a date of your choosing
+        </p>
+      </div>
+
+      <NetworkBanner onError={setError} />
+
+      {account && !isWrongChain && !available && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800">
+            No LockFactory is deployed on {chainName(chainId)}, so locks can't
+            be created here.
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <div>
+          <label
+            htmlFor="lock-amount"
+            className="block text-xs text-gray-500 mb-1"
+          >
+            Amount (ETH)
+          </label>
+          <input
+            type="text"
+            id="lock-amount"
+            inputMode="decimal"
+            placeholder="0.0"
+            value={form.amount}
+            onChange={update("amount")}
+            disabled={!!busy}
+            className={inputClass}
+          />
+          {fieldError("amount") && (
+            <p className="text-xs text-red-600 mt-1">{fieldError("amount")}</p>
+          )}
+        </div>
+
+        <div>
+          <label
+            htmlFor="lock-unlock-at"
+            className="block text-xs text-gray-500 mb-1"
+          >
+            Unlock date and time ({TIME_ZONE})
+          </label>
+          <input
+            id="lock-unlock-at"
+            type="datetime-local"
+            value={form.unlockAt}
+            onChange={update("unlockAt")}
+            disabled={!!busy}
+            className={inputClass}
+          />
+          {fieldError("unlockAt") ? (
+            <p className="text-xs text-red-600 mt-1">
+              {fieldError("unlockAt")}
+            </p>
+          ) : (
+            unlockDate && (
+              <p className="text-xs text-gray-500 mt-1">
+                {unlockDate.toUTCString()}
+              </p>
+            )
+          )}
+        </div>
+
+        <div>
+          <label
+            htmlFor="lock-beneficiary"
+            className="block text-xs text-gray-500 mb-1"
+          >
+            Beneficiary (optional)
+          </label>
+          <input
+            type="text"
+            id="lock-beneficiary"
+            placeholder={account || "0x…"}
+            value={form.beneficiary}
+            onChange={update("beneficiary")}
+            disabled={!!busy}
+            className={`${inputClass} font-mono`}
+          />
+          {fieldError("beneficiary") ? (
+            <p className="text-xs text-red-600 mt-1">
+              {fieldError("beneficiary")}
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500 mt-1">
+              Only the beneficiary can withdraw. Leave empty to own the lock
+              yourself.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {review && (
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-100 space-y-3">
+          <h3 className="text-sm font-semibold text-gray-800">
+            Review and deploy
+          </h3>
+          <dl className="text-sm text-gray-700 space-y-1">
+            {[
+              ["Network", chainName(chainId)],
+              ["Amount", `${ethers.formatEther(review.params.amount)} ETH`],
+              [
+                "Unlocks",
+                `${new Date(
+                  review.params.unlockTime * 1000
+                ).toLocaleString()} (${TIME_ZONE})`
+              ],
+              ["Owner", review.params.owner || account],
+              ["Estimated gas", review.gas.toLocaleString()],
+              ["Max network fee", `${ethers.formatEther(review.cost)} ETH`],
+              [
+                "Total",
+                `${ethers.formatEther(review.params.amount + review.cost)} ETH`
+              ]
+            ].map(([label, value]) => (
+              <div key={label} className="flex justify-between gap-4">
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="font-mono text-right break-all">{value}</dd>
+              </div>
+            ))}
+          </dl>
+          {txHash && (
+            <p className="text-xs text-gray-500">
+              Waiting for deployment… tx{" "}
+              <span className="font-mono break-all">{txHash}</span>
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {!account ? (
+          <ConnectWallet onError={setError} />
+        ) : review ? (
+          <div className="grid grid-cols-2 gap-4">
+            <button
+              onClick={() => setReview(null)}
+              disabled={!!busy}
+              className="w-full bg-gray-100 hover:bg-gray-200 text-sm text-gray-700 font-medium py-2 px-4 rounded-lg transition"
+            >
+              Edit
+            </button>
+            <button
+              onClick={handleDeploy}
+              disabled={!ready || !!busy}
+              className={buttonClass}
+            >
+              {busy === "deploy" ? "Deploying..." : "Deploy Lock"}
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleReview}
+            disabled={!ready || !!busy}
+            className={buttonClass}
+          >
+            {busy === "review" ? "Estimating gas..." : "Review"}
+          </button>
+        )}
+        <Link
+          to="/app/locks"
+          className="block text-center text-sm text-gray-500 hover:text-gray-700 transition"
+        >
+          Back to my locks
+        </Link>
+      </div>
+    </div>
+  );
+}
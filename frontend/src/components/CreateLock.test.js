@@ -0,0 +1,206 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { ethers } from "ethers";
+import CreateLock from "./CreateLock";
+import { useWallet } from "../context/WalletContext";
+import { useTransactions } from "../context/TransactionContext";
+import { useLockDeployer } from "../hooks/useLockDeployer";
+
+jest.mock("../context/WalletContext", () => ({ useWallet: jest.fn() }));
+jest.mock("../context/TransactionContext", () => ({
+  useTransactions: jest.fn()
+}));
+jest.mock("../hooks/useLockDeployer", () => ({ useLockDeployer: jest.fn() }));
+
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const BENEFICIARY = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CHAIN_ID = 31337;
+const UNLOCK_AT = "2099-01-01T00:00";
+const UNLOCK_TIME = Math.floor(new Date(UNLOCK_AT).getTime() / 1000);
+
+let chainTime, deployer, track;
+
+beforeEach(() => {
+  chainTime = Math.floor(Date.now() / 1000);
+  deployer = {
+    ready: true,
+    available: true,
+    estimate: jest.fn(async () => ({
+      gas: 500000n,
+      price: 2n,
+      cost: 1000000n
+    })),
+    deploy: jest.fn(async () => ({ hash: "0xabc" })),
+    lockFromReceipt: jest.fn(() => LOCK)
+  };
+  track = jest.fn(async () => ({ hash: "0xabc", logs: [] }));
+  useWallet.mockReturnValue({
+    account: ACCOUNT,
+    chainId: CHAIN_ID,
+    isWrongChain: false,
+    readProvider: { getBlock: async () => ({ timestamp: chainTime }) }
+  });
+  useTransactions.mockReturnValue({ track });
+  useLockDeployer.mockReturnValue(deployer);
+});
+
+const renderForm = () =>
+  render(
+    <MemoryRouter initialEntries={["/app/new"]}>
+      <Routes>
+        <Route path="/app/new" element={<CreateLock />} />
+        <Route path="/app/locks/:address" element={<p>Lock page</p>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+function fill({ amount = "1.5", unlockAt = UNLOCK_AT, beneficiary }) {
+  if (amount) userEvent.type(screen.getByLabelText("Amount (ETH)"), amount);
+  if (unlockAt) {
+    fireEvent.change(screen.getByLabelText(/Unlock date and time/), {
+      target: { value: unlockAt }
+    });
+  }
+  if (beneficiary) {
+    userEvent.type(
+      screen.getByLabelText("Beneficiary (optional)"),
+      beneficiary
+    );
+  }
+}
+
+const review = () =>
+  userEvent.click(screen.getByRole("button", { name: "Review" }));
+
+describe("validation", () => {
+  it("flags every missing field once Review is pressed", () => {
+    renderForm();
+    expect(screen.queryByText("Enter an amount to lock")).toBeNull();
+
+    review();
+
+    expect(screen.getByText("Enter an amount to lock")).toBeInTheDocument();
+    expect(
+      screen.getByText("Pick an unlock date and time")
+    ).toBeInTheDocument();
+    expect(deployer.estimate).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["abc", "Enter a valid ETH amount"],
+    ["0", "Enter an amount to lock"],
+    // More decimals than wei has.
+    ["1.0000000000000000001", "Enter a valid ETH amount"]
+  ])("rejects the amount %j as it is typed", (amount, message) => {
+    renderForm();
+
+    fill({ amount });
+
+    expect(screen.getByText(message)).toBeInTheDocument();
+  });
+
+  it("rejects an unlock time in the past", () => {
+    renderForm();
+
+    fill({ unlockAt: "2000-01-01T00:00" });
+
+    expect(
+      screen.getByText("Unlock time should be in the future")
+    ).toBeInTheDocument();
+  });
+
+  it.each([
+    ["0x1234", "Enter a valid address"],
+    [ethers.ZeroAddress, "Owner is the zero address"]
+  ])("rejects the beneficiary %s", (beneficiary, message) => {
+    renderForm();
+
+    fill({ beneficiary });
+    review();
+
+    expect(screen.getByText(message)).toBeInTheDocument();
+    expect(deployer.estimate).not.toHaveBeenCalled();
+  });
+
+  it("checks the unlock time against the chain's clock", async () => {
+    chainTime = UNLOCK_TIME + 60;
+    renderForm();
+
+    fill({});
+    review();
+
+    expect(
+      await screen.findByText(
+        /Unlock time should be in the future \(chain time is/
+      )
+    ).toBeInTheDocument();
+    expect(deployer.estimate).not.toHaveBeenCalled();
+  });
+});
+
+describe("review and deploy", () => {
+  it("estimates gas for the checked parameters", async () => {
+    renderForm();
+
+    fill({ beneficiary: BENEFICIARY.toLowerCase() });
+    review();
+
+    expect(await screen.findByText("Review and deploy")).toBeInTheDocument();
+    expect(deployer.estimate).toHaveBeenCalledWith({
+      amount: ethers.parseEther("1.5"),
+      unlockTime: UNLOCK_TIME,
+      owner: BENEFICIARY
+    });
+    expect(screen.getByText("500,000")).toBeInTheDocument();
+  });
+
+  it("reports a failed estimate", async () => {
+    deployer.estimate.mockRejectedValue(
+      Object.assign(new Error("call revert"), { reason: "Insufficient funds" })
+    );
+    renderForm();
+
+    fill({});
+    review();
+
+    expect(
+      await screen.findByText("Gas estimate failed: Insufficient funds")
+    ).toBeInTheDocument();
+  });
+
+  it("creates the reviewed lock through the factory and opens it", async () => {
+    renderForm();
+    fill({});
+    review();
+    userEvent.click(await screen.findByRole("button", { name: "Deploy Lock" }));
+
+    expect(await screen.findByText("Lock page")).toBeInTheDocument();
+    expect(deployer.deploy).toHaveBeenCalledWith({
+      amount: ethers.parseEther("1.5"),
+      unlockTime: UNLOCK_TIME,
+      owner: null
+    });
+    expect(track).toHaveBeenCalledWith({ hash: "0xabc" }, "Lock deployment");
+    expect(deployer.lockFromReceipt).toHaveBeenCalledWith({
+      hash: "0xabc",
+      logs: []
+    });
+  });
+
+  it("explains when the network has no LockFactory", () => {
+    useLockDeployer.mockReturnValue({
+      ...deployer,
+      ready: false,
+      available: false
+    });
+
+    renderForm();
+
+    expect(
+      screen.getByText(/No LockFactory is deployed on Hardhat Local/)
+    ).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Review" })).toBeDisabled();
+  });
+});
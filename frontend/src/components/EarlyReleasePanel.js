@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { useEarlyRelease } from "../hooks/useEarlyRelease";
+import { useTransactions } from "../context/TransactionContext";
+
+// Guardian approvals are made from other wallets, so poll for them.
+const REFRESH_INTERVAL = 15000;
+
+const sameAddress = (a, b) =>
+  Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const formatAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+const proposalStatus = (proposal, owner, now) => {
+  if (proposal.executed) return ["Executed", "bg-green-100 text-green-800"];
+  if (proposal.cancelled) return ["Cancelled", "bg-gray-100 text-gray-600"];
+  if (!sameAddress(proposal.proposer, owner)) {
+    return ["Void (owner changed)", "bg-gray-100 text-gray-600"];
+  }
+  if (now >= proposal.expiresAt) return ["Expired", "bg-red-100 text-red-800"];
+  return ["Pending", "bg-yellow-100 text-yellow-800"];
+};
+
+// Early release of a GuardedLock: the owner proposes, guardians approve, and
+// once enough have the owner can withdraw before the unlock time, paying the
+// penalty to the treasury. Renders nothing for other lock types.
+export default function EarlyReleasePanel({
+  contract,
+  wallet,
+  now,
+  unlockTime,
+  onUpdated,
+  onError,
+  onSuccess
+}) {
+  const { guard, refresh, propose, approve, cancel, execute } =
+    useEarlyRelease(contract);
+  const [busy, setBusy] = useState("");
+  const { track } = useTransactions();
+
+  useEffect(() => {
+    const load = () => refresh().catch(() => {});
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refresh]);
+
+  if (!guard) return null;
+
+  const { owner, guardians, threshold, penaltyBps, penalty, balance } = guard;
+  const proposal = guard.proposal;
+  const isOwner = sameAddress(wallet, owner);
+  const isGuardian = guardians.some((guardian) =>
+    sameAddress(wallet, guardian)
+  );
+  // Chain time can lag the wall clock, so only trust `active` while the
+  // local clock also says the proposal hasn't expired.
+  const active = Boolean(
+    proposal && proposal.active && now < proposal.expiresAt
+  );
+  const approved = (guardian) =>
+    Boolean(proposal) &&
+    proposal.approvedBy.some((approver) => sameAddress(approver, guardian));
+  const hasApproved = active && approved(wallet);
+  const [statusLabel, statusClass] = proposal
+    ? proposalStatus(proposal, owner, now)
+    : [];
+  const stillLocked = unlockTime && now < unlockTime;
+
+  const send = async (label, action, message) => {
+    try {
+      setBusy(label);
+      onError("");
+      await track(await action(), label);
+      onSuccess(message);
+      await refresh();
+      onUpdated();
+    } catch (err) {
+      onError(`${label} failed: ` + (err.reason || err.message));
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const buttonClass =
+    "bg-blue-600 hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-400 text-white text-sm font-medium py-2 px-4 rounded-lg transition";
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-100 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-800">Early Release</h3>
+        <span className="text-xs text-gray-500">
+          {threshold} of {guardians.length} guardians · {penaltyBps / 100}%
+          penalty
+        </span>
+      </div>
+
+      <ul className="text-xs font-mono text-gray-600 space-y-1">
+        {guardians.map((guardian) => (
+          <li key={guardian} className="flex items-center justify-between">
+            <span>
+              {formatAddress(guardian)}
+              {sameAddress(wallet, guardian) && " (you)"}
+            </span>
+            {approved(guardian) && (
+              <span className="text-green-600">approved</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {proposal && (
+        <div className="space-y-1">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-700">
+              Proposal #{proposal.id.toString()}
+            </p>
+            <span
+              className={`px-2 py-1 text-xs font-semibold rounded ${statusClass}`}
+            >
+              {statusLabel}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500">
+            {proposal.approvals} of {threshold} approvals
+            {active &&
+              ` · expires in ${formatDuration(proposal.expiresAt - now)}`}
+          </p>
+        </div>
+      )}
+
+      {stillLocked && balance > 0n && (
+        <p className="text-xs text-gray-500">
+          Releasing now sends {ethers.formatEther(balance - penalty)} ETH to the
+          owner and {ethers.formatEther(penalty)} ETH to the treasury.
+        </p>
+      )}
+
+      {isOwner && stillLocked && (
+        <div className="flex flex-wrap gap-2">
+          {!active && (
+            <button
+              onClick={() =>
+                send(
+                  "Proposal",
+                  propose,
+                  "Early release proposed — ask your guardians to approve it"
+                )
+              }
+              disabled={!!busy || balance === 0n}
+              className={buttonClass}
+            >
+              {busy === "Proposal" ? "Proposing..." : "Propose Early Release"}
+            </button>
+          )}
+          {active && (
+            <>
+              <button
+                onClick={() =>
+                  send(
+                    "Early release",
+                    () => execute(proposal.id),
+                    "Early release complete! Funds transferred to your wallet."
+                  )
+                }
+                disabled={!!busy || proposal.approvals < threshold}
+                className={buttonClass}
+              >
+                {busy === "Early release" ? "Releasing..." : "Release Early"}
+              </button>
+              <button
+                onClick={() =>
+                  send(
+                    "Cancel",
+                    () => cancel(proposal.id),
+                    "Early release proposal cancelled"
+                  )
+                }
+                disabled={!!busy}
+                className="text-sm text-red-500 hover:text-red-700 transition"
+              >
+                Cancel proposal
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {isGuardian && !isOwner && active && (
+        <button
+          onClick={() =>
+            send(
+              "Approval",
+              () => approve(proposal.id),
+              "Early release approved"
+            )
+          }
+          disabled={!!busy || hasApproved}
+          className={buttonClass}
+        >
+          {hasApproved
+            ? "You approved this proposal"
+            : busy === "Approval"
+              ? "Approving..."
+              : "Approve Early Release"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../context/WalletContext";
+import { useLockActivity } from "../hooks/useLockActivity";
+import { txUrl } from "../utils/chains";
+import {
+  downloadFile,
+  toCsv,
+  toJson,
+  toRecords
+} from "../utils/activityExport";
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+const EVENT_CLASSES = {
+  Deployment: "bg-blue-100 text-blue-800",
+  Deposit: "bg-yellow-100 text-yellow-800",
+  Withdrawal: "bg-green-100 text-green-800",
+  Release: "bg-green-100 text-green-800",
+  "Early release": "bg-orange-100 text-orange-800"
+};
+
+// Deployment, deposit, withdrawal and release history of one lock or of all
+// of a wallet's locks, with CSV and JSON export of what has been loaded.
+export default function LockActivity({ addresses, title, exportName }) {
+  const { readChainId } = useWallet();
+  const {
+    entries,
+    loading,
+    error,
+    hasMore,
+    scannedFrom,
+    truncated,
+    loadMore,
+    refresh
+  } = useLockActivity(addresses);
+  const showLock = addresses.length > 1;
+
+  const exportAs = (format) => {
+    const records = toRecords(entries, readChainId);
+    const filename = `${exportName}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "csv") {
+      downloadFile(`${filename}.csv`, toCsv(records), "text/csv");
+    } else {
+      downloadFile(`${filename}.json`, toJson(records), "application/json");
+    }
+  };
+
+  const linkClass = "text-sm text-blue-500 hover:text-blue-700 transition";
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-100 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-sm font-semibold text-gray-800">{title}</h3>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => exportAs("csv")}
+            disabled={!entries.length}
+            className={linkClass}
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => exportAs("json")}
+            disabled={!entries.length}
+            className={linkClass}
+          >
+            Export JSON
+          </button>
+          <button onClick={refresh} disabled={loading} className={linkClass}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {loading
+            ? "Loading activity..."
+            : "No activity in the blocks scanned."}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-3 font-medium">Date</th>
+                <th className="py-2 pr-3 font-medium">Event</th>
+                <th className="py-2 pr-3 font-medium">Amount</th>
+                {showLock && <th className="py-2 pr-3 font-medium">Lock</th>}
+                <th className="py-2 font-medium">Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const url = entry.txHash && txUrl(readChainId, entry.txHash);
+                return (
+                  <tr
+                    key={entry.id}
+                    className="border-b border-gray-100 last:border-0"
+                  >
+                    <td className="py-2 pr-3 text-gray-700">
+                      {new Date(entry.timestamp * 1000).toLocaleString()}
+                    </td>
+                    <td className="py-2 pr-3">
+                      <span
+                        className={`px-2 py-1 font-semibold rounded ${
+                          EVENT_CLASSES[entry.event]
+                        }`}
+                      >
+                        {entry.event}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-3 font-mono text-gray-700">
+                      {entry.amount === null
+                        ? "—"
+                        : `${ethers.formatUnits(
+                            entry.amount,
+                            entry.asset.decimals
+                          )} ${entry.asset.symbol}`}
+                    </td>
+                    {showLock && (
+                      <td className="py-2 pr-3 font-mono text-gray-700">
+                        {shorten(entry.lock)}
+                      </td>
+                    )}
+                    <td className="py-2 font-mono">
+                      {!entry.txHash ? (
+                        "—"
+                      ) : url ? (
+                        <a
+                          href={url}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          {shorten(entry.txHash)}
+                        </a>
+                      ) : (
+                        <span title={entry.txHash}>
+                          {shorten(entry.txHash)}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-700">{error}</p>}
+
+      {scannedFrom !== null && (
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          <span>
+            {hasMore
+              ? `Scanned back to block ${scannedFrom}`
+              : truncated
+                ? `Scanned back to block ${scannedFrom} (deployment block unknown)`
+                : "Showing the full history"}
+          </span>
+          {hasMore && (
+            <button onClick={loadMore} disabled={loading} className={linkClass}>
+              {loading ? "Loading..." : "Load older"}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
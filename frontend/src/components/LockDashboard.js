@@ -0,0 +1,231 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { ethers } from "ethers";
+import { useWallet } from "../context/WalletContext";
+import { useOwnedLocks } from "../hooks/useOwnedLocks";
+import { chainName } from "../utils/chains";
+import ConnectWallet from "./ConnectWallet";
+import NetworkBanner from "./NetworkBanner";
+import LockActivity from "./LockActivity";
+
+const STATUSES = ["All", "Locked", "Unlocked", "Empty"];
+
+const statusOf = (lock, now) =>
+  lock.balance === 0n
+    ? "Empty"
+    : now >= lock.unlockTime
+      ? "Unlocked"
+      : "Locked";
+
+const amountOf = (lock) =>
+  Number(ethers.formatUnits(lock.balance, lock.asset.decimals));
+
+const COLUMNS = [
+  { key: "address", label: "Lock", value: (lock) => lock.address },
+  { key: "amount", label: "Amount", value: amountOf },
+  { key: "unlockTime", label: "Unlocks", value: (lock) => lock.unlockTime },
+  {
+    key: "status",
+    label: "Status",
+    value: (lock, now) => STATUSES.indexOf(statusOf(lock, now))
+  }
+];
+
+const STATUS_CLASSES = {
+  Locked: "bg-yellow-100 text-yellow-800",
+  Unlocked: "bg-green-100 text-green-800",
+  Empty: "bg-gray-100 text-gray-600"
+};
+
+const formatTimeLeft = (seconds) => {
+  if (seconds <= 0) return "—";
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+// Every lock the connected wallet owns, with live countdowns. Filter by status
+// or address and click a column header to sort by it.
+export default function LockDashboard() {
+  const { account, readChainId } = useWallet();
+  const { locks, loading, refresh } = useOwnedLocks();
+  const [error, setError] = useState("");
+  const [status, setStatus] = useState("All");
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState({ key: "unlockTime", ascending: true });
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const interval = setInterval(
+      () => setNow(Math.floor(Date.now() / 1000)),
+      1000
+    );
+    return () => clearInterval(interval);
+  }, []);
+
+  const rows = useMemo(() => {
+    const column = COLUMNS.find((item) => item.key === sort.key);
+    const needle = query.trim().toLowerCase();
+    return locks
+      .filter((lock) => status === "All" || statusOf(lock, now) === status)
+      .filter((lock) => !needle || lock.address.toLowerCase().includes(needle))
+      .sort((a, b) => {
+        const left = column.value(a, now);
+        const right = column.value(b, now);
+        const order = left < right ? -1 : left > right ? 1 : 0;
+        return sort.ascending ? order : -order;
+      });
+  }, [locks, status, query, sort, now]);
+
+  const toggleSort = (key) =>
+    setSort((previous) => ({
+      key,
+      ascending: previous.key === key ? !previous.ascending : true
+    }));
+
+  const handleRefresh = () => {
+    setError("");
+    refresh().catch((err) => setError("Failed to load locks: " + err.message));
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-10 p-6 bg-white border border-gray-200 rounded-xl shadow-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">My Locks</h1>
+        <p className="text-sm text-gray-500">
+          Locks owned by the connected wallet on {chainName(readChainId)}
+        </p>
+        <Link
+          to="/app/new"
+          className="inline-block mt-2 text-sm text-blue-500 hover:text-blue-700 transition"
+        >
+          + Create a new lock
+        </Link>
+      </div>
+
+      <NetworkBanner onError={setError} />
+
+      {!account ? (
+        <ConnectWallet onError={setError} />
+      ) : (
+        <>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              placeholder="Filter by address"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="flex-1 min-w-0 border border-gray-200 rounded-lg px-3 py-2 text-sm font-mono"
+            />
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              {STATUSES.map((item) => (
+                <option key={item} value={item}>
+                  {item}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleRefresh}
+              disabled={loading}
+              className="bg-gray-100 hover:bg-gray-200 text-sm text-gray-700 font-medium py-2 px-4 rounded-lg transition"
+            >
+              {loading ? "Loading..." : "Refresh"}
+            </button>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">
+              {loading
+                ? "Loading locks..."
+                : locks.length
+                  ? "No locks match the filters."
+                  : "This wallet owns no locks on this chain."}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                    {COLUMNS.map(({ key, label }) => (
+                      <th key={key} className="py-2 pr-4 font-medium">
+                        <button
+                          onClick={() => toggleSort(key)}
+                          className="hover:text-gray-800 transition"
+                        >
+                          {label}
+                          {sort.key === key && (sort.ascending ? " ▲" : " ▼")}
+                        </button>
+                      </th>
+                    ))}
+                    <th className="py-2 font-medium">Time left</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((lock) => {
+                    const lockStatus = statusOf(lock, now);
+                    return (
+                      <tr
+                        key={lock.address}
+                        className="border-b border-gray-100 last:border-0"
+                      >
+                        <td className="py-2 pr-4 font-mono">
+                          <Link
+                            to={`/app/locks/${lock.address}`}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {`${lock.address.slice(0, 6)}...${lock.address.slice(-4)}`}
+                          </Link>
+                        </td>
+                        <td className="py-2 pr-4 font-mono">
+                          {ethers.formatUnits(
+                            lock.balance,
+                            lock.asset.decimals
+                          )}{" "}
+                          {lock.asset.symbol}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {new Date(lock.unlockTime * 1000).toLocaleString()}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <span
+                            className={`px-2 py-1 text-xs font-semibold rounded ${STATUS_CLASSES[lockStatus]}`}
+                          >
+                            {lockStatus}
+                          </span>
+                        </td>
+                        <td className="py-2 font-mono">
+                          {formatTimeLeft(lock.unlockTime - now)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {locks.length > 0 && (
+            <LockActivity
+              addresses={locks.map((lock) => lock.address)}
+              title="Wallet activity"
+              exportName="wallet-activity"
+            />
+          )}
+        </>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
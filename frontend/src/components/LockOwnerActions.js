@@ -0,0 +1,233 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { useTransactions } from "../context/TransactionContext";
+
+const sameAddress = (a, b) =>
+  Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const toLocalInput = (timestamp) => {
+  const date = new Date(timestamp * 1000);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+// Owner-only management of a plain Lock: top-ups, unlock extensions and the
+// two-step ownership handover. Renders nothing for other lock types or for
+// wallets that are neither the owner nor the pending owner.
+export default function LockOwnerActions({
+  contract,
+  wallet,
+  unlockTime,
+  onUpdated,
+  onError,
+  onSuccess
+}) {
+  const [owner, setOwner] = useState(null);
+  const [pendingOwner, setPendingOwner] = useState(null);
+  const [depositAmount, setDepositAmount] = useState("");
+  const [newUnlockTime, setNewUnlockTime] = useState("");
+  const [newOwner, setNewOwner] = useState("");
+  const [busy, setBusy] = useState("");
+  const { track } = useTransactions();
+
+  const fetchOwners = useCallback(async () => {
+    if (!contract) return;
+    try {
+      const [current, pending] = await Promise.all([
+        contract.owner(),
+        contract.pendingOwner()
+      ]);
+      setOwner(current);
+      setPendingOwner(pending === ethers.ZeroAddress ? null : pending);
+    } catch {
+      // Older locks and other lock types have no pendingOwner().
+      setOwner(null);
+      setPendingOwner(null);
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    fetchOwners();
+  }, [fetchOwners]);
+
+  useEffect(() => {
+    if (unlockTime) setNewUnlockTime(toLocalInput(unlockTime));
+  }, [unlockTime]);
+
+  const send = async (label, action, message) => {
+    try {
+      setBusy(label);
+      onError("");
+      await track(await action(), label);
+      onSuccess(message);
+      await fetchOwners();
+      onUpdated();
+      return true;
+    } catch (err) {
+      onError(`${label} failed: ` + (err.reason || err.message));
+      return false;
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const deposit = () => {
+    let value;
+    try {
+      value = ethers.parseEther(depositAmount || "0");
+    } catch {
+      return onError("Enter a valid ETH amount");
+    }
+    if (value === 0n) return onError("Enter an amount to deposit");
+    send(
+      "Deposit",
+      () => contract.deposit({ value }),
+      `Deposited ${depositAmount} ETH`
+    ).then((ok) => ok && setDepositAmount(""));
+  };
+
+  const extend = () => {
+    const timestamp = Math.floor(new Date(newUnlockTime).getTime() / 1000);
+    if (!timestamp || timestamp <= unlockTime) {
+      return onError("The new unlock time must be later than the current one");
+    }
+    send(
+      "Extension",
+      () => contract.extendUnlockTime(timestamp),
+      `Unlock time moved to ${new Date(timestamp * 1000).toLocaleString()}`
+    );
+  };
+
+  const transfer = () => {
+    if (!ethers.isAddress(newOwner)) {
+      return onError("Enter a valid address for the new owner");
+    }
+    send(
+      "Transfer",
+      () => contract.transferOwnership(newOwner),
+      "Transfer started — the new owner must accept it"
+    ).then((ok) => ok && setNewOwner(""));
+  };
+
+  const cancelTransfer = () =>
+    send(
+      "Cancel",
+      () => contract.transferOwnership(ethers.ZeroAddress),
+      "Pending transfer cancelled"
+    );
+
+  const accept = () =>
+    send(
+      "Accept",
+      () => contract.acceptOwnership(),
+      "You are now the owner of this lock"
+    );
+
+  const isOwner = sameAddress(wallet, owner);
+  const isPendingOwner = sameAddress(wallet, pendingOwner);
+  if (!owner || (!isOwner && !isPendingOwner)) return null;
+
+  const inputClass =
+    "flex-1 min-w-0 border border-gray-200 rounded-lg px-3 py-2 text-sm";
+  const buttonClass =
+    "bg-blue-600 hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-400 text-white text-sm font-medium py-2 px-4 rounded-lg transition";
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-100 space-y-4">
+      <h3 className="text-sm font-semibold text-gray-800">Manage Lock</h3>
+
+      {isPendingOwner && (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-600">
+            You have been nominated as the new owner.
+          </p>
+          <button onClick={accept} disabled={!!busy} className={buttonClass}>
+            {busy === "Accept" ? "Accepting..." : "Accept Ownership"}
+          </button>
+        </div>
+      )}
+
+      {isOwner && (
+        <>
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Add funds</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                inputMode="decimal"
+                placeholder="0.0 ETH"
+                value={depositAmount}
+                onChange={(e) => setDepositAmount(e.target.value)}
+                className={inputClass}
+              />
+              <button
+                onClick={deposit}
+                disabled={!!busy}
+                className={buttonClass}
+              >
+                {busy === "Deposit" ? "Depositing..." : "Deposit"}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs text-gray-500 mb-1">
+              Extend unlock time (later only)
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="datetime-local"
+                value={newUnlockTime}
+                min={unlockTime ? toLocalInput(unlockTime) : undefined}
+                onChange={(e) => setNewUnlockTime(e.target.value)}
+                className={inputClass}
+              />
+              <button
+                onClick={extend}
+                disabled={!!busy}
+                className={buttonClass}
+              >
+                {busy === "Extension" ? "Extending..." : "Extend"}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs text-gray-500 mb-1">Transfer ownership</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder="0x…"
+                value={newOwner}
+                onChange={(e) => setNewOwner(e.target.value.trim())}
+                className={`${inputClass} font-mono`}
+              />
+              <button
+                onClick={transfer}
+                disabled={!!busy}
+                className={buttonClass}
+              >
+                {busy === "Transfer" ? "Sending..." : "Transfer"}
+              </button>
+            </div>
+            {pendingOwner && (
+              <div className="flex items-center justify-between mt-2">
+                <p className="text-xs text-gray-500">
+                  Pending owner:{" "}
+                  <span className="font-mono">{pendingOwner}</span>
+                </p>
+                <button
+                  onClick={cancelTransfer}
+                  disabled={!!busy}
+                  className="text-xs text-red-500 hover:text-red-700 transition"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { useLockReceipts } from "../hooks/useLockReceipts";
+import { useTransactions } from "../context/TransactionContext";
+
+// The connected wallet's ERC-721 lock receipts with their on-chain artwork.
+// Each receipt is a transferable lock position; the holder withdraws through
+// it once it unlocks, which burns the receipt. Renders nothing when
+// LockReceipts isn't deployed on the current chain.
+export default function LockReceiptsList({ onError, onSuccess }) {
+  const { available, receipts, loading, refresh, withdraw } = useLockReceipts();
+  const [busy, setBusy] = useState(null);
+  const { track } = useTransactions();
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const interval = setInterval(
+      () => setNow(Math.floor(Date.now() / 1000)),
+      1000
+    );
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!available) return null;
+
+  const redeem = async (tokenId) => {
+    try {
+      setBusy(tokenId);
+      onError("");
+      await track(await withdraw(tokenId), `Receipt #${tokenId} withdrawal`);
+      onSuccess(
+        `Receipt #${tokenId} redeemed! Funds transferred to your wallet.`
+      );
+      await refresh();
+    } catch (err) {
+      onError("Withdrawal failed: " + (err.reason || err.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-100 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-800">
+          Your Lock Receipts
+        </h3>
+        <button
+          onClick={() => refresh().catch((err) => onError(err.message))}
+          disabled={loading}
+          className="text-sm text-blue-500 hover:text-blue-700 transition"
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {receipts.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {loading ? "Loading receipts..." : "This wallet holds no receipts."}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {receipts.map(({ tokenId, lock, metadata, unlockTime }) => {
+            const unlocked = unlockTime !== null && now >= unlockTime;
+            return (
+              <div
+                key={tokenId.toString()}
+                className="bg-white border border-gray-200 rounded-lg p-3 space-y-2"
+              >
+                <img
+                  src={metadata.image}
+                  alt={metadata.name}
+                  className="w-full rounded-lg"
+                />
+                <p className="text-sm font-semibold text-gray-800">
+                  {metadata.name}
+                </p>
+                <dl className="text-xs text-gray-600 space-y-1">
+                  {metadata.attributes.map(
+                    ({ trait_type: traitType, display_type: type, value }) => (
+                      <div key={traitType} className="flex justify-between">
+                        <dt className="text-gray-500">{traitType}</dt>
+                        <dd className="font-mono">
+                          {type === "date"
+                            ? new Date(value * 1000).toLocaleString()
+                            : traitType === "Lock"
+                              ? `${lock.slice(0, 6)}...${lock.slice(-4)}`
+                              : String(value)}
+                        </dd>
+                      </div>
+                    )
+                  )}
+                </dl>
+                <button
+                  onClick={() => redeem(tokenId)}
+                  disabled={!unlocked || busy !== null}
+                  className={`w-full text-sm font-medium py-2 px-4 rounded-lg transition ${
+                    unlocked && busy === null
+                      ? "bg-green-600 hover:bg-green-700 text-white"
+                      : "bg-gray-200 text-gray-400 cursor-not-allowed"
+                  }`}
+                >
+                  {busy === tokenId
+                    ? "Processing..."
+                    : unlocked
+                      ? "Withdraw & Burn"
+                      : "Locked"}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,30 @@
 import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ethers } from "ethers";
 import { useLockContract } from "../hooks/useLockContract";
+import { useLockAsset } from "../hooks/useLockAsset";
+import { useVestingSchedule, vestedAt } from "../hooks/useVestingSchedule";
+import { useGaslessWithdraw } from "../hooks/useGaslessWithdraw";
+import { useSiweAuth } from "../hooks/useSiweAuth";
+import LockOwnerActions from "./LockOwnerActions";
+import EarlyReleasePanel from "./EarlyReleasePanel";
+import LockReceiptsList from "./LockReceiptsList";
+import LockActivity from "./LockActivity";
+import ConnectWallet from "./ConnectWallet";
+import NetworkBanner from "./NetworkBanner";
+import { useWallet } from "../context/WalletContext";
+import { useTransactions } from "../context/TransactionContext";
+import { chainName } from "../utils/chains";
 import "../App.css";
 
 export default function LockUI() {
-  const [wallet, setWallet] = useState("");
+  const {
+    account: wallet,
+    wallet: walletInfo,
+    chainId,
+    isWrongChain,
+    disconnect
+  } = useWallet();
   const [unlockTime, setUnlockTime] = useState(null);
   const [canWithdraw, setCanWithdraw] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -11,19 +32,31 @@ export default function LockUI() {
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [now, setNow] = useState(Math.floor(Date.now() / 1000));
-  const contract = useLockContract();
+  const { address } = useParams();
+  const { contract, error: contractError } = useLockContract(address);
+  const {
+    asset,
+    formatted: lockedBalance,
+    refresh: refreshAsset
+  } = useLockAsset(contract);
+  const {
+    schedule,
+    refresh: refreshVesting,
+    release: releaseVested
+  } = useVestingSchedule(contract);
+  const { available: gaslessAvailable, withdraw: withdrawViaRelayer } =
+    useGaslessWithdraw(contract);
+  const { isSignedIn, signingIn, signIn, signOut } = useSiweAuth(wallet);
+  const { track } = useTransactions();
 
-  const connect = async () => {
+  const handleSignIn = async () => {
     try {
       setError("");
-      const [addr] = await window.ethereum.request({
-        method: "eth_requestAccounts"
-      });
-      setWallet(addr);
-      return addr;
+      await signIn();
+      setSuccess("Signed in with Ethereum");
+      setTimeout(() => setSuccess(""), 2000);
     } catch (err) {
-      setError("Failed to connect wallet: " + err.message);
-      return null;
+      setError("Sign-in failed: " + err.message);
     }
   };
 
@@ -32,9 +65,15 @@ export default function LockUI() {
     try {
       setContractLoading(true);
       setError("");
-      const time = await contract.unlockTime();
-      setUnlockTime(Number(time));
-      setCanWithdraw(now >= Number(time));
+      const vesting = await refreshVesting();
+      if (vesting) {
+        setUnlockTime(vesting.end);
+      } else {
+        const time = await contract.unlockTime();
+        setUnlockTime(Number(time));
+        setCanWithdraw(now >= Number(time));
+      }
+      await refreshAsset();
     } catch (err) {
       console.error("🔴 Error calling unlockTime():", err.message);
       setError("Failed to fetch contract data: " + err.message);
@@ -49,12 +88,12 @@ export default function LockUI() {
       setError("");
       setSuccess("");
 
-      const tx = await contract.withdraw();
-      setSuccess("Transaction submitted! Waiting for confirmation...");
-
-      await tx.wait();
+      const tx = schedule ? await releaseVested() : await contract.withdraw();
+      await track(tx, schedule ? "Release" : "Withdrawal");
       setSuccess(
-        "Withdrawal successful! Funds have been transferred to your wallet."
+        `${schedule ? "Release" : "Withdrawal"} successful! ${
+          asset ? asset.symbol : "Funds"
+        } transferred to your wallet.`
       );
 
       setTimeout(() => {
@@ -67,23 +106,38 @@ export default function LockUI() {
     }
   };
 
-  useEffect(() => {
-    if (contract) {
-      connect().then(() => {
+  const withdrawGasless = async () => {
+    try {
+      setLoading(true);
+      setError("");
+      setSuccess("");
+
+      await withdrawViaRelayer(setSuccess);
+      setSuccess("Withdrawal successful! The relayer paid the gas.");
+
+      setTimeout(() => {
         fetchContractData();
-      });
+      }, 2000);
+    } catch (err) {
+      setError("Gasless withdrawal failed: " + (err.reason || err.message));
+    } finally {
+      setLoading(false);
     }
+  };
+
+  useEffect(() => {
+    if (contract) fetchContractData();
   }, [contract]);
 
   useEffect(() => {
     const interval = setInterval(() => {
       setNow(Math.floor(Date.now() / 1000));
-      if (unlockTime && now >= unlockTime && !canWithdraw) {
+      if (!schedule && unlockTime && now >= unlockTime && !canWithdraw) {
         setCanWithdraw(true);
       }
     }, 1000);
     return () => clearInterval(interval);
-  }, [unlockTime, now, canWithdraw]);
+  }, [schedule, unlockTime, now, canWithdraw]);
 
   const formatTimeLeft = (seconds) => {
     if (seconds <= 0) return { days: 0, hours: 0, minutes: 0, seconds: 0 };
@@ -117,6 +171,35 @@ export default function LockUI() {
     ? formatTimeLeft(timeLeft)
     : { days: 0, hours: 0, minutes: 0, seconds: 0 };
 
+  // Vesting locks release gradually instead of unlocking all at once.
+  const vested = schedule ? vestedAt(schedule, now) : 0n;
+  const releasable = schedule ? vested - schedule.released : 0n;
+  const vestedPercent =
+    schedule && schedule.total > 0n
+      ? Number((vested * 10000n) / schedule.total) / 100
+      : 0;
+  const canAct = schedule ? releasable > 0n : canWithdraw;
+  // A deep link to a malformed address or one without code has nothing to show.
+  if (address && contractError) {
+    return (
+      <div className="max-w-2xl mx-auto mt-10 p-6 bg-white border border-gray-200 rounded-xl shadow-md space-y-4 text-center">
+        <h1 className="text-2xl font-bold text-gray-900">Lock not found</h1>
+        <p className="text-sm text-red-700 break-all">{contractError}</p>
+        <Link
+          to="/app/locks"
+          className="inline-block text-sm text-blue-500 hover:text-blue-700 transition"
+        >
+          Back to my locks
+        </Link>
+      </div>
+    );
+  }
+
+  const formatAmount = (amount) =>
+    `${ethers.formatUnits(amount, asset ? asset.decimals : 18)} ${
+      asset ? asset.symbol : "ETH"
+    }`;
+
   return (
     <div className="max-w-2xl mx-auto mt-10 p-6 bg-white border border-gray-200 rounded-xl shadow-md space-y-6">
       <div className="text-center">
@@ -126,6 +209,20 @@ export default function LockUI() {
         <p className="text-sm text-gray-500">
           Secure time-locked fund management
         </p>
+        <div className="flex justify-center gap-4 mt-2 text-sm">
+          <Link
+            to="/app/locks"
+            className="text-blue-500 hover:text-blue-700 transition"
+          >
+            My locks
+          </Link>
+          <Link
+            to="/app/new"
+            className="text-blue-500 hover:text-blue-700 transition"
+          >
+            + Create a new lock
+          </Link>
+        </div>
       </div>
 
       {/* Wallet Info */}
@@ -135,6 +232,11 @@ export default function LockUI() {
           <p className="text-xs font-mono text-gray-600">
             {formatAddress(wallet)}
           </p>
+          {wallet && (
+            <p className="text-xs text-gray-500">
+              {walletInfo.name} on {chainName(chainId)}
+            </p>
+          )}
         </div>
         <div className="flex items-center gap-3">
           <span
@@ -144,6 +246,31 @@ export default function LockUI() {
           >
             {wallet ? "Connected" : "Disconnected"}
           </span>
+          {wallet && (
+            <span
+              className={`px-2 py-1 text-xs font-semibold rounded ${
+                isSignedIn
+                  ? "bg-blue-100 text-blue-800"
+                  : "bg-gray-100 text-gray-600"
+              }`}
+            >
+              {isSignedIn ? "Signed in" : "Not signed in"}
+            </span>
+          )}
+          {wallet && !isWrongChain && (
+            <button
+              onClick={isSignedIn ? signOut : handleSignIn}
+              disabled={signingIn}
+              className="text-sm text-blue-500 hover:text-blue-700 transition"
+              title="Sign-In With Ethereum for the backend API"
+            >
+              {isSignedIn
+                ? "Sign out"
+                : signingIn
+                ? "Waiting for signature..."
+                : "Sign in"}
+            </button>
+          )}
           {wallet && (
             <button
               onClick={() => copyToClipboard(wallet)}
@@ -153,9 +280,22 @@ export default function LockUI() {
               Copy
             </button>
           )}
+          {wallet && (
+            <button
+              onClick={() => {
+                signOut();
+                disconnect();
+              }}
+              className="text-sm text-gray-500 hover:text-gray-700 transition"
+            >
+              Disconnect
+            </button>
+          )}
         </div>
       </div>
 
+      <NetworkBanner onError={setError} />
+
       {/* Contract Info */}
       <div className="p-4 bg-gray-50 rounded-lg border border-gray-100">
         <div className="flex items-center justify-between mb-2">
@@ -180,16 +320,79 @@ export default function LockUI() {
         </div>
         {unlockTime && (
           <>
-            <p className="text-xs text-gray-500 mb-1">Unlock Date</p>
+            <p className="text-xs text-gray-500 mb-1">
+              {schedule ? "Fully Vested" : "Unlock Date"}
+            </p>
             <p className="text-sm font-mono text-gray-700">
               {new Date(unlockTime * 1000).toLocaleString()}
             </p>
           </>
         )}
+        {lockedBalance && (
+          <>
+            <p className="text-xs text-gray-500 mt-3 mb-1">Locked Balance</p>
+            <p className="text-sm font-mono text-gray-700">{lockedBalance}</p>
+            {asset.token && (
+              <p className="text-xs text-gray-500 mt-1">
+                {asset.symbol} token ({asset.decimals} decimals) at{" "}
+                <span className="font-mono">{formatAddress(asset.token)}</span>
+              </p>
+            )}
+          </>
+        )}
       </div>
 
+      {/* Vesting progress */}
+      {schedule && (
+        <div className="p-6 border border-gray-200 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-md font-medium text-gray-800">
+              Vesting Progress
+            </h2>
+            <span className="text-sm font-mono text-gray-700">
+              {vestedPercent.toFixed(2)}%
+            </span>
+          </div>
+          <div className="w-full h-3 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${vestedPercent}%` }}
+            />
+          </div>
+          <div className="grid grid-cols-3 gap-4 text-center text-sm">
+            <div>
+              <div className="font-bold text-gray-900">
+                {formatAmount(vested)}
+              </div>
+              <div className="text-gray-500">Vested</div>
+            </div>
+            <div>
+              <div className="font-bold text-gray-900">
+                {formatAmount(schedule.released)}
+              </div>
+              <div className="text-gray-500">Released</div>
+            </div>
+            <div>
+              <div className="font-bold text-green-600">
+                {formatAmount(releasable)}
+              </div>
+              <div className="text-gray-500">Releasable</div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            {now < schedule.cliff
+              ? `Cliff on ${new Date(
+                  schedule.cliff * 1000
+                ).toLocaleString()} — nothing can be released before then.`
+              : `Started ${new Date(
+                  schedule.start * 1000
+                ).toLocaleString()}, cliff passed.`}
+          </p>
+        </div>
+      )}
+
       {/* Countdown */}
-      {unlockTime && (
+      {unlockTime && !schedule && (
         <div className="p-6 border border-gray-200 rounded-lg text-center space-y-3">
           {isUnlocked ? (
             <>
@@ -227,6 +430,43 @@ export default function LockUI() {
         </div>
       )}
 
+      {/* Owner actions */}
+      {wallet && !isWrongChain && !schedule && (
+        <LockOwnerActions
+          contract={contract}
+          wallet={wallet}
+          unlockTime={unlockTime}
+          onUpdated={fetchContractData}
+          onError={setError}
+          onSuccess={setSuccess}
+        />
+      )}
+
+      {/* Guardian-approved early release (GuardedLock only) */}
+      {wallet && !isWrongChain && !schedule && (
+        <EarlyReleasePanel
+          contract={contract}
+          wallet={wallet}
+          now={now}
+          unlockTime={unlockTime}
+          onUpdated={fetchContractData}
+          onError={setError}
+          onSuccess={setSuccess}
+        />
+      )}
+
+      {/* ERC-721 lock positions held by the wallet */}
+      {wallet && <LockReceiptsList onError={setError} onSuccess={setSuccess} />}
+
+      {/* Deployment, deposit and withdrawal history */}
+      {contract && (
+        <LockActivity
+          addresses={[contract.target]}
+          title="Activity"
+          exportName={`lock-${contract.target.slice(0, 10)}`}
+        />
+      )}
+
       {/* Feedback */}
       {error && (
         <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -242,29 +482,42 @@ export default function LockUI() {
       {/* Actions */}
       <div>
         {!wallet ? (
-          <button
-            onClick={connect}
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition"
-          >
-            Connect Wallet
-          </button>
-        ) : (
+          <ConnectWallet onError={setError} />
+        ) : isWrongChain ? null : (
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             <button
               onClick={withdraw}
-              disabled={!canWithdraw || loading || contractLoading}
+              disabled={!canAct || loading || contractLoading}
               className={`w-full text-sm font-medium py-2 px-4 rounded-lg transition ${
-                canWithdraw && !loading && !contractLoading
+                canAct && !loading && !contractLoading
                   ? "bg-green-600 hover:bg-green-700 text-white"
                   : "bg-gray-200 text-gray-400 cursor-not-allowed"
               }`}
             >
               {loading
                 ? "Processing..."
+                : schedule
+                ? canAct
+                  ? `Release ${formatAmount(releasable)}`
+                  : "Nothing to Release"
                 : canWithdraw
                 ? "Withdraw Funds"
                 : "Funds Locked"}
             </button>
+            {gaslessAvailable && !schedule && (
+              <button
+                onClick={withdrawGasless}
+                disabled={!canAct || loading || contractLoading}
+                className={`w-full sm:col-span-2 text-sm font-medium py-2 px-4 rounded-lg border transition ${
+                  canAct && !loading && !contractLoading
+                    ? "border-green-600 text-green-700 hover:bg-green-50"
+                    : "border-gray-200 text-gray-400 cursor-not-allowed"
+                }`}
+                title="Sign a message and let the relayer pay the gas"
+              >
+                Withdraw without gas
+              </button>
+            )}
             <button
               onClick={fetchContractData}
               disabled={contractLoading}
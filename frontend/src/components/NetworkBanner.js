@@ -0,0 +1,35 @@
+import React from "react";
+import { useWallet } from "../context/WalletContext";
+import { DEFAULT_CHAIN_ID, chainName } from "../utils/chains";
+
+// Shown while the connected wallet is on a chain without a Lock deployment.
+// The page falls back to read-only data until the wallet switches.
+export default function NetworkBanner({ onError }) {
+  const { chainId, isWrongChain, switchNetwork } = useWallet();
+
+  if (!isWrongChain) return null;
+
+  const handleSwitch = async () => {
+    try {
+      onError("");
+      await switchNetwork(DEFAULT_CHAIN_ID);
+    } catch (err) {
+      onError("Failed to switch network: " + err.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+      <p className="text-sm text-yellow-800">
+        Your wallet is on {chainName(chainId)}. This lock lives on{" "}
+        {chainName(DEFAULT_CHAIN_ID)}; switch networks to manage it.
+      </p>
+      <button
+        onClick={handleSwitch}
+        className="shrink-0 bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-medium py-2 px-4 rounded-lg transition"
+      >
+        Switch to {chainName(DEFAULT_CHAIN_ID)}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import {
+  FINAL_CONFIRMATIONS,
+  useTransactions
+} from "../context/TransactionContext";
+import { txUrl } from "../utils/chains";
+
+const TONE_CLASSES = {
+  info: "bg-white border-gray-200 text-gray-800",
+  success: "bg-green-50 border-green-200 text-green-800",
+  error: "bg-red-50 border-red-200 text-red-800"
+};
+
+const shorten = (hash) => `${hash.slice(0, 10)}...${hash.slice(-4)}`;
+
+// Bottom-right stack shown on every route: transactions still being watched,
+// with speed-up and cancel while pending, above the latest notifications.
+export default function TransactionToasts() {
+  const { active, speedUp, cancel, toasts, notify, dismissToast } =
+    useTransactions();
+  const [busy, setBusy] = useState(null);
+
+  const run = async (id, action, label) => {
+    try {
+      setBusy(id);
+      await action(id);
+    } catch (err) {
+      notify(`${label} failed: ` + (err.reason || err.message), "error");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!active.length && !toasts.length) return null;
+
+  const buttonClass =
+    "text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400 transition";
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2">
+      {active.map((item) => {
+        const url = txUrl(item.chainId, item.hash);
+        const pending = item.status === "pending";
+        return (
+          <div
+            key={item.id}
+            className="p-3 bg-white border border-gray-200 rounded-lg shadow-md space-y-1"
+          >
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-sm font-semibold text-gray-800">
+                {item.label}
+              </p>
+              <span
+                className={`px-2 py-0.5 text-xs font-semibold rounded ${
+                  pending
+                    ? "bg-yellow-100 text-yellow-800"
+                    : "bg-green-100 text-green-800"
+                }`}
+              >
+                {pending
+                  ? item.cancelHash
+                    ? "Cancelling"
+                    : "Pending"
+                  : `${item.confirmations}/${FINAL_CONFIRMATIONS} confirmations`}
+              </span>
+            </div>
+            <p className="text-xs font-mono text-gray-500">
+              {url ? (
+                <a
+                  href={url}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="hover:text-gray-700"
+                >
+                  {shorten(item.hash)}
+                </a>
+              ) : (
+                shorten(item.hash)
+              )}
+              {item.hashes.length > 1 &&
+                ` · replaced ${item.hashes.length - 1}×`}
+            </p>
+            {pending && !item.cancelHash && (
+              <div className="flex gap-4">
+                <button
+                  onClick={() => run(item.id, speedUp, "Speed-up")}
+                  disabled={busy !== null}
+                  className={buttonClass}
+                >
+                  {busy === item.id ? "Waiting for wallet..." : "Speed up"}
+                </button>
+                <button
+                  onClick={() => run(item.id, cancel, "Cancel")}
+                  disabled={busy !== null}
+                  className="text-xs font-medium text-red-500 hover:text-red-700 disabled:text-gray-400 transition"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`flex items-start justify-between gap-2 p-3 border rounded-lg shadow-md text-sm ${
+            TONE_CLASSES[toast.tone]
+          }`}
+        >
+          <span>{toast.message}</span>
+          <button
+            onClick={() => dismissToast(toast.id)}
+            className="text-gray-400 hover:text-gray-600"
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
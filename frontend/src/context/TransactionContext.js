@@ -0,0 +1,372 @@
+// src/context/TransactionContext.js
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState
+} from "react";
+import { ethers } from "ethers";
+import { useWallet } from "./WalletContext";
+
+const STORAGE_KEY = "dapp.transactions";
+const POLL_INTERVAL = 4000;
+const TOAST_TTL = 6000;
+// Finished transactions kept in localStorage; pending ones are never pruned.
+const MAX_FINISHED = 20;
+// A confirmed transaction stays in the tray until it has this many.
+export const FINAL_CONFIRMATIONS = 3;
+// A transaction no node has known about for this long counts as dropped.
+const DROP_AFTER = 5 * 60 * 1000;
+// Nodes only accept a same-nonce replacement that raises its fees by at least
+// 10%; bump by more so a rising base fee doesn't get it rejected.
+const FEE_BUMP_PERCENT = 120n;
+
+const FEE_FIELDS = [
+  "value",
+  "gasLimit",
+  "gasPrice",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas"
+];
+
+// Failure messages complete "<label> failed: ...".
+const OUTCOMES = {
+  confirmed: { tone: "success", toast: "confirmed" },
+  failed: { tone: "error", toast: "failed", error: "transaction reverted" },
+  cancelled: { tone: "info", toast: "cancelled", error: "cancelled" },
+  replaced: {
+    tone: "error",
+    toast: "was replaced by another transaction",
+    error: "replaced by another transaction with the same nonce"
+  },
+  dropped: {
+    tone: "error",
+    toast: "was dropped by the network",
+    error: "dropped by the network"
+  }
+};
+
+const toText = (value) =>
+  value === null || value === undefined ? null : value.toString();
+
+const feeFields = (source) =>
+  Object.fromEntries(FEE_FIELDS.map((field) => [field, toText(source[field])]));
+
+const maxOf = (a, b) => (a > b ? a : b);
+const bump = (value) => (ethers.toBigInt(value) * FEE_BUMP_PERCENT) / 100n;
+
+function replacementFees(item, feeData) {
+  if (item.maxFeePerGas === null) {
+    return { gasPrice: maxOf(bump(item.gasPrice), feeData.gasPrice || 0n) };
+  }
+  const maxPriorityFeePerGas = maxOf(
+    bump(item.maxPriorityFeePerGas),
+    feeData.maxPriorityFeePerGas || 0n
+  );
+  return {
+    maxPriorityFeePerGas,
+    maxFeePerGas: maxOf(
+      maxOf(bump(item.maxFeePerGas), feeData.maxFeePerGas || 0n),
+      maxPriorityFeePerGas
+    )
+  };
+}
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function prune(transactions) {
+  let finished = 0;
+  return transactions.filter(
+    (item) => item.status === "pending" || ++finished <= MAX_FINISHED
+  );
+}
+
+const TransactionContext = createContext(null);
+
+// Tracks every transaction the app sends until it is final, across reloads:
+// records live in localStorage and watching resumes on load. Detects
+// transactions replaced or dropped outside the app, offers same-nonce
+// speed-up and cancel, and raises a toast for every outcome.
+export function TransactionProvider({ children }) {
+  const { signer, account, readProvider, readChainId } = useWallet();
+  const [transactions, setTransactions] = useState(load);
+  const [toasts, setToasts] = useState([]);
+  // Callers awaiting track(); lost on reload, when only the toasts remain.
+  const waiters = useRef(new Map());
+  const current = useRef(transactions);
+  current.current = transactions;
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+  }, [transactions]);
+
+  const dismissToast = useCallback(
+    (id) => setToasts((previous) => previous.filter((item) => item.id !== id)),
+    []
+  );
+
+  const notify = useCallback(
+    (message, tone = "info") => {
+      const id = `${Date.now()}-${Math.random()}`;
+      setToasts((previous) => [...previous, { id, message, tone }]);
+      setTimeout(() => dismissToast(id), TOAST_TTL);
+    },
+    [dismissToast]
+  );
+
+  const update = useCallback(
+    (id, changes) =>
+      setTransactions((previous) =>
+        previous.map((item) =>
+          item.id === id ? { ...item, ...changes } : item
+        )
+      ),
+    []
+  );
+
+  const finish = useCallback(
+    (item, status, changes = {}, receipt = null) => {
+      const outcome = OUTCOMES[status];
+      setTransactions((previous) =>
+        prune(
+          previous.map((entry) =>
+            entry.id === item.id ? { ...entry, ...changes, status } : entry
+          )
+        )
+      );
+      notify(`${item.label} ${outcome.toast}`, outcome.tone);
+
+      const waiter = waiters.current.get(item.id);
+      if (!waiter) return;
+      waiters.current.delete(item.id);
+      if (status === "confirmed") waiter.resolve(receipt);
+      else waiter.reject(new Error(outcome.error));
+    },
+    [notify]
+  );
+
+  const check = useCallback(
+    async (item, blockNumber) => {
+      const findReceipt = async () =>
+        (
+          await Promise.all(
+            item.hashes.map((hash) => readProvider.getTransactionReceipt(hash))
+          )
+        ).find(Boolean);
+
+      let receipt = await findReceipt();
+      if (!receipt) {
+        const seen = await Promise.all(
+          item.hashes.map((hash) => readProvider.getTransaction(hash))
+        );
+        if (seen.some(Boolean)) {
+          update(item.id, { lastSeenAt: Date.now() });
+          return;
+        }
+        // Gone from the mempool: either its nonce was used by a transaction
+        // we didn't send, or the network dropped it.
+        const nonce = await readProvider.getTransactionCount(
+          item.from,
+          "latest"
+        );
+        if (nonce <= item.nonce) {
+          if (Date.now() - item.lastSeenAt > DROP_AFTER) {
+            finish(item, "dropped");
+          }
+          return;
+        }
+        // It may have been mined since the first look, or sped up from this
+        // tab, in which case the next poll checks the new hash.
+        receipt = await findReceipt();
+        const latest = current.current.find((entry) => entry.id === item.id);
+        if (latest.hashes.length !== item.hashes.length) return;
+        if (!receipt) return finish(item, "replaced");
+      }
+
+      const confirmations = blockNumber - receipt.blockNumber + 1;
+      if (item.status !== "pending") {
+        update(item.id, { confirmations });
+        return;
+      }
+      const status =
+        receipt.hash === item.cancelHash
+          ? "cancelled"
+          : receipt.status === 1
+            ? "confirmed"
+            : "failed";
+      finish(
+        item,
+        status,
+        { hash: receipt.hash, confirmations, blockNumber: receipt.blockNumber },
+        receipt
+      );
+    },
+    [readProvider, update, finish]
+  );
+
+  useEffect(() => {
+    if (!readProvider) return undefined;
+    let cancelled = false;
+    // Slow RPCs can make polls overlap and settle a transaction twice.
+    let polling = false;
+
+    const poll = async () => {
+      const watched = current.current.filter(
+        (item) =>
+          item.chainId === Number(readChainId) &&
+          (item.status === "pending" ||
+            (item.status === "confirmed" &&
+              item.confirmations < FINAL_CONFIRMATIONS))
+      );
+      if (!watched.length || polling) return;
+      polling = true;
+      try {
+        const blockNumber = await readProvider.getBlockNumber();
+        for (const item of watched) {
+          if (cancelled) return;
+          await check(item, blockNumber);
+        }
+      } catch (err) {
+        console.error("⚠️ Failed to check transactions:", err.message);
+      } finally {
+        polling = false;
+      }
+    };
+
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [readProvider, readChainId, check]);
+
+  // Starts tracking a sent transaction. Resolves with the receipt once it (or
+  // a speed-up of it) is mined, and rejects if it reverts, is cancelled,
+  // replaced or dropped.
+  const track = useCallback(
+    (tx, label) => {
+      const now = Date.now();
+      const record = {
+        id: tx.hash,
+        hash: tx.hash,
+        // Every transaction sent with this nonce, oldest first.
+        hashes: [tx.hash],
+        cancelHash: null,
+        label,
+        chainId: Number(tx.chainId),
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        nonce: tx.nonce,
+        ...feeFields(tx),
+        status: "pending",
+        confirmations: 0,
+        blockNumber: null,
+        submittedAt: now,
+        lastSeenAt: now
+      };
+      setTransactions((previous) => prune([record, ...previous]));
+      notify(`${label} submitted`);
+      return new Promise((resolve, reject) =>
+        waiters.current.set(record.id, { resolve, reject })
+      );
+    },
+    [notify]
+  );
+
+  // Re-sends a pending transaction's nonce with higher fees: the same call
+  // to speed it up, or an empty transfer to self to cancel it.
+  const replace = useCallback(
+    async (id, cancel) => {
+      const item = current.current.find((entry) => entry.id === id);
+      if (!item || item.status !== "pending") {
+        throw new Error("This transaction is no longer pending");
+      }
+      if (
+        !signer ||
+        !account ||
+        account.toLowerCase() !== item.from.toLowerCase() ||
+        Number(readChainId) !== item.chainId
+      ) {
+        throw new Error(
+          "Switch to the account and network that sent this transaction"
+        );
+      }
+
+      const fees = replacementFees(item, await signer.provider.getFeeData());
+      const tx = await signer.sendTransaction({
+        nonce: item.nonce,
+        ...(cancel
+          ? { to: item.from, value: 0n, data: "0x" }
+          : {
+              to: item.to,
+              value: ethers.toBigInt(item.value || 0),
+              data: item.data,
+              gasLimit: ethers.toBigInt(item.gasLimit)
+            }),
+        ...fees
+      });
+      update(id, {
+        hash: tx.hash,
+        hashes: [...item.hashes, tx.hash],
+        cancelHash: cancel ? tx.hash : item.cancelHash,
+        ...feeFields(tx),
+        // A cancel keeps the original call so the record still describes it.
+        ...(cancel && {
+          value: item.value,
+          gasLimit: item.gasLimit
+        }),
+        lastSeenAt: Date.now()
+      });
+      notify(`${cancel ? "Cancelling" : "Speeding up"} ${item.label}`);
+    },
+    [signer, account, readChainId, update, notify]
+  );
+
+  const speedUp = useCallback((id) => replace(id, false), [replace]);
+  const cancel = useCallback((id) => replace(id, true), [replace]);
+
+  const value = useMemo(
+    () => ({
+      transactions,
+      // Pending, or confirmed but not yet final.
+      active: transactions.filter(
+        (item) =>
+          item.status === "pending" ||
+          (item.status === "confirmed" &&
+            item.confirmations < FINAL_CONFIRMATIONS)
+      ),
+      track,
+      speedUp,
+      cancel,
+      toasts,
+      notify,
+      dismissToast
+    }),
+    [transactions, track, speedUp, cancel, toasts, notify, dismissToast]
+  );
+
+  return (
+    <TransactionContext.Provider value={value}>
+      {children}
+    </TransactionContext.Provider>
+  );
+}
+
+export function useTransactions() {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error("useTransactions must be used inside TransactionProvider");
+  }
+  return context;
+}
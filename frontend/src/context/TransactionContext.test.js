@@ -0,0 +1,300 @@
+import { act, render, waitFor } from "@testing-library/react";
+import { TransactionProvider, useTransactions } from "./TransactionContext";
+import { useWallet } from "./WalletContext";
+
+jest.mock("./WalletContext", () => ({ useWallet: jest.fn() }));
+
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CHAIN_ID = 31337;
+const POLL_INTERVAL = 4000;
+
+const hash = (n) => `0x${n.toString(16).padStart(64, "0")}`;
+
+// The chain as the read provider sees it; tests mine and forget
+// transactions by editing it.
+let chain;
+const readProvider = {
+  getBlockNumber: async () => chain.blockNumber,
+  getTransactionReceipt: async (txHash) => chain.receipts[txHash] || null,
+  getTransaction: async (txHash) =>
+    chain.pending.includes(txHash) ? { hash: txHash } : null,
+  getTransactionCount: async () => chain.nonce
+};
+const mine = (txHash, status = 1) => {
+  chain.receipts[txHash] = {
+    hash: txHash,
+    status,
+    blockNumber: chain.blockNumber
+  };
+  chain.nonce = 8;
+};
+
+let sent;
+const signer = {
+  provider: {
+    getFeeData: async () => ({
+      gasPrice: 40n,
+      maxFeePerGas: 50n,
+      maxPriorityFeePerGas: 1n
+    })
+  },
+  sendTransaction: async (request) => {
+    sent.push(request);
+    return {
+      ...request,
+      hash: hash(100 + sent.length),
+      from: ACCOUNT,
+      chainId: 31337n,
+      gasPrice: request.gasPrice || null,
+      maxFeePerGas: request.maxFeePerGas || null,
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas || null
+    };
+  }
+};
+
+const withdrawal = (overrides = {}) => ({
+  hash: hash(1),
+  chainId: 31337n,
+  from: ACCOUNT,
+  to: LOCK,
+  data: "0x3ccfd60b",
+  nonce: 7,
+  value: 0n,
+  gasLimit: 50000n,
+  gasPrice: null,
+  maxFeePerGas: 100n,
+  maxPriorityFeePerGas: 10n,
+  ...overrides
+});
+
+let transactions;
+function Probe() {
+  transactions = useTransactions();
+  return null;
+}
+const renderProvider = () =>
+  render(
+    <TransactionProvider>
+      <Probe />
+    </TransactionProvider>
+  );
+
+// Starts tracking `tx`; the returned promise settles with the outcome.
+function track(tx, label = "Withdrawal") {
+  let outcome;
+  act(() => {
+    outcome = transactions.track(tx, label);
+  });
+  // Outcomes are asserted on when a test cares about them.
+  outcome.catch(() => {});
+  return outcome;
+}
+
+const stored = () => JSON.parse(localStorage.getItem("dapp.transactions"));
+const toastMessages = () => transactions.toasts.map((toast) => toast.message);
+
+beforeEach(() => {
+  chain = { blockNumber: 100, receipts: {}, pending: [], nonce: 7 };
+  sent = [];
+  useWallet.mockReturnValue({
+    signer,
+    account: ACCOUNT,
+    readProvider,
+    readChainId: CHAIN_ID
+  });
+});
+
+afterEach(() => localStorage.clear());
+
+describe("persistence", () => {
+  it("stores a tracked transaction with its fees as strings", () => {
+    renderProvider();
+
+    track(withdrawal());
+
+    expect(stored()).toEqual([
+      expect.objectContaining({
+        id: hash(1),
+        hashes: [hash(1)],
+        label: "Withdrawal",
+        chainId: CHAIN_ID,
+        nonce: 7,
+        gasLimit: "50000",
+        maxFeePerGas: "100",
+        maxPriorityFeePerGas: "10",
+        gasPrice: null,
+        status: "pending"
+      })
+    ]);
+    expect(toastMessages()).toEqual(["Withdrawal submitted"]);
+  });
+
+  it("keeps watching a pending transaction after a reload", async () => {
+    const { unmount } = renderProvider();
+    track(withdrawal());
+    unmount();
+    mine(hash(1));
+
+    renderProvider();
+
+    await waitFor(() =>
+      expect(transactions.transactions[0].status).toBe("confirmed")
+    );
+    expect(transactions.transactions[0]).toMatchObject({
+      confirmations: 1,
+      blockNumber: 100
+    });
+    expect(toastMessages()).toContain("Withdrawal confirmed");
+    expect(stored()[0].status).toBe("confirmed");
+  });
+
+  it("marks a transaction whose nonce was used elsewhere as replaced", async () => {
+    const { unmount } = renderProvider();
+    track(withdrawal());
+    unmount();
+    chain.nonce = 8;
+
+    renderProvider();
+
+    await waitFor(() =>
+      expect(transactions.transactions[0].status).toBe("replaced")
+    );
+    expect(toastMessages()).toContain(
+      "Withdrawal was replaced by another transaction"
+    );
+  });
+
+  it("starts with an empty history when storage is corrupt", () => {
+    localStorage.setItem("dapp.transactions", "{not json");
+
+    renderProvider();
+
+    expect(transactions.transactions).toEqual([]);
+  });
+});
+
+describe("speed-up and cancel", () => {
+  it("re-sends the same call and nonce with bumped fees", async () => {
+    renderProvider();
+    track(withdrawal());
+
+    await act(() => transactions.speedUp(hash(1)));
+
+    expect(sent).toEqual([
+      {
+        nonce: 7,
+        to: LOCK,
+        value: 0n,
+        data: "0x3ccfd60b",
+        gasLimit: 50000n,
+        maxFeePerGas: 120n,
+        maxPriorityFeePerGas: 12n
+      }
+    ]);
+    expect(transactions.transactions[0]).toMatchObject({
+      id: hash(1),
+      hash: hash(101),
+      hashes: [hash(1), hash(101)],
+      cancelHash: null,
+      maxFeePerGas: "120",
+      status: "pending"
+    });
+    expect(toastMessages()).toContain("Speeding up Withdrawal");
+  });
+
+  it("bumps a legacy gas price, never below the network's", async () => {
+    renderProvider();
+    track(withdrawal({ gasPrice: 20n, maxFeePerGas: null }));
+
+    await act(() => transactions.speedUp(hash(1)));
+
+    expect(sent[0].gasPrice).toBe(40n);
+    expect(sent[0].maxFeePerGas).toBe(undefined);
+  });
+
+  it("resolves track() with the receipt of the sped-up transaction", async () => {
+    jest.useFakeTimers();
+    try {
+      renderProvider();
+      const outcome = track(withdrawal());
+      await act(() => transactions.speedUp(hash(1)));
+      mine(hash(101));
+
+      await act(async () => {
+        jest.advanceTimersByTime(POLL_INTERVAL);
+        await expect(outcome).resolves.toMatchObject({ hash: hash(101) });
+      });
+      expect(transactions.transactions[0]).toMatchObject({
+        hash: hash(101),
+        status: "confirmed"
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("cancels with an empty transfer to self", async () => {
+    renderProvider();
+    track(withdrawal());
+
+    await act(() => transactions.cancel(hash(1)));
+
+    expect(sent).toEqual([
+      {
+        nonce: 7,
+        to: ACCOUNT,
+        value: 0n,
+        data: "0x",
+        maxFeePerGas: 120n,
+        maxPriorityFeePerGas: 12n
+      }
+    ]);
+    expect(transactions.transactions[0]).toMatchObject({
+      cancelHash: hash(101),
+      // Still describes the call that was cancelled.
+      to: LOCK,
+      gasLimit: "50000"
+    });
+  });
+
+  it("reports a mined cancellation after a reload", async () => {
+    const { unmount } = renderProvider();
+    track(withdrawal());
+    await act(() => transactions.cancel(hash(1)));
+    unmount();
+    mine(hash(101));
+
+    renderProvider();
+
+    await waitFor(() =>
+      expect(transactions.transactions[0].status).toBe("cancelled")
+    );
+    expect(toastMessages()).toContain("Withdrawal cancelled");
+  });
+
+  it("refuses to replace from another account", async () => {
+    renderProvider();
+    track(withdrawal({ from: LOCK }));
+
+    await expect(transactions.speedUp(hash(1))).rejects.toThrow(
+      "Switch to the account and network that sent this transaction"
+    );
+    expect(sent).toEqual([]);
+  });
+
+  it("refuses to replace a transaction that is no longer pending", async () => {
+    const { unmount } = renderProvider();
+    track(withdrawal());
+    unmount();
+    mine(hash(1));
+    renderProvider();
+    await waitFor(() =>
+      expect(transactions.transactions[0].status).toBe("confirmed")
+    );
+
+    await expect(transactions.cancel(hash(1))).rejects.toThrow(
+      "This transaction is no longer pending"
+    );
+  });
+});
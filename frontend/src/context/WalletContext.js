@@ -0,0 +1,242 @@
+// src/context/WalletContext.js
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState
+} from "react";
+import { ethers } from "ethers";
+import {
+  DEFAULT_CHAIN_ID,
+  READ_RPC_URL,
+  addChainParams,
+  chainName,
+  isSupportedChain
+} from "../utils/chains";
+
+const STORAGE_KEY = "dapp.wallet";
+// Returned by wallet_switchEthereumChain for a chain the wallet doesn't know.
+const UNRECOGNIZED_CHAIN = 4902;
+
+// Some wallets (MetaMask Mobile) nest the provider error code.
+const errorCode = (err) =>
+  err.code ||
+  (err.data && err.data.originalError && err.data.originalError.code);
+
+// Stand-in for wallets that only inject window.ethereum and don't announce
+// themselves through EIP-6963.
+function legacyWallet() {
+  if (!window.ethereum) return null;
+  return {
+    info: {
+      uuid: "injected",
+      name: "Browser wallet",
+      icon: null,
+      rdns: "injected"
+    },
+    provider: window.ethereum
+  };
+}
+
+const WalletContext = createContext(null);
+
+// Discovers injected wallets (EIP-6963), follows the chosen wallet's account
+// and chain through its EIP-1193 events, and hands out ethers providers: the
+// wallet's while it is on a supported chain, otherwise a read-only JSON-RPC
+// provider for DEFAULT_CHAIN_ID so visitors without a wallet still see locks.
+export function WalletProvider({ children }) {
+  const [announced, setAnnounced] = useState([]);
+  const [wallet, setWallet] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [signer, setSigner] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+
+  useEffect(() => {
+    const onAnnounce = (event) => {
+      const detail = event.detail;
+      setAnnounced((previous) =>
+        previous.some((item) => item.info.uuid === detail.info.uuid)
+          ? previous
+          : [...previous, detail]
+      );
+    };
+    window.addEventListener("eip6963:announceProvider", onAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+    return () =>
+      window.removeEventListener("eip6963:announceProvider", onAnnounce);
+  }, []);
+
+  const wallets = useMemo(() => {
+    if (announced.length) return announced;
+    const legacy = legacyWallet();
+    return legacy ? [legacy] : [];
+  }, [announced]);
+
+  // `method` is eth_requestAccounts to prompt, eth_accounts to reconnect
+  // silently. Resolves to the account, or null if the wallet gave none.
+  const attach = useCallback(async (detail, method) => {
+    const accounts = await detail.provider.request({ method });
+    if (!accounts.length) return null;
+    const chain = await detail.provider.request({ method: "eth_chainId" });
+
+    const address = ethers.getAddress(accounts[0]);
+    setWallet(detail);
+    setAccount(address);
+    setChainId(Number(chain));
+    localStorage.setItem(STORAGE_KEY, detail.info.rdns);
+    return address;
+  }, []);
+
+  // Reconnect to last session's wallet once it has announced itself. EIP-6963
+  // uuids change on every page load, so it is remembered by rdns.
+  useEffect(() => {
+    if (wallet) return;
+    const rdns = localStorage.getItem(STORAGE_KEY);
+    const previous = wallets.find((item) => item.info.rdns === rdns);
+    if (previous) attach(previous, "eth_accounts").catch(() => {});
+  }, [wallets, wallet, attach]);
+
+  useEffect(() => {
+    if (!wallet || !wallet.provider.on) return undefined;
+    const { provider } = wallet;
+    const onAccountsChanged = (accounts) =>
+      setAccount(accounts.length ? ethers.getAddress(accounts[0]) : null);
+    const onChainChanged = (chain) => setChainId(Number(chain));
+    const onDisconnect = () => setAccount(null);
+
+    provider.on("accountsChanged", onAccountsChanged);
+    provider.on("chainChanged", onChainChanged);
+    provider.on("disconnect", onDisconnect);
+    return () => {
+      provider.removeListener("accountsChanged", onAccountsChanged);
+      provider.removeListener("chainChanged", onChainChanged);
+      provider.removeListener("disconnect", onDisconnect);
+    };
+  }, [wallet]);
+
+  const connect = useCallback(
+    async (detail = wallets[0]) => {
+      if (!detail) {
+        throw new Error("No Ethereum wallet found. Install one to connect.");
+      }
+      setConnecting(true);
+      try {
+        return await attach(detail, "eth_requestAccounts");
+      } finally {
+        setConnecting(false);
+      }
+    },
+    [wallets, attach]
+  );
+
+  // Dapps can't disconnect a wallet; this just forgets it.
+  const disconnect = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setWallet(null);
+    setAccount(null);
+    setChainId(null);
+  }, []);
+
+  const switchNetwork = useCallback(
+    async (targetChainId = DEFAULT_CHAIN_ID) => {
+      if (!wallet) throw new Error("Connect a wallet first");
+      const request = (method, params) =>
+        wallet.provider.request({ method, params });
+
+      try {
+        await request("wallet_switchEthereumChain", [
+          { chainId: ethers.toQuantity(targetChainId) }
+        ]);
+      } catch (err) {
+        if (errorCode(err) !== UNRECOGNIZED_CHAIN) throw err;
+        const params = addChainParams(targetChainId);
+        if (!params) {
+          throw new Error(
+            `Add ${chainName(targetChainId)} to your wallet manually`
+          );
+        }
+        await request("wallet_addEthereumChain", [params]);
+      }
+    },
+    [wallet]
+  );
+
+  const onSupportedChain = Boolean(account) && isSupportedChain(chainId);
+
+  const browserProvider = useMemo(
+    () =>
+      wallet && chainId ? new ethers.BrowserProvider(wallet.provider) : null,
+    [wallet, chainId]
+  );
+  const rpcProvider = useMemo(
+    () =>
+      READ_RPC_URL
+        ? new ethers.JsonRpcProvider(READ_RPC_URL, DEFAULT_CHAIN_ID, {
+            staticNetwork: true
+          })
+        : null,
+    []
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setSigner(null);
+    if (browserProvider && account && onSupportedChain) {
+      browserProvider
+        .getSigner(account)
+        .then((next) => !cancelled && setSigner(next))
+        .catch((err) =>
+          console.error("⚠️ Failed to get wallet signer:", err.message)
+        );
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [browserProvider, account, onSupportedChain]);
+
+  const value = useMemo(
+    () => ({
+      wallets,
+      wallet: wallet ? wallet.info : null,
+      account,
+      chainId,
+      isWrongChain: Boolean(account) && !onSupportedChain,
+      connecting,
+      connect,
+      disconnect,
+      switchNetwork,
+      // Present only while the wallet is connected to a supported chain.
+      signer,
+      // Reads go through the wallet when it can, else the JSON-RPC endpoint.
+      readProvider: onSupportedChain ? browserProvider : rpcProvider,
+      readChainId: onSupportedChain ? chainId : DEFAULT_CHAIN_ID
+    }),
+    [
+      wallets,
+      wallet,
+      account,
+      chainId,
+      onSupportedChain,
+      connecting,
+      connect,
+      disconnect,
+      switchNetwork,
+      signer,
+      browserProvider,
+      rpcProvider
+    ]
+  );
+
+  return (
+    <WalletContext.Provider value={value}>{children}</WalletContext.Provider>
+  );
+}
+
+export function useWallet() {
+  const context = useContext(WalletContext);
+  if (!context) throw new Error("useWallet must be used inside WalletProvider");
+  return context;
+}
@@ -0,0 +1,265 @@
+import { act, render, waitFor } from "@testing-library/react";
+import { WalletProvider, useWallet } from "./WalletContext";
+
+// Wallets report accounts in lower case; the context checksums them.
+const ACCOUNT = "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266";
+const CHECKSUMMED = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const LOCAL_CHAIN_ID = 31337;
+
+// Minimal EIP-1193 provider that switches chains on request and lets tests
+// emit the events WalletProvider follows.
+function createProvider(chainId = LOCAL_CHAIN_ID) {
+  const listeners = {};
+  const provider = {
+    chainId,
+    request: jest.fn(async ({ method, params }) => {
+      switch (method) {
+        case "eth_accounts":
+        case "eth_requestAccounts":
+          return [ACCOUNT];
+        case "eth_chainId":
+          return `0x${provider.chainId.toString(16)}`;
+        case "wallet_switchEthereumChain":
+          provider.emit("chainChanged", params[0].chainId);
+          return null;
+        default:
+          return null;
+      }
+    }),
+    on: (event, listener) => {
+      listeners[event] = [...(listeners[event] || []), listener];
+    },
+    removeListener: (event, listener) => {
+      listeners[event] = (listeners[event] || []).filter(
+        (item) => item !== listener
+      );
+    },
+    emit: (event, value) => {
+      if (event === "chainChanged") provider.chainId = Number(value);
+      (listeners[event] || []).forEach((listener) => listener(value));
+    }
+  };
+  return provider;
+}
+
+// Makes `method` fail with `error`, leaving every other request as it was.
+function failing(provider, method, error) {
+  const request = provider.request.getMockImplementation();
+  provider.request.mockImplementation(async (args) => {
+    if (args.method === method) throw error;
+    return request(args);
+  });
+}
+
+const detailFor = (name, provider = createProvider()) => ({
+  info: {
+    uuid: `${name}-uuid`,
+    name,
+    icon: null,
+    rdns: `io.${name.toLowerCase()}`
+  },
+  provider
+});
+
+const announce = (detail) =>
+  window.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail }));
+
+// Answers the provider's EIP-6963 request the way installed wallets do.
+let stopAnnouncing = () => {};
+function announceOnRequest(...details) {
+  const onRequest = () => details.forEach(announce);
+  window.addEventListener("eip6963:requestProvider", onRequest);
+  stopAnnouncing = () =>
+    window.removeEventListener("eip6963:requestProvider", onRequest);
+}
+
+let wallet;
+function Probe() {
+  wallet = useWallet();
+  return null;
+}
+const renderProvider = () =>
+  render(
+    <WalletProvider>
+      <Probe />
+    </WalletProvider>
+  );
+
+afterEach(() => {
+  stopAnnouncing();
+  delete window.ethereum;
+  localStorage.clear();
+});
+
+describe("wallet discovery", () => {
+  it("lists every wallet announced through EIP-6963 once", () => {
+    const metaMask = detailFor("MetaMask");
+    announceOnRequest(metaMask, detailFor("Rabby"));
+
+    renderProvider();
+    act(() => announce(metaMask));
+
+    expect(wallet.wallets.map((item) => item.info.name)).toEqual([
+      "MetaMask",
+      "Rabby"
+    ]);
+  });
+
+  it("falls back to window.ethereum when no wallet announces itself", () => {
+    window.ethereum = createProvider();
+
+    renderProvider();
+
+    expect(wallet.wallets).toHaveLength(1);
+    expect(wallet.wallets[0].info.name).toBe("Browser wallet");
+    expect(wallet.wallets[0].provider).toBe(window.ethereum);
+  });
+
+  it("is empty without any wallet", () => {
+    renderProvider();
+
+    expect(wallet.wallets).toEqual([]);
+    return expect(wallet.connect()).rejects.toThrow("No Ethereum wallet found");
+  });
+});
+
+describe("connecting", () => {
+  it("connects the chosen wallet and remembers it", async () => {
+    const rabby = detailFor("Rabby");
+    announceOnRequest(detailFor("MetaMask"), rabby);
+    renderProvider();
+
+    await act(() => wallet.connect(wallet.wallets[1]));
+
+    expect(rabby.provider.request).toHaveBeenCalledWith({
+      method: "eth_requestAccounts"
+    });
+    expect(wallet.account).toBe(CHECKSUMMED);
+    expect(wallet.chainId).toBe(LOCAL_CHAIN_ID);
+    expect(wallet.wallet.name).toBe("Rabby");
+    expect(wallet.isWrongChain).toBe(false);
+    expect(localStorage.getItem("dapp.wallet")).toBe("io.rabby");
+    await waitFor(() => expect(wallet.signer).not.toBe(null));
+    expect(wallet.signer.address).toBe(CHECKSUMMED);
+  });
+
+  it("reconnects to the remembered wallet without prompting", async () => {
+    const rabby = detailFor("Rabby");
+    announceOnRequest(detailFor("MetaMask"), rabby);
+    localStorage.setItem("dapp.wallet", "io.rabby");
+
+    renderProvider();
+
+    await waitFor(() => expect(wallet.account).toBe(CHECKSUMMED));
+    expect(wallet.wallet.name).toBe("Rabby");
+    expect(rabby.provider.request).toHaveBeenCalledWith({
+      method: "eth_accounts"
+    });
+    expect(rabby.provider.request).not.toHaveBeenCalledWith({
+      method: "eth_requestAccounts"
+    });
+    await waitFor(() => expect(wallet.signer).not.toBe(null));
+  });
+
+  it("follows account changes and forgets the wallet on disconnect", async () => {
+    const metaMask = detailFor("MetaMask");
+    announceOnRequest(metaMask);
+    renderProvider();
+    await act(() => wallet.connect());
+    await waitFor(() => expect(wallet.signer).not.toBe(null));
+
+    act(() => metaMask.provider.emit("accountsChanged", []));
+    expect(wallet.account).toBe(null);
+
+    act(() => wallet.disconnect());
+    expect(wallet.wallet).toBe(null);
+    expect(localStorage.getItem("dapp.wallet")).toBe(null);
+  });
+});
+
+describe("chain switching", () => {
+  async function connectedOn(chainId) {
+    const metaMask = detailFor("MetaMask", createProvider(chainId));
+    announceOnRequest(metaMask);
+    renderProvider();
+    await act(() => wallet.connect());
+    return metaMask.provider;
+  }
+
+  it("flags an unsupported chain and reads from the default chain", async () => {
+    const provider = await connectedOn(LOCAL_CHAIN_ID);
+    await waitFor(() => expect(wallet.signer).not.toBe(null));
+
+    act(() => provider.emit("chainChanged", "0x1"));
+
+    expect(wallet.chainId).toBe(1);
+    expect(wallet.isWrongChain).toBe(true);
+    expect(wallet.signer).toBe(null);
+    expect(wallet.readChainId).toBe(LOCAL_CHAIN_ID);
+  });
+
+  it("asks the wallet to switch to a supported chain", async () => {
+    const provider = await connectedOn(1);
+    expect(wallet.isWrongChain).toBe(true);
+
+    await act(() => wallet.switchNetwork(LOCAL_CHAIN_ID));
+
+    expect(provider.request).toHaveBeenCalledWith({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: "0x7a69" }]
+    });
+    expect(wallet.chainId).toBe(LOCAL_CHAIN_ID);
+    expect(wallet.isWrongChain).toBe(false);
+    await waitFor(() => expect(wallet.signer).not.toBe(null));
+  });
+
+  it.each([
+    ["a top-level", { code: 4902 }],
+    // MetaMask Mobile nests it.
+    ["a nested", { data: { originalError: { code: 4902 } } }]
+  ])(
+    "adds a chain the wallet doesn't know (%s error code)",
+    async (_, error) => {
+      const provider = await connectedOn(1);
+      failing(provider, "wallet_switchEthereumChain", error);
+
+      await act(() => wallet.switchNetwork(LOCAL_CHAIN_ID));
+
+      expect(provider.request).toHaveBeenCalledWith({
+        method: "wallet_addEthereumChain",
+        params: [
+          expect.objectContaining({
+            chainId: "0x7a69",
+            chainName: "Hardhat Local",
+            rpcUrls: ["http://127.0.0.1:8545"]
+          })
+        ]
+      });
+    }
+  );
+
+  it("asks the user to add a chain it has no parameters for", async () => {
+    const provider = await connectedOn(1);
+    failing(provider, "wallet_switchEthereumChain", { code: 4902 });
+
+    await expect(wallet.switchNetwork(5)).rejects.toThrow(
+      "Add chain 5 to your wallet manually"
+    );
+  });
+
+  it("passes on other wallet errors", async () => {
+    const provider = await connectedOn(1);
+    failing(
+      provider,
+      "wallet_switchEthereumChain",
+      Object.assign(new Error("User rejected the request."), { code: 4001 })
+    );
+
+    await expect(wallet.switchNetwork(LOCAL_CHAIN_ID)).rejects.toThrow(
+      "User rejected the request."
+    );
+    expect(provider.request).not.toHaveBeenCalledWith(
+      expect.objectContaining({ method: "wallet_addEthereumChain" })
+    );
+  });
+});
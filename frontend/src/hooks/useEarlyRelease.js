@@ -0,0 +1,92 @@
+// src/hooks/useEarlyRelease.js
+import { useCallback, useState } from "react";
+import { ethers } from "ethers";
+import GuardedLockABI from "../abi/GuardedLock.json";
+
+// Reads the guardian set and latest early-release proposal of a GuardedLock;
+// `guard` stays null for other locks.
+export function useEarlyRelease(contract) {
+  const [guard, setGuard] = useState(null);
+  const [guarded, setGuarded] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!contract) return null;
+    const address = await contract.getAddress();
+    const instance = new ethers.Contract(
+      address,
+      GuardedLockABI.abi,
+      contract.runner
+    );
+
+    let threshold;
+    try {
+      threshold = await instance.threshold();
+    } catch {
+      setGuard(null);
+      return null;
+    }
+
+    const [owner, guardians, penaltyBps, treasury, proposal, active, balance] =
+      await Promise.all([
+        instance.owner(),
+        instance.guardians(),
+        instance.penaltyBps(),
+        instance.treasury(),
+        instance.proposal(),
+        instance.isProposalActive(),
+        contract.runner.provider.getBalance(address)
+      ]);
+    const approvedBy =
+      proposal.id > 0n
+        ? (
+            await Promise.all(
+              guardians.map((guardian) =>
+                instance.hasApproved(proposal.id, guardian)
+              )
+            )
+          )
+            .map((approved, i) => approved && guardians[i])
+            .filter(Boolean)
+        : [];
+
+    const next = {
+      owner,
+      guardians: [...guardians],
+      threshold: Number(threshold),
+      penaltyBps: Number(penaltyBps),
+      treasury,
+      // What executing a proposal would send to the treasury right now.
+      penalty: (balance * penaltyBps) / 10000n,
+      balance,
+      proposal:
+        proposal.id > 0n
+          ? {
+              id: proposal.id,
+              proposer: proposal.proposer,
+              expiresAt: Number(proposal.expiresAt),
+              approvals: Number(proposal.approvals),
+              executed: proposal.executed,
+              cancelled: proposal.cancelled,
+              active,
+              approvedBy
+            }
+          : null
+    };
+    setGuarded(instance);
+    setGuard(next);
+    return next;
+  }, [contract]);
+
+  const propose = useCallback(() => guarded.proposeEarlyRelease(), [guarded]);
+  const approve = useCallback(
+    (id) => guarded.approveEarlyRelease(id),
+    [guarded]
+  );
+  const cancel = useCallback((id) => guarded.cancelEarlyRelease(id), [guarded]);
+  const execute = useCallback(
+    (id) => guarded.executeEarlyRelease(id),
+    [guarded]
+  );
+
+  return { guard, refresh, propose, approve, cancel, execute };
+}
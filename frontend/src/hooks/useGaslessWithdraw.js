@@ -0,0 +1,97 @@
+// src/hooks/useGaslessWithdraw.js
+import { useCallback, useEffect, useState } from "react";
+import { apiFetch } from "../utils/api";
+
+// Must match WITHDRAW_TYPEHASH in Lock.sol.
+const WITHDRAW_TYPES = {
+  Withdraw: [
+    { name: "owner", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+const SIGNATURE_TTL = 15 * 60;
+const POLL_INTERVAL = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Withdrawals signed by the owner and paid for by the backend relayer.
+// `available` is false when the backend has no relayer, the relayer is on
+// another chain, or the lock predates withdrawWithSig().
+export function useGaslessWithdraw(contract) {
+  const [available, setAvailable] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setAvailable(false);
+    if (!contract) return undefined;
+
+    const check = async () => {
+      try {
+        const [relayer, network, owner] = await Promise.all([
+          apiFetch("/relayer"),
+          contract.runner.provider.getNetwork(),
+          contract.owner()
+        ]);
+        await contract.nonces(owner);
+        if (!cancelled) {
+          setAvailable(
+            relayer.enabled && Number(network.chainId) === relayer.chainId
+          );
+        }
+      } catch {
+        // No relayer, or a lock without signed withdrawals.
+      }
+    };
+    check();
+    return () => {
+      cancelled = true;
+    };
+  }, [contract]);
+
+  // Signs a Withdraw message, hands it to the relayer and resolves once the
+  // relayed transaction is confirmed. `onStatus` receives progress messages.
+  const withdraw = useCallback(
+    async (onStatus = () => {}) => {
+      const signer = contract.runner;
+      const [owner, lock] = await Promise.all([
+        contract.owner(),
+        contract.getAddress()
+      ]);
+      const [nonce, { chainId }, block] = await Promise.all([
+        contract.nonces(owner),
+        signer.provider.getNetwork(),
+        signer.provider.getBlock("latest")
+      ]);
+      // Chain time can run ahead of the wall clock on a local node.
+      const deadline =
+        Math.max(Math.floor(Date.now() / 1000), block.timestamp) +
+        SIGNATURE_TTL;
+
+      onStatus("Sign the withdrawal in your wallet...");
+      const signature = await signer.signTypedData(
+        { name: "Lock", version: "1", chainId, verifyingContract: lock },
+        WITHDRAW_TYPES,
+        { owner, nonce, deadline }
+      );
+
+      onStatus("Sending to the relayer...");
+      let request = await apiFetch("/relayer/withdrawals", {
+        method: "POST",
+        body: { lock, deadline, nonce: nonce.toString(), signature }
+      });
+      while (request.status === "pending" || request.status === "submitted") {
+        onStatus("Relayer transaction submitted! Waiting for confirmation...");
+        await sleep(POLL_INTERVAL);
+        request = await apiFetch(`/relayer/withdrawals/${request.id}`);
+      }
+      if (request.status === "failed") {
+        throw new Error(request.error || "The relayed transaction failed");
+      }
+      return request;
+    },
+    [contract]
+  );
+
+  return { available, withdraw };
+}
@@ -0,0 +1,315 @@
+// src/hooks/useLockActivity.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../context/WalletContext";
+import { deploymentAt, getDeployment } from "../utils/deployments";
+import { readLockAsset } from "./useLockAsset";
+
+// Many public RPC endpoints refuse eth_getLogs over wider block ranges.
+const BLOCK_RANGE = 5000;
+// How far back "Load older" goes for a lock whose deployment block is unknown.
+const MAX_UNKNOWN_SCAN = 100 * BLOCK_RANGE;
+
+// Lock and TokenLock emit differently shaped Deposit and Withdrawal events,
+// VestingLock emits Released and GuardedLock EarlyReleaseExecuted. LockFactory
+// and LockReceipts announce the locks they create.
+const activityInterface = new ethers.Interface([
+  "event Deposit(address indexed from, uint amount)",
+  "event Withdrawal(uint amount, uint when)",
+  "event Deposit(address indexed token, address indexed from, uint amount)",
+  "event Withdrawal(address indexed token, uint amount, uint when)",
+  "event Released(uint amount, uint when)",
+  "event EarlyReleaseExecuted(uint indexed proposalId, uint amount, uint penalty)",
+  "event LockCreated(address indexed lock, address indexed owner, uint unlockTime, uint amount)",
+  "event TokenLockCreated(address indexed lock, address indexed owner, address indexed token, uint unlockTime, uint amount)",
+  "event LockCreated(uint indexed tokenId, address indexed lock, address indexed holder, uint unlockTime, uint amount)"
+]);
+const topicsOf = (signatures) =>
+  signatures.map(
+    (signature) => activityInterface.getEvent(signature).topicHash
+  );
+const LOCK_TOPICS = topicsOf([
+  "Deposit(address,uint256)",
+  "Withdrawal(uint256,uint256)",
+  "Deposit(address,address,uint256)",
+  "Withdrawal(address,uint256,uint256)",
+  "Released(uint256,uint256)",
+  "EarlyReleaseExecuted(uint256,uint256,uint256)"
+]);
+const EVENT_LABELS = {
+  Released: "Release",
+  EarlyReleaseExecuted: "Early release"
+};
+
+// Registry contracts that create locks, how to ask one whether it made
+// `address`, and the topics of the event it emitted when it did.
+const CREATORS = [
+  {
+    name: "LockFactory",
+    created: (contract, address) => contract.isLock(address),
+    topics: (lock) => [
+      topicsOf([
+        "LockCreated(address,address,uint256,uint256)",
+        "TokenLockCreated(address,address,address,uint256,uint256)"
+      ]),
+      lock
+    ],
+    account: "owner"
+  },
+  {
+    name: "LockReceipts",
+    created: async (contract, address) =>
+      (await contract.tokenOfLock(address)) !== 0n,
+    topics: (lock) => [
+      topicsOf(["LockCreated(uint256,address,address,uint256,uint256)"]),
+      null,
+      lock
+    ],
+    account: "holder"
+  }
+];
+
+const EMPTY = {
+  locks: [],
+  entries: [],
+  cursor: -1,
+  earliest: 0,
+  truncated: false
+};
+
+const sameAddress = (a, b) =>
+  Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const byNewest = (a, b) =>
+  b.blockNumber - a.blockNumber || b.logIndex - a.logIndex;
+
+// How a lock came to be: the creation event when LockFactory or LockReceipts
+// made it, else the contract-creation transaction in the block the registry
+// records. Null when neither knows the lock.
+async function findDeployment(provider, chainId, address) {
+  for (const creator of CREATORS) {
+    const deployment = getDeployment(chainId, creator.name);
+    if (!deployment) continue;
+    const contract = new ethers.Contract(
+      deployment.address,
+      deployment.abi,
+      provider
+    );
+    if (!(await creator.created(contract, address))) continue;
+
+    const [created] = await provider.getLogs({
+      address: deployment.address,
+      fromBlock: deployment.blockNumber || 0,
+      toBlock: "latest",
+      topics: creator.topics(ethers.zeroPadValue(address, 32))
+    });
+    if (created) {
+      const { args } = activityInterface.parseLog(created);
+      return {
+        blockNumber: created.blockNumber,
+        txHash: created.transactionHash,
+        account: args[creator.account],
+        amount: args.amount
+      };
+    }
+  }
+
+  const registered = deploymentAt(chainId, address);
+  if (!registered || !Number.isInteger(registered.blockNumber)) return null;
+  const { blockNumber } = registered;
+
+  const block = await provider.getBlock(blockNumber, true);
+  for (const tx of block.prefetchedTransactions) {
+    if (tx.to) continue;
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt && sameAddress(receipt.contractAddress, address)) {
+      return {
+        blockNumber,
+        txHash: tx.hash,
+        account: tx.from,
+        amount: tx.value
+      };
+    }
+  }
+  // Created by some other contract: only the block is known.
+  return { blockNumber, txHash: null, account: null, amount: null };
+}
+
+// One BLOCK_RANGE of history ending at `toBlock`, never reaching below
+// `earliest`. Deployments are added once the scan reaches their block.
+async function fetchPage(provider, locks, toBlock, earliest) {
+  const fromBlock = Math.max(earliest, toBlock - BLOCK_RANGE + 1);
+  const logs = await provider.getLogs({
+    address: locks.map((lock) => lock.address),
+    fromBlock,
+    toBlock,
+    topics: [LOCK_TOPICS]
+  });
+
+  const events = logs.map((log) => {
+    const { name, args } = activityInterface.parseLog(log);
+    return {
+      lock: locks.find((lock) => sameAddress(lock.address, log.address)),
+      event: EVENT_LABELS[name] || name,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      account: name === "Deposit" ? args.from : null,
+      amount: args.amount
+    };
+  });
+  const deployments = locks
+    .filter(
+      ({ deployment }) =>
+        deployment &&
+        deployment.blockNumber >= fromBlock &&
+        deployment.blockNumber <= toBlock
+    )
+    .map((lock) => ({
+      ...lock.deployment,
+      lock,
+      event: "Deployment",
+      logIndex: -1
+    }));
+
+  const entries = [...events, ...deployments].map(({ lock, ...entry }) => ({
+    ...entry,
+    id: `${lock.address}-${entry.blockNumber}-${entry.logIndex}`,
+    lock: lock.address,
+    asset: lock.asset
+  }));
+  return { entries, cursor: fromBlock - 1 };
+}
+
+async function withTimestamps(provider, entries, cache) {
+  const missing = [
+    ...new Set(entries.map((entry) => entry.blockNumber))
+  ].filter((blockNumber) => !cache.has(blockNumber));
+  const blocks = await Promise.all(
+    missing.map((blockNumber) => provider.getBlock(blockNumber))
+  );
+  blocks.forEach((block) => cache.set(block.number, block.timestamp));
+  return entries.map((entry) => ({
+    ...entry,
+    timestamp: cache.get(entry.blockNumber)
+  }));
+}
+
+// Deployment, deposit, withdrawal and release history of the locks at
+// `addresses`, read from chain logs newest first, one block range at a time.
+export function useLockActivity(addresses) {
+  const { readProvider, readChainId } = useWallet();
+  const key = addresses.join(",");
+  const [history, setHistory] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+  const timestamps = useRef(new Map());
+
+  useEffect(() => {
+    let cancelled = false;
+    setHistory(EMPTY);
+    setError(null);
+    timestamps.current = new Map();
+    if (!readProvider || !key) return undefined;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const latest = await readProvider.getBlockNumber();
+        const locks = await Promise.all(
+          key.split(",").map(async (address) => {
+            const [{ asset }, deployment] = await Promise.all([
+              readLockAsset(address, readProvider),
+              findDeployment(readProvider, readChainId, address).catch(
+                () => null
+              )
+            ]);
+            return { address, asset, deployment };
+          })
+        );
+        // A lock with no known deployment is only scanned MAX_UNKNOWN_SCAN
+        // blocks back rather than to genesis.
+        const unknownFrom = Math.max(0, latest - MAX_UNKNOWN_SCAN + 1);
+        const earliest = Math.min(
+          ...locks.map((lock) =>
+            lock.deployment ? lock.deployment.blockNumber : unknownFrom
+          )
+        );
+        const truncated =
+          earliest > 0 && locks.some((lock) => !lock.deployment);
+
+        const page = await fetchPage(readProvider, locks, latest, earliest);
+        const entries = await withTimestamps(
+          readProvider,
+          page.entries,
+          timestamps.current
+        );
+        if (!cancelled) {
+          setHistory({
+            locks,
+            entries: entries.sort(byNewest),
+            cursor: page.cursor,
+            earliest,
+            truncated
+          });
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [key, readProvider, readChainId, version]);
+
+  const hasMore =
+    history.locks.length > 0 && history.cursor >= history.earliest;
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await fetchPage(
+        readProvider,
+        history.locks,
+        history.cursor,
+        history.earliest
+      );
+      const entries = await withTimestamps(
+        readProvider,
+        page.entries,
+        timestamps.current
+      );
+      setHistory((previous) => ({
+        ...previous,
+        entries: [...previous.entries, ...entries].sort(byNewest),
+        cursor: page.cursor
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [hasMore, history, readProvider]);
+
+  const refresh = useCallback(() => setVersion((value) => value + 1), []);
+
+  return {
+    entries: history.entries,
+    loading,
+    error,
+    hasMore,
+    // Lowest block scanned so far.
+    scannedFrom: history.locks.length ? history.cursor + 1 : null,
+    // The scan stopped short of a lock whose deployment block is unknown.
+    truncated: history.truncated,
+    loadMore,
+    refresh
+  };
+}
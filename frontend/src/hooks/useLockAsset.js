@@ -0,0 +1,66 @@
+// src/hooks/useLockAsset.js
+import { useCallback, useState } from "react";
+import { ethers } from "ethers";
+import TokenLockABI from "../abi/TokenLock.json";
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+const ETHER = { token: null, symbol: "ETH", decimals: 18 };
+
+// A TokenLock answers token(); a plain Lock doesn't and holds ether.
+async function readToken(address, runner) {
+  try {
+    const tokenLock = new ethers.Contract(address, TokenLockABI.abi, runner);
+    return await tokenLock.token();
+  } catch {
+    return null;
+  }
+}
+
+// What the lock at `address` holds (ETH or an ERC-20) and how much of it.
+export async function readLockAsset(address, runner) {
+  const tokenAddress = await readToken(address, runner);
+  if (!tokenAddress) {
+    return {
+      asset: ETHER,
+      balance: await runner.provider.getBalance(address)
+    };
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+  const [symbol, decimals, held] = await Promise.all([
+    token.symbol(),
+    token.decimals(),
+    token.balanceOf(address)
+  ]);
+  return {
+    asset: { token: tokenAddress, symbol, decimals: Number(decimals) },
+    balance: held
+  };
+}
+
+export function useLockAsset(contract) {
+  const [asset, setAsset] = useState(null);
+  const [balance, setBalance] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!contract) return;
+    const next = await readLockAsset(
+      await contract.getAddress(),
+      contract.runner
+    );
+    setAsset(next.asset);
+    setBalance(next.balance);
+  }, [contract]);
+
+  const formatted =
+    asset && balance !== null
+      ? `${ethers.formatUnits(balance, asset.decimals)} ${asset.symbol}`
+      : null;
+
+  return { asset, balance, formatted, refresh };
+}
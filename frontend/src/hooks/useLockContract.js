@@ -1,38 +1,72 @@
 // src/hooks/useLockContract.js
 import { useEffect, useState } from "react";
 import { ethers } from "ethers";
-import LockABI from "../abi/Lock.json";
-import { CONTRACT_ADDRESS } from "../abi/address.js";
+import LockArtifact from "../abi/Lock.json";
+import { useWallet } from "../context/WalletContext";
+import { chainName } from "../utils/chains";
+import { deployedChainIds, getDeployment } from "../utils/deployments";
 
-export function useLockContract() {
+// The Lock at `address`, or else the one in the registry for the wallet's
+// chain, connected to the wallet's signer. Without a wallet on a supported
+// chain it is read-only, on the default chain through the JSON-RPC fallback.
+// `error` says why there is no contract, e.g. a malformed `address` or one
+// with no code on the chain.
+export function useLockContract(address) {
+  const { signer, readProvider, readChainId } = useWallet();
   const [contract, setContract] = useState(null);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
+    let cancelled = false;
+
     const connect = async () => {
       try {
-        if (!window.ethereum) throw new Error("MetaMask not detected");
+        setContract(null);
+        setError(null);
+        if (address !== undefined && !ethers.isAddress(address)) {
+          throw new Error(`"${address}" is not a valid address`);
+        }
+        if (!readProvider) {
+          throw new Error("No wallet connected and no RPC URL configured");
+        }
 
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const signer = await provider.getSigner();
+        const deployment = address
+          ? { address, abi: LockArtifact.abi }
+          : getDeployment(readChainId, "Lock");
+        if (!deployment) {
+          const known = deployedChainIds("Lock");
+          throw new Error(
+            `No Lock deployment for chain ${readChainId}` +
+              (known.length ? ` (deployed on ${known.join(", ")})` : "")
+          );
+        }
 
-        const code = await provider.getCode(CONTRACT_ADDRESS);
+        const code = await readProvider.getCode(deployment.address);
         if (code === "0x") {
-          throw new Error("No contract found at this address");
+          throw new Error(
+            `No contract found at ${deployment.address} on ${chainName(
+              readChainId
+            )}`
+          );
         }
 
         const contractInstance = new ethers.Contract(
-          CONTRACT_ADDRESS,
-          LockABI.abi,
-          signer
+          deployment.address,
+          deployment.abi,
+          signer || readProvider
         );
-        setContract(contractInstance);
+        if (!cancelled) setContract(contractInstance);
       } catch (err) {
         console.error("⚠️ useLockContract error:", err.message);
+        if (!cancelled) setError(err.message);
       }
     };
 
     connect();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [address, signer, readProvider, readChainId]);
 
-  return contract;
+  return { contract, error };
 }
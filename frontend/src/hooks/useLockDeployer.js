@@ -0,0 +1,80 @@
+// src/hooks/useLockDeployer.js
+import { useCallback, useMemo } from "react";
+import { ethers } from "ethers";
+import LockFactoryArtifact from "../abi/LockFactory.json";
+import { useWallet } from "../context/WalletContext";
+import { getDeployment } from "../utils/deployments";
+
+const factoryInterface = new ethers.Interface(LockFactoryArtifact.abi);
+
+// Creates a Lock through the wallet chain's LockFactory, so it is recorded
+// on-chain and picked up by the indexer. The wallet pays the gas and the
+// locked amount; `owner` is who can withdraw and defaults to the wallet.
+export function useLockDeployer() {
+  const { signer, account, chainId } = useWallet();
+  const deployment = chainId ? getDeployment(chainId, "LockFactory") : null;
+  const factoryAddress = deployment ? deployment.address : null;
+
+  const factory = useMemo(
+    () =>
+      signer && factoryAddress
+        ? new ethers.Contract(factoryAddress, factoryInterface, signer)
+        : null,
+    [signer, factoryAddress]
+  );
+
+  const args = useCallback(
+    ({ amount, unlockTime, owner }) => [
+      unlockTime,
+      owner || account,
+      { value: amount }
+    ],
+    [account]
+  );
+
+  // Gas units and the worst-case fee at current prices, in wei.
+  const estimate = useCallback(
+    async (params) => {
+      if (!factory) throw new Error("Connect a wallet first");
+      const [gas, fees] = await Promise.all([
+        factory.createLock.estimateGas(...args(params)),
+        signer.provider.getFeeData()
+      ]);
+      const price = fees.maxFeePerGas || fees.gasPrice || 0n;
+      return { gas, price, cost: gas * price };
+    },
+    [factory, signer, args]
+  );
+
+  // Resolves with the sent transaction; pass its receipt to lockFromReceipt.
+  const deploy = useCallback(
+    (params) => {
+      if (!factory) throw new Error("Connect a wallet first");
+      return factory.createLock(...args(params));
+    },
+    [factory, args]
+  );
+
+  // The new lock's address, from the factory's LockCreated event.
+  const lockFromReceipt = useCallback(
+    (receipt) => {
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== factoryAddress.toLowerCase()) {
+          continue;
+        }
+        const parsed = factoryInterface.parseLog(log);
+        if (parsed && parsed.name === "LockCreated") return parsed.args.lock;
+      }
+      throw new Error("The transaction didn't create a lock");
+    },
+    [factoryAddress]
+  );
+
+  return {
+    ready: Boolean(factory),
+    available: Boolean(factoryAddress),
+    estimate,
+    deploy,
+    lockFromReceipt
+  };
+}
@@ -0,0 +1,98 @@
+import { renderHook } from "@testing-library/react";
+import { ethers } from "ethers";
+import LockFactoryArtifact from "../abi/LockFactory.json";
+import { useLockDeployer } from "./useLockDeployer";
+import { useWallet } from "../context/WalletContext";
+import { getDeployment } from "../utils/deployments";
+
+jest.mock("../context/WalletContext", () => ({ useWallet: jest.fn() }));
+jest.mock("../utils/deployments", () => ({ getDeployment: jest.fn() }));
+
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const BENEFICIARY = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const FACTORY = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const factoryInterface = new ethers.Interface(LockFactoryArtifact.abi);
+
+let signer;
+beforeEach(() => {
+  signer = {
+    provider: {
+      getFeeData: async () => ({ maxFeePerGas: 3n, gasPrice: 2n })
+    },
+    estimateGas: jest.fn(async () => 200000n),
+    sendTransaction: jest.fn(async (tx) => ({ ...tx, hash: "0xabc" }))
+  };
+  useWallet.mockReturnValue({ signer, account: ACCOUNT, chainId: 31337 });
+  getDeployment.mockReturnValue({ address: FACTORY });
+});
+
+const deployerHook = () => {
+  const { result } = renderHook(() => useLockDeployer());
+  return result;
+};
+
+const decodeCreateLock = (tx) =>
+  factoryInterface.decodeFunctionData("createLock", tx.data);
+
+describe("useLockDeployer", () => {
+  it("creates the lock through the chain's LockFactory", async () => {
+    const deployer = deployerHook();
+
+    await deployer.current.deploy({
+      amount: 5n,
+      unlockTime: 2000000000,
+      owner: BENEFICIARY
+    });
+
+    expect(getDeployment).toHaveBeenCalledWith(31337, "LockFactory");
+    const [tx] = signer.sendTransaction.mock.calls[0];
+    expect(tx.to).toBe(FACTORY);
+    expect(tx.value).toBe(5n);
+    expect([...decodeCreateLock(tx)]).toEqual([2000000000n, BENEFICIARY]);
+  });
+
+  it("makes the wallet the owner when there is no beneficiary", async () => {
+    const deployer = deployerHook();
+
+    const { gas, cost } = await deployer.current.estimate({
+      amount: 5n,
+      unlockTime: 2000000000,
+      owner: null
+    });
+
+    expect(gas).toBe(200000n);
+    expect(cost).toBe(600000n);
+    const [tx] = signer.estimateGas.mock.calls[0];
+    expect(decodeCreateLock(tx)[1]).toBe(ACCOUNT);
+  });
+
+  it("reads the new lock from the factory's LockCreated event", () => {
+    const deployer = deployerHook();
+    const event = factoryInterface.encodeEventLog("LockCreated", [
+      LOCK,
+      ACCOUNT,
+      2000000000n,
+      5n
+    ]);
+    // Same event, emitted by another contract.
+    const impostor = { address: LOCK, ...event };
+
+    expect(
+      deployer.current.lockFromReceipt({
+        logs: [impostor, { address: FACTORY, ...event }]
+      })
+    ).toBe(LOCK);
+    expect(() =>
+      deployer.current.lockFromReceipt({ logs: [impostor] })
+    ).toThrow("The transaction didn't create a lock");
+  });
+
+  it("is unavailable on a chain without a LockFactory", () => {
+    getDeployment.mockReturnValue(null);
+
+    const deployer = deployerHook();
+
+    expect(deployer.current).toMatchObject({ ready: false, available: false });
+  });
+});
@@ -0,0 +1,87 @@
+// src/hooks/useLockReceipts.js
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { ethers } from "ethers";
+import { useWallet } from "../context/WalletContext";
+import { getDeployment } from "../utils/deployments";
+
+const JSON_PREFIX = "data:application/json;base64,";
+
+// tokenURI() returns the metadata as a base64 data URI.
+export function decodeTokenURI(uri) {
+  if (!uri.startsWith(JSON_PREFIX)) return null;
+  return JSON.parse(window.atob(uri.slice(JSON_PREFIX.length)));
+}
+
+// Lists the ERC-721 lock receipts the connected account holds on the wallet's
+// chain. `available` is false without a wallet on a supported chain or when
+// LockReceipts isn't deployed there.
+export function useLockReceipts() {
+  const { account: wallet, signer, readChainId } = useWallet();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const receipts = useMemo(() => {
+    if (!signer) return null;
+    const deployment = getDeployment(readChainId, "LockReceipts");
+    return deployment
+      ? new ethers.Contract(deployment.address, deployment.abi, signer)
+      : null;
+  }, [signer, readChainId]);
+
+  const refresh = useCallback(async () => {
+    if (!receipts) return setItems([]);
+    setLoading(true);
+    try {
+      const count = Number(await receipts.balanceOf(wallet));
+      const tokenIds = await Promise.all(
+        Array.from({ length: count }, (_, i) =>
+          receipts.tokenOfOwnerByIndex(wallet, i)
+        )
+      );
+      const next = await Promise.all(
+        tokenIds.map(async (tokenId) => {
+          const [lock, uri] = await Promise.all([
+            receipts.lockOf(tokenId),
+            receipts.tokenURI(tokenId)
+          ]);
+          const metadata = decodeTokenURI(uri);
+          const attribute = (traitType) => {
+            const entry = metadata.attributes.find(
+              (item) => item.trait_type === traitType
+            );
+            return entry ? entry.value : null;
+          };
+          return {
+            tokenId,
+            lock,
+            metadata,
+            unlockTime: attribute("Unlock time"),
+            amount: attribute("Amount (ETH)")
+          };
+        })
+      );
+      setItems(next);
+    } finally {
+      setLoading(false);
+    }
+  }, [receipts, wallet]);
+
+  useEffect(() => {
+    refresh().catch((err) =>
+      console.error("⚠️ Failed to load lock receipts:", err.message)
+    );
+  }, [refresh]);
+
+  const withdraw = useCallback(
+    (tokenId) => receipts.withdraw(tokenId),
+    [receipts]
+  );
+
+  return {
+    available: Boolean(receipts),
+    receipts: items,
+    loading,
+    refresh,
+    withdraw
+  };
+}
@@ -0,0 +1,100 @@
+// src/hooks/useOwnedLocks.js
+import { useCallback, useEffect, useState } from "react";
+import { ethers } from "ethers";
+import LockArtifact from "../abi/Lock.json";
+import { useWallet } from "../context/WalletContext";
+import { getDeployment } from "../utils/deployments";
+import { rememberedLocks } from "../utils/rememberedLocks";
+import { readLockAsset } from "./useLockAsset";
+
+const ownershipTransferred = new ethers.Interface([
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+]).getEvent("OwnershipTransferred").topicHash;
+
+// Factory locks that were ever handed to `account` through acceptOwnership().
+async function transferredTo(account, factory, fromBlock, provider) {
+  const logs = await provider.getLogs({
+    fromBlock,
+    toBlock: "latest",
+    topics: [ownershipTransferred, null, ethers.zeroPadValue(account, 32)]
+  });
+  const addresses = [...new Set(logs.map((log) => log.address))];
+  const known = await Promise.all(
+    addresses.map((address) => factory.isLock(address))
+  );
+  return addresses.filter((_, i) => known[i]);
+}
+
+async function readLock(address, runner) {
+  const lock = new ethers.Contract(address, LockArtifact.abi, runner);
+  const [owner, unlockTime, { asset, balance }] = await Promise.all([
+    lock.owner(),
+    lock.unlockTime(),
+    readLockAsset(address, runner)
+  ]);
+  return { address, owner, unlockTime: Number(unlockTime), asset, balance };
+}
+
+// Every lock the connected account currently owns on the read chain. The
+// candidates are the LockFactory locks created for it or transferred to it,
+// the registry's Lock and the locks this browser deployed before locks were
+// created through the factory; each is kept only if its owner() is still the
+// account, so transferred-away locks drop out.
+export function useOwnedLocks() {
+  const { account, readProvider, readChainId } = useWallet();
+  const [locks, setLocks] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!account || !readProvider) return setLocks([]);
+    setLoading(true);
+    try {
+      const candidates = new Set(rememberedLocks(readChainId));
+      const lock = getDeployment(readChainId, "Lock");
+      if (lock) candidates.add(ethers.getAddress(lock.address));
+
+      const factoryDeployment = getDeployment(readChainId, "LockFactory");
+      if (factoryDeployment) {
+        const factory = new ethers.Contract(
+          factoryDeployment.address,
+          factoryDeployment.abi,
+          readProvider
+        );
+        const [created, transferred] = await Promise.all([
+          factory.locksOf(account),
+          transferredTo(
+            account,
+            factory,
+            factoryDeployment.blockNumber || 0,
+            readProvider
+          )
+        ]);
+        for (const address of [...created, ...transferred]) {
+          candidates.add(ethers.getAddress(address));
+        }
+      }
+
+      const rows = await Promise.all(
+        [...candidates].map((address) =>
+          // Forgotten or foreign contracts just drop out of the list.
+          readLock(address, readProvider).catch(() => null)
+        )
+      );
+      setLocks(
+        rows.filter(
+          (row) => row && row.owner.toLowerCase() === account.toLowerCase()
+        )
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [account, readProvider, readChainId]);
+
+  useEffect(() => {
+    refresh().catch((err) =>
+      console.error("⚠️ Failed to load owned locks:", err.message)
+    );
+  }, [refresh]);
+
+  return { locks, loading, refresh };
+}
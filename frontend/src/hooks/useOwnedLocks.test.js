@@ -0,0 +1,115 @@
+import { renderHook, waitFor } from "@testing-library/react";
+import { ethers } from "ethers";
+import LockArtifact from "../abi/Lock.json";
+import LockFactoryArtifact from "../abi/LockFactory.json";
+import { useOwnedLocks } from "./useOwnedLocks";
+import { useWallet } from "../context/WalletContext";
+import { getDeployment } from "../utils/deployments";
+import { readLockAsset } from "./useLockAsset";
+
+jest.mock("../context/WalletContext", () => ({ useWallet: jest.fn() }));
+jest.mock("../utils/deployments", () => ({ getDeployment: jest.fn() }));
+jest.mock("./useLockAsset", () => ({ readLockAsset: jest.fn() }));
+
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const OTHER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const FACTORY = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+const CREATED = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const TRANSFERRED = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const SOLD = "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9";
+const FOREIGN = "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9";
+
+const factoryInterface = new ethers.Interface(LockFactoryArtifact.abi);
+const lockInterface = new ethers.Interface(LockArtifact.abi);
+
+// A read provider that knows the factory's registry, every lock's owner and
+// the OwnershipTransferred logs naming ACCOUNT as the new owner.
+function fakeProvider({ owners, locksOf, transfers }) {
+  const answer = (iface, name, values) =>
+    iface.encodeFunctionResult(name, values);
+  return {
+    getLogs: jest.fn(async ({ topics }) =>
+      transfers
+        .filter(() => topics[2] === ethers.zeroPadValue(ACCOUNT, 32))
+        .map((address) => ({
+          address,
+          ...lockInterface.encodeEventLog("OwnershipTransferred", [
+            OTHER,
+            ACCOUNT
+          ])
+        }))
+    ),
+    call: async ({ to, data }) => {
+      if (to === FACTORY) {
+        const { name, args } = factoryInterface.parseTransaction({ data });
+        if (name === "locksOf") {
+          return answer(factoryInterface, name, [locksOf[args[0]] || []]);
+        }
+        return answer(factoryInterface, name, [args[0] !== FOREIGN]);
+      }
+      const { name } = lockInterface.parseTransaction({ data });
+      if (name === "owner") return answer(lockInterface, name, [owners[to]]);
+      return answer(lockInterface, name, [2000000000n]);
+    }
+  };
+}
+
+beforeEach(() => {
+  getDeployment.mockImplementation((chainId, name) =>
+    name === "LockFactory"
+      ? { address: FACTORY, abi: LockFactoryArtifact.abi, blockNumber: 7 }
+      : null
+  );
+  readLockAsset.mockResolvedValue({ asset: null, balance: 1n });
+});
+
+function ownedLocksHook(provider) {
+  useWallet.mockReturnValue({
+    account: ACCOUNT,
+    readProvider: provider,
+    readChainId: 31337
+  });
+  const { result } = renderHook(() => useOwnedLocks());
+  return result;
+}
+
+describe("useOwnedLocks", () => {
+  it("lists locks created for the account and transferred to it", async () => {
+    const provider = fakeProvider({
+      locksOf: { [ACCOUNT]: [CREATED, SOLD] },
+      transfers: [TRANSFERRED, FOREIGN],
+      owners: {
+        [CREATED]: ACCOUNT,
+        [TRANSFERRED]: ACCOUNT,
+        [SOLD]: OTHER,
+        [FOREIGN]: ACCOUNT
+      }
+    });
+
+    const owned = ownedLocksHook(provider);
+
+    await waitFor(() =>
+      expect(owned.current.locks.map((lock) => lock.address)).toEqual([
+        CREATED,
+        TRANSFERRED
+      ])
+    );
+    expect(provider.getLogs).toHaveBeenCalledWith(
+      expect.objectContaining({ fromBlock: 7, toBlock: "latest" })
+    );
+  });
+
+  it("drops a transferred lock the account has handed on", async () => {
+    const provider = fakeProvider({
+      locksOf: {},
+      transfers: [TRANSFERRED],
+      owners: { [TRANSFERRED]: OTHER }
+    });
+
+    const owned = ownedLocksHook(provider);
+
+    await waitFor(() => expect(owned.current.loading).toBe(false));
+    expect(provider.getLogs).toHaveBeenCalled();
+    expect(owned.current.locks).toEqual([]);
+  });
+});
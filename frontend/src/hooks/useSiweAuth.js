@@ -0,0 +1,89 @@
+// src/hooks/useSiweAuth.js
+import { useCallback, useEffect, useState } from "react";
+import { useWallet } from "../context/WalletContext";
+import { apiFetch } from "../utils/api";
+import { buildSiweMessage } from "../utils/siwe";
+
+const STORAGE_KEY = "dapp.session";
+
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (session && session.expiresAt * 1000 > Date.now()) return session;
+  } catch (err) {
+    // fall through to a fresh session
+  }
+  localStorage.removeItem(STORAGE_KEY);
+  return null;
+}
+
+export function useSiweAuth(wallet) {
+  const [session, setSession] = useState(loadSession);
+  const [signingIn, setSigningIn] = useState(false);
+  const { signer } = useWallet();
+
+  const saveSession = useCallback((next) => {
+    if (next) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+    setSession(next);
+  }, []);
+
+  // A session belongs to one address; drop it when the wallet changes.
+  useEffect(() => {
+    if (
+      session &&
+      wallet &&
+      session.address.toLowerCase() !== wallet.toLowerCase()
+    ) {
+      saveSession(null);
+    }
+  }, [wallet, session, saveSession]);
+
+  const signIn = useCallback(async () => {
+    if (!signer) {
+      throw new Error("Connect a wallet on a supported network first");
+    }
+    setSigningIn(true);
+    try {
+      const { chainId } = await signer.provider.getNetwork();
+      const { nonce } = await apiFetch("/auth/nonce");
+
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        address: await signer.getAddress(),
+        statement: "Sign in to Web3 DApp Starter.",
+        uri: window.location.origin,
+        version: "1",
+        chainId: Number(chainId),
+        nonce
+      });
+      const signature = await signer.signMessage(message);
+
+      const next = await apiFetch("/auth/verify", {
+        method: "POST",
+        body: { message, signature }
+      });
+      saveSession(next);
+      return next;
+    } finally {
+      setSigningIn(false);
+    }
+  }, [signer, saveSession]);
+
+  const signOut = useCallback(async () => {
+    const token = session && session.token;
+    saveSession(null);
+    if (token) {
+      await apiFetch("/auth/logout", { method: "POST", token }).catch(() => {});
+    }
+  }, [session, saveSession]);
+
+  return {
+    session,
+    token: session ? session.token : null,
+    isSignedIn: Boolean(session),
+    signingIn,
+    signIn,
+    signOut
+  };
+}
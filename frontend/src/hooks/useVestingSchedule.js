@@ -0,0 +1,59 @@
+// src/hooks/useVestingSchedule.js
+import { useCallback, useState } from "react";
+import { ethers } from "ethers";
+import VestingLockABI from "../abi/VestingLock.json";
+
+// Mirrors VestingLock.vestedAmount so the UI can tick without polling.
+export function vestedAt(schedule, timestamp) {
+  const { start, cliff, end, total } = schedule;
+  if (timestamp < cliff) return 0n;
+  if (timestamp >= end) return total;
+  return (
+    (total * ethers.toBigInt(timestamp - start)) / ethers.toBigInt(end - start)
+  );
+}
+
+// Reads the schedule of a VestingLock; `schedule` stays null for other locks.
+export function useVestingSchedule(contract) {
+  const [schedule, setSchedule] = useState(null);
+  const [vesting, setVesting] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!contract) return null;
+    const address = await contract.getAddress();
+    const instance = new ethers.Contract(
+      address,
+      VestingLockABI.abi,
+      contract.runner
+    );
+
+    let start, cliff, end, released;
+    try {
+      [start, cliff, end, released] = await Promise.all([
+        instance.start(),
+        instance.cliff(),
+        instance.end(),
+        instance.released()
+      ]);
+    } catch {
+      setSchedule(null);
+      return null;
+    }
+
+    const balance = await contract.runner.provider.getBalance(address);
+    const next = {
+      start: Number(start),
+      cliff: Number(cliff),
+      end: Number(end),
+      released,
+      total: balance + released
+    };
+    setVesting(instance);
+    setSchedule(next);
+    return next;
+  }, [contract]);
+
+  const release = useCallback(() => vesting.release(), [vesting]);
+
+  return { schedule, refresh, release };
+}
@@ -0,0 +1,68 @@
+// src/utils/activityExport.js
+import { ethers } from "ethers";
+
+const COLUMNS = [
+  "chainId",
+  "lock",
+  "event",
+  "amount",
+  "symbol",
+  "amountRaw",
+  "account",
+  "blockNumber",
+  "timestamp",
+  "txHash"
+];
+
+// Flat records for accounting. Amounts are given both formatted and in base
+// units so nothing is lost to rounding.
+export function toRecords(entries, chainId) {
+  return entries.map((entry) => ({
+    chainId: Number(chainId),
+    lock: entry.lock,
+    event: entry.event,
+    amount:
+      entry.amount === null
+        ? null
+        : ethers.formatUnits(entry.amount, entry.asset.decimals),
+    symbol: entry.asset.symbol,
+    amountRaw: entry.amount === null ? null : entry.amount.toString(),
+    account: entry.account,
+    blockNumber: entry.blockNumber,
+    timestamp: new Date(entry.timestamp * 1000).toISOString(),
+    txHash: entry.txHash
+  }));
+}
+
+// Token names and symbols come from arbitrary contracts; a leading `=`, `+`,
+// `-`, `@`, tab or CR would make a spreadsheet evaluate them as a formula.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(records) {
+  return [
+    COLUMNS.join(","),
+    ...records.map((record) =>
+      COLUMNS.map((column) => csvField(record[column])).join(",")
+    )
+  ].join("\n");
+}
+
+export function toJson(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
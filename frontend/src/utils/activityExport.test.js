@@ -0,0 +1,91 @@
+import { toCsv, toJson, toRecords } from "./activityExport";
+
+const LOCK = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const ACCOUNT = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+const entry = (overrides = {}) => ({
+  lock: LOCK,
+  event: "Deposit",
+  amount: 1500000000000000000n,
+  asset: { symbol: "ETH", decimals: 18 },
+  account: ACCOUNT,
+  blockNumber: 12,
+  timestamp: 1760000000,
+  txHash: "0xabc",
+  ...overrides
+});
+
+describe("toRecords", () => {
+  it("gives amounts formatted and in base units", () => {
+    const [record] = toRecords([entry()], 31337n);
+
+    expect(record).toEqual({
+      chainId: 31337,
+      lock: LOCK,
+      event: "Deposit",
+      amount: "1.5",
+      symbol: "ETH",
+      amountRaw: "1500000000000000000",
+      account: ACCOUNT,
+      blockNumber: 12,
+      timestamp: "2025-10-09T08:53:20.000Z",
+      txHash: "0xabc"
+    });
+  });
+
+  it("leaves the amount empty for events without one", () => {
+    const [record] = toRecords([entry({ amount: null })], 1);
+
+    expect(record.amount).toBeNull();
+    expect(record.amountRaw).toBeNull();
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header and one row per record", () => {
+    const csv = toCsv(toRecords([entry(), entry({ event: "Withdrawal" })], 1));
+
+    expect(csv.split("\n")).toEqual([
+      "chainId,lock,event,amount,symbol,amountRaw,account,blockNumber,timestamp,txHash",
+      `1,${LOCK},Deposit,1.5,ETH,1500000000000000000,${ACCOUNT},12,2025-10-09T08:53:20.000Z,0xabc`,
+      `1,${LOCK},Withdrawal,1.5,ETH,1500000000000000000,${ACCOUNT},12,2025-10-09T08:53:20.000Z,0xabc`
+    ]);
+  });
+
+  it("quotes fields containing commas, quotes or line breaks", () => {
+    const csv = toCsv(
+      toRecords([entry({ asset: { symbol: 'A,"B"\nC', decimals: 18 } })], 1)
+    );
+
+    expect(csv).toContain(',"A,""B""\nC",');
+  });
+
+  it.each([
+    ['=HYPERLINK("http://x")', `"'=HYPERLINK(""http://x"")"`],
+    ["+1", "'+1"],
+    ["-1", "'-1"],
+    ["@SUM(A1)", "'@SUM(A1)"],
+    ["\tX", "'\tX"],
+    ["\rX", `"'\rX"`]
+  ])("neutralises a symbol a spreadsheet would run: %j", (symbol, field) => {
+    const csv = toCsv(
+      toRecords([entry({ asset: { symbol, decimals: 18 } })], 1)
+    );
+
+    expect(csv).toContain(`,1.5,${field},1500000000000000000,`);
+  });
+
+  it("leaves numbers untouched", () => {
+    const csv = toCsv([{ chainId: 1, blockNumber: -1 }]);
+
+    expect(csv.split("\n")[1]).toBe("1,,,,,,,-1,,");
+  });
+});
+
+describe("toJson", () => {
+  it("round-trips the records", () => {
+    const records = toRecords([entry()], 1);
+
+    expect(JSON.parse(toJson(records))).toEqual(records);
+  });
+});
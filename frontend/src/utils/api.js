@@ -0,0 +1,23 @@
+// src/utils/api.js
+export const API_URL = process.env.REACT_APP_API_URL || "http://localhost:5001";
+
+export async function apiFetch(
+  path,
+  { token, headers, body, ...options } = {}
+) {
+  const res = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new Error((data && data.error) || `Request failed (${res.status})`);
+  }
+  return data;
+}
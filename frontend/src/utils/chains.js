@@ -0,0 +1,66 @@
+// src/utils/chains.js
+import { deployedChainIds } from "./deployments";
+
+// Chains the app knows how to add to a wallet and read from without one.
+export const CHAINS = {
+  31337: {
+    name: "Hardhat Local",
+    rpcUrl: "http://127.0.0.1:8545",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    blockExplorerUrl: null
+  },
+  11155111: {
+    name: "Sepolia",
+    rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    blockExplorerUrl: "https://sepolia.etherscan.io"
+  }
+};
+
+// The chain visitors without a wallet see, and the one a wallet on an
+// unsupported chain is asked to switch to: REACT_APP_CHAIN_ID, else the first
+// chain with a Lock in the deployments registry, else the local node.
+export const DEFAULT_CHAIN_ID =
+  Number(process.env.REACT_APP_CHAIN_ID) ||
+  deployedChainIds("Lock")[0] ||
+  31337;
+
+// Read-only JSON-RPC endpoint for DEFAULT_CHAIN_ID.
+export const READ_RPC_URL =
+  process.env.REACT_APP_RPC_URL ||
+  (CHAINS[DEFAULT_CHAIN_ID] && CHAINS[DEFAULT_CHAIN_ID].rpcUrl) ||
+  null;
+
+export function chainName(chainId) {
+  return CHAINS[chainId] ? CHAINS[chainId].name : `chain ${chainId}`;
+}
+
+// A chain is supported when the registry has a Lock deployed on it (or, with
+// an empty registry, when it is the default chain).
+export function isSupportedChain(chainId) {
+  const chainIds = deployedChainIds("Lock");
+  return chainIds.length
+    ? chainIds.includes(Number(chainId))
+    : Number(chainId) === DEFAULT_CHAIN_ID;
+}
+
+// Parameters for wallet_addEthereumChain (EIP-3085).
+export function addChainParams(chainId) {
+  const chain = CHAINS[chainId];
+  if (!chain) return null;
+  return {
+    chainId: `0x${Number(chainId).toString(16)}`,
+    chainName: chain.name,
+    nativeCurrency: chain.nativeCurrency,
+    rpcUrls: [chain.rpcUrl],
+    blockExplorerUrls: chain.blockExplorerUrl ? [chain.blockExplorerUrl] : null
+  };
+}
+
+// Block explorer link for a transaction, or null for chains without one.
+export function txUrl(chainId, hash) {
+  const chain = CHAINS[chainId];
+  return chain && chain.blockExplorerUrl
+    ? `${chain.blockExplorerUrl}/tx/${hash}`
+    : null;
+}
@@ -0,0 +1,26 @@
+// src/utils/deployments.js
+import registry from "../abi/deployments.json";
+
+// Entries come from the shared deployments registry, which the contract deploy
+// script and `hardhat ignition deploy` both write.
+export function getDeployment(chainId, name) {
+  const chain = registry[String(chainId)];
+  return (chain && chain.contracts[name]) || null;
+}
+
+export function deployedChainIds(name) {
+  return Object.keys(registry)
+    .filter((chainId) => registry[chainId].contracts[name])
+    .map(Number);
+}
+
+// The registry entry for the contract at `address`, whatever it is named.
+export function deploymentAt(chainId, address) {
+  const chain = registry[String(chainId)];
+  if (!chain) return null;
+  return (
+    Object.values(chain.contracts).find(
+      (entry) => entry.address.toLowerCase() === address.toLowerCase()
+    ) || null
+  );
+}
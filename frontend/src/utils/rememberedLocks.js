@@ -0,0 +1,17 @@
+// src/utils/rememberedLocks.js
+const STORAGE_KEY = "dapp.locks";
+
+// Before locks were created through LockFactory, the ones deployed from this
+// browser were remembered here (per chain ID) because nothing on-chain
+// recorded them. They are still read so those locks stay on the dashboard.
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function rememberedLocks(chainId) {
+  return load()[String(chainId)] || [];
+}
@@ -0,0 +1,31 @@
+// src/utils/siwe.js
+// Builds an EIP-4361 (Sign-In With Ethereum) message. The backend parses and
+// verifies it with the `siwe` package, so the field order here must match
+// the spec exactly.
+export function buildSiweMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  version = "1",
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime
+}) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    ""
+  ];
+  if (statement) lines.push(statement, "");
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join("\n");
+}
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./Lock.sol";
+
+// Lock with an escape hatch: a fixed M-of-N guardian set can approve an early
+// release proposed by the owner. Releasing early sends `penaltyBps` of the
+// balance to `treasury` and the rest to the owner. Proposals expire after
+// `proposalDuration` seconds, and only the latest one can be acted on.
+// Payouts forward all gas so a multisig or smart-account treasury or owner
+// can receive them; state is settled before either is paid.
+contract GuardedLock is Lock {
+    uint public constant MAX_BPS = 10_000;
+
+    struct Proposal {
+        uint id;
+        address proposer;
+        uint expiresAt;
+        uint approvals;
+        bool executed;
+        bool cancelled;
+    }
+
+    address[] private _guardians;
+    mapping(address => bool) public isGuardian;
+    uint public threshold;
+    uint public penaltyBps;
+    address payable public treasury;
+    uint public proposalDuration;
+
+    Proposal public proposal;
+    mapping(uint => mapping(address => bool)) public hasApproved;
+
+    event EarlyReleaseProposed(
+        uint indexed proposalId,
+        address indexed proposer,
+        uint expiresAt
+    );
+    event EarlyReleaseApproved(
+        uint indexed proposalId,
+        address indexed guardian,
+        uint approvals
+    );
+    event EarlyReleaseCancelled(uint indexed proposalId);
+    event EarlyReleaseExecuted(
+        uint indexed proposalId,
+        uint amount,
+        uint penalty
+    );
+
+    constructor(
+        uint _unlockTime,
+        address payable _owner,
+        address[] memory guardians_,
+        uint _threshold,
+        uint _penaltyBps,
+        address payable _treasury,
+        uint _proposalDuration
+    ) payable Lock(_unlockTime, _owner) {
+        require(
+            _threshold > 0 && _threshold <= guardians_.length,
+            "Invalid threshold"
+        );
+        require(_penaltyBps <= MAX_BPS, "Penalty is above 100%");
+        require(
+            _penaltyBps == 0 || _treasury != address(0),
+            "Treasury is the zero address"
+        );
+        require(_proposalDuration > 0, "Proposal duration is zero");
+
+        for (uint i = 0; i < guardians_.length; i++) {
+            address guardian = guardians_[i];
+            require(guardian != address(0), "Guardian is the zero address");
+            require(guardian != _owner, "Owner can't be a guardian");
+            require(!isGuardian[guardian], "Duplicate guardian");
+
+            isGuardian[guardian] = true;
+            _guardians.push(guardian);
+        }
+
+        threshold = _threshold;
+        penaltyBps = _penaltyBps;
+        treasury = _treasury;
+        proposalDuration = _proposalDuration;
+    }
+
+    function guardians() external view returns (address[] memory) {
+        return _guardians;
+    }
+
+    // Whether the latest proposal can still be approved or executed.
+    // Proposals are bound to the owner who made them, so approvals collected
+    // before an ownership transfer can't be spent by the new owner.
+    function isProposalActive() public view returns (bool) {
+        return
+            proposal.id != 0 &&
+            !proposal.executed &&
+            !proposal.cancelled &&
+            block.timestamp < proposal.expiresAt &&
+            proposal.proposer == owner;
+    }
+
+    function penaltyFor(uint amount) public view returns (uint) {
+        return (amount * penaltyBps) / MAX_BPS;
+    }
+
+    function proposeEarlyRelease() external onlyOwner returns (uint) {
+        require(block.timestamp < unlockTime, "Lock has already unlocked");
+        require(!isProposalActive(), "A proposal is already active");
+
+        uint id = proposal.id + 1;
+        proposal = Proposal({
+            id: id,
+            proposer: msg.sender,
+            expiresAt: block.timestamp + proposalDuration,
+            approvals: 0,
+            executed: false,
+            cancelled: false
+        });
+
+        emit EarlyReleaseProposed(id, msg.sender, proposal.expiresAt);
+        return id;
+    }
+
+    function approveEarlyRelease(uint proposalId) external {
+        require(isGuardian[msg.sender], "You aren't a guardian");
+        // A guardian can become the owner through an ownership transfer.
+        require(msg.sender != owner, "The owner can't approve");
+        _requireActive(proposalId);
+        require(!hasApproved[proposalId][msg.sender], "Already approved");
+
+        hasApproved[proposalId][msg.sender] = true;
+        proposal.approvals += 1;
+
+        emit EarlyReleaseApproved(proposalId, msg.sender, proposal.approvals);
+    }
+
+    function cancelEarlyRelease(uint proposalId) external onlyOwner {
+        _requireActive(proposalId);
+
+        proposal.cancelled = true;
+
+        emit EarlyReleaseCancelled(proposalId);
+    }
+
+    function executeEarlyRelease(uint proposalId) external onlyOwner {
+        _requireActive(proposalId);
+        require(proposal.approvals >= threshold, "Not enough approvals");
+        // Once unlocked, withdraw() pays out in full without a penalty.
+        require(block.timestamp < unlockTime, "Lock has already unlocked");
+
+        proposal.executed = true;
+        uint balance = address(this).balance;
+        uint penalty = penaltyFor(balance);
+
+        emit EarlyReleaseExecuted(proposalId, balance - penalty, penalty);
+
+        if (penalty > 0) Address.sendValue(treasury, penalty);
+        Address.sendValue(owner, balance - penalty);
+    }
+
+    function _requireActive(uint proposalId) private view {
+        require(
+            proposalId == proposal.id && proposalId != 0,
+            "Unknown proposal"
+        );
+        require(isProposalActive(), "Proposal isn't active");
+    }
+}
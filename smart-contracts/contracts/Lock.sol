@@ -1,23 +1,88 @@
 // SPDX-License-Identifier: UNLICENSED
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
 // Uncomment this line to use console.log
 // import "hardhat/console.sol";
 
-contract Lock {
+contract Lock is EIP712, Nonces {
+    bytes32 public constant WITHDRAW_TYPEHASH =
+        keccak256("Withdraw(address owner,uint256 nonce,uint256 deadline)");
+
     uint public unlockTime;
     address payable public owner;
+    address payable public pendingOwner;
 
     event Withdrawal(uint amount, uint when);
+    event Deposit(address indexed from, uint amount);
+    event UnlockTimeExtended(uint previousUnlockTime, uint newUnlockTime);
+    event OwnershipTransferStarted(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "You aren't the owner");
+        _;
+    }
 
-    constructor(uint _unlockTime) payable {
+    // The owner is passed in rather than taken from msg.sender so that
+    // LockFactory can deploy locks on behalf of its callers.
+    constructor(
+        uint _unlockTime,
+        address payable _owner
+    ) payable EIP712("Lock", "1") {
         require(
             block.timestamp < _unlockTime,
             "Unlock time should be in the future"
         );
+        require(_owner != address(0), "Owner is the zero address");
 
         unlockTime = _unlockTime;
-        owner = payable(msg.sender);
+        owner = _owner;
+    }
+
+    // Plain transfers are refused so every top-up goes through deposit() and
+    // is attributed to the owner.
+    receive() external payable {
+        revert("Use deposit() to add funds");
+    }
+
+    function deposit() external payable onlyOwner {
+        require(msg.value > 0, "Deposit is zero");
+
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    // The unlock time can only move later, never earlier.
+    function extendUnlockTime(uint newUnlockTime) external onlyOwner {
+        require(newUnlockTime > unlockTime, "New unlock time must be later");
+
+        emit UnlockTimeExtended(unlockTime, newUnlockTime);
+        unlockTime = newUnlockTime;
+    }
+
+    // Step one of two: nominates `newOwner`, who must call acceptOwnership().
+    // Nominating the zero address cancels a pending transfer.
+    function transferOwnership(address payable newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "You aren't the pending owner");
+
+        emit OwnershipTransferred(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = payable(address(0));
     }
 
     function withdraw() public {
@@ -27,6 +92,37 @@ contract Lock {
         require(block.timestamp >= unlockTime, "You can't withdraw yet");
         require(msg.sender == owner, "You aren't the owner");
 
+        _withdraw();
+    }
+
+    // Withdraws to the owner on the strength of their EIP-712 `Withdraw`
+    // signature, so anyone (e.g. a relayer) can pay the gas. Each signature
+    // names the owner's current nonce and is only good until `deadline`.
+    function withdrawWithSig(
+        uint deadline,
+        uint nonce,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(block.timestamp >= unlockTime, "You can't withdraw yet");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(WITHDRAW_TYPEHASH, owner, nonce, deadline))
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            digest,
+            signature
+        );
+        require(
+            error == ECDSA.RecoverError.NoError && signer == owner,
+            "Invalid signature"
+        );
+        require(_useNonce(owner) == nonce, "Invalid nonce");
+
+        _withdraw();
+    }
+
+    function _withdraw() private {
         emit Withdrawal(address(this).balance, block.timestamp);
 
         owner.transfer(address(this).balance);
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./Lock.sol";
+import "./TokenLock.sol";
+
+// Deploys a new Lock (or TokenLock) for any caller and keeps an on-chain
+// registry of every lock it created, overall and per owner.
+contract LockFactory {
+    using SafeERC20 for IERC20;
+
+    address[] private _locks;
+    mapping(address => address[]) private _locksByOwner;
+    mapping(address => bool) public isLock;
+    // Token held by each TokenLock; zero for ETH locks.
+    mapping(address => address) public tokenOf;
+
+    event LockCreated(
+        address indexed lock,
+        address indexed owner,
+        uint unlockTime,
+        uint amount
+    );
+    event TokenLockCreated(
+        address indexed lock,
+        address indexed owner,
+        address indexed token,
+        uint unlockTime,
+        uint amount
+    );
+
+    // Locks msg.value until `unlockTime`, owned by `owner` (who can be
+    // someone other than the caller, e.g. a beneficiary).
+    function createLock(
+        uint unlockTime,
+        address payable owner
+    ) external payable returns (address) {
+        Lock lock = new Lock{value: msg.value}(unlockTime, owner);
+        address lockAddress = address(lock);
+
+        _register(lockAddress, owner);
+
+        emit LockCreated(lockAddress, owner, unlockTime, msg.value);
+        return lockAddress;
+    }
+
+    // Locks `amount` of `token` until `unlockTime`, owned by the caller. The
+    // caller approves this factory, which moves the tokens straight into the
+    // new lock; the event reports what the lock actually received.
+    function createTokenLock(
+        IERC20 token,
+        uint unlockTime,
+        uint amount
+    ) external returns (address) {
+        require(amount > 0, "Amount is zero");
+
+        TokenLock lock = new TokenLock(token, unlockTime, msg.sender);
+        address lockAddress = address(lock);
+
+        token.safeTransferFrom(msg.sender, lockAddress, amount);
+        uint received = token.balanceOf(lockAddress);
+
+        _register(lockAddress, msg.sender);
+        tokenOf[lockAddress] = address(token);
+
+        emit TokenLockCreated(
+            lockAddress,
+            msg.sender,
+            address(token),
+            unlockTime,
+            received
+        );
+        return lockAddress;
+    }
+
+    function lockCount() external view returns (uint) {
+        return _locks.length;
+    }
+
+    function lockAt(uint index) external view returns (address) {
+        require(index < _locks.length, "Index out of bounds");
+        return _locks[index];
+    }
+
+    // Locks are listed under the account they were created for, which is not
+    // necessarily the caller. Later owners of a Lock are found through its
+    // OwnershipTransferred events.
+    function locksOf(address owner) external view returns (address[] memory) {
+        return _locksByOwner[owner];
+    }
+
+    function lockCountOf(address owner) external view returns (uint) {
+        return _locksByOwner[owner].length;
+    }
+
+    function lockOfOwnerByIndex(
+        address owner,
+        uint index
+    ) external view returns (address) {
+        require(index < _locksByOwner[owner].length, "Index out of bounds");
+        return _locksByOwner[owner][index];
+    }
+
+    function _register(address lockAddress, address owner) private {
+        _locks.push(lockAddress);
+        _locksByOwner[owner].push(lockAddress);
+        isLock[lockAddress] = true;
+    }
+}
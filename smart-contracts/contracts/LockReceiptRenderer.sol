@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Lock.sol";
+
+// Renders LockReceipts metadata on-chain: a base64 JSON document with an SVG
+// image, built from the lock's live balance and unlock time.
+contract LockReceiptRenderer {
+    using Strings for uint;
+
+    function tokenURI(
+        uint tokenId,
+        Lock lock
+    ) external view returns (string memory) {
+        uint amount = address(lock).balance;
+        uint unlockTime = lock.unlockTime();
+
+        string memory json = string.concat(
+            '{"name":"Lock #',
+            tokenId.toString(),
+            '","description":"Time-locked ETH. The holder of this receipt can withdraw it once it unlocks.","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(_image(tokenId, lock, amount, unlockTime))),
+            '","attributes":',
+            _attributes(lock, amount, unlockTime),
+            "}"
+        );
+        return
+            string.concat(
+                "data:application/json;base64,",
+                Base64.encode(bytes(json))
+            );
+    }
+
+    function _attributes(
+        Lock lock,
+        uint amount,
+        uint unlockTime
+    ) private view returns (string memory) {
+        return
+            string.concat(
+                '[{"trait_type":"Amount (ETH)","display_type":"number","value":',
+                _formatEther(amount),
+                '},{"trait_type":"Unlock time","display_type":"date","value":',
+                unlockTime.toString(),
+                '},{"trait_type":"Status","value":"',
+                _status(unlockTime),
+                '"},{"trait_type":"Lock","value":"',
+                Strings.toHexString(address(lock)),
+                '"}]'
+            );
+    }
+
+    function _image(
+        uint tokenId,
+        Lock lock,
+        uint amount,
+        uint unlockTime
+    ) private view returns (string memory) {
+        return
+            string.concat(
+                '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350" font-family="monospace">',
+                '<rect width="350" height="350" rx="24" fill="#111827"/>',
+                '<text x="28" y="56" font-size="20" fill="#9ca3af">Lock #',
+                tokenId.toString(),
+                '</text><text x="28" y="150" font-size="36" fill="#ffffff">',
+                _formatEther(amount),
+                ' ETH</text><text x="28" y="200" font-size="14" fill="#9ca3af">',
+                block.timestamp >= unlockTime
+                    ? "Unlocked since "
+                    : "Locked until ",
+                _formatDate(unlockTime),
+                '</text><text x="28" y="316" font-size="10" fill="#6b7280">',
+                Strings.toHexString(address(lock)),
+                "</text></svg>"
+            );
+    }
+
+    function _status(uint unlockTime) private view returns (string memory) {
+        return block.timestamp >= unlockTime ? "Unlocked" : "Locked";
+    }
+
+    // Up to four decimals, rounded down, without trailing zeros.
+    function _formatEther(uint amount) private pure returns (string memory) {
+        string memory whole = (amount / 1 ether).toString();
+        uint fraction = (amount % 1 ether) / 1e14;
+        if (fraction == 0) return whole;
+
+        // Offsetting by 10_000 keeps the leading zeros: 5 -> "10005".
+        bytes memory digits = bytes((fraction + 10_000).toString());
+        uint length = 5;
+        while (digits[length - 1] == "0") length--;
+        bytes memory decimals = new bytes(length - 1);
+        for (uint i = 1; i < length; i++) decimals[i - 1] = digits[i];
+
+        return string.concat(whole, ".", string(decimals));
+    }
+
+    // "2030-01-01 00:00 UTC"
+    function _formatDate(uint timestamp) private pure returns (string memory) {
+        (uint year, uint month, uint day) = _civilDate(timestamp / 1 days);
+        return
+            string.concat(
+                year.toString(),
+                "-",
+                _pad(month),
+                "-",
+                _pad(day),
+                " ",
+                _pad((timestamp % 1 days) / 1 hours),
+                ":",
+                _pad((timestamp % 1 hours) / 1 minutes),
+                " UTC"
+            );
+    }
+
+    // Days since 1970-01-01 to a calendar date, from
+    // https://howardhinnant.github.io/date_algorithms.html#civil_from_days
+    function _civilDate(
+        uint daysSinceEpoch
+    ) private pure returns (uint year, uint month, uint day) {
+        uint z = daysSinceEpoch + 719468;
+        uint era = z / 146097;
+        uint doe = z - era * 146097;
+        uint yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint mp = (5 * doy + 2) / 153;
+        day = doy - (153 * mp + 2) / 5 + 1;
+        month = mp < 10 ? mp + 3 : mp - 9;
+        year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+    }
+
+    function _pad(uint value) private pure returns (string memory) {
+        return
+            value < 10
+                ? string.concat("0", value.toString())
+                : value.toString();
+    }
+}
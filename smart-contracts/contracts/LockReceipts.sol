@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./Lock.sol";
+import "./LockReceiptRenderer.sol";
+
+// Creates Locks as transferable positions. This contract owns every Lock it
+// creates and mints an ERC-721 receipt for it; whoever holds the receipt is
+// the one who can withdraw, so selling or gifting the token hands over the
+// position. Withdrawing burns the receipt. Metadata comes from a separate
+// renderer contract, which keeps this one under the contract size limit.
+contract LockReceipts is ERC721Enumerable {
+    LockReceiptRenderer public immutable renderer;
+
+    uint private _nextTokenId = 1;
+    mapping(uint => Lock) public lockOf;
+    mapping(address => uint) public tokenOfLock;
+
+    // The lock being withdrawn from, the only sender receive() accepts.
+    address private transient _withdrawingFrom;
+
+    event LockCreated(
+        uint indexed tokenId,
+        address indexed lock,
+        address indexed holder,
+        uint unlockTime,
+        uint amount
+    );
+    event ReceiptRedeemed(
+        uint indexed tokenId,
+        address indexed lock,
+        address indexed holder,
+        uint amount
+    );
+
+    modifier onlyHolder(uint tokenId) {
+        require(ownerOf(tokenId) == msg.sender, "You aren't the holder");
+        _;
+    }
+
+    constructor(LockReceiptRenderer _renderer) ERC721("Lock Receipt", "LOCK") {
+        renderer = _renderer;
+    }
+
+    // Lock pays its owner with transfer(), so this has to fit in 2300 gas.
+    receive() external payable {
+        require(
+            msg.sender == _withdrawingFrom,
+            "Use createLock() or deposit()"
+        );
+    }
+
+    // Locks msg.value until `unlockTime` and mints the receipt to the caller.
+    function createLock(uint unlockTime) external payable returns (uint) {
+        Lock lock = new Lock{value: msg.value}(
+            unlockTime,
+            payable(address(this))
+        );
+        uint tokenId = _nextTokenId++;
+        lockOf[tokenId] = lock;
+        tokenOfLock[address(lock)] = tokenId;
+
+        emit LockCreated(
+            tokenId,
+            address(lock),
+            msg.sender,
+            unlockTime,
+            msg.value
+        );
+        _safeMint(msg.sender, tokenId);
+        return tokenId;
+    }
+
+    function deposit(uint tokenId) external payable onlyHolder(tokenId) {
+        lockOf[tokenId].deposit{value: msg.value}();
+    }
+
+    function extendUnlockTime(
+        uint tokenId,
+        uint newUnlockTime
+    ) external onlyHolder(tokenId) {
+        lockOf[tokenId].extendUnlockTime(newUnlockTime);
+    }
+
+    // Burns the receipt and pays everything in the lock to the holder.
+    function withdraw(uint tokenId) external onlyHolder(tokenId) {
+        Lock lock = lockOf[tokenId];
+        _burn(tokenId);
+
+        uint balanceBefore = address(this).balance;
+        _withdrawingFrom = address(lock);
+        lock.withdraw();
+        _withdrawingFrom = address(0);
+        uint amount = address(this).balance - balanceBefore;
+
+        emit ReceiptRedeemed(tokenId, address(lock), msg.sender, amount);
+        Address.sendValue(payable(msg.sender), amount);
+    }
+
+    function tokenURI(
+        uint tokenId
+    ) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return renderer.tokenURI(tokenId, lockOf[tokenId]);
+    }
+}
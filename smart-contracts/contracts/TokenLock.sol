@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Lock for a single ERC-20 token. Transfers go through SafeERC20 so tokens
+// that return nothing (or false) are handled, and amounts are measured from
+// the balance change so fee-on-transfer tokens are credited what actually
+// arrived rather than what was asked for.
+contract TokenLock {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+    uint public unlockTime;
+    address public owner;
+
+    event Deposit(address indexed token, address indexed from, uint amount);
+    event Withdrawal(address indexed token, uint amount, uint when);
+
+    constructor(IERC20 _token, uint _unlockTime, address _owner) {
+        require(address(_token) != address(0), "Token is the zero address");
+        require(
+            block.timestamp < _unlockTime,
+            "Unlock time should be in the future"
+        );
+        require(_owner != address(0), "Owner is the zero address");
+
+        token = _token;
+        unlockTime = _unlockTime;
+        owner = _owner;
+    }
+
+    // Pulls `amount` from the caller (who must have approved this lock) and
+    // returns how much was actually received.
+    function deposit(uint amount) external returns (uint received) {
+        require(amount > 0, "Amount is zero");
+
+        uint before = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        received = token.balanceOf(address(this)) - before;
+
+        emit Deposit(address(token), msg.sender, received);
+    }
+
+    function balance() external view returns (uint) {
+        return token.balanceOf(address(this));
+    }
+
+    function withdraw() public {
+        require(block.timestamp >= unlockTime, "You can't withdraw yet");
+        require(msg.sender == owner, "You aren't the owner");
+
+        uint amount = token.balanceOf(address(this));
+        emit Withdrawal(address(token), amount, block.timestamp);
+
+        token.safeTransfer(owner, amount);
+    }
+}
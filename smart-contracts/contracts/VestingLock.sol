@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// Vesting variant of Lock: the ETH sent at deployment vests linearly from
+// `start` over `duration` seconds, with nothing claimable before `cliff`.
+// The owner can release whatever has vested at any time.
+contract VestingLock {
+    address payable public owner;
+    uint public start;
+    uint public cliff;
+    uint public duration;
+    uint public released;
+
+    event Released(uint amount, uint when);
+
+    constructor(
+        address payable _owner,
+        uint _start,
+        uint _cliffDuration,
+        uint _duration
+    ) payable {
+        require(_owner != address(0), "Owner is the zero address");
+        require(_duration > 0, "Duration is zero");
+        require(_cliffDuration <= _duration, "Cliff is longer than duration");
+
+        owner = _owner;
+        start = _start;
+        cliff = _start + _cliffDuration;
+        duration = _duration;
+    }
+
+    function end() public view returns (uint) {
+        return start + duration;
+    }
+
+    // Amount vested by `timestamp`, out of everything ever held (current
+    // balance plus what has already been released). Rounds down.
+    function vestedAmount(uint timestamp) public view returns (uint) {
+        uint total = address(this).balance + released;
+
+        if (timestamp < cliff) return 0;
+        if (timestamp >= end()) return total;
+        return (total * (timestamp - start)) / duration;
+    }
+
+    function releasable() public view returns (uint) {
+        return vestedAmount(block.timestamp) - released;
+    }
+
+    function release() public {
+        require(msg.sender == owner, "You aren't the owner");
+
+        uint amount = releasable();
+        require(amount > 0, "Nothing to release");
+
+        released += amount;
+        emit Released(amount, block.timestamp);
+
+        owner.transfer(amount);
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// Stands in for a multisig or smart-account treasury: accepting ETH writes to
+// storage, which costs more than the 2300 gas transfer() forwards.
+contract ContractWallet {
+    uint public received;
+
+    receive() external payable {
+        received += msg.value;
+    }
+}
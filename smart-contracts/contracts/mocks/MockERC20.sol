@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Test token with configurable decimals, free minting, an optional transfer
+// fee (in basis points, burned) and a switch that makes transfers return
+// false instead of reverting.
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+    uint public feeBps;
+    bool public returnFalse;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint amount) external {
+        _mint(to, amount);
+    }
+
+    function setFeeBps(uint _feeBps) external {
+        require(_feeBps <= 10_000, "Fee too high");
+        feeBps = _feeBps;
+    }
+
+    function setReturnFalse(bool _returnFalse) external {
+        returnFalse = _returnFalse;
+    }
+
+    function transfer(address to, uint amount) public override returns (bool) {
+        if (returnFalse) return false;
+        return super.transfer(to, amount);
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint amount
+    ) public override returns (bool) {
+        if (returnFalse) return false;
+        return super.transferFrom(from, to, amount);
+    }
+
+    function _update(address from, address to, uint amount) internal override {
+        uint fee = from == address(0) || to == address(0)
+            ? 0
+            : (amount * feeBps) / 10_000;
+        if (fee > 0) super._update(from, address(0), fee);
+        super._update(from, to, amount - fee);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+// Minimal token whose transfer functions return nothing, like USDT on
+// mainnet. Calling it through the plain IERC20 interface fails to decode.
+contract NoReturnERC20 {
+    string public constant symbol = "NRT";
+    uint8 public constant decimals = 6;
+
+    mapping(address => uint) public balanceOf;
+    mapping(address => mapping(address => uint)) public allowance;
+
+    function mint(address to, uint amount) external {
+        balanceOf[to] += amount;
+    }
+
+    function approve(address spender, uint amount) external {
+        allowance[msg.sender][spender] = amount;
+    }
+
+    function transfer(address to, uint amount) external {
+        _move(msg.sender, to, amount);
+    }
+
+    function transferFrom(address from, address to, uint amount) external {
+        require(allowance[from][msg.sender] >= amount, "Allowance exceeded");
+        allowance[from][msg.sender] -= amount;
+        _move(from, to, amount);
+    }
+
+    function _move(address from, address to, uint amount) private {
+        require(balanceOf[from] >= amount, "Balance exceeded");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+    }
+}
@@ -1,14 +1,46 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { scope } = require("hardhat/config");
+const { recordIgnitionDeployment } = require("./lib/deployments");
+require("./tasks/lock");
+
+// `ignition deploy` also records what it deployed in the shared registry.
+scope("ignition")
+  .task("deploy")
+  .setAction(async (args, hre, runSuper) => {
+    const result = await runSuper(args);
+    const chain = await recordIgnitionDeployment(hre, args.deploymentId);
+    if (chain) {
+      console.log(`📒 Recorded deployments for chain ${chain.chainId}`);
+    }
+    return result;
+  });
+
+// `localhost` is the node from `npx hardhat node` (or the `chain` service in
+// compose, reached through LOCAL_RPC_URL) using its default dev accounts.
+const networks = {
+  localhost: {
+    url: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
+    chainId: 31337
+  }
+};
+
+// Sepolia is only configured when both of its variables are set, so local
+// work doesn't need a key.
+if (process.env.SEPOLIA_URL && process.env.PRIVATE_KEY) {
+  networks.sepolia = {
+    url: process.env.SEPOLIA_URL,
+    accounts: [process.env.PRIVATE_KEY]
+  };
+}
 
 module.exports = {
   solidity: {
-    compilers: [{ version: "0.8.20" }, { version: "0.8.28" }]
+    // OpenZeppelin's EIP712 (used by Lock) needs Cancun's `mcopy`.
+    compilers: [
+      { version: "0.8.20" },
+      { version: "0.8.28", settings: { evmVersion: "cancun" } }
+    ]
   },
-  networks: {
-    sepolia: {
-      url: process.env.SEPOLIA_URL,
-      accounts: [process.env.PRIVATE_KEY]
-    }
-  }
+  networks
 };
@@ -0,0 +1,42 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const JAN_1ST_2030 = 1893456000;
+const ONE_GWEI = 1_000_000_000n;
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+// Hardhat's default accounts #1 to #3. Parameter defaults can't hold
+// m.getAccount() values inside an array.
+const HARDHAT_GUARDIANS = [
+  "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+];
+
+// Lock whose owner can leave early with 2-of-3 guardian approval, paying a 10%
+// penalty to the treasury. Pass real guardian and treasury addresses as
+// parameters; the defaults are Hardhat test accounts.
+module.exports = buildModule("GuardedLockModule", (m) => {
+  const owner = m.getParameter("owner", m.getAccount(0));
+  const unlockTime = m.getParameter("unlockTime", JAN_1ST_2030);
+  const guardians = m.getParameter("guardians", HARDHAT_GUARDIANS);
+  const threshold = m.getParameter("threshold", 2);
+  const penaltyBps = m.getParameter("penaltyBps", 1_000);
+  const treasury = m.getParameter("treasury", m.getAccount(4));
+  const proposalDuration = m.getParameter("proposalDuration", ONE_WEEK_IN_SECS);
+  const lockedAmount = m.getParameter("lockedAmount", ONE_GWEI);
+
+  const guardedLock = m.contract(
+    "GuardedLock",
+    [
+      unlockTime,
+      owner,
+      guardians,
+      threshold,
+      penaltyBps,
+      treasury,
+      proposalDuration,
+    ],
+    { value: lockedAmount }
+  );
+
+  return { guardedLock };
+});
@@ -9,8 +9,9 @@ const ONE_GWEI = 1_000_000_000n;
 module.exports = buildModule("LockModule", (m) => {
   const unlockTime = m.getParameter("unlockTime", JAN_1ST_2030);
   const lockedAmount = m.getParameter("lockedAmount", ONE_GWEI);
+  const owner = m.getParameter("owner", m.getAccount(0));
 
-  const lock = m.contract("Lock", [unlockTime], {
+  const lock = m.contract("Lock", [unlockTime, owner], {
     value: lockedAmount,
   });
 
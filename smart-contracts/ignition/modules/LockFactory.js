@@ -0,0 +1,10 @@
+// Deploys the LockFactory; locks are then created through `createLock`.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("LockFactoryModule", (m) => {
+  const lockFactory = m.contract("LockFactory");
+
+  return { lockFactory };
+});
@@ -0,0 +1,11 @@
+// Deploys LockReceipts with its metadata renderer; locks are then created
+// through `createLock` and held as ERC-721 receipts.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("LockReceiptsModule", (m) => {
+  const renderer = m.contract("LockReceiptRenderer");
+  const lockReceipts = m.contract("LockReceipts", [renderer]);
+
+  return { renderer, lockReceipts };
+});
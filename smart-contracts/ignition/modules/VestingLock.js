@@ -0,0 +1,23 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const JAN_1ST_2026 = 1767225600;
+const ONE_YEAR_IN_SECS = 365 * 24 * 60 * 60;
+const ONE_GWEI = 1_000_000_000n;
+
+// Vests `vestingAmount` linearly over a year from `start`, with a 90 day cliff
+// by default.
+module.exports = buildModule("VestingLockModule", (m) => {
+  const owner = m.getParameter("owner", m.getAccount(0));
+  const start = m.getParameter("start", JAN_1ST_2026);
+  const cliffDuration = m.getParameter("cliffDuration", 90 * 24 * 60 * 60);
+  const duration = m.getParameter("duration", ONE_YEAR_IN_SECS);
+  const vestingAmount = m.getParameter("vestingAmount", ONE_GWEI);
+
+  const vestingLock = m.contract(
+    "VestingLock",
+    [owner, start, cliffDuration, duration],
+    { value: vestingAmount }
+  );
+
+  return { vestingLock };
+});
@@ -0,0 +1,165 @@
+// Deployments registry shared with the frontend and backend.
+//
+// One JSON document keyed by chain ID; each chain lists its contracts by name
+// with address, ABI, deploy block, tx hash and constructor args. The
+// canonical copy lives in deployments/registry.json at the repo root and is
+// mirrored into the frontend, which can only import files under src/.
+const fs = require("fs");
+const path = require("path");
+
+const REGISTRY_FILE = path.resolve(
+  __dirname,
+  "../../deployments/registry.json"
+);
+const FRONTEND_COPY = path.resolve(
+  __dirname,
+  "../../frontend/src/abi/deployments.json"
+);
+
+// Constructor args may hold bigints (ours, or Ignition's serialised form).
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === "object") {
+    if (value._kind === "bigint") return value.value;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toJsonValue(item)])
+    );
+  }
+  return value;
+}
+
+function readRegistry(file = REGISTRY_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeRegistry(registry) {
+  const sorted = Object.fromEntries(
+    Object.keys(registry)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((chainId) => [chainId, registry[chainId]])
+  );
+  const json = JSON.stringify(sorted, null, 2) + "\n";
+  for (const file of [REGISTRY_FILE, FRONTEND_COPY]) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, json);
+  }
+}
+
+// The in-process Hardhat network shares chain ID 31337 with a local node but
+// forgets everything when the command exits, so it is never recorded.
+function isEphemeral(hre) {
+  return hre.network.name === "hardhat";
+}
+
+// Merges `entries` ({ name, contractName, address, args, transactionHash,
+// blockNumber, source, abi? }) into the current chain's section. Without an
+// `abi` the compiled artifact's is used.
+async function recordDeployments(hre, entries) {
+  if (isEphemeral(hre) || !entries.length) return null;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = readRegistry();
+  const chain = registry[chainId] || { contracts: {} };
+
+  for (const entry of entries) {
+    const abi =
+      entry.abi || (await hre.artifacts.readArtifact(entry.contractName)).abi;
+    chain.contracts[entry.name] = {
+      contractName: entry.contractName,
+      address: hre.ethers.getAddress(entry.address),
+      abi,
+      blockNumber: entry.blockNumber,
+      transactionHash: entry.transactionHash,
+      args: toJsonValue(entry.args || []),
+      source: entry.source,
+      deployedAt: new Date().toISOString(),
+    };
+  }
+
+  registry[chainId] = {
+    chainId: Number(chainId),
+    network: hre.network.name,
+    contracts: chain.contracts,
+  };
+  writeRegistry(registry);
+  return registry[chainId];
+}
+
+// Records a contract deployed with ethers (e.g. from a script).
+async function recordContract(hre, name, contract, args = []) {
+  const tx = contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : null;
+  return recordDeployments(hre, [
+    {
+      name,
+      contractName: name,
+      address: await contract.getAddress(),
+      args,
+      transactionHash: receipt ? receipt.hash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      source: "script",
+    },
+  ]);
+}
+
+// Reads an Ignition deployment's journal and records every contract it
+// deployed. Entries are named after the future ID without its module prefix
+// ("LockModule#Lock" -> "Lock").
+async function recordIgnitionDeployment(hre, deploymentId) {
+  if (isEphemeral(hre)) return null;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const dir = path.join(
+    hre.config.paths.ignition,
+    "deployments",
+    deploymentId || `chain-${chainId}`
+  );
+  const journal = path.join(dir, "journal.jsonl");
+  if (!fs.existsSync(journal)) return null;
+
+  const futures = new Map();
+  for (const line of fs.readFileSync(journal, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const message = JSON.parse(line);
+    if (message.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE") {
+      const artifact = path.join(dir, "artifacts", `${message.futureId}.json`);
+      futures.set(message.futureId, {
+        name: message.futureId.split("#").pop(),
+        contractName: message.contractName,
+        args: message.constructorArgs,
+        abi: JSON.parse(fs.readFileSync(artifact, "utf8")).abi,
+        source: "ignition",
+      });
+    } else if (
+      message.type === "TRANSACTION_CONFIRM" &&
+      futures.has(message.futureId)
+    ) {
+      Object.assign(futures.get(message.futureId), {
+        transactionHash: message.hash,
+        blockNumber: message.receipt.blockNumber,
+      });
+    } else if (
+      message.type === "DEPLOYMENT_EXECUTION_STATE_COMPLETE" &&
+      futures.has(message.futureId) &&
+      message.result.type === "SUCCESS"
+    ) {
+      futures.get(message.futureId).address = message.result.address;
+    }
+  }
+
+  return recordDeployments(
+    hre,
+    [...futures.values()].filter((future) => future.address)
+  );
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  FRONTEND_COPY,
+  readRegistry,
+  recordDeployments,
+  recordContract,
+  recordIgnitionDeployment,
+};
@@ -1,16 +1,20 @@
 const fs = require("fs");
 const path = require("path");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { recordContract } = require("../lib/deployments");
+
+const { ethers } = hre;
 
 async function main() {
   const ONE_YEAR_IN_SECS = 365 * 24 * 60 * 60;
   const unlockTime = Math.floor(Date.now() / 1000) + ONE_YEAR_IN_SECS;
   const lockedAmount = ethers.parseEther("0.01"); // 0.01 ETH
 
+  const [deployer] = await ethers.getSigners();
+
   const Lock = await ethers.getContractFactory("Lock");
-  const lock = await Lock.deploy(unlockTime, {
-    value: lockedAmount
-  });
+  const lockArgs = [unlockTime, deployer.address];
+  const lock = await Lock.deploy(...lockArgs, { value: lockedAmount });
 
   await lock.waitForDeployment();
   const lockAddress = await lock.getAddress(); // Store the address first
@@ -18,21 +22,52 @@ async function main() {
   console.log(`🔒 Lock deployed to: ${lockAddress}`);
   console.log(`🔐 Unlocks at: ${unlockTime}`);
 
+  const LockFactory = await ethers.getContractFactory("LockFactory");
+  const factory = await LockFactory.deploy();
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+
+  console.log(`🏭 LockFactory deployed to: ${factoryAddress}`);
+
+  const renderer = await ethers.deployContract("LockReceiptRenderer");
+  await renderer.waitForDeployment();
+  const receiptsArgs = [await renderer.getAddress()];
+  const receipts = await ethers.deployContract("LockReceipts", receiptsArgs);
+  await receipts.waitForDeployment();
+
+  console.log(`🧾 LockReceipts deployed to: ${await receipts.getAddress()}`);
+
+  await recordContract(hre, "Lock", lock, lockArgs);
+  await recordContract(hre, "LockFactory", factory);
+  await recordContract(hre, "LockReceiptRenderer", renderer);
+  const chain = await recordContract(
+    hre,
+    "LockReceipts",
+    receipts,
+    receiptsArgs
+  );
+  if (chain) console.log(`📒 Recorded deployments for chain ${chain.chainId}`);
+
   const frontendDir = path.resolve(__dirname, "../../frontend/src/abi");
   console.log(frontendDir);
   if (!fs.existsSync(frontendDir))
     fs.mkdirSync(frontendDir, { recursive: true });
 
-  fs.writeFileSync(
-    path.join(frontendDir, "address.js"),
-    `export const CONTRACT_ADDRESS = "${lockAddress}";\n`
-  );
-
-  const artifact = await hre.artifacts.readArtifact("Lock");
-  fs.writeFileSync(
-    path.join(frontendDir, "Lock.json"),
-    JSON.stringify(artifact.abi, null, 2)
-  );
+  // Addresses come from the registry; these artifacts give the frontend ABIs
+  // for lock types it finds on-chain rather than in the registry.
+  for (const name of [
+    "Lock",
+    "LockFactory",
+    "TokenLock",
+    "VestingLock",
+    "GuardedLock"
+  ]) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    fs.writeFileSync(
+      path.join(frontendDir, `${name}.json`),
+      JSON.stringify(artifact, null, 2) + "\n"
+    );
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,29 @@
+// Seeds a dev chain with locks across several accounts and unlock times so the
+// app has something to show. Run after deploy-lock.js: the locks are created
+// through the LockFactory it recorded in the deployments registry.
+const hre = require("hardhat");
+
+// Signer indexes are the node's default dev accounts.
+const SEEDS = [
+  { signer: 0, amount: "0.5", unlock: "2m" },
+  { signer: 0, amount: "1", unlock: "1d" },
+  { signer: 1, amount: "0.25", unlock: "1h" },
+  { signer: 1, amount: "2", unlock: "30d" },
+  { signer: 2, amount: "0.1", unlock: "7d" },
+  { signer: 3, amount: "5", unlock: "365d" }
+];
+
+async function main() {
+  const created = [];
+  for (const seed of SEEDS) {
+    created.push(await hre.run("lock:create", seed));
+  }
+
+  const owners = new Set(created.map((lock) => lock.owner));
+  console.log(`🌱 Seeded ${created.length} locks for ${owners.size} accounts`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,391 @@
+// Command-line management of locks: `npx hardhat lock:<name> --help`.
+//
+// Every task returns its result so scripts can `hre.run()` them, prints a
+// human-readable summary, or prints JSON instead with --json. Factory lookups
+// use --factory or the LockFactory recorded in the deployments registry for
+// the current chain.
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readRegistry } = require("../lib/deployments");
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+// Reported by Hardhat as a plain message rather than an "unexpected error"
+// with a stack trace.
+const fail = (message) => {
+  throw new HardhatPluginError("lock", message);
+};
+
+// "30d", "+2h", "90m" or "45s" → seconds.
+function parseDuration(value) {
+  const match = /^\+?(\d+)([smhdw])$/.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// A unix timestamp, an ISO date, or a duration from `now`.
+function parseWhen(value, now) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const duration = parseDuration(text);
+  if (duration !== null) return now + duration;
+  const date = Date.parse(text);
+  if (!Number.isNaN(date)) return Math.floor(date / 1000);
+  fail(
+    `Can't parse "${value}": use a unix timestamp, an ISO date or a duration like 30d`
+  );
+}
+
+function formatRelative(seconds) {
+  const abs = Math.abs(seconds);
+  const parts = [
+    [Math.floor(abs / 86400), "d"],
+    [Math.floor((abs % 86400) / 3600), "h"],
+    [Math.floor((abs % 3600) / 60), "m"],
+  ]
+    .filter(([amount]) => amount > 0)
+    .slice(0, 2)
+    .map(([amount, unit]) => `${amount}${unit}`);
+  const text = parts.length ? parts.join(" ") : `${abs}s`;
+  return seconds >= 0 ? `in ${text}` : `${text} ago`;
+}
+
+const formatTime = (timestamp, now) =>
+  `${new Date(timestamp * 1000).toISOString()} (${formatRelative(
+    timestamp - now
+  )})`;
+
+function print(result, json, lines) {
+  if (json) {
+    console.log(
+      JSON.stringify(
+        result,
+        (key, value) => (typeof value === "bigint" ? value.toString() : value),
+        2
+      )
+    );
+  } else {
+    console.log(lines.join("\n"));
+  }
+}
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function getSigner(hre, index) {
+  const signers = await hre.ethers.getSigners();
+  if (!signers[index]) fail(`No signer at index ${index}`);
+  return signers[index];
+}
+
+// --factory, else the registry entry for this chain. The in-process network
+// starts empty every run, so the registry never applies to it.
+async function resolveFactory(hre, address) {
+  if (address) return hre.ethers.getContractAt("LockFactory", address);
+  if (hre.network.name === "hardhat") return null;
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const chain = readRegistry()[chainId];
+  const entry = chain && chain.contracts.LockFactory;
+  return entry ? hre.ethers.getContractAt("LockFactory", entry.address) : null;
+}
+
+// Lock and GuardedLock hold ETH until unlockTime, TokenLock holds an ERC-20
+// token until unlockTime and VestingLock holds ETH until end(). Views a
+// contract doesn't have revert and are read as null.
+const LOCK_VIEWS = [
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function unlockTime() view returns (uint)",
+  "function end() view returns (uint)",
+  "function token() view returns (address)",
+];
+const TOKEN_VIEWS = [
+  "function balanceOf(address owner) view returns (uint)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+async function readLock(hre, address) {
+  const { ethers } = hre;
+  if (!ethers.isAddress(address)) fail(`Invalid address ${address}`);
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    fail(`No contract deployed at ${address}`);
+  }
+
+  const lock = new ethers.Contract(address, LOCK_VIEWS, ethers.provider);
+  const orNull = (promise) => promise.catch(() => null);
+  const [owner, pendingOwner, unlockTime, end, token, now] = await Promise.all([
+    lock.owner(),
+    // Locks deployed before two-step transfers existed have no
+    // pendingOwner().
+    orNull(lock.pendingOwner()),
+    orNull(lock.unlockTime()),
+    orNull(lock.end()),
+    orNull(lock.token()),
+    latestTimestamp(hre),
+  ]);
+
+  let balance, symbol, decimals;
+  if (token) {
+    const erc20 = new ethers.Contract(token, TOKEN_VIEWS, ethers.provider);
+    [balance, symbol, decimals] = await Promise.all([
+      erc20.balanceOf(address),
+      erc20.symbol().catch(() => "tokens"),
+      // Without decimals() the balance is shown in base units.
+      erc20.decimals().catch(() => 0),
+    ]);
+  } else {
+    balance = await ethers.provider.getBalance(address);
+    symbol = "ETH";
+    decimals = 18;
+  }
+  const unlocksAt = Number(unlockTime === null ? end : unlockTime);
+
+  let status = "locked";
+  if (now >= unlocksAt) status = balance === 0n ? "withdrawn" : "unlocked";
+
+  return {
+    address: ethers.getAddress(address),
+    owner,
+    pendingOwner:
+      pendingOwner === null || pendingOwner === ethers.ZeroAddress
+        ? null
+        : pendingOwner,
+    unlockTime: unlocksAt,
+    vesting: unlockTime === null && end !== null,
+    token,
+    symbol,
+    balance,
+    balanceFormatted: ethers.formatUnits(balance, decimals),
+    status,
+    now,
+  };
+}
+
+const statusLines = (lock) => [
+  `🔒 Lock ${lock.address}`,
+  `   Status:   ${lock.status}`,
+  `   Owner:    ${lock.owner}`,
+  ...(lock.pendingOwner ? [`   Pending:  ${lock.pendingOwner}`] : []),
+  `   Balance:  ${lock.balanceFormatted} ${lock.symbol}`,
+  `   Unlocks:  ${formatTime(lock.unlockTime, lock.now)}`,
+];
+
+task("lock:create", "Locks ETH until a given time")
+  .addParam("amount", "ETH to lock", "0.01")
+  .addParam(
+    "unlock",
+    "Unlock time: unix timestamp, ISO date or duration from now (30d, 2h)"
+  )
+  .addOptionalParam("owner", "Who can withdraw (default: the signer)")
+  .addOptionalParam("factory", "LockFactory address (default: registry)")
+  .addOptionalParam("signer", "Index of the signer to use", 0, types.int)
+  .addFlag("json", "Print JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = await getSigner(hre, args.signer);
+    const now = await latestTimestamp(hre);
+    const unlockTime = parseWhen(args.unlock, now);
+    const value = ethers.parseEther(args.amount);
+    const owner = ethers.getAddress(args.owner || signer.address);
+
+    const factory = await resolveFactory(hre, args.factory);
+    let address, receipt;
+    if (factory) {
+      const tx = await factory
+        .connect(signer)
+        .createLock(unlockTime, owner, { value });
+      receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LockCreated");
+      address = event.args.lock;
+    } else {
+      const Lock = await ethers.getContractFactory("Lock", signer);
+      const lock = await Lock.deploy(unlockTime, owner, { value });
+      receipt = await lock.deploymentTransaction().wait();
+      address = await lock.getAddress();
+    }
+
+    const result = {
+      address,
+      owner,
+      amount: value,
+      amountEth: ethers.formatEther(value),
+      unlockTime,
+      factory: factory ? factory.target : null,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+    print(result, args.json, [
+      `🔒 Lock created at ${address}${factory ? " (via LockFactory)" : ""}`,
+      `   Owner:    ${owner}`,
+      `   Amount:   ${result.amountEth} ETH`,
+      `   Unlocks:  ${formatTime(unlockTime, now)}`,
+      `   Tx:       ${receipt.hash}`,
+    ]);
+    return result;
+  });
+
+task("lock:status", "Shows a lock's owner, balance and unlock time")
+  .addParam("address", "Lock address")
+  .addFlag("json", "Print JSON")
+  .setAction(async (args, hre) => {
+    const lock = await readLock(hre, args.address);
+    print(lock, args.json, statusLines(lock));
+    return lock;
+  });
+
+task(
+  "lock:withdraw",
+  "Withdraws an unlocked lock's funds to its owner, or what a VestingLock has vested"
+)
+  .addParam("address", "Lock address")
+  .addOptionalParam("signer", "Index of the signer to use", 0, types.int)
+  .addFlag("json", "Print JSON")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = await getSigner(hre, args.signer);
+    const before = await readLock(hre, args.address);
+
+    // A VestingLock has no withdraw(): release() pays out whatever has vested
+    // so far, which can be well before end().
+    const lock = await ethers.getContractAt(
+      before.vesting ? "VestingLock" : "Lock",
+      before.address,
+      signer
+    );
+    if (before.status === "withdrawn") fail("Lock has already been withdrawn");
+    if (before.vesting) {
+      if ((await lock.releasable()) === 0n) fail("Nothing has vested yet");
+    } else if (before.status === "locked") {
+      fail(
+        `Lock is still locked until ${formatTime(
+          before.unlockTime,
+          before.now
+        )}`
+      );
+    }
+    if (before.owner.toLowerCase() !== signer.address.toLowerCase()) {
+      fail(`Signer ${signer.address} isn't the owner (${before.owner})`);
+    }
+
+    let receipt, amount;
+    if (before.vesting) {
+      receipt = await (await lock.release()).wait();
+      // The vested amount grows every second; the event has what was paid.
+      const released = receipt.logs
+        .map((log) => lock.interface.parseLog(log))
+        .find((event) => event && event.name === "Released");
+      amount = released.args.amount;
+    } else {
+      receipt = await (await lock.withdraw()).wait();
+      amount = before.balance;
+    }
+
+    const result = {
+      address: before.address,
+      to: before.owner,
+      amount,
+      amountFormatted: before.vesting
+        ? ethers.formatEther(amount)
+        : before.balanceFormatted,
+      symbol: before.symbol,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+    print(result, args.json, [
+      `💸 ${before.vesting ? "Released" : "Withdrew"} ${
+        result.amountFormatted
+      } ${result.symbol} from ${result.address}`,
+      `   To:       ${result.to}`,
+      `   Tx:       ${receipt.hash}`,
+    ]);
+    return result;
+  });
+
+task("lock:list", "Lists locks created through the LockFactory")
+  .addOptionalParam("owner", "Only locks created for this address")
+  .addOptionalParam("factory", "LockFactory address (default: registry)")
+  .addFlag("json", "Print JSON")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    if (!factory) {
+      fail(
+        "No LockFactory for this network: pass --factory or deploy one first"
+      );
+    }
+
+    let addresses;
+    if (args.owner) {
+      addresses = await factory.locksOf(args.owner);
+    } else {
+      const count = Number(await factory.lockCount());
+      addresses = await Promise.all(
+        Array.from({ length: count }, (_, i) => factory.lockAt(i))
+      );
+    }
+    const locks = [];
+    for (const address of addresses) locks.push(await readLock(hre, address));
+
+    const result = {
+      factory: factory.target,
+      owner: args.owner || null,
+      locks,
+    };
+    print(result, args.json, [
+      `🏭 ${locks.length} lock(s)${args.owner ? ` of ${args.owner}` : ""}`,
+      ...locks.map(
+        (lock) =>
+          `   ${lock.address}  ${lock.status.padEnd(9)}  ${
+            lock.balanceFormatted
+          } ${lock.symbol}  unlocks ${formatRelative(
+            lock.unlockTime - lock.now
+          )}`
+      ),
+    ]);
+    return result;
+  });
+
+task("lock:time-travel", "Moves a local chain's clock forward")
+  .addOptionalParam("to", "Target time: unix timestamp or ISO date")
+  .addOptionalParam("by", "Duration to advance (30d, 2h, 90m)")
+  .addFlag("json", "Print JSON")
+  .setAction(async (args, hre) => {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+      fail(`Time travel only works on local chains, not ${chainId}`);
+    }
+    if (!args.to === !args.by) fail("Pass exactly one of --to or --by");
+
+    const from = await latestTimestamp(hre);
+    let target;
+    if (args.by) {
+      const seconds = parseDuration(args.by);
+      if (seconds === null) fail(`Can't parse duration "${args.by}"`);
+      target = from + seconds;
+    } else {
+      target = parseWhen(args.to, from);
+    }
+    if (target <= from) {
+      fail(`Target ${target} isn't after the current time ${from}`);
+    }
+
+    await hre.network.provider.send("evm_setNextBlockTimestamp", [target]);
+    await hre.network.provider.send("evm_mine");
+
+    const result = { from, to: await latestTimestamp(hre) };
+    print(result, args.json, [
+      `⏩ Chain time moved ${formatRelative(result.to - from).replace(
+        "in ",
+        ""
+      )} forward`,
+      `   Now:      ${new Date(result.to * 1000).toISOString()}`,
+    ]);
+    return result;
+  });
+
+module.exports = { parseDuration, parseWhen };
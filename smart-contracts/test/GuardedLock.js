@@ -0,0 +1,508 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+describe("GuardedLock", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+  const ONE_YEAR_IN_SECS = 365 * ONE_DAY_IN_SECS;
+
+  // 1 ETH locked for a year, guarded 2-of-3 with a 10% penalty and proposals
+  // that expire after 3 days.
+  async function deployGuardedLockFixture() {
+    const lockedAmount = ethers.parseEther("1");
+    const unlockTime = (await time.latest()) + ONE_YEAR_IN_SECS;
+    const penaltyBps = 1_000;
+    const proposalDuration = 3 * ONE_DAY_IN_SECS;
+
+    const [owner, guardianA, guardianB, guardianC, treasury, otherAccount] =
+      await ethers.getSigners();
+    const guardians = [guardianA, guardianB, guardianC];
+
+    const GuardedLock = await ethers.getContractFactory("GuardedLock");
+    const lock = await GuardedLock.deploy(
+      unlockTime,
+      owner.address,
+      guardians.map((guardian) => guardian.address),
+      2,
+      penaltyBps,
+      treasury.address,
+      proposalDuration,
+      { value: lockedAmount }
+    );
+
+    return {
+      lock,
+      GuardedLock,
+      lockedAmount,
+      unlockTime,
+      penaltyBps,
+      proposalDuration,
+      owner,
+      guardians,
+      treasury,
+      otherAccount,
+    };
+  }
+
+  async function proposedFixture() {
+    const fixture = await deployGuardedLockFixture();
+    await fixture.lock.proposeEarlyRelease();
+    return fixture;
+  }
+
+  async function approvedFixture() {
+    const fixture = await proposedFixture();
+    const [guardianA, guardianB] = fixture.guardians;
+    await fixture.lock.connect(guardianA).approveEarlyRelease(1);
+    await fixture.lock.connect(guardianB).approveEarlyRelease(1);
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should set the guardian configuration", async function () {
+      const { lock, guardians, treasury, penaltyBps, proposalDuration } =
+        await loadFixture(deployGuardedLockFixture);
+
+      expect(await lock.guardians()).to.deep.equal(
+        guardians.map((guardian) => guardian.address)
+      );
+      expect(await lock.isGuardian(guardians[1].address)).to.equal(true);
+      expect(await lock.threshold()).to.equal(2);
+      expect(await lock.penaltyBps()).to.equal(penaltyBps);
+      expect(await lock.treasury()).to.equal(treasury.address);
+      expect(await lock.proposalDuration()).to.equal(proposalDuration);
+    });
+
+    it("Should behave as a Lock", async function () {
+      const { lock, owner, unlockTime, lockedAmount } = await loadFixture(
+        deployGuardedLockFixture
+      );
+
+      expect(await lock.owner()).to.equal(owner.address);
+      expect(await lock.unlockTime()).to.equal(unlockTime);
+      await expect(lock.withdraw()).to.be.revertedWith(
+        "You can't withdraw yet"
+      );
+
+      await time.increaseTo(unlockTime);
+      await expect(lock.withdraw()).to.changeEtherBalances(
+        [owner, lock],
+        [lockedAmount, -lockedAmount]
+      );
+    });
+
+    it("Should start without a proposal", async function () {
+      const { lock } = await loadFixture(deployGuardedLockFixture);
+
+      expect((await lock.proposal()).id).to.equal(0);
+      expect(await lock.isProposalActive()).to.equal(false);
+    });
+
+    describe("Validations", function () {
+      async function deploy(overrides = {}) {
+        const { GuardedLock, unlockTime, owner, guardians, treasury } =
+          await loadFixture(deployGuardedLockFixture);
+        const args = {
+          guardians: guardians.map((guardian) => guardian.address),
+          threshold: 2,
+          penaltyBps: 1_000,
+          treasury: treasury.address,
+          proposalDuration: ONE_DAY_IN_SECS,
+          ...overrides,
+        };
+        return GuardedLock.deploy(
+          unlockTime,
+          owner.address,
+          args.guardians,
+          args.threshold,
+          args.penaltyBps,
+          args.treasury,
+          args.proposalDuration
+        );
+      }
+
+      it("Should require a threshold between 1 and the number of guardians", async function () {
+        await expect(deploy({ threshold: 0 })).to.be.revertedWith(
+          "Invalid threshold"
+        );
+        await expect(deploy({ threshold: 4 })).to.be.revertedWith(
+          "Invalid threshold"
+        );
+        await expect(
+          deploy({ guardians: [], threshold: 0 })
+        ).to.be.revertedWith("Invalid threshold");
+      });
+
+      it("Should reject zero, duplicate and owner guardians", async function () {
+        const { owner, guardians } = await loadFixture(
+          deployGuardedLockFixture
+        );
+
+        await expect(
+          deploy({ guardians: [guardians[0].address, ethers.ZeroAddress] })
+        ).to.be.revertedWith("Guardian is the zero address");
+        await expect(
+          deploy({ guardians: [guardians[0].address, guardians[0].address] })
+        ).to.be.revertedWith("Duplicate guardian");
+        await expect(
+          deploy({ guardians: [guardians[0].address, owner.address] })
+        ).to.be.revertedWith("Owner can't be a guardian");
+      });
+
+      it("Should cap the penalty at 100%", async function () {
+        await expect(deploy({ penaltyBps: 10_001 })).to.be.revertedWith(
+          "Penalty is above 100%"
+        );
+        await expect(deploy({ penaltyBps: 10_000 })).not.to.be.reverted;
+      });
+
+      it("Should only need a treasury when there is a penalty", async function () {
+        await expect(
+          deploy({ treasury: ethers.ZeroAddress })
+        ).to.be.revertedWith("Treasury is the zero address");
+        await expect(deploy({ penaltyBps: 0, treasury: ethers.ZeroAddress }))
+          .not.to.be.reverted;
+      });
+
+      it("Should require a proposal duration", async function () {
+        await expect(deploy({ proposalDuration: 0 })).to.be.revertedWith(
+          "Proposal duration is zero"
+        );
+      });
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should let the owner propose an early release", async function () {
+      const { lock, owner, proposalDuration } = await loadFixture(
+        deployGuardedLockFixture
+      );
+
+      await expect(lock.proposeEarlyRelease())
+        .to.emit(lock, "EarlyReleaseProposed")
+        .withArgs(
+          1,
+          owner.address,
+          (await time.latest()) + 1 + proposalDuration
+        );
+
+      const proposal = await lock.proposal();
+      expect(proposal.id).to.equal(1);
+      expect(proposal.proposer).to.equal(owner.address);
+      expect(proposal.approvals).to.equal(0);
+      expect(await lock.isProposalActive()).to.equal(true);
+    });
+
+    it("Should only let the owner propose", async function () {
+      const { lock, guardians } = await loadFixture(deployGuardedLockFixture);
+
+      await expect(
+        lock.connect(guardians[0]).proposeEarlyRelease()
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should allow one active proposal at a time", async function () {
+      const { lock } = await loadFixture(proposedFixture);
+
+      await expect(lock.proposeEarlyRelease()).to.be.revertedWith(
+        "A proposal is already active"
+      );
+    });
+
+    it("Should refuse proposals once the lock has unlocked", async function () {
+      const { lock, unlockTime } = await loadFixture(deployGuardedLockFixture);
+
+      await time.increaseTo(unlockTime);
+
+      await expect(lock.proposeEarlyRelease()).to.be.revertedWith(
+        "Lock has already unlocked"
+      );
+    });
+
+    it("Should let the owner cancel a proposal", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+
+      await expect(lock.cancelEarlyRelease(1))
+        .to.emit(lock, "EarlyReleaseCancelled")
+        .withArgs(1);
+
+      expect(await lock.isProposalActive()).to.equal(false);
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(1)
+      ).to.be.revertedWith("Proposal isn't active");
+      await expect(
+        lock.connect(guardians[0]).cancelEarlyRelease(1)
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should number a new proposal after a cancellation", async function () {
+      const { lock } = await loadFixture(proposedFixture);
+      await lock.cancelEarlyRelease(1);
+
+      await expect(lock.proposeEarlyRelease())
+        .to.emit(lock, "EarlyReleaseProposed")
+        .withArgs(2, anyValue, anyValue);
+    });
+  });
+
+  describe("Approvals", function () {
+    it("Should count guardian approvals", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+
+      await expect(lock.connect(guardians[0]).approveEarlyRelease(1))
+        .to.emit(lock, "EarlyReleaseApproved")
+        .withArgs(1, guardians[0].address, 1);
+      await expect(lock.connect(guardians[2]).approveEarlyRelease(1))
+        .to.emit(lock, "EarlyReleaseApproved")
+        .withArgs(1, guardians[2].address, 2);
+
+      expect((await lock.proposal()).approvals).to.equal(2);
+      expect(await lock.hasApproved(1, guardians[0].address)).to.equal(true);
+      expect(await lock.hasApproved(1, guardians[1].address)).to.equal(false);
+    });
+
+    it("Should reject approvals from non-guardians", async function () {
+      const { lock, otherAccount } = await loadFixture(proposedFixture);
+
+      await expect(
+        lock.connect(otherAccount).approveEarlyRelease(1)
+      ).to.be.revertedWith("You aren't a guardian");
+    });
+
+    it("Should reject a second approval from the same guardian", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+      await lock.connect(guardians[0]).approveEarlyRelease(1);
+
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(1)
+      ).to.be.revertedWith("Already approved");
+    });
+
+    it("Should reject approvals for an unknown proposal", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(2)
+      ).to.be.revertedWith("Unknown proposal");
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(0)
+      ).to.be.revertedWith("Unknown proposal");
+    });
+
+    it("Should not carry approvals over to a new proposal", async function () {
+      const { lock, guardians } = await loadFixture(approvedFixture);
+      await lock.cancelEarlyRelease(1);
+      await lock.proposeEarlyRelease();
+
+      expect((await lock.proposal()).approvals).to.equal(0);
+      await expect(lock.executeEarlyRelease(2)).to.be.revertedWith(
+        "Not enough approvals"
+      );
+      await expect(lock.connect(guardians[0]).approveEarlyRelease(2)).not.to.be
+        .reverted;
+    });
+  });
+
+  describe("Expiry", function () {
+    it("Should expire a proposal after the proposal duration", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+      const { expiresAt } = await lock.proposal();
+
+      await time.increaseTo(expiresAt);
+
+      expect(await lock.isProposalActive()).to.equal(false);
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(1)
+      ).to.be.revertedWith("Proposal isn't active");
+    });
+
+    it("Should not execute an approved proposal once it has expired", async function () {
+      const { lock } = await loadFixture(approvedFixture);
+      const { expiresAt } = await lock.proposal();
+
+      await time.increaseTo(expiresAt);
+
+      await expect(lock.executeEarlyRelease(1)).to.be.revertedWith(
+        "Proposal isn't active"
+      );
+    });
+
+    it("Should allow a new proposal after expiry", async function () {
+      const { lock } = await loadFixture(proposedFixture);
+      const { expiresAt } = await lock.proposal();
+      await time.increaseTo(expiresAt);
+
+      await expect(lock.proposeEarlyRelease()).not.to.be.reverted;
+      expect((await lock.proposal()).id).to.equal(2);
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should pay the owner minus the penalty and the treasury the penalty", async function () {
+      const { lock, owner, treasury, lockedAmount } = await loadFixture(
+        approvedFixture
+      );
+      const penalty = lockedAmount / 10n;
+
+      await expect(lock.executeEarlyRelease(1)).to.changeEtherBalances(
+        [owner, treasury, lock],
+        [lockedAmount - penalty, penalty, -lockedAmount]
+      );
+    });
+
+    it("Should emit EarlyReleaseExecuted", async function () {
+      const { lock, lockedAmount } = await loadFixture(approvedFixture);
+      const penalty = lockedAmount / 10n;
+
+      await expect(lock.executeEarlyRelease(1))
+        .to.emit(lock, "EarlyReleaseExecuted")
+        .withArgs(1, lockedAmount - penalty, penalty);
+      expect((await lock.proposal()).executed).to.equal(true);
+      expect(await lock.isProposalActive()).to.equal(false);
+    });
+
+    it("Should include deposits made after the proposal", async function () {
+      const { lock, treasury, lockedAmount } = await loadFixture(
+        approvedFixture
+      );
+      await lock.deposit({ value: lockedAmount });
+
+      await expect(lock.executeEarlyRelease(1)).to.changeEtherBalance(
+        treasury,
+        (2n * lockedAmount) / 10n
+      );
+    });
+
+    it("Should pay a contract treasury that needs more than 2300 gas", async function () {
+      const { GuardedLock, unlockTime, owner, guardians, lockedAmount } =
+        await loadFixture(deployGuardedLockFixture);
+      const ContractWallet = await ethers.getContractFactory("ContractWallet");
+      const wallet = await ContractWallet.deploy();
+      const lock = await GuardedLock.deploy(
+        unlockTime,
+        owner.address,
+        [guardians[0].address],
+        1,
+        1_000,
+        wallet.target,
+        ONE_DAY_IN_SECS,
+        { value: lockedAmount }
+      );
+      await lock.proposeEarlyRelease();
+      await lock.connect(guardians[0]).approveEarlyRelease(1);
+      const penalty = lockedAmount / 10n;
+
+      await expect(lock.executeEarlyRelease(1)).to.changeEtherBalances(
+        [owner, wallet, lock],
+        [lockedAmount - penalty, penalty, -lockedAmount]
+      );
+      expect(await wallet.received()).to.equal(penalty);
+    });
+
+    it("Should require the threshold of approvals", async function () {
+      const { lock, guardians } = await loadFixture(proposedFixture);
+      await lock.connect(guardians[0]).approveEarlyRelease(1);
+
+      await expect(lock.executeEarlyRelease(1)).to.be.revertedWith(
+        "Not enough approvals"
+      );
+    });
+
+    it("Should only let the owner execute", async function () {
+      const { lock, guardians } = await loadFixture(approvedFixture);
+
+      await expect(
+        lock.connect(guardians[0]).executeEarlyRelease(1)
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should not execute twice", async function () {
+      const { lock } = await loadFixture(approvedFixture);
+      await lock.executeEarlyRelease(1);
+
+      await expect(lock.executeEarlyRelease(1)).to.be.revertedWith(
+        "Proposal isn't active"
+      );
+    });
+
+    it("Should not charge a penalty once the lock has unlocked", async function () {
+      const { lock, unlockTime, proposalDuration, guardians } =
+        await loadFixture(deployGuardedLockFixture);
+      const [guardianA, guardianB] = guardians;
+      await time.increaseTo(unlockTime - proposalDuration / 2);
+      await lock.proposeEarlyRelease();
+      await lock.connect(guardianA).approveEarlyRelease(1);
+      await lock.connect(guardianB).approveEarlyRelease(1);
+
+      await time.increaseTo(unlockTime);
+
+      await expect(lock.executeEarlyRelease(1)).to.be.revertedWith(
+        "Lock has already unlocked"
+      );
+      await expect(lock.withdraw()).not.to.be.reverted;
+    });
+
+    it("Should pay everything to the owner without a penalty", async function () {
+      const { GuardedLock, unlockTime, owner, guardians, lockedAmount } =
+        await loadFixture(deployGuardedLockFixture);
+      const lock = await GuardedLock.deploy(
+        unlockTime,
+        owner.address,
+        [guardians[0].address],
+        1,
+        0,
+        ethers.ZeroAddress,
+        ONE_DAY_IN_SECS,
+        { value: lockedAmount }
+      );
+      await lock.proposeEarlyRelease();
+      await lock.connect(guardians[0]).approveEarlyRelease(1);
+
+      await expect(lock.executeEarlyRelease(1)).to.changeEtherBalances(
+        [owner, lock],
+        [lockedAmount, -lockedAmount]
+      );
+    });
+  });
+
+  describe("Ownership transfers", function () {
+    async function transferredFixture() {
+      const fixture = await approvedFixture();
+      const { lock, otherAccount } = fixture;
+      await lock.transferOwnership(otherAccount.address);
+      await lock.connect(otherAccount).acceptOwnership();
+      return fixture;
+    }
+
+    it("Should void the previous owner's proposal", async function () {
+      const { lock, otherAccount } = await loadFixture(transferredFixture);
+
+      expect(await lock.isProposalActive()).to.equal(false);
+      await expect(
+        lock.connect(otherAccount).executeEarlyRelease(1)
+      ).to.be.revertedWith("Proposal isn't active");
+    });
+
+    it("Should let the new owner propose straight away", async function () {
+      const { lock, otherAccount } = await loadFixture(transferredFixture);
+
+      await expect(lock.connect(otherAccount).proposeEarlyRelease())
+        .to.emit(lock, "EarlyReleaseProposed")
+        .withArgs(2, otherAccount.address, anyValue);
+    });
+
+    it("Should stop a guardian who became the owner from approving", async function () {
+      const { lock, guardians } = await loadFixture(deployGuardedLockFixture);
+      await lock.transferOwnership(guardians[0].address);
+      await lock.connect(guardians[0]).acceptOwnership();
+      await lock.connect(guardians[0]).proposeEarlyRelease();
+
+      await expect(
+        lock.connect(guardians[0]).approveEarlyRelease(1)
+      ).to.be.revertedWith("The owner can't approve");
+    });
+  });
+});
@@ -20,7 +20,9 @@ describe("Lock", function () {
     const [owner, otherAccount] = await ethers.getSigners();
 
     const Lock = await ethers.getContractFactory("Lock");
-    const lock = await Lock.deploy(unlockTime, { value: lockedAmount });
+    const lock = await Lock.deploy(unlockTime, owner.address, {
+      value: lockedAmount,
+    });
 
     return { lock, unlockTime, lockedAmount, owner, otherAccount };
   }
@@ -51,11 +53,220 @@ describe("Lock", function () {
     it("Should fail if the unlockTime is not in the future", async function () {
       // We don't use the fixture here because we want a different deployment
       const latestTime = await time.latest();
+      const [owner] = await ethers.getSigners();
+      const Lock = await ethers.getContractFactory("Lock");
+      await expect(
+        Lock.deploy(latestTime, owner.address, { value: 1 })
+      ).to.be.revertedWith("Unlock time should be in the future");
+    });
+
+    it("Should fail if the owner is the zero address", async function () {
+      const unlockTime = (await time.latest()) + 60;
+      const Lock = await ethers.getContractFactory("Lock");
+      await expect(
+        Lock.deploy(unlockTime, ethers.ZeroAddress, { value: 1 })
+      ).to.be.revertedWith("Owner is the zero address");
+    });
+
+    it("Should let the deployer set someone else as the owner", async function () {
+      const unlockTime = (await time.latest()) + 60;
+      const [, otherAccount] = await ethers.getSigners();
       const Lock = await ethers.getContractFactory("Lock");
-      await expect(Lock.deploy(latestTime, { value: 1 })).to.be.revertedWith(
-        "Unlock time should be in the future"
+      const lock = await Lock.deploy(unlockTime, otherAccount.address);
+
+      expect(await lock.owner()).to.equal(otherAccount.address);
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should let the owner add funds", async function () {
+      const { lock, lockedAmount, owner } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(
+        lock.deposit({ value: lockedAmount })
+      ).to.changeEtherBalances([owner, lock], [-lockedAmount, lockedAmount]);
+      expect(await ethers.provider.getBalance(lock.target)).to.equal(
+        lockedAmount * 2
+      );
+    });
+
+    it("Should emit Deposit", async function () {
+      const { lock, owner } = await loadFixture(deployOneYearLockFixture);
+
+      await expect(lock.deposit({ value: 5 }))
+        .to.emit(lock, "Deposit")
+        .withArgs(owner.address, 5);
+    });
+
+    it("Should revert if called from another account", async function () {
+      const { lock, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(
+        lock.connect(otherAccount).deposit({ value: 1 })
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should revert on a zero deposit", async function () {
+      const { lock } = await loadFixture(deployOneYearLockFixture);
+
+      await expect(lock.deposit()).to.be.revertedWith("Deposit is zero");
+    });
+
+    it("Should refuse plain ETH transfers", async function () {
+      const { lock, owner, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      for (const sender of [owner, otherAccount]) {
+        await expect(
+          sender.sendTransaction({ to: lock.target, value: 1 })
+        ).to.be.revertedWith("Use deposit() to add funds");
+      }
+    });
+  });
+
+  describe("Unlock time extensions", function () {
+    it("Should move the unlock time later", async function () {
+      const { lock, unlockTime } = await loadFixture(deployOneYearLockFixture);
+
+      await lock.extendUnlockTime(unlockTime + 60);
+
+      expect(await lock.unlockTime()).to.equal(unlockTime + 60);
+    });
+
+    it("Should emit UnlockTimeExtended", async function () {
+      const { lock, unlockTime } = await loadFixture(deployOneYearLockFixture);
+
+      await expect(lock.extendUnlockTime(unlockTime + 60))
+        .to.emit(lock, "UnlockTimeExtended")
+        .withArgs(unlockTime, unlockTime + 60);
+    });
+
+    it("Should never move the unlock time earlier", async function () {
+      const { lock, unlockTime } = await loadFixture(deployOneYearLockFixture);
+
+      await expect(lock.extendUnlockTime(unlockTime)).to.be.revertedWith(
+        "New unlock time must be later"
+      );
+      await expect(lock.extendUnlockTime(unlockTime - 1)).to.be.revertedWith(
+        "New unlock time must be later"
+      );
+    });
+
+    it("Should revert if called from another account", async function () {
+      const { lock, unlockTime, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(
+        lock.connect(otherAccount).extendUnlockTime(unlockTime + 60)
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should lock the funds again after an extension", async function () {
+      const { lock, unlockTime } = await loadFixture(deployOneYearLockFixture);
+
+      await time.increaseTo(unlockTime);
+      await lock.extendUnlockTime(unlockTime + 60);
+
+      await expect(lock.withdraw()).to.be.revertedWith(
+        "You can't withdraw yet"
+      );
+    });
+  });
+
+  describe("Ownership transfer", function () {
+    it("Should nominate a pending owner without changing the owner", async function () {
+      const { lock, owner, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(lock.transferOwnership(otherAccount.address))
+        .to.emit(lock, "OwnershipTransferStarted")
+        .withArgs(owner.address, otherAccount.address);
+
+      expect(await lock.owner()).to.equal(owner.address);
+      expect(await lock.pendingOwner()).to.equal(otherAccount.address);
+    });
+
+    it("Should hand over the lock once the pending owner accepts", async function () {
+      const { lock, owner, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await lock.transferOwnership(otherAccount.address);
+      await expect(lock.connect(otherAccount).acceptOwnership())
+        .to.emit(lock, "OwnershipTransferred")
+        .withArgs(owner.address, otherAccount.address);
+
+      expect(await lock.owner()).to.equal(otherAccount.address);
+      expect(await lock.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should pay the new owner on withdrawal", async function () {
+      const { lock, unlockTime, lockedAmount, otherAccount } =
+        await loadFixture(deployOneYearLockFixture);
+
+      await lock.transferOwnership(otherAccount.address);
+      await lock.connect(otherAccount).acceptOwnership();
+      await time.increaseTo(unlockTime);
+
+      await expect(lock.withdraw()).to.be.revertedWith("You aren't the owner");
+      await expect(
+        lock.connect(otherAccount).withdraw()
+      ).to.changeEtherBalances(
+        [otherAccount, lock],
+        [lockedAmount, -lockedAmount]
       );
     });
+
+    it("Should only let the owner start a transfer", async function () {
+      const { lock, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(
+        lock.connect(otherAccount).transferOwnership(otherAccount.address)
+      ).to.be.revertedWith("You aren't the owner");
+    });
+
+    it("Should only let the pending owner accept", async function () {
+      const { lock, owner, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+
+      await expect(
+        lock.connect(otherAccount).acceptOwnership()
+      ).to.be.revertedWith("You aren't the pending owner");
+
+      await lock.transferOwnership(otherAccount.address);
+      await expect(lock.connect(owner).acceptOwnership()).to.be.revertedWith(
+        "You aren't the pending owner"
+      );
+    });
+
+    it("Should let the owner replace or cancel a pending transfer", async function () {
+      const { lock, otherAccount } = await loadFixture(
+        deployOneYearLockFixture
+      );
+      const [, , thirdAccount] = await ethers.getSigners();
+
+      await lock.transferOwnership(otherAccount.address);
+      await lock.transferOwnership(thirdAccount.address);
+      await expect(
+        lock.connect(otherAccount).acceptOwnership()
+      ).to.be.revertedWith("You aren't the pending owner");
+
+      await lock.transferOwnership(ethers.ZeroAddress);
+      expect(await lock.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(
+        lock.connect(thirdAccount).acceptOwnership()
+      ).to.be.revertedWith("You aren't the pending owner");
+    });
   });
 
   describe("Withdrawals", function () {
@@ -123,4 +334,179 @@ describe("Lock", function () {
       });
     });
   });
+
+  describe("Signed withdrawals", function () {
+    const WITHDRAW_TYPES = {
+      Withdraw: [
+        { name: "owner", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    async function signWithdraw(
+      verifyingContract,
+      signer,
+      { owner, nonce, deadline }
+    ) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "Lock",
+        version: "1",
+        chainId,
+        verifyingContract,
+      };
+      return signer.signTypedData(domain, WITHDRAW_TYPES, {
+        owner: owner || signer.address,
+        nonce,
+        deadline,
+      });
+    }
+
+    async function unlockedLockFixture() {
+      const fixture = await deployOneYearLockFixture();
+      await time.increaseTo(fixture.unlockTime);
+      const deadline = (await time.latest()) + 3600;
+      return { ...fixture, deadline };
+    }
+
+    it("Should pay the owner when someone else relays the signature", async function () {
+      const { lock, lockedAmount, owner, otherAccount, deadline } =
+        await loadFixture(unlockedLockFixture);
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.connect(otherAccount).withdrawWithSig(deadline, 0, signature)
+      ).to.changeEtherBalances([owner, lock], [lockedAmount, -lockedAmount]);
+    });
+
+    it("Should emit Withdrawal and use up the nonce", async function () {
+      const { lock, lockedAmount, owner, otherAccount, deadline } =
+        await loadFixture(unlockedLockFixture);
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.connect(otherAccount).withdrawWithSig(deadline, 0, signature)
+      )
+        .to.emit(lock, "Withdrawal")
+        .withArgs(lockedAmount, anyValue);
+      expect(await lock.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should refuse to replay a signature", async function () {
+      const { lock, owner, otherAccount, deadline } = await loadFixture(
+        unlockedLockFixture
+      );
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+      await lock.connect(otherAccount).withdrawWithSig(deadline, 0, signature);
+
+      await expect(
+        lock.connect(otherAccount).withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should revert with the right error if signed by another account", async function () {
+      const { lock, owner, otherAccount, deadline } = await loadFixture(
+        unlockedLockFixture
+      );
+      const signature = await signWithdraw(lock.target, otherAccount, {
+        owner: owner.address,
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should revert if the deadline or nonce don't match the signature", async function () {
+      const { lock, owner, deadline } = await loadFixture(unlockedLockFixture);
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.withdrawWithSig(deadline + 1, 0, signature)
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        lock.withdrawWithSig(deadline, 1, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should revert on a malformed signature", async function () {
+      const { lock, deadline } = await loadFixture(unlockedLockFixture);
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, "0x1234")
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should revert once the deadline has passed", async function () {
+      const { lock, owner, deadline } = await loadFixture(unlockedLockFixture);
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await time.increaseTo(deadline + 1);
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should revert with the right error if called too soon", async function () {
+      const { lock, owner } = await loadFixture(deployOneYearLockFixture);
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("You can't withdraw yet");
+    });
+
+    it("Should stop accepting the previous owner's signatures after a transfer", async function () {
+      const { lock, owner, otherAccount, deadline } = await loadFixture(
+        unlockedLockFixture
+      );
+      const signature = await signWithdraw(lock.target, owner, {
+        nonce: 0,
+        deadline,
+      });
+      await lock.transferOwnership(otherAccount.address);
+      await lock.connect(otherAccount).acceptOwnership();
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject signatures made for another lock", async function () {
+      const { lock, owner, otherAccount, deadline } = await loadFixture(
+        unlockedLockFixture
+      );
+      const signature = await signWithdraw(otherAccount.address, owner, {
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(
+        lock.withdrawWithSig(deadline, 0, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
 });
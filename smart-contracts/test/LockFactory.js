@@ -0,0 +1,338 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+describe("LockFactory", function () {
+  async function deployFactoryFixture() {
+    const ONE_YEAR_IN_SECS = 365 * 24 * 60 * 60;
+    const ONE_GWEI = 1_000_000_000;
+
+    const lockedAmount = ONE_GWEI;
+    const unlockTime = (await time.latest()) + ONE_YEAR_IN_SECS;
+
+    const [deployer, alice, bob] = await ethers.getSigners();
+
+    const LockFactory = await ethers.getContractFactory("LockFactory");
+    const factory = await LockFactory.deploy();
+
+    return { factory, unlockTime, lockedAmount, deployer, alice, bob };
+  }
+
+  // Creates a lock from `signer`, owned by `owner` (default: the signer), and
+  // returns it as a Lock contract.
+  async function createLock(factory, signer, unlockTime, value, owner) {
+    const tx = await factory
+      .connect(signer)
+      .createLock(unlockTime, owner || signer.address, { value });
+    const receipt = await tx.wait();
+    const [event] = await factory.queryFilter(
+      factory.filters.LockCreated(),
+      receipt.blockNumber,
+      receipt.blockNumber
+    );
+    return ethers.getContractAt("Lock", event.args.lock);
+  }
+
+  describe("Creating locks", function () {
+    it("Should deploy a Lock owned by the caller", async function () {
+      const { factory, unlockTime, lockedAmount, alice } = await loadFixture(
+        deployFactoryFixture
+      );
+
+      const lock = await createLock(factory, alice, unlockTime, lockedAmount);
+
+      expect(await lock.owner()).to.equal(alice.address);
+      expect(await lock.unlockTime()).to.equal(unlockTime);
+    });
+
+    it("Should deploy a Lock owned by a beneficiary", async function () {
+      const { factory, unlockTime, lockedAmount, alice, bob } =
+        await loadFixture(deployFactoryFixture);
+
+      const lock = await createLock(
+        factory,
+        alice,
+        unlockTime,
+        lockedAmount,
+        bob.address
+      );
+
+      expect(await lock.owner()).to.equal(bob.address);
+      expect(await factory.isLock(lock.target)).to.equal(true);
+    });
+
+    it("Should forward the funds to the new lock", async function () {
+      const { factory, unlockTime, lockedAmount, alice } = await loadFixture(
+        deployFactoryFixture
+      );
+
+      const lock = await createLock(factory, alice, unlockTime, lockedAmount);
+
+      expect(await ethers.provider.getBalance(lock.target)).to.equal(
+        lockedAmount
+      );
+      expect(await ethers.provider.getBalance(factory.target)).to.equal(0);
+    });
+
+    it("Should emit LockCreated with the lock's owner", async function () {
+      const { factory, unlockTime, lockedAmount, alice, bob } =
+        await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory
+          .connect(alice)
+          .createLock(unlockTime, bob.address, { value: lockedAmount })
+      )
+        .to.emit(factory, "LockCreated")
+        .withArgs(anyValue, bob.address, unlockTime, lockedAmount);
+    });
+
+    it("Should return the new lock's address", async function () {
+      const { factory, unlockTime, alice } = await loadFixture(
+        deployFactoryFixture
+      );
+
+      const predicted = await factory
+        .connect(alice)
+        .createLock.staticCall(unlockTime, alice.address);
+      const lock = await createLock(factory, alice, unlockTime, 0);
+
+      expect(lock.target).to.equal(predicted);
+    });
+
+    it("Should fail if the unlockTime is not in the future", async function () {
+      const { factory, deployer } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory.createLock(await time.latest(), deployer.address, { value: 1 })
+      ).to.be.revertedWith("Unlock time should be in the future");
+    });
+
+    it("Should fail if the owner is the zero address", async function () {
+      const { factory, unlockTime } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        factory.createLock(unlockTime, ethers.ZeroAddress, { value: 1 })
+      ).to.be.revertedWith("Owner is the zero address");
+    });
+  });
+
+  describe("Registry", function () {
+    async function deployWithLocksFixture() {
+      const fixture = await deployFactoryFixture();
+      const { factory, unlockTime, alice, bob } = fixture;
+
+      const aliceFirst = await createLock(factory, alice, unlockTime, 1);
+      const bobFirst = await createLock(factory, bob, unlockTime + 60, 2);
+      const aliceSecond = await createLock(factory, alice, unlockTime + 120, 3);
+
+      return { ...fixture, aliceFirst, bobFirst, aliceSecond };
+    }
+
+    it("Should list every lock in creation order", async function () {
+      const { factory, aliceFirst, bobFirst, aliceSecond } = await loadFixture(
+        deployWithLocksFixture
+      );
+
+      expect(await factory.lockCount()).to.equal(3);
+      expect(await factory.lockAt(0)).to.equal(aliceFirst.target);
+      expect(await factory.lockAt(1)).to.equal(bobFirst.target);
+      expect(await factory.lockAt(2)).to.equal(aliceSecond.target);
+    });
+
+    it("Should list locks per owner", async function () {
+      const { factory, alice, bob, aliceFirst, bobFirst, aliceSecond } =
+        await loadFixture(deployWithLocksFixture);
+
+      expect(await factory.locksOf(alice.address)).to.deep.equal([
+        aliceFirst.target,
+        aliceSecond.target,
+      ]);
+      expect(await factory.locksOf(bob.address)).to.deep.equal([
+        bobFirst.target,
+      ]);
+      expect(await factory.lockCountOf(alice.address)).to.equal(2);
+      expect(await factory.lockOfOwnerByIndex(alice.address, 1)).to.equal(
+        aliceSecond.target
+      );
+    });
+
+    it("Should return an empty list for accounts without locks", async function () {
+      const { factory, deployer } = await loadFixture(deployWithLocksFixture);
+
+      expect(await factory.locksOf(deployer.address)).to.deep.equal([]);
+      expect(await factory.lockCountOf(deployer.address)).to.equal(0);
+    });
+
+    it("Should list a lock under the beneficiary it was created for", async function () {
+      const { factory, unlockTime, lockedAmount, deployer, bob } =
+        await loadFixture(deployFactoryFixture);
+
+      const lock = await createLock(
+        factory,
+        deployer,
+        unlockTime,
+        lockedAmount,
+        bob.address
+      );
+
+      expect(await factory.locksOf(bob.address)).to.deep.equal([lock.target]);
+      expect(await factory.locksOf(deployer.address)).to.deep.equal([]);
+    });
+
+    it("Should recognise locks it created", async function () {
+      const { factory, aliceFirst, deployer, unlockTime } = await loadFixture(
+        deployWithLocksFixture
+      );
+      const Lock = await ethers.getContractFactory("Lock");
+      const outsider = await Lock.deploy(unlockTime, deployer.address);
+
+      expect(await factory.isLock(aliceFirst.target)).to.equal(true);
+      expect(await factory.isLock(outsider.target)).to.equal(false);
+    });
+
+    it("Should revert on out-of-bounds indexes", async function () {
+      const { factory, alice, bob } = await loadFixture(deployWithLocksFixture);
+
+      await expect(factory.lockAt(3)).to.be.revertedWith("Index out of bounds");
+      await expect(
+        factory.lockOfOwnerByIndex(bob.address, 1)
+      ).to.be.revertedWith("Index out of bounds");
+      await expect(
+        factory.lockOfOwnerByIndex(alice.address, 2)
+      ).to.be.revertedWith("Index out of bounds");
+    });
+  });
+
+  describe("Token locks", function () {
+    async function deployWithTokenFixture() {
+      const fixture = await deployFactoryFixture();
+      const { factory, alice } = fixture;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock Token", "MOCK", 18);
+      const tokenAmount = ethers.parseEther("10");
+      await token.mint(alice.address, tokenAmount * 10n);
+      await token.connect(alice).approve(factory.target, ethers.MaxUint256);
+
+      return { ...fixture, token, tokenAmount };
+    }
+
+    async function createTokenLock(factory, signer, token, unlockTime, amount) {
+      const tx = await factory
+        .connect(signer)
+        .createTokenLock(token.target, unlockTime, amount);
+      const receipt = await tx.wait();
+      const [event] = await factory.queryFilter(
+        factory.filters.TokenLockCreated(),
+        receipt.blockNumber,
+        receipt.blockNumber
+      );
+      return ethers.getContractAt("TokenLock", event.args.lock);
+    }
+
+    it("Should deploy a funded TokenLock owned by the caller", async function () {
+      const { factory, token, tokenAmount, unlockTime, alice } =
+        await loadFixture(deployWithTokenFixture);
+
+      const lock = await createTokenLock(
+        factory,
+        alice,
+        token,
+        unlockTime,
+        tokenAmount
+      );
+
+      expect(await lock.owner()).to.equal(alice.address);
+      expect(await lock.token()).to.equal(token.target);
+      expect(await lock.balance()).to.equal(tokenAmount);
+      expect(await token.balanceOf(factory.target)).to.equal(0);
+    });
+
+    it("Should register the lock with its token", async function () {
+      const { factory, token, tokenAmount, unlockTime, alice } =
+        await loadFixture(deployWithTokenFixture);
+
+      const ethLock = await createLock(factory, alice, unlockTime, 1);
+      const tokenLock = await createTokenLock(
+        factory,
+        alice,
+        token,
+        unlockTime,
+        tokenAmount
+      );
+
+      expect(await factory.locksOf(alice.address)).to.deep.equal([
+        ethLock.target,
+        tokenLock.target,
+      ]);
+      expect(await factory.isLock(tokenLock.target)).to.equal(true);
+      expect(await factory.tokenOf(tokenLock.target)).to.equal(token.target);
+      expect(await factory.tokenOf(ethLock.target)).to.equal(
+        ethers.ZeroAddress
+      );
+    });
+
+    it("Should emit TokenLockCreated with the amount received", async function () {
+      const { factory, token, tokenAmount, unlockTime, alice } =
+        await loadFixture(deployWithTokenFixture);
+      await token.setFeeBps(250); // 2.5%
+
+      await expect(
+        factory
+          .connect(alice)
+          .createTokenLock(token.target, unlockTime, tokenAmount)
+      )
+        .to.emit(factory, "TokenLockCreated")
+        .withArgs(
+          anyValue,
+          alice.address,
+          token.target,
+          unlockTime,
+          tokenAmount - (tokenAmount * 250n) / 10_000n
+        );
+    });
+
+    it("Should revert on a zero amount", async function () {
+      const { factory, token, unlockTime, alice } = await loadFixture(
+        deployWithTokenFixture
+      );
+
+      await expect(
+        factory.connect(alice).createTokenLock(token.target, unlockTime, 0)
+      ).to.be.revertedWith("Amount is zero");
+    });
+
+    it("Should revert without an allowance", async function () {
+      const { factory, token, tokenAmount, unlockTime, bob } =
+        await loadFixture(deployWithTokenFixture);
+
+      await expect(
+        factory
+          .connect(bob)
+          .createTokenLock(token.target, unlockTime, tokenAmount)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Created locks", function () {
+    it("Should let only the owner withdraw once unlocked", async function () {
+      const { factory, unlockTime, lockedAmount, alice, deployer } =
+        await loadFixture(deployFactoryFixture);
+      const lock = await createLock(factory, alice, unlockTime, lockedAmount);
+
+      await time.increaseTo(unlockTime);
+
+      await expect(lock.connect(deployer).withdraw()).to.be.revertedWith(
+        "You aren't the owner"
+      );
+      await expect(lock.connect(alice).withdraw()).to.changeEtherBalances(
+        [alice, lock],
+        [lockedAmount, -lockedAmount]
+      );
+    });
+  });
+});
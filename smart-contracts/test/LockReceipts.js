@@ -0,0 +1,326 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+describe("LockReceipts", function () {
+  const ONE_YEAR_IN_SECS = 365 * 24 * 60 * 60;
+
+  async function deployReceiptsFixture() {
+    const lockedAmount = ethers.parseEther("1");
+    const unlockTime = (await time.latest()) + ONE_YEAR_IN_SECS;
+
+    const [deployer, alice, bob] = await ethers.getSigners();
+
+    const renderer = await ethers.deployContract("LockReceiptRenderer");
+    const receipts = await ethers.deployContract("LockReceipts", [
+      renderer.target,
+    ]);
+
+    return {
+      receipts,
+      renderer,
+      unlockTime,
+      lockedAmount,
+      deployer,
+      alice,
+      bob,
+    };
+  }
+
+  // Alice holds receipt #1 for a 1 ETH lock.
+  async function createdLockFixture() {
+    const fixture = await deployReceiptsFixture();
+    const { receipts, alice, unlockTime, lockedAmount } = fixture;
+    await receipts
+      .connect(alice)
+      .createLock(unlockTime, { value: lockedAmount });
+    const lock = await ethers.getContractAt("Lock", await receipts.lockOf(1));
+    return { ...fixture, lock };
+  }
+
+  // Decodes the base64 data URIs tokenURI() returns.
+  async function metadataOf(receipts, tokenId) {
+    const uri = await receipts.tokenURI(tokenId);
+    const prefix = "data:application/json;base64,";
+    expect(uri.startsWith(prefix)).to.equal(true);
+    const metadata = JSON.parse(
+      Buffer.from(uri.slice(prefix.length), "base64").toString()
+    );
+    const imagePrefix = "data:image/svg+xml;base64,";
+    expect(metadata.image.startsWith(imagePrefix)).to.equal(true);
+    metadata.svg = Buffer.from(
+      metadata.image.slice(imagePrefix.length),
+      "base64"
+    ).toString();
+    return metadata;
+  }
+
+  const attribute = (metadata, traitType) =>
+    metadata.attributes.find((entry) => entry.trait_type === traitType).value;
+
+  const utcMinute = (timestamp) =>
+    new Date(timestamp * 1000).toISOString().slice(0, 16).replace("T", " ") +
+    " UTC";
+
+  describe("Deployment", function () {
+    it("Should be an ERC-721 with a renderer", async function () {
+      const { receipts, renderer } = await loadFixture(deployReceiptsFixture);
+
+      expect(await receipts.name()).to.equal("Lock Receipt");
+      expect(await receipts.symbol()).to.equal("LOCK");
+      expect(await receipts.renderer()).to.equal(renderer.target);
+      expect(await receipts.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("Creating locks", function () {
+    it("Should mint a receipt to the caller", async function () {
+      const { receipts, alice, lock } = await loadFixture(createdLockFixture);
+
+      expect(await receipts.ownerOf(1)).to.equal(alice.address);
+      expect(await receipts.tokenOfLock(lock.target)).to.equal(1);
+      expect(await receipts.tokenOfOwnerByIndex(alice.address, 0)).to.equal(1);
+    });
+
+    it("Should deploy a funded Lock owned by the receipts contract", async function () {
+      const { receipts, lock, unlockTime, lockedAmount } = await loadFixture(
+        createdLockFixture
+      );
+
+      expect(await lock.owner()).to.equal(receipts.target);
+      expect(await lock.unlockTime()).to.equal(unlockTime);
+      expect(await ethers.provider.getBalance(lock.target)).to.equal(
+        lockedAmount
+      );
+      expect(await ethers.provider.getBalance(receipts.target)).to.equal(0);
+    });
+
+    it("Should emit LockCreated", async function () {
+      const { receipts, alice, unlockTime, lockedAmount } = await loadFixture(
+        deployReceiptsFixture
+      );
+
+      await expect(
+        receipts.connect(alice).createLock(unlockTime, { value: lockedAmount })
+      )
+        .to.emit(receipts, "LockCreated")
+        .withArgs(1, anyValue, alice.address, unlockTime, lockedAmount);
+    });
+
+    it("Should number receipts in order", async function () {
+      const { receipts, bob, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+
+      await receipts.connect(bob).createLock(unlockTime, { value: 1 });
+
+      expect(await receipts.ownerOf(2)).to.equal(bob.address);
+      expect(await receipts.totalSupply()).to.equal(2);
+    });
+
+    it("Should reject an unlock time in the past", async function () {
+      const { receipts } = await loadFixture(deployReceiptsFixture);
+
+      await expect(
+        receipts.createLock(await time.latest(), { value: 1 })
+      ).to.be.revertedWith("Unlock time should be in the future");
+    });
+
+    it("Should refuse plain transfers", async function () {
+      const { receipts, deployer } = await loadFixture(deployReceiptsFixture);
+
+      await expect(
+        deployer.sendTransaction({ to: receipts.target, value: 1 })
+      ).to.be.revertedWith("Use createLock() or deposit()");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should pay the holder and burn the receipt", async function () {
+      const { receipts, lock, alice, unlockTime, lockedAmount } =
+        await loadFixture(createdLockFixture);
+      await time.increaseTo(unlockTime);
+
+      await expect(receipts.connect(alice).withdraw(1)).to.changeEtherBalances(
+        [alice, lock, receipts],
+        [lockedAmount, -lockedAmount, 0]
+      );
+
+      await expect(receipts.ownerOf(1))
+        .to.be.revertedWithCustomError(receipts, "ERC721NonexistentToken")
+        .withArgs(1);
+      expect(await receipts.balanceOf(alice.address)).to.equal(0);
+    });
+
+    it("Should emit ReceiptRedeemed", async function () {
+      const { receipts, lock, alice, unlockTime, lockedAmount } =
+        await loadFixture(createdLockFixture);
+      await time.increaseTo(unlockTime);
+
+      await expect(receipts.connect(alice).withdraw(1))
+        .to.emit(receipts, "ReceiptRedeemed")
+        .withArgs(1, lock.target, alice.address, lockedAmount);
+    });
+
+    it("Should not withdraw before the unlock time", async function () {
+      const { receipts, alice } = await loadFixture(createdLockFixture);
+
+      await expect(receipts.connect(alice).withdraw(1)).to.be.revertedWith(
+        "You can't withdraw yet"
+      );
+    });
+
+    it("Should only let the holder withdraw", async function () {
+      const { receipts, bob, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+      await time.increaseTo(unlockTime);
+
+      await expect(receipts.connect(bob).withdraw(1)).to.be.revertedWith(
+        "You aren't the holder"
+      );
+    });
+
+    it("Should not let anyone withdraw from the lock directly", async function () {
+      const { lock, alice, unlockTime } = await loadFixture(createdLockFixture);
+      await time.increaseTo(unlockTime);
+
+      await expect(lock.connect(alice).withdraw()).to.be.revertedWith(
+        "You aren't the owner"
+      );
+    });
+
+    it("Should move the position with the token", async function () {
+      const { receipts, alice, bob, unlockTime, lockedAmount } =
+        await loadFixture(createdLockFixture);
+      await receipts.connect(alice).transferFrom(alice.address, bob.address, 1);
+      await time.increaseTo(unlockTime);
+
+      await expect(receipts.connect(alice).withdraw(1)).to.be.revertedWith(
+        "You aren't the holder"
+      );
+      await expect(receipts.connect(bob).withdraw(1)).to.changeEtherBalance(
+        bob,
+        lockedAmount
+      );
+    });
+  });
+
+  describe("Managing the lock", function () {
+    it("Should let the holder deposit more", async function () {
+      const { receipts, lock, alice, lockedAmount } = await loadFixture(
+        createdLockFixture
+      );
+
+      await expect(receipts.connect(alice).deposit(1, { value: lockedAmount }))
+        .to.emit(lock, "Deposit")
+        .withArgs(receipts.target, lockedAmount);
+      expect(await ethers.provider.getBalance(lock.target)).to.equal(
+        2n * lockedAmount
+      );
+    });
+
+    it("Should let the holder extend the unlock time", async function () {
+      const { receipts, lock, alice, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+
+      await receipts.connect(alice).extendUnlockTime(1, unlockTime + 60);
+
+      expect(await lock.unlockTime()).to.equal(unlockTime + 60);
+      await expect(
+        receipts.connect(alice).extendUnlockTime(1, unlockTime)
+      ).to.be.revertedWith("New unlock time must be later");
+    });
+
+    it("Should reject management from anyone but the holder", async function () {
+      const { receipts, bob, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+
+      await expect(
+        receipts.connect(bob).deposit(1, { value: 1 })
+      ).to.be.revertedWith("You aren't the holder");
+      await expect(
+        receipts.connect(bob).extendUnlockTime(1, unlockTime + 60)
+      ).to.be.revertedWith("You aren't the holder");
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should describe the amount, unlock time and lock", async function () {
+      const { receipts, lock, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+
+      const metadata = await metadataOf(receipts, 1);
+
+      expect(metadata.name).to.equal("Lock #1");
+      expect(attribute(metadata, "Amount (ETH)")).to.equal(1);
+      expect(attribute(metadata, "Unlock time")).to.equal(unlockTime);
+      expect(attribute(metadata, "Status")).to.equal("Locked");
+      expect(attribute(metadata, "Lock")).to.equal(lock.target.toLowerCase());
+    });
+
+    it("Should render an SVG with the amount and unlock date", async function () {
+      const { receipts, unlockTime } = await loadFixture(createdLockFixture);
+
+      const { svg } = await metadataOf(receipts, 1);
+
+      expect(svg.startsWith("<svg")).to.equal(true);
+      expect(svg).to.contain("Lock #1");
+      expect(svg).to.contain("1 ETH");
+      expect(svg).to.contain(`Locked until ${utcMinute(unlockTime)}`);
+    });
+
+    it("Should follow the lock's live balance and status", async function () {
+      const { receipts, alice, unlockTime } = await loadFixture(
+        createdLockFixture
+      );
+      await receipts
+        .connect(alice)
+        .deposit(1, { value: ethers.parseEther("0.05") });
+      await time.increaseTo(unlockTime);
+
+      const metadata = await metadataOf(receipts, 1);
+
+      expect(attribute(metadata, "Amount (ETH)")).to.equal(1.05);
+      expect(attribute(metadata, "Status")).to.equal("Unlocked");
+      expect(metadata.svg).to.contain("1.05 ETH");
+      expect(metadata.svg).to.contain(
+        `Unlocked since ${utcMinute(unlockTime)}`
+      );
+    });
+
+    it("Should show up to four decimals, rounded down", async function () {
+      const { receipts, unlockTime } = await loadFixture(deployReceiptsFixture);
+      const amounts = {
+        0.0005: "0.0005",
+        1.23456789: "1.2345",
+        0.00001: "0",
+        12: "12",
+      };
+
+      let tokenId = 0;
+      for (const [amount, shown] of Object.entries(amounts)) {
+        await receipts.createLock(unlockTime, {
+          value: ethers.parseEther(amount),
+        });
+        tokenId += 1;
+        const { svg } = await metadataOf(receipts, tokenId);
+        expect(svg).to.contain(`>${shown} ETH<`);
+      }
+    });
+
+    it("Should revert for unknown receipts", async function () {
+      const { receipts } = await loadFixture(createdLockFixture);
+
+      await expect(receipts.tokenURI(2))
+        .to.be.revertedWithCustomError(receipts, "ERC721NonexistentToken")
+        .withArgs(2);
+    });
+  });
+});
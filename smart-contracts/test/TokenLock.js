@@ -0,0 +1,247 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+describe("TokenLock", function () {
+  async function deployOneYearTokenLockFixture() {
+    const ONE_YEAR_IN_SECS = 365 * 24 * 60 * 60;
+
+    const lockedAmount = ethers.parseUnits("100", 6);
+    const unlockTime = (await time.latest()) + ONE_YEAR_IN_SECS;
+
+    const [owner, otherAccount] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await token.mint(owner.address, lockedAmount * 10n);
+    await token.mint(otherAccount.address, lockedAmount * 10n);
+
+    const TokenLock = await ethers.getContractFactory("TokenLock");
+    const lock = await TokenLock.deploy(
+      token.target,
+      unlockTime,
+      owner.address
+    );
+
+    await token.approve(lock.target, lockedAmount);
+    await lock.deposit(lockedAmount);
+
+    return { lock, token, unlockTime, lockedAmount, owner, otherAccount };
+  }
+
+  describe("Deployment", function () {
+    it("Should set the right token, unlockTime and owner", async function () {
+      const { lock, token, unlockTime, owner } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+
+      expect(await lock.token()).to.equal(token.target);
+      expect(await lock.unlockTime()).to.equal(unlockTime);
+      expect(await lock.owner()).to.equal(owner.address);
+    });
+
+    it("Should fail if the token is the zero address", async function () {
+      const unlockTime = (await time.latest()) + 60;
+      const [owner] = await ethers.getSigners();
+      const TokenLock = await ethers.getContractFactory("TokenLock");
+
+      await expect(
+        TokenLock.deploy(ethers.ZeroAddress, unlockTime, owner.address)
+      ).to.be.revertedWith("Token is the zero address");
+    });
+
+    it("Should fail if the unlockTime is not in the future", async function () {
+      const { token, owner } = await loadFixture(deployOneYearTokenLockFixture);
+      const TokenLock = await ethers.getContractFactory("TokenLock");
+
+      await expect(
+        TokenLock.deploy(token.target, await time.latest(), owner.address)
+      ).to.be.revertedWith("Unlock time should be in the future");
+    });
+
+    it("Should fail if the owner is the zero address", async function () {
+      const { token } = await loadFixture(deployOneYearTokenLockFixture);
+      const TokenLock = await ethers.getContractFactory("TokenLock");
+
+      await expect(
+        TokenLock.deploy(
+          token.target,
+          (await time.latest()) + 60,
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWith("Owner is the zero address");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should hold the deposited tokens", async function () {
+      const { lock, token, lockedAmount } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+
+      expect(await lock.balance()).to.equal(lockedAmount);
+      expect(await token.balanceOf(lock.target)).to.equal(lockedAmount);
+    });
+
+    it("Should accept deposits from any account", async function () {
+      const { lock, token, lockedAmount, otherAccount } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+
+      await token.connect(otherAccount).approve(lock.target, lockedAmount);
+      await expect(
+        lock.connect(otherAccount).deposit(lockedAmount)
+      ).to.changeTokenBalances(
+        token,
+        [otherAccount, lock],
+        [-lockedAmount, lockedAmount]
+      );
+    });
+
+    it("Should emit Deposit with the token and amount", async function () {
+      const { lock, token, lockedAmount, owner } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+
+      await token.approve(lock.target, lockedAmount);
+      await expect(lock.deposit(lockedAmount))
+        .to.emit(lock, "Deposit")
+        .withArgs(token.target, owner.address, lockedAmount);
+    });
+
+    it("Should credit only what arrives for fee-on-transfer tokens", async function () {
+      const { lock, token, lockedAmount, owner } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+      await token.setFeeBps(100); // 1%
+      const received = lockedAmount - lockedAmount / 100n;
+
+      await token.approve(lock.target, lockedAmount);
+      await expect(lock.deposit(lockedAmount))
+        .to.emit(lock, "Deposit")
+        .withArgs(token.target, owner.address, received);
+      expect(await lock.balance()).to.equal(lockedAmount + received);
+    });
+
+    it("Should revert if the token returns false", async function () {
+      const { lock, token, lockedAmount } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+      await token.setReturnFalse(true);
+
+      await token.approve(lock.target, lockedAmount);
+      await expect(lock.deposit(lockedAmount))
+        .to.be.revertedWithCustomError(lock, "SafeERC20FailedOperation")
+        .withArgs(token.target);
+    });
+
+    it("Should revert without an allowance", async function () {
+      const { lock, token, otherAccount } = await loadFixture(
+        deployOneYearTokenLockFixture
+      );
+
+      await expect(
+        lock.connect(otherAccount).deposit(1)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert on a zero deposit", async function () {
+      const { lock } = await loadFixture(deployOneYearTokenLockFixture);
+
+      await expect(lock.deposit(0)).to.be.revertedWith("Amount is zero");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    describe("Validations", function () {
+      it("Should revert with the right error if called too soon", async function () {
+        const { lock } = await loadFixture(deployOneYearTokenLockFixture);
+
+        await expect(lock.withdraw()).to.be.revertedWith(
+          "You can't withdraw yet"
+        );
+      });
+
+      it("Should revert with the right error if called from another account", async function () {
+        const { lock, unlockTime, otherAccount } = await loadFixture(
+          deployOneYearTokenLockFixture
+        );
+
+        await time.increaseTo(unlockTime);
+
+        await expect(lock.connect(otherAccount).withdraw()).to.be.revertedWith(
+          "You aren't the owner"
+        );
+      });
+    });
+
+    describe("Events", function () {
+      it("Should emit an event with the token on withdrawals", async function () {
+        const { lock, token, unlockTime, lockedAmount } = await loadFixture(
+          deployOneYearTokenLockFixture
+        );
+
+        await time.increaseTo(unlockTime);
+
+        await expect(lock.withdraw())
+          .to.emit(lock, "Withdrawal")
+          .withArgs(token.target, lockedAmount, anyValue);
+      });
+    });
+
+    describe("Transfers", function () {
+      it("Should transfer the tokens to the owner", async function () {
+        const { lock, token, unlockTime, lockedAmount, owner } =
+          await loadFixture(deployOneYearTokenLockFixture);
+
+        await time.increaseTo(unlockTime);
+
+        await expect(lock.withdraw()).to.changeTokenBalances(
+          token,
+          [owner, lock],
+          [lockedAmount, -lockedAmount]
+        );
+      });
+    });
+  });
+
+  describe("Tokens without return values", function () {
+    async function deployNoReturnTokenLockFixture() {
+      const amount = 1_000_000n;
+      const unlockTime = (await time.latest()) + 60;
+      const [owner] = await ethers.getSigners();
+
+      const NoReturnERC20 = await ethers.getContractFactory("NoReturnERC20");
+      const token = await NoReturnERC20.deploy();
+      await token.mint(owner.address, amount);
+
+      const TokenLock = await ethers.getContractFactory("TokenLock");
+      const lock = await TokenLock.deploy(
+        token.target,
+        unlockTime,
+        owner.address
+      );
+
+      return { lock, token, amount, unlockTime, owner };
+    }
+
+    it("Should deposit and withdraw", async function () {
+      const { lock, token, amount, unlockTime, owner } = await loadFixture(
+        deployNoReturnTokenLockFixture
+      );
+
+      await token.approve(lock.target, amount);
+      await lock.deposit(amount);
+      expect(await lock.balance()).to.equal(amount);
+
+      await time.increaseTo(unlockTime);
+      await lock.withdraw();
+
+      expect(await token.balanceOf(owner.address)).to.equal(amount);
+      expect(await lock.balance()).to.equal(0);
+    });
+  });
+});
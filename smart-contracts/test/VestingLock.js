@@ -0,0 +1,246 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+describe("VestingLock", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  // 1 ETH vesting over 100 days from tomorrow, with a 25 day cliff.
+  async function deployVestingLockFixture() {
+    const vestingAmount = ethers.parseEther("1");
+    const start = (await time.latest()) + ONE_DAY_IN_SECS;
+    const cliffDuration = 25 * ONE_DAY_IN_SECS;
+    const duration = 100 * ONE_DAY_IN_SECS;
+
+    const [owner, otherAccount] = await ethers.getSigners();
+
+    const VestingLock = await ethers.getContractFactory("VestingLock");
+    const lock = await VestingLock.deploy(
+      owner.address,
+      start,
+      cliffDuration,
+      duration,
+      { value: vestingAmount }
+    );
+
+    return {
+      lock,
+      vestingAmount,
+      start,
+      cliff: start + cliffDuration,
+      end: start + duration,
+      duration,
+      owner,
+      otherAccount,
+    };
+  }
+
+  describe("Deployment", function () {
+    it("Should set the schedule", async function () {
+      const { lock, start, cliff, duration, end } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.start()).to.equal(start);
+      expect(await lock.cliff()).to.equal(cliff);
+      expect(await lock.duration()).to.equal(duration);
+      expect(await lock.end()).to.equal(end);
+    });
+
+    it("Should set the right owner and hold the funds", async function () {
+      const { lock, owner, vestingAmount } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.owner()).to.equal(owner.address);
+      expect(await ethers.provider.getBalance(lock.target)).to.equal(
+        vestingAmount
+      );
+      expect(await lock.released()).to.equal(0);
+    });
+
+    it("Should fail if the duration is zero", async function () {
+      const [owner] = await ethers.getSigners();
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+
+      await expect(
+        VestingLock.deploy(owner.address, await time.latest(), 0, 0)
+      ).to.be.revertedWith("Duration is zero");
+    });
+
+    it("Should fail if the cliff is longer than the duration", async function () {
+      const [owner] = await ethers.getSigners();
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+
+      await expect(
+        VestingLock.deploy(owner.address, await time.latest(), 11, 10)
+      ).to.be.revertedWith("Cliff is longer than duration");
+    });
+
+    it("Should fail if the owner is the zero address", async function () {
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+
+      await expect(
+        VestingLock.deploy(ethers.ZeroAddress, await time.latest(), 0, 10)
+      ).to.be.revertedWith("Owner is the zero address");
+    });
+  });
+
+  describe("Vesting schedule", function () {
+    it("Should vest nothing before the cliff", async function () {
+      const { lock, start, cliff } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.vestedAmount(start - 1)).to.equal(0);
+      expect(await lock.vestedAmount(start)).to.equal(0);
+      expect(await lock.vestedAmount(cliff - 1)).to.equal(0);
+    });
+
+    it("Should vest linearly from the start once the cliff passes", async function () {
+      const { lock, vestingAmount, start, cliff } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.vestedAmount(cliff)).to.equal(vestingAmount / 4n);
+      expect(await lock.vestedAmount(start + 50 * ONE_DAY_IN_SECS)).to.equal(
+        vestingAmount / 2n
+      );
+    });
+
+    it("Should vest everything at the end", async function () {
+      const { lock, vestingAmount, end } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.vestedAmount(end)).to.equal(vestingAmount);
+      expect(await lock.vestedAmount(end + ONE_DAY_IN_SECS)).to.equal(
+        vestingAmount
+      );
+    });
+
+    it("Should report what is releasable now", async function () {
+      const { lock, vestingAmount, cliff, start } = await loadFixture(
+        deployVestingLockFixture
+      );
+
+      expect(await lock.releasable()).to.equal(0);
+
+      await time.increaseTo(cliff);
+      expect(await lock.releasable()).to.equal(vestingAmount / 4n);
+
+      await time.increaseTo(start + 75 * ONE_DAY_IN_SECS);
+      expect(await lock.releasable()).to.equal((vestingAmount * 3n) / 4n);
+    });
+  });
+
+  describe("Releases", function () {
+    describe("Validations", function () {
+      it("Should revert before the cliff", async function () {
+        const { lock, cliff } = await loadFixture(deployVestingLockFixture);
+
+        await time.increaseTo(cliff - 10);
+
+        await expect(lock.release()).to.be.revertedWith("Nothing to release");
+      });
+
+      it("Should revert if called from another account", async function () {
+        const { lock, cliff, otherAccount } = await loadFixture(
+          deployVestingLockFixture
+        );
+
+        await time.increaseTo(cliff);
+
+        await expect(lock.connect(otherAccount).release()).to.be.revertedWith(
+          "You aren't the owner"
+        );
+      });
+
+      it("Should revert when everything vested has been released", async function () {
+        const { lock, end } = await loadFixture(deployVestingLockFixture);
+
+        await time.increaseTo(end);
+        await lock.release();
+
+        await expect(lock.release()).to.be.revertedWith("Nothing to release");
+      });
+    });
+
+    describe("Events", function () {
+      it("Should emit Released with the amount", async function () {
+        const { lock, vestingAmount, cliff } = await loadFixture(
+          deployVestingLockFixture
+        );
+
+        await time.setNextBlockTimestamp(cliff);
+
+        await expect(lock.release())
+          .to.emit(lock, "Released")
+          .withArgs(vestingAmount / 4n, anyValue);
+      });
+    });
+
+    describe("Transfers", function () {
+      it("Should release in parts and pay out exactly the total", async function () {
+        const { lock, vestingAmount, start, end, owner } = await loadFixture(
+          deployVestingLockFixture
+        );
+        const quarter = vestingAmount / 4n;
+
+        await time.setNextBlockTimestamp(start + 25 * ONE_DAY_IN_SECS);
+        await expect(lock.release()).to.changeEtherBalances(
+          [owner, lock],
+          [quarter, -quarter]
+        );
+
+        await time.setNextBlockTimestamp(start + 60 * ONE_DAY_IN_SECS);
+        const sixtyPercent = (vestingAmount * 60n) / 100n;
+        await expect(lock.release()).to.changeEtherBalances(
+          [owner, lock],
+          [sixtyPercent - quarter, quarter - sixtyPercent]
+        );
+        expect(await lock.released()).to.equal(sixtyPercent);
+
+        await time.setNextBlockTimestamp(end);
+        await expect(lock.release()).to.changeEtherBalances(
+          [owner, lock],
+          [vestingAmount - sixtyPercent, sixtyPercent - vestingAmount]
+        );
+        expect(await lock.released()).to.equal(vestingAmount);
+        expect(await ethers.provider.getBalance(lock.target)).to.equal(0);
+      });
+
+      it("Should round down and leave no dust at the end", async function () {
+        // 1000 wei over 3 days doesn't divide evenly.
+        const [owner] = await ethers.getSigners();
+        const start = (await time.latest()) + 10;
+        const VestingLock = await ethers.getContractFactory("VestingLock");
+        const lock = await VestingLock.deploy(
+          owner.address,
+          start,
+          0,
+          3 * ONE_DAY_IN_SECS,
+          { value: 1000 }
+        );
+
+        expect(await lock.vestedAmount(start + ONE_DAY_IN_SECS)).to.equal(333);
+        expect(await lock.vestedAmount(start + 2 * ONE_DAY_IN_SECS)).to.equal(
+          666
+        );
+
+        await time.setNextBlockTimestamp(start + ONE_DAY_IN_SECS);
+        await lock.release();
+        await time.setNextBlockTimestamp(start + 2 * ONE_DAY_IN_SECS);
+        await lock.release();
+        expect(await lock.released()).to.equal(666);
+
+        await time.setNextBlockTimestamp(start + 3 * ONE_DAY_IN_SECS);
+        await expect(lock.release()).to.changeEtherBalance(owner, 334);
+        expect(await lock.released()).to.equal(1000);
+      });
+    });
+  });
+});
@@ -0,0 +1,336 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseDuration, parseWhen } = require("../tasks/lock");
+
+describe("Lock tasks", function () {
+  const ONE_DAY_IN_SECS = 24 * 60 * 60;
+
+  async function deployFactoryFixture() {
+    const [owner, otherAccount] = await ethers.getSigners();
+    const LockFactory = await ethers.getContractFactory("LockFactory");
+    const factory = await LockFactory.deploy();
+
+    return { factory, owner, otherAccount };
+  }
+
+  // Runs a task with console output captured rather than printed.
+  async function run(name, args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      const result = await hre.run(name, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  describe("Parsing", function () {
+    it("Should parse durations", function () {
+      expect(parseDuration("45s")).to.equal(45);
+      expect(parseDuration("+2h")).to.equal(7200);
+      expect(parseDuration("30d")).to.equal(30 * ONE_DAY_IN_SECS);
+      expect(parseDuration("soon")).to.equal(null);
+    });
+
+    it("Should parse timestamps, dates and durations from now", function () {
+      expect(parseWhen("1893456000", 0)).to.equal(1893456000);
+      expect(parseWhen("2030-01-01T00:00:00Z", 0)).to.equal(1893456000);
+      expect(parseWhen("1d", 100)).to.equal(100 + ONE_DAY_IN_SECS);
+      expect(() => parseWhen("whenever", 0)).to.throw("Can't parse");
+    });
+  });
+
+  describe("lock:create", function () {
+    it("Should deploy a Lock directly without a factory", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+
+      const { result, output } = await run("lock:create", {
+        amount: "1",
+        unlock: "30d",
+      });
+
+      const lock = await ethers.getContractAt("Lock", result.address);
+      expect(await lock.owner()).to.equal(owner.address);
+      expect(await lock.unlockTime()).to.equal(
+        (await time.latest()) - 1 + 30 * ONE_DAY_IN_SECS
+      );
+      expect(await ethers.provider.getBalance(result.address)).to.equal(
+        ethers.parseEther("1")
+      );
+      expect(result.factory).to.equal(null);
+      expect(output).to.contain(`Lock created at ${result.address}`);
+    });
+
+    it("Should create through a factory for another signer", async function () {
+      const { factory, otherAccount } = await loadFixture(deployFactoryFixture);
+
+      const { result } = await run("lock:create", {
+        amount: "0.5",
+        unlock: "1h",
+        factory: factory.target,
+        signer: 1,
+      });
+
+      expect(result.factory).to.equal(factory.target);
+      expect(await factory.locksOf(otherAccount.address)).to.deep.equal([
+        result.address,
+      ]);
+    });
+
+    it("Should make --owner the lock's owner", async function () {
+      const { factory, otherAccount } = await loadFixture(deployFactoryFixture);
+
+      const { result, output } = await run("lock:create", {
+        amount: "0.5",
+        unlock: "1h",
+        owner: otherAccount.address,
+        factory: factory.target,
+      });
+
+      const lock = await ethers.getContractAt("Lock", result.address);
+      expect(await lock.owner()).to.equal(otherAccount.address);
+      expect(result.owner).to.equal(otherAccount.address);
+      expect(output).to.contain(`Owner:    ${otherAccount.address}`);
+    });
+
+    it("Should print JSON with --json", async function () {
+      await loadFixture(deployFactoryFixture);
+
+      const { result, output } = await run("lock:create", {
+        amount: "0.01",
+        unlock: "1d",
+        json: true,
+      });
+
+      const printed = JSON.parse(output);
+      expect(printed.address).to.equal(result.address);
+      expect(printed.amount).to.equal(ethers.parseEther("0.01").toString());
+    });
+  });
+
+  describe("lock:status", function () {
+    it("Should report a locked lock", async function () {
+      await loadFixture(deployFactoryFixture);
+      const { result: created } = await run("lock:create", {
+        amount: "1",
+        unlock: "1d",
+      });
+
+      const { result, output } = await run("lock:status", {
+        address: created.address,
+      });
+
+      expect(result.status).to.equal("locked");
+      expect(result.balanceFormatted).to.equal("1.0");
+      expect(result.symbol).to.equal("ETH");
+      expect(output).to.contain("Status:   locked");
+    });
+
+    it("Should report a funded TokenLock past its unlock time as unlocked", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      const unlockTime = (await time.latest()) + ONE_DAY_IN_SECS;
+      const TokenLock = await ethers.getContractFactory("TokenLock");
+      const lock = await TokenLock.deploy(token, unlockTime, owner.address);
+      await token.mint(owner.address, 2_500_000n);
+      await token.approve(lock, 2_500_000n);
+      await lock.deposit(2_500_000n);
+      await time.increaseTo(unlockTime);
+
+      const { result, output } = await run("lock:status", {
+        address: lock.target,
+      });
+
+      expect(result.status).to.equal("unlocked");
+      expect(result.token).to.equal(token.target);
+      expect(result.balance).to.equal(2_500_000n);
+      expect(output).to.contain("Balance:  2.5 mUSD");
+
+      await lock.withdraw();
+      expect(
+        (await run("lock:status", { address: lock.target })).result.status
+      ).to.equal("withdrawn");
+    });
+
+    it("Should use a VestingLock's end as its unlock time", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+      const start = (await time.latest()) + 60;
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+      const lock = await VestingLock.deploy(owner.address, start, 0, 3600, {
+        value: ethers.parseEther("1"),
+      });
+
+      const { result } = await run("lock:status", { address: lock.target });
+
+      expect(result.unlockTime).to.equal(start + 3600);
+      expect(result.status).to.equal("locked");
+    });
+
+    it("Should fail for an address without code", async function () {
+      const { otherAccount } = await loadFixture(deployFactoryFixture);
+
+      await expect(
+        run("lock:status", { address: otherAccount.address })
+      ).to.be.rejectedWith("No contract deployed");
+    });
+  });
+
+  describe("lock:time-travel and lock:withdraw", function () {
+    it("Should refuse to withdraw before the unlock time", async function () {
+      await loadFixture(deployFactoryFixture);
+      const { result: created } = await run("lock:create", {
+        amount: "1",
+        unlock: "1d",
+      });
+
+      await expect(
+        run("lock:withdraw", { address: created.address })
+      ).to.be.rejectedWith("Lock is still locked");
+    });
+
+    it("Should withdraw after travelling past the unlock time", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+      const { result: created } = await run("lock:create", {
+        amount: "1",
+        unlock: "1d",
+      });
+
+      const { result: travelled } = await run("lock:time-travel", {
+        by: "2d",
+      });
+      expect(travelled.to - travelled.from).to.equal(2 * ONE_DAY_IN_SECS);
+      expect(
+        (await run("lock:status", { address: created.address })).result.status
+      ).to.equal("unlocked");
+
+      const balanceBefore = await ethers.provider.getBalance(owner.address);
+      const { result } = await run("lock:withdraw", {
+        address: created.address,
+      });
+
+      expect(result.amountFormatted).to.equal("1.0");
+      expect(await ethers.provider.getBalance(owner.address)).to.be.above(
+        balanceBefore
+      );
+      expect(
+        (await run("lock:status", { address: created.address })).result.status
+      ).to.equal("withdrawn");
+    });
+
+    it("Should refuse to withdraw for another signer", async function () {
+      await loadFixture(deployFactoryFixture);
+      const { result: created } = await run("lock:create", {
+        amount: "1",
+        unlock: "1h",
+      });
+      await run("lock:time-travel", { by: "2h" });
+
+      await expect(
+        run("lock:withdraw", { address: created.address, signer: 1 })
+      ).to.be.rejectedWith("isn't the owner");
+    });
+
+    it("Should release what a VestingLock has vested", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+      const start = await time.latest();
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+      const lock = await VestingLock.deploy(owner.address, start, 0, 3600, {
+        value: ethers.parseEther("1"),
+      });
+      await run("lock:time-travel", { by: "30m" });
+
+      const { result: first, output } = await run("lock:withdraw", {
+        address: lock.target,
+      });
+      await run("lock:time-travel", { by: "2h" });
+      const { result: rest } = await run("lock:withdraw", {
+        address: lock.target,
+      });
+
+      expect(output).to.contain("Released");
+      expect(first.amount).to.be.above(0n);
+      expect(first.amount).to.be.below(ethers.parseEther("1"));
+      expect(first.amount + rest.amount).to.equal(ethers.parseEther("1"));
+      expect(await lock.released()).to.equal(ethers.parseEther("1"));
+      await expect(
+        run("lock:withdraw", { address: lock.target })
+      ).to.be.rejectedWith("Lock has already been withdrawn");
+    });
+
+    it("Should refuse to release a VestingLock before its cliff", async function () {
+      const { owner } = await loadFixture(deployFactoryFixture);
+      const start = await time.latest();
+      const VestingLock = await ethers.getContractFactory("VestingLock");
+      const lock = await VestingLock.deploy(owner.address, start, 600, 3600, {
+        value: ethers.parseEther("1"),
+      });
+
+      await expect(
+        run("lock:withdraw", { address: lock.target })
+      ).to.be.rejectedWith("Nothing has vested yet");
+    });
+
+    it("Should travel to an absolute time", async function () {
+      await loadFixture(deployFactoryFixture);
+      const target = (await time.latest()) + 1000;
+
+      const { result } = await run("lock:time-travel", { to: String(target) });
+
+      expect(result.to).to.equal(target);
+      expect(await time.latest()).to.equal(target);
+    });
+
+    it("Should need exactly one of --to and --by", async function () {
+      await expect(run("lock:time-travel", {})).to.be.rejectedWith(
+        "exactly one of --to or --by"
+      );
+      await expect(
+        run("lock:time-travel", { to: "1d", by: "1d" })
+      ).to.be.rejectedWith("exactly one of --to or --by");
+    });
+  });
+
+  describe("lock:list", function () {
+    it("Should list a factory's locks, optionally by owner", async function () {
+      const { factory, owner } = await loadFixture(deployFactoryFixture);
+      for (const signer of [0, 1, 0]) {
+        await run("lock:create", {
+          amount: "0.1",
+          unlock: "1d",
+          factory: factory.target,
+          signer,
+        });
+      }
+
+      const all = await run("lock:list", { factory: factory.target });
+      const mine = await run("lock:list", {
+        factory: factory.target,
+        owner: owner.address,
+        json: true,
+      });
+
+      expect(all.result.locks).to.have.length(3);
+      expect(all.output).to.contain("3 lock(s)");
+      expect(mine.result.locks).to.have.length(2);
+      expect(
+        mine.result.locks.every((lock) => lock.owner === owner.address)
+      ).to.equal(true);
+      expect(JSON.parse(mine.output).locks).to.have.length(2);
+    });
+
+    it("Should need a factory on the in-process network", async function () {
+      await loadFixture(deployFactoryFixture);
+
+      await expect(run("lock:list", {})).to.be.rejectedWith(
+        "No LockFactory for this network"
+      );
+    });
+  });
+});